@@ -2,8 +2,41 @@
 
 const express = require('express');
 const cors = require('cors');
+const compression = require('compression');
 const dotenv = require('dotenv');
 const crypto = require('crypto');
+const { getTipeSoal, scoreExam } = require('../lib/scoring');
+const { signSession, verifySession, getBearerToken } = require('../lib/session');
+const { hashPassword, verifyPassword } = require('../lib/password');
+const { computeDeadline, remainingMs, isPastGrace } = require('../lib/exam-timer');
+const { pickSoalFields, validateSoal } = require('../lib/soal-validator');
+const { parseImport, tabelKeCsv, toCsv } = require('../lib/import-soal');
+const { susunSoal } = require('../lib/acak');
+const { normalizeNilai, decodeJawaban, encodeJawaban, lengkapi, toList } = require('../lib/jawaban');
+const { JENIS_PELANGGARAN, DEFAULT_BATAS, tentukanTindakan, validateKebijakan } = require('../lib/pelanggaran');
+const { statusKunciMapel, validateJadwalMapel } = require('../lib/jadwal-mapel');
+const { usernameValid, varianNoWa, buatPassword, parsePeserta, cariDuplikat } = require('../lib/import-peserta');
+const { lembarKartu } = require('../lib/kartu-peserta');
+const { OTP_BERLAKU_MENIT, kirimOtp, getProviderOrtu, normalisasiNomor, samarkanTujuan } = require('../lib/notify');
+const { validatePengaturanNotif, susunPesan, jedaUlang } = require('../lib/notifikasi-ortu');
+const { createMemoryStore, createSupabaseStore, createRateLimiter } = require('../lib/rate-limit');
+const { buatSecret, tokenAktif, cekToken } = require('../lib/token-ujian');
+const { GROUP_FIELDS, analisisMapel, tabelPeserta, tabelButir, tabelGrup } = require('../lib/analisis');
+const { buatXlsx } = require('../lib/xlsx');
+const { createDb } = require('../lib/db');
+const { KOLOM_SOAL_PESERTA, createSoalCache } = require('../lib/soal-cache');
+const { audioSoal, sanitasiKontenSoal } = require('../lib/konten-soal');
+const {
+  normalisasiRubrik,
+  hitungSkor,
+  pengaturan: pengaturanEsai,
+  statusEsai,
+  tahapPenilai,
+  kodeAnonim,
+  kunciKodeAnonim,
+  ringkasProgres,
+  validatePengaturanEsai
+} = require('../lib/penilaian-esai');
 
 // Load env dari .env saat lokal. Di Vercel, env diambil dari Environment Variables.
 dotenv.config();
@@ -14,66 +47,565 @@ const app = express();
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
 
-// Env
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
+// Akses data lewat adapter (lib/db): Supabase di produksi, memory untuk offline/pengujian
+const db = createDb();
+app.locals.db = db;
 
-if (!SUPABASE_URL || !SUPABASE_KEY) {
+if (db.adapter.nama === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY)) {
   console.warn('[WARN] SUPABASE_URL / SUPABASE_KEY belum diset. Set env di Vercel atau .env saat lokal.');
 }
 
-// Helper: request ke Supabase REST
-async function supabaseRequest(path, method = 'GET', query = null, body = null) {
-  if (!SUPABASE_URL || !SUPABASE_KEY) {
-    throw new Error('Server belum dikonfigurasi: SUPABASE_URL / SUPABASE_KEY kosong.');
+// Query PostgREST mentah (query admin yang belum punya method repository); filter dari input
+// pengguna wajib lewat repository (db.*) agar nilainya di-escape.
+function supabaseRequest(path, method = 'GET', query = null, body = null) {
+  return db.request(path, method, query, body);
+}
+
+function safeUser(u) {
+  if (!u) return u;
+  const copy = { ...u };
+  delete copy.password; // jangan pernah kirim password ke client
+  delete copy.gagal_login;
+  delete copy.terkunci_sampai;
+  return copy;
+}
+
+function requireFields(obj, fields) {
+  for (const f of fields) {
+    if (obj[f] === undefined || obj[f] === null || String(obj[f]).trim() === '') {
+      return `Field "${f}" wajib diisi`;
+    }
+  }
+  return null;
+}
+
+// Cache status pencabutan sesi agar autosave tidak selalu query ke DB
+const revokedCache = new Map();
+const REVOKED_CACHE_MS = 30 * 1000;
+
+async function isSessionRevoked(jti) {
+  const cached = revokedCache.get(jti);
+  if (cached && (cached.revoked || Date.now() - cached.checkedAt < REVOKED_CACHE_MS)) {
+    return cached.revoked;
+  }
+
+  const rows = await supabaseRequest('sesi_dicabut', 'GET', {
+    select: 'jti',
+    jti: `eq.${jti}`,
+    limit: 1
+  });
+  const revoked = !!(rows && rows.length > 0);
+  revokedCache.set(jti, { revoked, checkedAt: Date.now() });
+  return revoked;
+}
+
+async function revokeSession(payload) {
+  revokedCache.set(payload.jti, { revoked: true, checkedAt: Date.now() });
+  await supabaseRequest('sesi_dicabut', 'POST', null, {
+    jti: payload.jti,
+    id_peserta: payload.role ? null : payload.sub,
+    expires_at: new Date(payload.exp * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+}
+
+function issueSession(user) {
+  const { token, payload } = signSession({ sub: user.id, agd: user.id_agenda });
+  return { session_token: token, session_expires_at: new Date(payload.exp * 1000).toISOString() };
+}
+
+/**
+ * Baca & verifikasi token sesi dari header Authorization.
+ * @returns {Promise<{ payload: object|null, message?: string }>}
+ */
+async function readSession(req) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return { payload: null, message: 'Sesi tidak ditemukan, silakan login' };
+  }
+
+  const { payload, message } = verifySession(token);
+  if (!payload) {
+    return { payload: null, message };
+  }
+  // Izin masuk ujian dan tiket stream ditandatangani dengan secret yang sama, tapi bukan token sesi
+  if (payload.typ) {
+    return { payload: null, message: 'Sesi tidak valid' };
+  }
+
+  if (await isSessionRevoked(payload.jti)) {
+    return { payload: null, message: 'Sesi sudah berakhir, silakan login ulang' };
   }
 
-  const url = new URL(`${SUPABASE_URL}/rest/v1/${path}`);
+  return { payload };
+}
 
-  if (query) {
-    for (const [k, v] of Object.entries(query)) {
-      url.searchParams.set(k, String(v));
+/**
+ * Middleware: wajib token sesi peserta. Identitas peserta diambil dari token
+ * (req.peserta), bukan dari body/query.
+ */
+async function requireSession(req, res, next) {
+  try {
+    const { payload, message } = await readSession(req);
+    if (!payload) {
+      return res.status(401).json({ success: false, session_expired: true, message });
     }
+    if (payload.role) {
+      return res.status(403).json({ success: false, message: 'Endpoint ini khusus peserta' });
+    }
+
+    req.session = payload;
+    req.peserta = { id: payload.sub, id_agenda: payload.agd };
+    return next();
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ success: false, message: e.message });
   }
+}
+
+/**
+ * Middleware: wajib token sesi staf (admin_user) dengan salah satu role.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const { payload, message } = await readSession(req);
+      if (!payload) {
+        return res.status(401).json({ success: false, session_expired: true, message });
+      }
+      if (!roles.includes(payload.role)) {
+        return res.status(403).json({ success: false, message: 'Akses ditolak' });
+      }
 
-  const options = {
-    method: method.toUpperCase(),
-    headers: {
-      apikey: SUPABASE_KEY,
-      Authorization: `Bearer ${SUPABASE_KEY}`,
-      'Content-Type': 'application/json',
-      Prefer: 'return=representation'
+      req.session = payload;
+      req.staff = { id: payload.sub, role: payload.role };
+      return next();
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ success: false, message: e.message });
     }
   };
+}
+
+/* ---------- Pendaftaran peserta ke agenda (tabel peserta_agenda) ---------- */
 
-  if (body && (options.method === 'POST' || options.method === 'PATCH')) {
-    options.body = JSON.stringify(body);
+const MSG_TIDAK_TERDAFTAR = 'Anda tidak terdaftar di agenda ini';
+
+/**
+ * True jika peserta sesi terdaftar di agenda. peserta.id_agenda (agenda saat registrasi, ada di token
+ * sebagai agd) selalu dihitung terdaftar, jadi akun lama tanpa baris peserta_agenda tetap jalan.
+ */
+async function terdaftarDiAgenda(req, agendaId) {
+  if (!agendaId || String(agendaId) === String(req.peserta.id_agenda)) {
+    return true;
   }
+  const row = await db.tabel('peserta_agenda').satu(
+    { id_peserta: req.peserta.id, id_agenda: String(agendaId) },
+    { select: 'id' }
+  );
+  return !!row;
+}
 
-  const response = await fetch(url, options);
+function tolakTidakTerdaftar(res) {
+  return res.status(403).json({ success: false, tidak_terdaftar: true, message: MSG_TIDAK_TERDAFTAR });
+}
 
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`DB Error (${response.status}): ${errorBody}`);
+/**
+ * Id semua agenda yang diikuti peserta (peserta_agenda + agenda registrasi).
+ */
+async function getAgendaIdsPeserta(pesertaId, agendaUtama) {
+  const rows = await db.tabel('peserta_agenda').cari({ id_peserta: pesertaId }, { select: 'id_agenda' });
+  const ids = rows.map((r) => String(r.id_agenda));
+  if (agendaUtama && !ids.includes(String(agendaUtama))) {
+    ids.push(String(agendaUtama));
   }
+  return ids;
+}
 
-  return response.status !== 204 ? await response.json() : null;
+/**
+ * Baris peserta berdasarkan daftar id (repository memecah per 200 id).
+ */
+function getPesertaByIds(ids, select) {
+  return db.peserta.byIds(ids, select);
 }
 
-function safeUser(u) {
-  if (!u) return u;
-  const copy = { ...u };
-  delete copy.password; // jangan pernah kirim password ke client
-  return copy;
+/**
+ * Semua peserta yang terdaftar di agenda, urut nama.
+ */
+async function getPesertaAgenda(agendaId, select) {
+  const daftar = await db.tabel('peserta_agenda').cari({ id_agenda: agendaId }, { select: 'id_peserta' });
+  const utama = await db.peserta.cari({ id_agenda: agendaId }, { select });
+  const sudah = new Set(utama.map((p) => String(p.id)));
+  const tambahan = await getPesertaByIds(
+    daftar.map((r) => r.id_peserta).filter((id) => !sudah.has(String(id))),
+    select
+  );
+  return [...utama, ...tambahan].sort((a, b) => String(a.nama_peserta || '').localeCompare(String(b.nama_peserta || '')));
 }
 
-function requireFields(obj, fields) {
-  for (const f of fields) {
-    if (obj[f] === undefined || obj[f] === null || String(obj[f]).trim() === '') {
-      return `Field "${f}" wajib diisi`;
+/**
+ * Daftarkan peserta ke agenda (idempotent).
+ */
+async function daftarkanKeAgenda(pesertaIds, agendaId) {
+  if (pesertaIds.length === 0) {
+    return;
+  }
+  await supabaseRequest(
+    'peserta_agenda',
+    'POST',
+    { on_conflict: 'id_peserta,id_agenda' },
+    pesertaIds.map((id) => ({ id_peserta: id, id_agenda: agendaId, created_at: new Date().toISOString() }))
+  );
+}
+
+/* =========================================================
+ * RATE LIMIT / BRUTE-FORCE (lib/rate-limit.js)
+ * Yang dihitung hanya percobaan gagal. IP dibatasi longgar karena satu lab sekolah
+ * biasanya keluar lewat satu IP; akun/agenda dibatasi lebih ketat.
+ * ========================================================= */
+
+const MENIT_MS = 60 * 1000;
+const LOGIN_MAX_GAGAL = Number(process.env.LOGIN_MAX_GAGAL) || 5;
+const LOGIN_KUNCI_MENIT = Number(process.env.LOGIN_KUNCI_MENIT) || 15;
+const OTP_MAX_PERCOBAAN = Number(process.env.OTP_MAX_PERCOBAAN) || 5;
+
+const rateStore =
+  process.env.RATE_LIMIT_STORE === 'supabase' ? createSupabaseStore(supabaseRequest) : createMemoryStore();
+
+const limitIp = createRateLimiter({
+  store: rateStore,
+  nama: 'ip',
+  max: Number(process.env.RATE_LIMIT_IP_MAX) || 100,
+  windowMs: 15 * MENIT_MS
+});
+const limitLogin = createRateLimiter({ store: rateStore, nama: 'login', max: 10, windowMs: 15 * MENIT_MS });
+const limitToken = createRateLimiter({ store: rateStore, nama: 'token', max: 5, windowMs: 10 * MENIT_MS });
+const limitOtp = createRateLimiter({ store: rateStore, nama: 'otp', max: 10, windowMs: 15 * MENIT_MS });
+const limitForgot = createRateLimiter({ store: rateStore, nama: 'forgot', max: 3, windowMs: 15 * MENIT_MS });
+const limitGabung = createRateLimiter({ store: rateStore, nama: 'gabung', max: 5, windowMs: 15 * MENIT_MS });
+
+function getClientIp(req) {
+  // Vercel menimpa x-forwarded-for dengan IP asli client
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers['x-real-ip'] || req.socket.remoteAddress || 'unknown';
+}
+
+/**
+ * Bandingkan kode rahasia (OTP) tanpa bocor lewat perbedaan waktu.
+ */
+function samaAman(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || '').trim());
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function tolakRateLimit(res, retryAfter, message) {
+  const menit = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    rate_limited: true,
+    retry_after: retryAfter,
+    message: message || `Terlalu banyak percobaan. Coba lagi dalam ${menit} menit.`
+  });
+}
+
+/**
+ * Middleware: tolak 429 jika IP atau kunci akun sudah melewati batas.
+ * Route memanggil req.percobaan.gagal() saat percobaan salah dan req.percobaan.sukses()
+ * saat berhasil (hanya kunci akun yang di-reset, hitungan IP tetap).
+ * @param {object} limiter limiter per endpoint
+ * @param {Function} kunciFn req -> kunci akun/agenda (string, boleh kosong)
+ */
+function batasiPercobaan(limiter, kunciFn) {
+  return async (req, res, next) => {
+    try {
+      const ip = [getClientIp(req)];
+      const akun = [kunciFn(req)].filter(Boolean).map((k) => String(k).trim().toLowerCase());
+
+      const [statusIp, statusAkun] = await Promise.all([limitIp.periksa(ip), limiter.periksa(akun)]);
+      const blok = [statusIp, statusAkun].filter((st) => st.blocked).sort((a, b) => b.retryAfter - a.retryAfter)[0];
+      if (blok) {
+        return tolakRateLimit(res, blok.retryAfter);
+      }
+
+      req.percobaan = {
+        gagal: async () => {
+          const [hasilIp, hasilAkun] = await Promise.all([limitIp.gagal(ip), limiter.gagal(akun)]);
+          return hasilAkun.sisa < hasilIp.sisa ? hasilAkun : hasilIp;
+        },
+        sukses: () => limiter.reset(akun)
+      };
+      return next();
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ success: false, message: e.message });
+    }
+  };
+}
+
+function findJawaban(pesertaId, mapelId) {
+  return db.jawaban.sesi(
+    pesertaId,
+    mapelId,
+    'id,id_peserta,id_agenda,id_mapel,jawaban,tgljam_mulai,status,terkunci,jumlah_pelanggaran,tambahan_waktu'
+  );
+}
+
+/**
+ * Daftar soal ringkas (tanpa kunci) urut no_soal, untuk memetakan jawaban.
+ */
+async function getSoalRingkas(mapelId) {
+  return db.soal.cari({ id_mapel: mapelId }, { select: 'id,no_soal,type_soal,satuan', order: 'no_soal.asc', limit: 500 });
+}
+
+/**
+ * Jawaban lengkap satu sesi: kolom jawaban (format baru/lama) ditimpa baris jawaban_item.
+ * @returns {Promise<Object<string, *>>} { [id_soal]: nilai }
+ */
+async function loadJawabanMap(row, soalList) {
+  const map = decodeJawaban(soalList, row.jawaban);
+  const items = await supabaseRequest('jawaban_item', 'GET', {
+    select: 'id_soal,nilai',
+    id_jawaban: `eq.${row.id}`
+  });
+  (items || []).forEach((item) => {
+    if (item.nilai === null || item.nilai === undefined) {
+      delete map[item.id_soal];
+    } else {
+      map[item.id_soal] = item.nilai;
+    }
+  });
+  return map;
+}
+
+/**
+ * Upsert jawaban per soal ke jawaban_item (hanya item yang dikirim yang berubah).
+ * Id soal yang bukan milik mapel diabaikan.
+ *
+ * seqMap ({ [id_soal]: seq }, opsional) adalah nomor urut perubahan dari client. Item dengan seq
+ * <= seq tersimpan dilewati, jadi kiriman ulang antrean offline yang duplikat / datang terlambat
+ * tidak menimpa jawaban yang lebih baru. Item tanpa seq (client lama) selalu ditulis.
+ * @returns {Promise<{ disimpan: number, diabaikan: Array<string|number> }>}
+ */
+async function saveJawabanItems(row, soalList, map, seqMap = {}) {
+  const soalById = new Map((soalList || []).map((s) => [String(s.id), s]));
+  const entries = Object.entries(map || {}).filter(([id]) => soalById.has(String(id)));
+  if (entries.length === 0) {
+    return { disimpan: 0, diabaikan: [] };
+  }
+
+  const seqTersimpan = new Map();
+  const existing = await supabaseRequest('jawaban_item', 'GET', {
+    select: 'id_soal,seq',
+    id_jawaban: `eq.${row.id}`,
+    id_soal: `in.(${entries.map(([id]) => soalById.get(String(id)).id).join(',')})`
+  });
+  (existing || []).forEach((item) => {
+    if (item.seq !== null && item.seq !== undefined) {
+      seqTersimpan.set(String(item.id_soal), Number(item.seq));
     }
+  });
+
+  const now = new Date().toISOString();
+  const rows = [];
+  const diabaikan = [];
+  entries.forEach(([id, value]) => {
+    const soal = soalById.get(String(id));
+    const lama = seqTersimpan.get(String(soal.id));
+    const seq = parseSeq(seqMap && seqMap[id]);
+    if (seq !== null && lama !== undefined && seq <= lama) {
+      diabaikan.push(soal.id);
+      return;
+    }
+    rows.push({
+      id_jawaban: row.id,
+      id_soal: soal.id,
+      nilai: normalizeNilai(soal, value),
+      seq: seq !== null ? seq : lama !== undefined ? lama : null,
+      updated_at: now
+    });
+  });
+
+  if (rows.length > 0) {
+    await supabaseRequest('jawaban_item', 'POST', { on_conflict: 'id_jawaban,id_soal' }, rows);
   }
-  return null;
+  return { disimpan: rows.length, diabaikan };
+}
+
+function parseSeq(value) {
+  const n = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isSafeInteger(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Ringkasan progres untuk monitor proktor (jumlah soal terjawab + waktu simpan terakhir).
+ */
+async function catatProgres(row) {
+  const terjawab = await supabaseRequest('jawaban_item', 'GET', {
+    select: 'id_soal',
+    id_jawaban: `eq.${row.id}`,
+    nilai: 'not.is.null'
+  });
+  await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, {
+    jumlah_terjawab: terjawab ? terjawab.length : 0,
+    terakhir_simpan: new Date().toISOString()
+  });
+}
+
+/**
+ * Deadline sesi jawaban: tgljam_mulai + durasi_ujian, dibatasi tgljam_selesai agenda dan jadwal mapel.
+ */
+async function getExamDeadline(row) {
+  const mapelRes = await supabaseRequest('mata_pelajaran', 'GET', {
+    select: 'durasi_ujian,jadwal_selesai',
+    id: `eq.${row.id_mapel}`,
+    limit: 1
+  });
+  const agendaRes = await supabaseRequest('agenda_ujian', 'GET', {
+    select: 'tgljam_selesai',
+    id: `eq.${row.id_agenda}`,
+    limit: 1
+  });
+
+  return computeDeadline({
+    mulai: row.tgljam_mulai,
+    durasiMenit: mapelRes?.[0]?.durasi_ujian,
+    agendaSelesai: agendaRes?.[0]?.tgljam_selesai,
+    mapelSelesai: mapelRes?.[0]?.jadwal_selesai,
+    tambahanMenit: row.tambahan_waktu
+  });
+}
+
+/* ---------- Penilaian esai (lib/penilaian-esai.js) ---------- */
+
+const KOLOM_PENGATURAN_ESAI = 'penilaian_anonim,penilai_kedua,batas_selisih_esai';
+
+function adaEsai(soalList) {
+  return (soalList || []).some((s) => getTipeSoal(s.type_soal) === 'esai');
+}
+
+/**
+ * Baris penilaian_esai dikelompokkan per `${id_jawaban}:${id_soal}`.
+ */
+function kelompokPenilaian(rows) {
+  const kelompok = new Map();
+  (rows || []).forEach((p) => {
+    const kunci = `${p.id_jawaban}:${p.id_soal}`;
+    if (!kelompok.has(kunci)) {
+      kelompok.set(kunci, []);
+    }
+    kelompok.get(kunci).push(p);
+  });
+  return kelompok;
+}
+
+/**
+ * Skor akhir esai per soal untuk satu sesi ({ [id_soal]: skor|null }), argumen skorManual scoreExam.
+ * @param {Map} kelompok hasil kelompokPenilaian
+ */
+function skorManualSesi(idJawaban, soalList, mapel, kelompok) {
+  const skor = {};
+  (soalList || []).forEach((soal) => {
+    if (getTipeSoal(soal.type_soal) === 'esai') {
+      skor[soal.id] = statusEsai(kelompok.get(`${idJawaban}:${soal.id}`), mapel, soal.bobot).skor;
+    }
+  });
+  return skor;
+}
+
+/**
+ * skorManual untuk satu sesi, atau undefined jika mapel tidak punya soal esai.
+ */
+async function muatSkorManual(row, soalList) {
+  if (!adaEsai(soalList)) {
+    return undefined;
+  }
+  const [mapel, penilaian] = await Promise.all([
+    getById('mata_pelajaran', row.id_mapel, KOLOM_PENGATURAN_ESAI),
+    supabaseRequest('penilaian_esai', 'GET', { select: 'id_jawaban,id_soal,penilai_ke,skor', id_jawaban: `eq.${row.id}` })
+  ]);
+  return skorManualSesi(row.id, soalList, mapel || {}, kelompokPenilaian(penilaian));
+}
+
+// Kolom nilai jawaban dari hasil scoreExam
+function kolomNilai(hasil) {
+  return {
+    nilai: hasil.nilai,
+    skor_total: hasil.skor_total,
+    skor_maks: hasil.skor_maks,
+    jumlah_benar: hasil.jumlah_benar,
+    jumlah_salah: hasil.jumlah_salah,
+    jumlah_kosong: hasil.jumlah_kosong,
+    esai_belum_dinilai: hasil.jumlah_belum_dinilai,
+    detail_nilai: hasil.detail
+  };
+}
+
+/**
+ * Nilai jawaban lalu tandai sesi sebagai Selesai.
+ * opts: { jawaban, seq, selesaiPada, soal } - soal opsional (dipakai ulang oleh cron)
+ */
+async function finalizeJawaban(row, opts = {}) {
+  // Kunci jawaban hanya dibaca di server, tidak pernah dikirim ke client
+  const soal =
+    opts.soal ||
+    (await supabaseRequest('bank_soal', 'GET', {
+      select: 'id,no_soal,type_soal,kunci_jawaban,bobot,satuan',
+      id_mapel: `eq.${row.id_mapel}`,
+      order: 'no_soal.asc', // urutan sama dengan /get-soal
+      limit: 500
+    }));
+
+  // opts.jawaban (map per id soal) adalah kiriman terakhir client; simpan dulu sebelum dinilai
+  if (opts.jawaban) {
+    await saveJawabanItems(row, soal, opts.jawaban, opts.seq);
+  }
+  const map = await loadJawabanMap(row, soal || []);
+  const hasil = scoreExam(soal || [], toList(soal, map), await muatSkorManual(row, soal));
+
+  await supabaseRequest(
+    'jawaban',
+    'PATCH',
+    { id: `eq.${row.id}` },
+    {
+      jawaban: encodeJawaban(map),
+      status: 'Selesai',
+      tgljam_selesai: (opts.selesaiPada || new Date()).toISOString(),
+      ...kolomNilai(hasil)
+    }
+  );
+
+  return hasil;
+}
+
+/**
+ * Hitung ulang nilai sesi Selesai setelah jawaban esainya dinilai (jawaban final dari jawaban.jawaban).
+ */
+async function hitungUlangNilai(row) {
+  const soal = await supabaseRequest('bank_soal', 'GET', {
+    select: 'id,no_soal,type_soal,kunci_jawaban,bobot,satuan',
+    id_mapel: `eq.${row.id_mapel}`,
+    order: 'no_soal.asc',
+    limit: 500
+  });
+  const map = decodeJawaban(soal || [], row.jawaban);
+  const hasil = scoreExam(soal || [], toList(soal, map), await muatSkorManual(row, soal));
+  await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, kolomNilai(hasil));
+  return hasil;
+}
+
+/**
+ * Middleware: hanya untuk Vercel Cron (header Authorization: Bearer CRON_SECRET).
+ */
+function requireCron(req, res, next) {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ success: false, message: 'CRON_SECRET belum diset' });
+  }
+  if (getBearerToken(req) !== process.env.CRON_SECRET) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  return next();
 }
 
 // Router /api
@@ -86,7 +618,7 @@ router.get('/agenda', async (req, res) => {
   try {
     const now = new Date().toISOString();
     const data = await supabaseRequest('agenda_ujian', 'GET', {
-      select: 'id,agenda_ujian,tgljam_mulai,tgljam_selesai,token_ujian',
+      select: 'id,agenda_ujian,tgljam_mulai,tgljam_selesai',
       tgljam_selesai: `gte.${now}`,
       order: 'tgljam_mulai.asc'
     });
@@ -98,7 +630,7 @@ router.get('/agenda', async (req, res) => {
 });
 
 /**
- * POST /api/register  (PLAINTEXT PASSWORD)
+ * POST /api/register
  */
 router.post('/register', async (req, res) => {
   const form = req.body || {};
@@ -119,26 +651,20 @@ router.post('/register', async (req, res) => {
     const username = String(form.username).trim();
     const noWa = String(form.no_wa).trim();
 
-    // basic sanitasi agar query Supabase "or" tidak aneh
-    if (!/^[0-9A-Za-z_+.-]{3,50}$/.test(username) && !/^[0-9]{8,20}$/.test(username)) {
+    if (!usernameValid(username)) {
       return res.status(400).json({ success: false, message: 'Username tidak valid' });
     }
 
-    const cek = await supabaseRequest('peserta', 'GET', {
-      select: 'id',
-      or: `(nis_username.eq.${username},no_wa_peserta.eq.${noWa})`,
-      limit: 1
-    });
+    const cek = await db.peserta.cariBentrok([username], [noWa], 'id');
 
     if (cek && cek.length > 0) {
       return res.status(400).json({ success: false, message: 'Username/WA sudah terdaftar!' });
     }
 
-    // TANPA HASH: simpan password apa adanya (plaintext)
     const payload = {
       nama_peserta: String(form.nama).toUpperCase(),
       nis_username: username,
-      password: String(form.password), // PLAINTEXT
+      password: await hashPassword(form.password),
       jenjang_studi: String(form.jenjang),
       kelas: String(form.kelas),
       asal_sekolah: String(form.sekolah),
@@ -148,27 +674,26 @@ router.post('/register', async (req, res) => {
       status: 'Aktif'
     };
 
-    const resData = await supabaseRequest('peserta', 'POST', null, payload);
+    const resData = await db.peserta.tambah(payload);
 
     let namaAgenda = '-';
-    let tokenAgenda = '';
     if (form.agenda_id) {
-      const ag = await supabaseRequest('agenda_ujian', 'GET', {
-        select: 'agenda_ujian,token_ujian',
-        id: `eq.${form.agenda_id}`,
-        limit: 1
-      });
-      if (ag && ag.length > 0) {
-        namaAgenda = ag[0].agenda_ujian;
-        tokenAgenda = ag[0].token_ujian || '';
+      const ag = await db.agenda.byId(form.agenda_id, 'agenda_ujian');
+      if (ag) {
+        namaAgenda = ag.agenda_ujian;
       }
     }
 
+    const newUser = resData?.[0];
+    if (newUser && form.agenda_id) {
+      await daftarkanKeAgenda([newUser.id], form.agenda_id);
+    }
+
     res.json({ 
       success: true, 
-      data: safeUser(resData?.[0]), 
+      data: safeUser(newUser), 
       nama_agenda: namaAgenda,
-      token_agenda: tokenAgenda
+      ...(newUser ? issueSession(newUser) : {})
     });
   } catch (e) {
     console.error(e);
@@ -177,54 +702,78 @@ router.post('/register', async (req, res) => {
 });
 
 /**
- * POST /api/login  (PLAINTEXT PASSWORD)
+ * POST /api/login
  * body: { u, p }
  */
-router.post('/login', async (req, res) => {
+router.post('/login', batasiPercobaan(limitLogin, (req) => (req.body || {}).u), async (req, res) => {
   const { u, p } = req.body || {};
   try {
     if (!u || !p) return res.status(400).json({ success: false, message: 'User & password wajib diisi' });
 
-    const userList = await supabaseRequest('peserta', 'GET', {
-      // ambil kolom yang perlu + password untuk dicek
-      select:
-        'id,nama_peserta,nis_username,jenjang_studi,kelas,asal_sekolah,no_wa_peserta,no_wa_ortu,id_agenda,status,password',
-      or: `(nis_username.eq.${u},no_wa_peserta.eq.${u})`,
-      limit: 1
-    });
+    // ambil kolom yang perlu + password untuk dicek
+    const user = await db.peserta.cariIdentitas(
+      u,
+      'id,nama_peserta,nis_username,jenjang_studi,kelas,asal_sekolah,no_wa_peserta,no_wa_ortu,id_agenda,status,password,gagal_login,terkunci_sampai'
+    );
 
-    if (!userList || userList.length === 0) {
+    if (!user) {
+      await req.percobaan.gagal();
       return res.status(404).json({ success: false, message: 'Akun tidak ditemukan' });
     }
 
-    const user = userList[0];
-
     if (user.status !== 'Aktif') {
       return res.status(403).json({ success: false, message: 'Akun Nonaktif/Blokir' });
     }
 
-    // TANPA HASH: cocokkan string langsung
-    if (String(user.password || '') !== String(p)) {
-      return res.status(401).json({ success: false, message: 'Password salah' });
+    const terkunciSampai = user.terkunci_sampai ? new Date(user.terkunci_sampai).getTime() : 0;
+    if (terkunciSampai > Date.now()) {
+      return tolakRateLimit(
+        res,
+        Math.ceil((terkunciSampai - Date.now()) / 1000),
+        'Akun dikunci sementara karena terlalu banyak password salah. Coba lagi nanti.'
+      );
+    }
+
+    const check = await verifyPassword(p, user.password);
+    if (!check.valid) {
+      await req.percobaan.gagal();
+      const gagal = (Number(user.gagal_login) || 0) + 1;
+
+      // Kunci akun sementara setelah LOGIN_MAX_GAGAL password salah berturut-turut
+      if (gagal >= LOGIN_MAX_GAGAL) {
+        await db.peserta.ubah({ id: user.id }, {
+          gagal_login: 0,
+          terkunci_sampai: new Date(Date.now() + LOGIN_KUNCI_MENIT * MENIT_MS).toISOString()
+        });
+        return tolakRateLimit(
+          res,
+          LOGIN_KUNCI_MENIT * 60,
+          `Password salah ${gagal} kali. Akun dikunci ${LOGIN_KUNCI_MENIT} menit.`
+        );
+      }
+
+      await db.peserta.ubah({ id: user.id }, { gagal_login: gagal });
+      return res.status(401).json({ success: false, message: 'Password salah', sisa_percobaan: LOGIN_MAX_GAGAL - gagal });
     }
 
-    // Dapatkan info agenda untuk token
-    let tokenAgenda = '';
-    if (user.id_agenda) {
-      const ag = await supabaseRequest('agenda_ujian', 'GET', {
-        select: 'token_ujian',
-        id: `eq.${user.id_agenda}`,
-        limit: 1
-      });
-      if (ag && ag.length > 0) {
-        tokenAgenda = ag[0].token_ujian || '';
+    await req.percobaan.sukses();
+    if (user.gagal_login || user.terkunci_sampai) {
+      await db.peserta.ubah({ id: user.id }, { gagal_login: 0, terkunci_sampai: null });
+    }
+
+    // Migrasi bertahap: password plaintext lama diganti hash saat login berhasil
+    if (check.needsRehash) {
+      try {
+        await db.peserta.ubah({ id: user.id }, { password: await hashPassword(p) });
+      } catch (rehashError) {
+        console.error('Gagal upgrade hash password:', rehashError);
       }
     }
 
     res.json({ 
       success: true, 
       data: safeUser(user),
-      token_agenda: tokenAgenda
+      ...issueSession(user)
     });
   } catch (e) {
     console.error(e);
@@ -233,58 +782,2899 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * POST /api/forgot-password
- * Minta reset password (kirim kode OTP)
+ * POST /api/logout
+ * Cabut token sesi yang sedang dipakai
  */
-router.post('/forgot-password', async (req, res) => {
-  const { username } = req.body || {};
+router.post('/logout', requireSession, async (req, res) => {
   try {
-    if (!username) return res.status(400).json({ success: false, message: 'Username/Nomor WA wajib diisi' });
+    await revokeSession(req.session);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
 
-    // Cari user berdasarkan username/no WA
+/**
+ * POST /api/refresh-session
+ * Tukar token sesi yang masih berlaku dengan token baru (untuk ujian yang lama)
+ */
+router.post('/refresh-session', requireSession, async (req, res) => {
+  try {
     const userList = await supabaseRequest('peserta', 'GET', {
-      select: 'id,nama_peserta,nis_username,no_wa_peserta',
-      or: `(nis_username.eq.${username},no_wa_peserta.eq.${username})`,
+      select: 'id,id_agenda,status',
+      id: `eq.${req.peserta.id}`,
       limit: 1
     });
 
-    if (!userList || userList.length === 0) {
-      return res.status(404).json({ success: false, message: 'Akun tidak ditemukan' });
+    if (!userList || userList.length === 0 || userList[0].status !== 'Aktif') {
+      await revokeSession(req.session);
+      return res.status(401).json({ success: false, session_expired: true, message: 'Akun Nonaktif/Blokir' });
     }
 
-    const user = userList[0];
-    
-    // Generate OTP 6 digit
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60000); // 10 menit dari sekarang
-    
-    // Simpan OTP ke database
-    await supabaseRequest(
-      'password_reset',
-      'POST',
-      null,
-      {
-        user_id: user.id,
-        username: user.nis_username,
-        otp_code: otp,
-        expires_at: otpExpiry.toISOString(),
-        status: 'pending',
-        created_at: new Date().toISOString()
-      }
-    );
+    const fresh = issueSession(userList[0]);
+    await revokeSession(req.session);
+
+    res.json({ success: true, ...fresh });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/agenda-saya
+ * Semua agenda yang diikuti peserta sesi (termasuk yang sudah berakhir), urut waktu mulai.
+ */
+router.get('/agenda-saya', requireSession, async (req, res) => {
+  try {
+    const ids = await getAgendaIdsPeserta(req.peserta.id, req.peserta.id_agenda);
+    if (ids.length === 0) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const data = await supabaseRequest('agenda_ujian', 'GET', {
+      select: 'id,agenda_ujian,tgljam_mulai,tgljam_selesai',
+      id: `in.(${ids.join(',')})`,
+      order: 'tgljam_mulai.asc'
+    });
+    res.json({ success: true, data: data || [] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
 
-    // NOTE: Dalam implementasi nyata, OTP dikirim via SMS/WhatsApp/Email
-    // Di sini kita hanya return di response untuk testing
-    console.log(`OTP untuk ${user.nis_username}: ${otp} (valid 10 menit)`);
+/**
+ * POST /api/agenda-saya
+ * body: { agenda_id, kode_gabung }  - akun yang sudah ada ikut agenda lain (mis. tryout lalu PAS).
+ * Hanya agenda yang diberi kode_gabung oleh admin; tanpa kode, pendaftaran lewat admin saja.
+ */
+router.post('/agenda-saya', requireSession, batasiPercobaan(limitGabung, (req) => req.peserta.id), async (req, res) => {
+  const { agenda_id, kode_gabung } = req.body || {};
+  try {
+    if (!agenda_id) {
+      return res.status(400).json({ success: false, message: 'agenda_id wajib' });
+    }
+
+    const agenda = await getById('agenda_ujian', agenda_id, 'id,agenda_ujian,tgljam_mulai,tgljam_selesai,kode_gabung');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    const { kode_gabung: kodeAgenda, ...data } = agenda;
+
+    const sudah = await terdaftarDiAgenda(req, agenda.id);
+    if (sudah) {
+      return res.json({ success: true, sudah_terdaftar: true, data });
+    }
+    if (agenda.tgljam_selesai && new Date(agenda.tgljam_selesai).getTime() < Date.now()) {
+      return res.status(400).json({ success: false, message: 'Agenda sudah berakhir' });
+    }
+    if (!kodeAgenda) {
+      return res.status(403).json({ success: false, message: 'Agenda ini tidak membuka pendaftaran mandiri, hubungi panitia' });
+    }
+    if (!kode_gabung) {
+      return res.status(400).json({ success: false, message: 'kode_gabung wajib diisi' });
+    }
+    if (!samaAman(String(kodeAgenda).trim().toUpperCase(), String(kode_gabung).toUpperCase())) {
+      await req.percobaan.gagal();
+      return res.status(403).json({ success: false, message: 'Kode gabung salah' });
+    }
+
+    await req.percobaan.sukses();
+    await daftarkanKeAgenda([req.peserta.id], agenda.id);
+    res.json({ success: true, sudah_terdaftar: false, data });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/forgot-password
+ * Minta reset password (kirim kode OTP)
+ */
+router.post('/forgot-password', batasiPercobaan(limitForgot, (req) => (req.body || {}).username), async (req, res) => {
+  const { username } = req.body || {};
+  try {
+    if (!username) return res.status(400).json({ success: false, message: 'Username/Nomor WA wajib diisi' });
+
+    // Cari user berdasarkan username/no WA
+    const user = await db.peserta.cariIdentitas(username, 'id,nama_peserta,nis_username,no_wa_peserta,email');
+
+    // Setiap permintaan dihitung (bukan hanya yang gagal) agar OTP tidak bisa di-spam
+    await req.percobaan.gagal();
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Akun tidak ditemukan' });
+    }
+    
+    // Generate OTP 6 digit
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const otpExpiry = new Date(Date.now() + OTP_BERLAKU_MENIT * 60000);
+    
+    // Simpan OTP ke database
+    const inserted = await db.resetPassword.tambah({
+      user_id: user.id,
+      username: user.nis_username,
+      otp_code: otp,
+      expires_at: otpExpiry.toISOString(),
+      status: 'pending',
+      created_at: new Date().toISOString()
+    });
+
+    // Kirim lewat provider NOTIFY_PROVIDER, hasilnya dicatat di baris password_reset
+    const kirim = await kirimOtp({ no_wa: user.no_wa_peserta, email: user.email }, otp);
+    if (inserted?.[0]?.id) {
+      await db.resetPassword.ubah(
+        { id: inserted[0].id },
+        {
+          kirim_via: kirim.provider,
+          kirim_status: kirim.error ? 'gagal' : 'terkirim',
+          kirim_error: kirim.error,
+          kirim_pada: new Date().toISOString()
+        }
+      );
+    }
+
+    if (kirim.error) {
+      return res.status(502).json({
+        success: false,
+        message: 'Kode OTP gagal dikirim. Hubungi panitia/admin.'
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: `Kode OTP telah dikirim ke ${kirim.tujuan}`,
+      tujuan: kirim.tujuan,
+      berlaku_menit: OTP_BERLAKU_MENIT,
+      user_id: user.id,
+      nama: user.nama_peserta
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/verify-otp
+ * Verifikasi OTP
+ */
+router.post('/verify-otp', batasiPercobaan(limitOtp, (req) => (req.body || {}).user_id), async (req, res) => {
+  const { user_id, otp } = req.body || {};
+  try {
+    if (!user_id || !otp) return res.status(400).json({ success: false, message: 'User ID dan OTP wajib diisi' });
+
+    // Hanya OTP pending terbaru yang berlaku; percobaan salah dihitung di barisnya
+    const otpData = await db.resetPassword.otpTerakhir(user_id, 'id,otp_code,expires_at,status,percobaan');
+
+    if (!otpData) {
+      await req.percobaan.gagal();
+      return res.status(400).json({ success: false, message: 'Kode OTP tidak valid' });
+    }
+
+    if (!samaAman(otpData.otp_code, otp)) {
+      await req.percobaan.gagal();
+      const percobaan = (Number(otpData.percobaan) || 0) + 1;
+      if (percobaan >= OTP_MAX_PERCOBAAN) {
+        await db.resetPassword.ubah({ id: otpData.id }, { percobaan, status: 'invalid' });
+        return res.status(400).json({
+          success: false,
+          otp_invalid: true,
+          message: 'Terlalu banyak kode OTP salah. Minta kode OTP baru.'
+        });
+      }
+      await db.resetPassword.ubah({ id: otpData.id }, { percobaan });
+      return res.status(400).json({
+        success: false,
+        message: 'Kode OTP tidak valid',
+        sisa_percobaan: OTP_MAX_PERCOBAAN - percobaan
+      });
+    }
+    const now = new Date();
+    const expiryDate = new Date(otpData.expires_at);
+
+    if (now > expiryDate) {
+      await db.resetPassword.ubah(
+        { id: otpData.id },
+        { status: 'expired' }
+      );
+      return res.status(400).json({ success: false, message: 'Kode OTP sudah kadaluarsa' });
+    }
+
+    await req.percobaan.sukses();
+
+    // Update status OTP menjadi verified
+    await db.resetPassword.ubah(
+      { id: otpData.id },
+      { status: 'verified', verified_at: new Date().toISOString() }
+    );
+
+    // Generate reset token untuk reset password
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const tokenExpiry = new Date(Date.now() + 30 * 60000); // 30 menit
+
+    await db.resetPassword.ubah(
+      { id: otpData.id },
+      { 
+        reset_token: resetToken,
+        token_expires_at: tokenExpiry.toISOString()
+      }
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'OTP berhasil diverifikasi',
+      reset_token: resetToken,
+      token_expires_at: tokenExpiry.toISOString()
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/reset-password
+ * Reset password dengan token
+ */
+router.post('/reset-password', async (req, res) => {
+  const { reset_token, new_password, confirm_password } = req.body || {};
+  try {
+    if (!reset_token || !new_password || !confirm_password) {
+      return res.status(400).json({ success: false, message: 'Token dan password baru wajib diisi' });
+    }
+
+    if (new_password !== confirm_password) {
+      return res.status(400).json({ success: false, message: 'Password baru tidak cocok' });
+    }
+
+    if (new_password.length < 6) {
+      return res.status(400).json({ success: false, message: 'Password minimal 6 karakter' });
+    }
+
+    // Cari reset token yang valid
+    const resetData = await db.resetPassword.byResetToken(reset_token, 'id,user_id,reset_token,token_expires_at,status');
+
+    if (!resetData) {
+      return res.status(400).json({ success: false, message: 'Token reset tidak valid' });
+    }
+    const now = new Date();
+    const tokenExpiry = new Date(resetData.token_expires_at);
+
+    if (now > tokenExpiry) {
+      await db.resetPassword.ubah(
+        { id: resetData.id },
+        { status: 'expired' }
+      );
+      return res.status(400).json({ success: false, message: 'Token reset sudah kadaluarsa' });
+    }
+
+    // Update password user
+    await db.peserta.ubah(
+      { id: resetData.user_id },
+      { password: await hashPassword(new_password) }
+    );
+
+    // Update status reset menjadi completed
+    await db.resetPassword.ubah(
+      { id: resetData.id },
+      { 
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      }
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Password berhasil direset. Silakan login dengan password baru.' 
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+// Endpoint untuk membersihkan data reset password yang expired
+router.post('/cleanup-expired-resets', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    
+    // Update status yang expired
+    await supabaseRequest(
+      'password_reset',
+      'PATCH',
+      {
+        status: 'eq.pending',
+        expires_at: `lt.${now}`
+      },
+      { status: 'expired' }
+    );
+    
+    // Hapus data yang sudah completed lebih dari 7 hari
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    await supabaseRequest(
+      'password_reset',
+      'DELETE',
+      {
+        status: 'eq.completed',
+        completed_at: `lt.${sevenDaysAgo}`
+      }
+    );
+    
+    res.json({ success: true, message: 'Cleanup berhasil' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * Agenda dengan token_secret memakai token berganti (lib/token-ujian.js);
+ * agenda lama tanpa secret masih memakai token_ujian statis.
+ */
+function tokenAgendaValid(agenda, token) {
+  if (agenda.token_secret) {
+    return cekToken(agenda.token_secret, token);
+  }
+  return !!agenda.token_ujian && samaAman(String(agenda.token_ujian).trim().toUpperCase(), String(token).toUpperCase());
+}
+
+const IZIN_MASUK_MENIT = Number(process.env.IZIN_MASUK_MENIT) || 10;
+// Kolom mapel yang dibutuhkan cekGerbangUjian + statusKunciMapel
+const MAPEL_JADWAL_SELECT = 'id,id_agenda,nama_mata_pelajaran,jadwal_mulai,jadwal_selesai,urutan,id_mapel_prasyarat,jeda_menit';
+
+/**
+ * Izin masuk ujian: token pendek bertanda tangan yang diterbitkan /verify-token,
+ * terikat ke peserta, agenda dan mapel. Wajib dikirim ke /get-soal.
+ */
+function buatIzinMasuk(pesertaId, agendaId, mapelId) {
+  const { token, payload } = signSession(
+    { typ: 'izin_masuk', sub: pesertaId, agd: agendaId, mid: mapelId },
+    IZIN_MASUK_MENIT
+  );
+  return { izin_masuk: token, izin_berlaku_sampai: new Date(payload.exp * 1000).toISOString() };
+}
+
+function izinMasukValid(izin, pesertaId, agendaId, mapelId) {
+  const { payload } = verifySession(izin);
+  return (
+    !!payload &&
+    payload.typ === 'izin_masuk' &&
+    String(payload.sub) === String(pesertaId) &&
+    String(payload.agd) === String(agendaId) &&
+    String(payload.mid) === String(mapelId)
+  );
+}
+
+/**
+ * Gerbang masuk ujian: mapel milik agenda, status Siap, dan agenda sedang berlangsung.
+ * @returns {{ status: number, body: object } | null} null jika boleh masuk
+ */
+function cekGerbangUjian(mapel, agenda, now = Date.now()) {
+  if (!mapel || !agenda || String(mapel.id_agenda) !== String(agenda.id)) {
+    return { status: 404, body: { success: false, message: 'Mapel tidak ditemukan di agenda ini' } };
+  }
+  if (mapel.status_mapel !== 'Siap') {
+    return { status: 403, body: { success: false, message: 'Mapel belum siap diujikan' } };
+  }
+  if (agenda.tgljam_mulai && now < new Date(agenda.tgljam_mulai).getTime()) {
+    return { status: 403, body: { success: false, di_luar_jadwal: true, message: 'Ujian belum dimulai' } };
+  }
+  if (agenda.tgljam_selesai && now > new Date(agenda.tgljam_selesai).getTime()) {
+    return { status: 403, body: { success: false, di_luar_jadwal: true, message: 'Ujian sudah berakhir' } };
+  }
+  return null;
+}
+
+/**
+ * Kunci jadwal/urutan mapel untuk peserta (lib/jadwal-mapel.js).
+ * @returns {{ status: number, body: object } | null} null jika mapel terbuka
+ */
+async function cekKunciJadwal(pesertaId, agendaId, mapel) {
+  const kunci = await getKunciJadwalPeserta(pesertaId, agendaId);
+  const status = kunci.statusMapel(mapel);
+  if (!status.terkunci) {
+    return null;
+  }
+  return {
+    status: 403,
+    body: { success: false, terkunci_jadwal: true, kunci: status.kunci, buka_pada: status.buka_pada, message: status.alasan }
+  };
+}
+
+/**
+ * Muat mapel Siap + jawaban peserta di agenda sekali, lalu hitung status kunci tiap mapel.
+ */
+async function getKunciJadwalPeserta(pesertaId, agendaId) {
+  const mapelList = await db.mapel.cari(
+    { id_agenda: String(agendaId), status_mapel: 'Siap' },
+    { select: `${MAPEL_JADWAL_SELECT},jumlah_soal,durasi_ujian`, order: 'id.asc' }
+  );
+  const jawabanList = await db.jawaban.cari(
+    { id_agenda: String(agendaId), id_peserta: pesertaId },
+    { select: 'id_mapel,status,tgljam_selesai' }
+  );
+  const ctx = { mapelList, jawabanList, now: Date.now() };
+  return { ...ctx, statusMapel: (mapel) => statusKunciMapel(mapel, ctx) };
+}
+
+// Kunci token per agenda + peserta: token agenda pendek, jadi percobaan salah dibatasi ketat
+const batasiToken = batasiPercobaan(
+  limitToken,
+  (req) => `${(req.body || {}).agenda_id || req.peserta.id_agenda}:${req.peserta.id}`
+);
+
+/**
+ * POST /api/verify-token
+ * body: { agenda_id, mapel_id, token }
+ * Token benar -> izin_masuk untuk mapel itu (berlaku IZIN_MASUK_MENIT), wajib dikirim ke /get-soal.
+ */
+router.post('/verify-token', requireSession, batasiToken, async (req, res) => {
+  const { token, mapel_id } = req.body || {};
+  const agenda_id = req.body.agenda_id || req.peserta.id_agenda;
+  try {
+    if (!agenda_id || !token || !mapel_id) {
+      return res.status(400).json({ success: false, message: 'agenda_id, mapel_id & token wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, agenda_id))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const ag = await db.agenda.byId(agenda_id, 'id,token_ujian,token_secret,agenda_ujian,tgljam_mulai,tgljam_selesai');
+
+    if (!ag) {
+      return res.status(400).json({ success: false, message: 'Agenda error' });
+    }
+
+    const mapel = await db.mapel.byId(mapel_id, `${MAPEL_JADWAL_SELECT},status_mapel`);
+    const tolak = cekGerbangUjian(mapel, ag) || (await cekKunciJadwal(req.peserta.id, agenda_id, mapel));
+    if (tolak) {
+      return res.status(tolak.status).json(tolak.body);
+    }
+
+    if (!tokenAgendaValid(ag, token)) {
+      const hasil = await req.percobaan.gagal();
+      return res.status(400).json({ success: false, message: 'Token Salah!', sisa_percobaan: hasil.sisa });
+    }
+
+    await req.percobaan.sukses();
+    res.json({ success: true, ...buatIzinMasuk(req.peserta.id, agenda_id, mapel.id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/mapel?agenda_id=...
+ * Peserta diambil dari token sesi. Tiap mapel membawa kunci_jadwal
+ * ({ terkunci, kunci, alasan, buka_pada }) dari jadwal/prasyarat/urutan/jeda.
+ */
+router.get('/mapel', requireSession, async (req, res) => {
+  const agenda_id = req.query.agenda_id || req.peserta.id_agenda;
+  const peserta_id = req.peserta.id;
+  try {
+    if (!agenda_id) {
+      return res.status(400).json({ success: false, message: 'agenda_id wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, agenda_id))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const kunci = await getKunciJadwalPeserta(peserta_id, agenda_id);
+
+    const finalData = kunci.mapelList.map((m) => {
+      const jwb = kunci.jawabanList.find((j) => String(j.id_mapel) === String(m.id));
+      return { ...m, status_kerjakan: jwb ? jwb.status : 'Belum', kunci_jadwal: kunci.statusMapel(m) };
+    });
+
+    // Urutan tampil mengikuti urutan/jadwal mapel bila diatur
+    finalData.sort((a, b) => urutanTampil(a) - urutanTampil(b) || Number(a.id) - Number(b.id));
+
+    res.json({ success: true, server_time: new Date(kunci.now).toISOString(), data: finalData });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+function urutanTampil(mapel) {
+  if (mapel.urutan !== null && mapel.urutan !== undefined) {
+    return Number(mapel.urutan);
+  }
+  const mulai = mapel.jadwal_mulai ? new Date(mapel.jadwal_mulai).getTime() : NaN;
+  // Mapel berjadwal diurutkan per jam mulai setelah mapel berurutan, lalu yang bebas
+  return Number.isNaN(mulai) ? Number.MAX_SAFE_INTEGER : 1e6 + mulai / 60000;
+}
+
+const soalCache = createSoalCache({
+  // Hanya kolom tampilan; kunci_jawaban/bobot tidak diambil dari database
+  muat: (mapelId) =>
+    db.soal.cari({ id_mapel: mapelId }, { select: KOLOM_SOAL_PESERTA.join(','), order: 'no_soal.asc', limit: 500 }),
+  ttlMs: (Number(process.env.SOAL_CACHE_TTL_SECONDS) || 600) * 1000
+});
+
+// Payload soal besar (ratusan soal x puluhan kolom): dikompres gzip/deflate sesuai Accept-Encoding
+const kompresiSoal = compression({ threshold: 1024 });
+
+/**
+ * POST /api/get-soal
+ * body: { agenda_id, mapel_id, izin_masuk }  (peserta dari token sesi; izin_masuk dari /verify-token)
+ * Ujian yang sudah Selesai hanya mengirim soal lagi jika mapel.boleh_review.
+ * PERUBAHAN: Hanya ambil field yang ada di database
+ */
+router.post('/get-soal', requireSession, kompresiSoal, async (req, res) => {
+  const { mapel_id, izin_masuk } = req.body || {};
+  const agenda_id = req.body.agenda_id || req.peserta.id_agenda;
+  const peserta_id = req.peserta.id;
+  try {
+    if (!agenda_id || !mapel_id) {
+      return res.status(400).json({ success: false, message: 'agenda_id, mapel_id wajib' });
+    }
+
+    // Lookup yang saling lepas dijalankan bersamaan (satu ruangan bisa mulai serentak)
+    const [terdaftar, mapel, agenda, rowAwal, pRes] = await Promise.all([
+      terdaftarDiAgenda(req, agenda_id),
+      db.mapel.byId(
+        mapel_id,
+        `${MAPEL_JADWAL_SELECT},durasi_ujian,status_mapel,boleh_review,acak_soal,acak_opsi,kebijakan_pelanggaran,batas_pelanggaran,versi_soal`
+      ),
+      db.agenda.byId(agenda_id, 'id,agenda_ujian,tgljam_mulai,tgljam_selesai'),
+      findJawaban(peserta_id, mapel_id),
+      db.peserta.byId(peserta_id, 'nama_peserta')
+    ]);
+    if (!terdaftar) {
+      return tolakTidakTerdaftar(res);
+    }
+    if (!mapel) {
+      throw new Error('Mapel Invalid');
+    }
+    if (!agenda || String(mapel.id_agenda) !== String(agenda.id)) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan di agenda ini' });
+    }
+
+    // Set soal (tanpa kunci) dari cache per mapel, dimuat sambil gerbang ujian dicek
+    const soalJanji = soalCache.ambil(mapel.id, mapel.versi_soal);
+    let row = rowAwal;
+
+    // Sesi yang tertinggal melewati batas waktu langsung diselesaikan
+    if (row && row.status !== 'Selesai') {
+      const deadlineLama = await getExamDeadline(row);
+      if (isPastGrace(deadlineLama)) {
+        await finalizeJawaban(row, { selesaiPada: deadlineLama });
+        row = { ...row, status: 'Selesai' };
+      }
+    }
+
+    // Ujian selesai: soal hanya dikirim lagi jika mapel mengizinkan review
+    if (row && row.status === 'Selesai' && !mapel.boleh_review) {
+      return res.json({
+        success: true,
+        status: 'Selesai',
+        boleh_review: false,
+        message: 'Ujian sudah selesai'
+      });
+    }
+
+    if (!row || row.status !== 'Selesai') {
+      const tolak = cekGerbangUjian(mapel, agenda) || (await cekKunciJadwal(peserta_id, agenda.id, mapel));
+      if (tolak) {
+        return res.status(tolak.status).json(tolak.body);
+      }
+      if (!izinMasukValid(izin_masuk, peserta_id, agenda.id, mapel.id)) {
+        return res.status(403).json({
+          success: false,
+          perlu_token: true,
+          message: 'Masukkan token ujian dari pengawas untuk masuk'
+        });
+      }
+    }
+
+    const namaP = pRes?.nama_peserta || '-';
+    const namaA = agenda.agenda_ujian || '-';
+    const soal = await soalJanji;
+
+    let status = 'Baru';
+    let waktuMulai = new Date().toISOString();
+
+    if (row) {
+      status = row.status === 'Selesai' ? 'Selesai' : 'Lanjut';
+      waktuMulai = row.tgljam_mulai;
+    } else {
+      const inserted = await supabaseRequest('jawaban', 'POST', null, {
+        id_peserta: peserta_id,
+        id_agenda: agenda_id,
+        id_mapel: mapel_id,
+        nama_peserta_snap: namaP,
+        nama_agenda_snap: namaA,
+        nama_mapel_snap: mapel.nama_mata_pelajaran,
+        jawaban: encodeJawaban({}),
+        tgljam_login: waktuMulai,
+        tgljam_mulai: waktuMulai,
+        status: 'Proses'
+      });
+      row = inserted?.[0];
+    }
+
+    const deadline = computeDeadline({
+      mulai: waktuMulai,
+      durasiMenit: mapel.durasi_ujian,
+      agendaSelesai: agenda.tgljam_selesai,
+      mapelSelesai: mapel.jadwal_selesai,
+      tambahanMenit: row?.tambahan_waktu
+    });
+
+    const jawabanPerSoal = status === 'Baru' ? {} : await loadJawabanMap(row, soal || []);
+    const putarAudio = row && soal.some((s) => s.media && s.media.audio) ? await loadPutarAudio(row) : {};
+
+    // Log untuk debugging
+    console.log(`[GET-SOAL] Mapel: ${mapel.nama_mata_pelajaran}, Jumlah soal: ${soal ? soal.length : 0}`);
+    if (soal && soal.length > 0) {
+      console.log(`[GET-SOAL] Sample soal pertama - ID: ${soal[0].id}, No Soal: ${soal[0].no_soal}`);
+    }
+
+    res.json({
+      success: true,
+      status,
+      waktu_mulai: waktuMulai,
+      server_time: new Date().toISOString(),
+      deadline: deadline ? deadline.toISOString() : null,
+      sisa_waktu_ms: remainingMs(deadline),
+      jawaban_per_soal: jawabanPerSoal,
+      putar_audio: putarAudio,
+      terkunci: !!row?.terkunci,
+      jumlah_pelanggaran: row?.jumlah_pelanggaran || 0,
+      mapel_detail: mapel,
+      // Urutan tampilan per peserta (stabil saat resume); jawaban tetap dipetakan per id soal
+      data_soal: susunSoal(soal, {
+        pesertaId: peserta_id,
+        mapelId: mapel.id,
+        acakSoal: !!mapel.acak_soal,
+        acakOpsi: !!mapel.acak_opsi
+      })
+    });
+  } catch (e) {
+    console.error('Error di /get-soal:', e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+const MSG_SESI_TERKUNCI = 'Sesi ujian dikunci karena pelanggaran. Hubungi pengawas untuk membuka kunci.';
+
+/**
+ * Cek sesi jawaban yang masih boleh diubah peserta (dipakai save-jawaban & save-jawaban-item).
+ * Sesi yang lewat batas waktu langsung diselesaikan dengan jawaban tersimpan terakhir.
+ * @returns {Promise<{ row?: object, deadline?: Date|null, status?: number, body?: object }>}
+ */
+async function cekSesiUjian(pid, aid, mid) {
+  const row = await findJawaban(pid, mid);
+  if (!row || String(row.id_agenda) !== String(aid)) {
+    return { status: 404, body: { success: false, message: 'Sesi ujian tidak ditemukan' } };
+  }
+  if (row.status === 'Selesai') {
+    return { status: 409, body: { success: false, ujian_selesai: true, message: 'Ujian sudah selesai' } };
+  }
+
+  const deadline = await getExamDeadline(row);
+  if (isPastGrace(deadline)) {
+    // Simpan yang terlambat ditolak; jawaban terakhir yang sah dinilai
+    await finalizeJawaban(row, { selesaiPada: deadline });
+    return {
+      status: 409,
+      body: { success: false, ujian_selesai: true, waktu_habis: true, message: 'Waktu ujian sudah habis' }
+    };
+  }
+  if (row.terkunci) {
+    return { status: 423, body: { success: false, terkunci: true, message: MSG_SESI_TERKUNCI } };
+  }
+
+  return { row, deadline };
+}
+
+/**
+ * POST /api/save-jawaban
+ * body: { aid, mid, jwb, seq? }  (pid dari token sesi; jwb = { [id_soal]: nilai }, seq = { [id_soal]: seq })
+ * Simpan banyak jawaban sekaligus. jwb string format lama ("A|B,C|...") masih diterima.
+ */
+router.post('/save-jawaban', requireSession, async (req, res) => {
+  const { mid, jwb, seq } = req.body || {};
+  const aid = req.body.aid || req.peserta.id_agenda;
+  const pid = req.peserta.id;
+  try {
+    if (!aid || !mid) {
+      return res.status(400).json({ success: false, message: 'aid, mid wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, aid))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const sesi = await cekSesiUjian(pid, aid, mid);
+    if (!sesi.row) {
+      return res.status(sesi.status).json(sesi.body);
+    }
+
+    const soal = await getSoalRingkas(sesi.row.id_mapel);
+    const map = typeof jwb === 'string' ? lengkapi(soal, decodeJawaban(soal, jwb)) : jwb;
+    const hasil = await saveJawabanItems(sesi.row, soal, map, seq && typeof seq === 'object' ? seq : {});
+    if (hasil.disimpan > 0) {
+      await catatProgres(sesi.row);
+    }
+
+    res.json({
+      success: true,
+      disimpan: hasil.disimpan,
+      diabaikan: hasil.diabaikan,
+      sisa_waktu_ms: remainingMs(sesi.deadline)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/save-jawaban-item
+ * body: { aid, mid, id_soal, nilai, seq? }  - simpan satu soal saja (nilai null = kosongkan)
+ * Kiriman dengan seq yang tidak lebih baru dari yang tersimpan dijawab `diabaikan: true` (bukan error),
+ * supaya client membuangnya dari antrean.
+ */
+router.post('/save-jawaban-item', requireSession, async (req, res) => {
+  const { mid, id_soal, seq } = req.body || {};
+  const nilai = req.body.nilai === undefined ? null : req.body.nilai;
+  const aid = req.body.aid || req.peserta.id_agenda;
+  const pid = req.peserta.id;
+  try {
+    if (!aid || !mid || !id_soal) {
+      return res.status(400).json({ success: false, message: 'aid, mid, id_soal wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, aid))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const soalRes = await db.soal.satu({ id: id_soal, id_mapel: mid }, { select: 'id,no_soal,type_soal,satuan' });
+    if (!soalRes) {
+      return res.status(404).json({ success: false, message: 'Soal tidak ditemukan di mapel ini' });
+    }
+
+    const sesi = await cekSesiUjian(pid, aid, mid);
+    if (!sesi.row) {
+      return res.status(sesi.status).json(sesi.body);
+    }
+
+    const hasil = await saveJawabanItems(sesi.row, [soalRes], { [soalRes.id]: nilai }, { [soalRes.id]: seq });
+    if (hasil.disimpan > 0) {
+      await catatProgres(sesi.row);
+    }
+
+    res.json({
+      success: true,
+      diabaikan: hasil.diabaikan.length > 0,
+      nilai: normalizeNilai(soalRes, nilai),
+      sisa_waktu_ms: remainingMs(sesi.deadline)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * Jumlah putar audio sesi ini: { [id_soal]: { [indeks]: jumlah } }
+ */
+async function loadPutarAudio(row) {
+  const rows = await db.tabel('putar_audio').cari({ id_jawaban: row.id }, { select: 'id_soal,indeks,jumlah' });
+  const map = {};
+  rows.forEach((r) => {
+    map[r.id_soal] = { ...(map[r.id_soal] || {}), [r.indeks]: Number(r.jumlah) || 0 };
+  });
+  return map;
+}
+
+/**
+ * Tambah satu hitungan putar audio jika jatahnya masih ada.
+ * PATCH bersyarat (jumlah=eq.<lama>) sehingga dua klik bersamaan tidak sama-sama lolos batas;
+ * insert pertama yang kalah oleh unique (id_jawaban, id_soal, indeks) membaca ulang.
+ * @returns {Promise<number|null>} jumlah baru, null jika jatah habis
+ */
+async function tambahPutarAudio(row, idSoal, indeks, maksPutar) {
+  const putar = db.tabel('putar_audio');
+  const kunci = { id_jawaban: row.id, id_soal: idSoal, indeks };
+  for (let coba = 0; coba < 3; coba++) {
+    const ada = await putar.satu(kunci, { select: 'id,jumlah' });
+    const jumlah = Number(ada?.jumlah) || 0;
+    if (jumlah >= maksPutar) {
+      return null;
+    }
+    if (!ada) {
+      try {
+        await putar.tambah({ ...kunci, jumlah: 1, updated_at: new Date().toISOString() });
+        return 1;
+      } catch (e) {
+        if (!String(e.message).includes('(409)')) {
+          throw e;
+        }
+      }
+    } else {
+      const hasil = await putar.ubah({ id: ada.id, jumlah }, { jumlah: jumlah + 1, updated_at: new Date().toISOString() });
+      if (hasil.length > 0) {
+        return jumlah + 1;
+      }
+    }
+  }
+  throw new Error('Gagal mencatat putar audio, coba lagi');
+}
+
+/**
+ * POST /api/putar-audio
+ * body: { aid, mid, id_soal, indeks }
+ * Memakai satu jatah putar (media.audio[indeks].maks_putar) milik sesi peserta dan mengembalikan URL audio.
+ * URL audio tidak ikut /get-soal, jadi hanya bisa diputar lewat endpoint ini.
+ */
+router.post('/putar-audio', requireSession, async (req, res) => {
+  const { mid, id_soal, indeks } = req.body || {};
+  const aid = req.body.aid || req.peserta.id_agenda;
+  try {
+    if (!aid || !mid || !id_soal || indeks === undefined || indeks === null) {
+      return res.status(400).json({ success: false, message: 'aid, mid, id_soal, indeks wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, aid))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const sesi = await cekSesiUjian(req.peserta.id, aid, mid);
+    if (!sesi.row) {
+      return res.status(sesi.status).json(sesi.body);
+    }
+
+    const soal = await db.soal.satu({ id: id_soal, id_mapel: mid }, { select: 'id,media' });
+    const audio = soal ? audioSoal(soal, indeks) : null;
+    if (!audio) {
+      return res.status(404).json({ success: false, message: 'Audio tidak ditemukan di soal ini' });
+    }
+
+    const jumlah = await tambahPutarAudio(sesi.row, soal.id, Number(indeks), audio.maks_putar);
+    if (jumlah === null) {
+      return res.status(403).json({
+        success: false,
+        habis: true,
+        sisa: 0,
+        maks_putar: audio.maks_putar,
+        message: 'Batas putar audio sudah habis'
+      });
+    }
+
+    res.json({
+      success: true,
+      url: audio.url,
+      jumlah,
+      sisa: audio.maks_putar - jumlah,
+      maks_putar: audio.maks_putar
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/selesai-ujian
+ * body: { aid, mid, jwb?, seq? }  (pid dari token sesi; jwb = { [id_soal]: nilai }, opsional)
+ */
+router.post('/selesai-ujian', requireSession, async (req, res) => {
+  const { mid, jwb, seq } = req.body || {};
+  const aid = req.body.aid || req.peserta.id_agenda;
+  const pid = req.peserta.id;
+  try {
+    if (!aid || !mid) {
+      return res.status(400).json({ success: false, message: 'aid, mid wajib' });
+    }
+    if (!(await terdaftarDiAgenda(req, aid))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const row = await findJawaban(pid, mid);
+    if (!row || String(row.id_agenda) !== String(aid)) {
+      return res.status(404).json({ success: false, message: 'Sesi ujian tidak ditemukan' });
+    }
+    if (row.status === 'Selesai') {
+      return res.json({ success: true, sudah_selesai: true });
+    }
+
+    const deadline = await getExamDeadline(row);
+    const terlambat = isPastGrace(deadline);
+
+    // Jawaban yang dikirim setelah batas waktu diabaikan, pakai simpanan terakhir
+    let jawaban;
+    if (!terlambat && jwb) {
+      if (typeof jwb === 'string') {
+        const soal = await getSoalRingkas(row.id_mapel);
+        jawaban = lengkapi(soal, decodeJawaban(soal, jwb));
+      } else {
+        jawaban = jwb;
+      }
+    }
+    await finalizeJawaban(row, {
+      jawaban,
+      seq: seq && typeof seq === 'object' ? seq : {},
+      selesaiPada: terlambat ? deadline : new Date()
+    });
+
+    res.json({ success: true, waktu_habis: terlambat });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/violation
+ * body: { aid, mid, jenis, waktu?, durasi_detik?, indeks_soal?, id_soal? }
+ * Catat pelanggaran anti-cheat lalu terapkan kebijakan mapel (peringatan / kunci / kirim).
+ */
+router.post('/violation', requireSession, async (req, res) => {
+  const { mid, jenis, waktu, durasi_detik, indeks_soal, id_soal } = req.body || {};
+  const aid = req.body.aid || req.peserta.id_agenda;
+  const pid = req.peserta.id;
+  try {
+    if (!aid || !mid || !jenis) {
+      return res.status(400).json({ success: false, message: 'aid, mid, jenis wajib' });
+    }
+    if (!JENIS_PELANGGARAN.includes(jenis)) {
+      return res.status(400).json({ success: false, message: `jenis harus salah satu dari: ${JENIS_PELANGGARAN.join(', ')}` });
+    }
+    if (!(await terdaftarDiAgenda(req, aid))) {
+      return tolakTidakTerdaftar(res);
+    }
+
+    const row = await findJawaban(pid, mid);
+    if (!row || String(row.id_agenda) !== String(aid)) {
+      return res.status(404).json({ success: false, message: 'Sesi ujian tidak ditemukan' });
+    }
+    if (row.status === 'Selesai') {
+      return res.status(409).json({ success: false, ujian_selesai: true, message: 'Ujian sudah selesai' });
+    }
+
+    const waktuClient = waktu && !Number.isNaN(new Date(waktu).getTime()) ? new Date(waktu).toISOString() : null;
+    const inserted = await supabaseRequest('pelanggaran', 'POST', null, {
+      id_jawaban: row.id,
+      id_peserta: pid,
+      id_mapel: row.id_mapel,
+      jenis,
+      waktu: waktuClient || new Date().toISOString(),
+      durasi_detik: Number(durasi_detik) >= 0 ? Math.round(Number(durasi_detik)) : null,
+      indeks_soal: Number.isInteger(Number(indeks_soal)) ? Number(indeks_soal) : null,
+      id_soal: id_soal || null,
+      created_at: new Date().toISOString()
+    });
+
+    // Hitung dari tabel agar akurat walau ada beberapa request bersamaan
+    const semua = await supabaseRequest('pelanggaran', 'GET', { select: 'id', id_jawaban: `eq.${row.id}` });
+    const jumlah = semua ? semua.length : 1;
+
+    const mapelRes = await supabaseRequest('mata_pelajaran', 'GET', {
+      select: 'kebijakan_pelanggaran,batas_pelanggaran',
+      id: `eq.${row.id_mapel}`,
+      limit: 1
+    });
+    const kebijakan = mapelRes?.[0]?.kebijakan_pelanggaran;
+    const batas = Number(mapelRes?.[0]?.batas_pelanggaran) || DEFAULT_BATAS;
+    const tindakan = tentukanTindakan({ kebijakan, batas, jumlah });
+
+    const patch = { jumlah_pelanggaran: jumlah };
+    if (tindakan === 'kunci') {
+      patch.terkunci = true;
+      patch.terkunci_pada = new Date().toISOString();
+    }
+    await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, patch);
+
+    if (tindakan === 'kirim') {
+      await finalizeJawaban(row);
+    }
+
+    const pesan = {
+      peringatan: `Pelanggaran tercatat (${jumlah}${kebijakan && kebijakan !== 'peringatan' ? `/${batas}` : ''}).`,
+      kunci: MSG_SESI_TERKUNCI,
+      kirim: 'Batas pelanggaran terlampaui. Jawaban Anda telah dikirim otomatis.'
+    };
+
+    res.json({
+      success: true,
+      id: inserted?.[0]?.id,
+      jumlah,
+      batas: kebijakan && kebijakan !== 'peringatan' ? batas : null,
+      tindakan,
+      terkunci: tindakan === 'kunci',
+      ujian_selesai: tindakan === 'kirim',
+      message: pesan[tindakan]
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * PATCH /api/violation/:id
+ * body: { durasi_detik }  - dikirim saat peserta kembali ke halaman ujian
+ */
+router.patch('/violation/:id', requireSession, async (req, res) => {
+  try {
+    const durasi = Number((req.body || {}).durasi_detik);
+    if (!(durasi >= 0)) {
+      return res.status(400).json({ success: false, message: 'durasi_detik wajib' });
+    }
+
+    const data = await db
+      .tabel('pelanggaran')
+      .ubah({ id: req.params.id, id_peserta: req.peserta.id }, { durasi_detik: Math.round(durasi) });
+    if (data.length === 0) {
+      return res.status(404).json({ success: false, message: 'Data pelanggaran tidak ditemukan' });
+    }
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/* =========================================================
+ * ADMIN API (/api/admin/*) - khusus role "admin"
+ * ========================================================= */
+
+const AGENDA_FIELDS = [
+  'agenda_ujian',
+  'tgljam_mulai',
+  'tgljam_selesai',
+  'kode_gabung',
+  'notif_ortu',
+  'notif_ortu_pelanggaran',
+  'template_notif_ortu'
+];
+const AGENDA_SELECT =
+  'id,agenda_ujian,tgljam_mulai,tgljam_selesai,kode_gabung,notif_ortu,notif_ortu_pelanggaran,template_notif_ortu,hasil_dirilis_pada';
+const MAPEL_FIELDS = [
+  'id_agenda',
+  'nama_mata_pelajaran',
+  'durasi_ujian',
+  'status_mapel',
+  'acak_soal',
+  'acak_opsi',
+  'boleh_review',
+  'kebijakan_pelanggaran',
+  'batas_pelanggaran',
+  'jadwal_mulai',
+  'jadwal_selesai',
+  'urutan',
+  'id_mapel_prasyarat',
+  'jeda_menit',
+  'penilaian_anonim',
+  'penilai_kedua',
+  'batas_selisih_esai'
+];
+const STATUS_MAPEL = ['Draft', 'Siap'];
+const MSG_MAPEL_TERKUNCI = 'Mapel sedang dikerjakan peserta (status Proses), perubahan diblokir';
+const MSG_SOAL_DIPAKAI = 'Soal mapel ini sudah dipakai di jawaban peserta dan tidak bisa dihapus, ubah soalnya lewat edit';
+
+function pickFields(body, fields) {
+  const out = {};
+  fields.forEach((f) => {
+    if (body[f] !== undefined) {
+      out[f] = body[f];
+    }
+  });
+  return out;
+}
+
+function validateAgenda(agenda) {
+  if (!agenda.agenda_ujian || String(agenda.agenda_ujian).trim() === '') {
+    return 'agenda_ujian wajib diisi';
+  }
+  const mulai = new Date(agenda.tgljam_mulai).getTime();
+  const selesai = new Date(agenda.tgljam_selesai).getTime();
+  if (Number.isNaN(mulai) || Number.isNaN(selesai)) {
+    return 'tgljam_mulai & tgljam_selesai wajib berupa tanggal';
+  }
+  if (mulai >= selesai) {
+    return 'tgljam_mulai harus sebelum tgljam_selesai';
+  }
+  if (agenda.kode_gabung && !/^[A-Za-z0-9-]{6,32}$/.test(String(agenda.kode_gabung))) {
+    return 'kode_gabung 6-32 karakter huruf, angka atau tanda -';
+  }
+  return null;
+}
+
+function getById(table, id, select = '*') {
+  return db.tabel(table).byId(id, select);
+}
+
+/**
+ * True jika masih ada peserta yang sedang mengerjakan mapel ini.
+ */
+async function hasActiveAttempts(mapelId) {
+  return !!(await db.jawaban.satu({ id_mapel: mapelId, status: 'Proses' }, { select: 'id' }));
+}
+
+/**
+ * Mapel yang sudah punya sesi jawaban (status apa pun): jawaban & jawaban_item merujuk id soalnya,
+ * jadi soal lama tidak boleh dihapus (hasil ujian kehilangan soal & kunci). Ubah soal lewat PATCH.
+ */
+async function adaJawabanMapel(mapelId) {
+  return !!(await db.jawaban.satu({ id_mapel: mapelId }, { select: 'id' }));
+}
+
+async function countSoal(mapelId) {
+  return (await db.soal.cari({ id_mapel: mapelId }, { select: 'id' })).length;
+}
+
+/**
+ * Versi baru set soal mapel: cache get-soal di semua instance memuat ulang pada permintaan berikutnya.
+ */
+function versiSoalBaru(mapelId) {
+  soalCache.hapus(mapelId);
+  return { versi_soal: Date.now() };
+}
+
+async function syncJumlahSoal(mapelId) {
+  const jumlah = await countSoal(mapelId);
+  await db.mapel.ubah({ id: mapelId }, { jumlah_soal: jumlah, ...versiSoalBaru(mapelId) });
+}
+
+/**
+ * Validasi kolom jadwal mapel + prasyarat (harus mapel lain di agenda yang sama).
+ * String kosong dari form admin dianggap null (kolom dikosongkan).
+ * @param {object} payload
+ * @param {object} [lama] baris mapel sebelum PATCH
+ * @returns {Promise<string|null>} pesan error
+ */
+async function validateJadwalPayload(payload, lama = {}) {
+  ['jadwal_mulai', 'jadwal_selesai', 'urutan', 'id_mapel_prasyarat', 'jeda_menit'].forEach((f) => {
+    if (payload[f] === '') {
+      payload[f] = null;
+    }
+  });
+  const err = validateJadwalMapel(payload, lama);
+  if (err) {
+    return err;
+  }
+
+  if (payload.id_mapel_prasyarat !== undefined && payload.id_mapel_prasyarat !== null) {
+    if (lama.id && String(payload.id_mapel_prasyarat) === String(lama.id)) {
+      return 'id_mapel_prasyarat tidak boleh mapel itu sendiri';
+    }
+    const prasyarat = await getById('mata_pelajaran', payload.id_mapel_prasyarat, 'id,id_agenda');
+    const agendaId = payload.id_agenda !== undefined ? payload.id_agenda : lama.id_agenda;
+    if (!prasyarat || String(prasyarat.id_agenda) !== String(agendaId)) {
+      return 'id_mapel_prasyarat harus mapel lain di agenda yang sama';
+    }
+  }
+  return null;
+}
+
+/**
+ * Siapkan patch status_mapel. Draft -> Siap hanya jika bank soal sudah terisi,
+ * sekaligus menyinkronkan jumlah_soal.
+ * @returns {Promise<{ patch?: object, error?: string }>}
+ */
+async function prepareStatusMapel(mapelId, status) {
+  if (!STATUS_MAPEL.includes(status)) {
+    return { error: `status_mapel harus salah satu dari: ${STATUS_MAPEL.join(', ')}` };
+  }
+  if (status === 'Draft') {
+    return { patch: { status_mapel: 'Draft' } };
+  }
+
+  const jumlah = await countSoal(mapelId);
+  if (jumlah === 0) {
+    return { error: 'Mapel belum punya soal, tidak bisa diubah ke Siap' };
+  }
+  return { patch: { status_mapel: 'Siap', jumlah_soal: jumlah } };
+}
+
+const adminRouter = express.Router();
+
+/**
+ * POST /api/admin/login
+ * body: { username, password } - akun di tabel admin_user
+ */
+router.post('/admin/login', batasiPercobaan(limitLogin, (req) => `admin:${(req.body || {}).username || ''}`), async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    if (!username || !password) {
+      return res.status(400).json({ success: false, message: 'Username & password wajib diisi' });
+    }
+
+    const staff = await db.tabel('admin_user').satu(
+      { username: String(username) },
+      { select: 'id,username,nama,role,status,password' }
+    );
+
+    const check = staff ? await verifyPassword(password, staff.password) : { valid: false };
+    if (!staff || !check.valid) {
+      await req.percobaan.gagal();
+      return res.status(401).json({ success: false, message: 'Username atau password salah' });
+    }
+    await req.percobaan.sukses();
+    if (staff.status !== 'Aktif') {
+      return res.status(403).json({ success: false, message: 'Akun Nonaktif/Blokir' });
+    }
+    if (check.needsRehash) {
+      await supabaseRequest('admin_user', 'PATCH', { id: `eq.${staff.id}` }, { password: await hashPassword(password) });
+    }
+
+    const { token, payload } = signSession({ sub: staff.id, role: staff.role });
+    res.json({
+      success: true,
+      data: safeUser(staff),
+      session_token: token,
+      session_expires_at: new Date(payload.exp * 1000).toISOString()
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+adminRouter.use(requireRole('admin'));
+
+/**
+ * POST /api/admin/logout
+ */
+adminRouter.post('/logout', async (req, res) => {
+  try {
+    await revokeSession(req.session);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/agenda
+ */
+adminRouter.get('/agenda', async (req, res) => {
+  try {
+    const data = await supabaseRequest('agenda_ujian', 'GET', {
+      select: AGENDA_SELECT,
+      order: 'tgljam_mulai.desc'
+    });
+    res.json({ success: true, data: data || [] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/agenda
+ * body: { agenda_ujian, tgljam_mulai, tgljam_selesai }
+ * token_secret dibuat otomatis; token aktif dilihat lewat GET /api/proktor/agenda/:id/token
+ */
+adminRouter.post('/agenda', async (req, res) => {
+  try {
+    const payload = pickFields(req.body || {}, AGENDA_FIELDS);
+    const err = validateAgenda(payload) || validatePengaturanNotif(payload);
+    if (err) {
+      return res.status(400).json({ success: false, message: err });
+    }
+    payload.token_secret = buatSecret();
+
+    const data = await supabaseRequest('agenda_ujian', 'POST', { select: AGENDA_SELECT }, payload);
+    res.status(201).json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/agenda/:id
+ */
+adminRouter.get('/agenda/:id', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, AGENDA_SELECT);
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    res.json({ success: true, data: agenda });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/agenda/:id
+ */
+adminRouter.patch('/agenda/:id', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, AGENDA_SELECT);
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    const patch = pickFields(req.body || {}, AGENDA_FIELDS);
+    const err = validateAgenda({ ...agenda, ...patch }) || validatePengaturanNotif(patch);
+    if (err) {
+      return res.status(400).json({ success: false, message: err });
+    }
+
+    const data = await supabaseRequest('agenda_ujian', 'PATCH', { id: `eq.${agenda.id}`, select: AGENDA_SELECT }, patch);
+    res.json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/agenda/:id/token
+ * Ganti token_secret agenda: token yang sedang beredar langsung tidak berlaku.
+ * Agenda lama (token_ujian statis) ikut pindah ke token berganti.
+ */
+adminRouter.post('/agenda/:id/token', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    const secret = buatSecret();
+    await supabaseRequest('agenda_ujian', 'PATCH', { id: `eq.${agenda.id}` }, { token_secret: secret, token_ujian: null });
+    res.json({ success: true, ...tokenAktif(secret) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/agenda/:id
+ * Ditolak jika agenda masih punya mata pelajaran.
+ */
+adminRouter.delete('/agenda/:id', async (req, res) => {
+  try {
+    if (await db.mapel.satu({ id_agenda: req.params.id }, { select: 'id' })) {
+      return res.status(409).json({ success: false, message: 'Hapus dulu mata pelajaran di agenda ini' });
+    }
+
+    await db.tabel('peserta_agenda').hapus({ id_agenda: req.params.id });
+    await db.agenda.hapus({ id: req.params.id });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/agenda/:id/peserta
+ * Peserta terdaftar (peserta_agenda + peserta yang registrasi di agenda ini).
+ */
+adminRouter.get('/agenda/:id/peserta', async (req, res) => {
+  try {
+    const data = await getPesertaAgenda(
+      req.params.id,
+      'id,nama_peserta,nis_username,asal_sekolah,kelas,jenjang_studi,id_agenda,status'
+    );
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/agenda/:id/peserta
+ * body: { peserta_ids: [...] }  - daftarkan akun yang sudah ada ke agenda ini
+ */
+adminRouter.post('/agenda/:id/peserta', async (req, res) => {
+  try {
+    const ids = [].concat((req.body || {}).peserta_ids || (req.body || {}).peserta_id || []);
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: 'peserta_ids wajib' });
+    }
+
+    const agenda = await getById('agenda_ujian', req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    const ada = await getPesertaByIds(ids, 'id');
+    const adaIds = new Set(ada.map((p) => String(p.id)));
+    const tidakDitemukan = ids.filter((id) => !adaIds.has(String(id)));
+
+    await daftarkanKeAgenda(ada.map((p) => p.id), agenda.id);
+    res.json({ success: true, didaftarkan: ada.length, tidak_ditemukan: tidakDitemukan });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/agenda/:id/peserta/:pesertaId
+ * Ditolak jika peserta sudah punya jawaban di agenda ini, atau agenda ini agenda registrasinya.
+ */
+adminRouter.delete('/agenda/:id/peserta/:pesertaId', async (req, res) => {
+  try {
+    const peserta = await getById('peserta', req.params.pesertaId, 'id,id_agenda');
+    if (!peserta) {
+      return res.status(404).json({ success: false, message: 'Peserta tidak ditemukan' });
+    }
+    if (String(peserta.id_agenda) === String(req.params.id)) {
+      return res.status(409).json({ success: false, message: 'Agenda registrasi peserta tidak bisa dilepas' });
+    }
+
+    if (await db.jawaban.satu({ id_peserta: peserta.id, id_agenda: req.params.id }, { select: 'id' })) {
+      return res.status(409).json({ success: false, message: 'Peserta sudah mengerjakan ujian di agenda ini' });
+    }
+
+    await db.tabel('peserta_agenda').hapus({ id_peserta: peserta.id, id_agenda: req.params.id });
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * Peserta yang sudah ada dengan nis_username / no_wa_peserta yang sama (cek duplikat import).
+ */
+async function cariPesertaBentrok(items) {
+  const hasil = [];
+  for (let i = 0; i < items.length; i += 100) {
+    const bagian = items.slice(i, i + 100).map((item) => item.peserta);
+    const usernames = bagian.map((p) => p.nis_username);
+    const nomor = bagian.flatMap((p) => varianNoWa(p.no_wa_peserta));
+    hasil.push(...(await db.peserta.cariBentrok(usernames, nomor, 'nis_username,no_wa_peserta')));
+  }
+  return hasil;
+}
+
+/**
+ * POST /api/admin/agenda/:id/peserta/import
+ * body: { content, dry_run?, buat_password?, lewati_duplikat? }
+ * content = CSV daftar kelas (lib/import-peserta.js). Duplikat dicek seperti /api/register
+ * (nis_username atau no_wa_peserta sudah ada). buat_password=true membuat password awal untuk
+ * baris tanpa kolom password; password itu hanya dikembalikan sekali di kata_sandi.
+ * lewati_duplikat=true melewati baris duplikat; selain itu satu error membatalkan semua.
+ */
+adminRouter.post('/agenda/:id/peserta/import', async (req, res) => {
+  try {
+    const { content, dry_run, buat_password, lewati_duplikat } = req.body || {};
+    if (typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ success: false, message: 'content wajib diisi' });
+    }
+
+    const agenda = await getById('agenda_ujian', req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    const parsed = parsePeserta(content);
+    const errors = [...parsed.errors];
+    const barisError = new Set(errors.map((e) => e.line));
+    const valid = parsed.items.filter((i) => !barisError.has(i.line));
+
+    const duplikat = cariDuplikat(valid, await cariPesertaBentrok(valid));
+    const barisDuplikat = new Set(duplikat.map((d) => d.line));
+    const dilewati = lewati_duplikat ? duplikat : [];
+    if (!lewati_duplikat) {
+      errors.push(...duplikat);
+    }
+
+    if (!buat_password) {
+      valid
+        .filter((i) => !i.peserta.password && !barisDuplikat.has(i.line))
+        .forEach((i) => errors.push({ line: i.line, messages: ['Kolom "password" kosong (kirim buat_password=true untuk membuat otomatis)'] }));
+    }
+    errors.sort((a, b) => a.line - b.line);
+
+    const siap = valid.filter((i) => !barisDuplikat.has(i.line) && !errors.some((e) => e.line === i.line));
+    const summary = { total: parsed.items.length, valid: siap.length, errors, dilewati };
+
+    if (dry_run) {
+      return res.json({ success: errors.length === 0, dry_run: true, ...summary, data: siap.map((i) => safeUser(i.peserta)) });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Import dibatalkan, perbaiki error terlebih dahulu', ...summary });
+    }
+    if (siap.length === 0) {
+      return res.status(400).json({ success: false, message: 'Tidak ada peserta yang bisa diimport', ...summary });
+    }
+
+    const kataSandi = {};
+    const rows = [];
+    // Berurutan: scrypt sengaja berat, jangan dijalankan puluhan sekaligus
+    for (const { peserta } of siap) {
+      let password = peserta.password;
+      if (!password) {
+        password = buatPassword();
+        kataSandi[peserta.nis_username] = password;
+      }
+      rows.push({
+        ...peserta,
+        password: await hashPassword(password),
+        id_agenda: agenda.id,
+        status: 'Aktif'
+      });
+    }
+
+    const data = await db.peserta.tambah(rows);
+    await daftarkanKeAgenda((data || []).map((p) => p.id), agenda.id);
+
+    res.status(201).json({
+      success: true,
+      dry_run: false,
+      ...summary,
+      imported: data ? data.length : rows.length,
+      kata_sandi: kataSandi
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * Lembar kartu peserta siap cetak per kelas (lib/kartu-peserta.js).
+ * kataSandi: { nis_username: password } dari hasil import; tanpa itu kolom password dikosongkan.
+ */
+async function kirimLembarKartu(req, res, { kelas, kataSandi }) {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, 'id,agenda_ujian');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    let peserta = await getPesertaAgenda(agenda.id, 'id,nama_peserta,nis_username,kelas,asal_sekolah');
+    if (kelas) {
+      peserta = peserta.filter((p) => String(p.kelas || '').trim().toLowerCase() === String(kelas).trim().toLowerCase());
+    }
+
+    const filename = `kartu_${[agenda.agenda_ujian, kelas].filter(Boolean).join('_').replace(/[^\w-]+/g, '_')}.html`;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(lembarKartu({ agenda, peserta, kataSandi: kataSandi || {} }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+}
+
+/**
+ * GET /api/admin/agenda/:id/kartu?kelas=
+ * Semua kelas (masing-masing halaman baru) atau satu kelas saja.
+ */
+adminRouter.get('/agenda/:id/kartu', (req, res) => kirimLembarKartu(req, res, { kelas: req.query.kelas }));
+
+/**
+ * POST /api/admin/agenda/:id/kartu
+ * body: { kelas?, kata_sandi?: { nis_username: password } }  - kata_sandi dari respons import
+ */
+adminRouter.post('/agenda/:id/kartu', (req, res) => {
+  const { kelas, kata_sandi } = req.body || {};
+  return kirimLembarKartu(req, res, { kelas, kataSandi: kata_sandi });
+});
+
+/* ---------- Notifikasi hasil ke orang tua (lib/notifikasi-ortu.js) ---------- */
+
+const STATUS_NOTIF = ['antre', 'mengirim', 'terkirim', 'gagal'];
+const NOTIF_SELECT = 'id,id_agenda,id_peserta,tujuan,pesan,status,percobaan,provider,error,kirim_berikutnya,terkirim_pada,updated_at';
+const NOTIF_MAKS_PERCOBAAN = Number(process.env.NOTIFY_ORTU_MAKS_PERCOBAAN) || 5;
+const NOTIF_BATCH = Number(process.env.NOTIFY_ORTU_BATCH) || 20;
+// Pesan "mengirim" yang lebih lama dari ini dianggap terputus (proses mati) dan boleh diambil lagi
+const NOTIF_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Hasil sesi Selesai per peserta di satu agenda, urut mapel.
+ * @returns {Promise<Map<string, object[]>>} id_peserta -> [{ mapel, nilai, tgljam_selesai, jumlah_pelanggaran, esai_belum_dinilai }]
+ */
+async function hasilAgendaPerPeserta(agendaId) {
+  const [mapelList, sesi] = await Promise.all([
+    db.mapel.cari({ id_agenda: agendaId }, { select: 'id,nama_mata_pelajaran,urutan', order: 'urutan.asc.nullslast,id.asc' }),
+    ambilSemua('jawaban', {
+      select: 'id_peserta,id_mapel,nilai,tgljam_selesai,jumlah_pelanggaran,esai_belum_dinilai',
+      id_agenda: `eq.${agendaId}`,
+      status: 'eq.Selesai',
+      order: 'id.asc'
+    })
+  ]);
+  const urutan = new Map(mapelList.map((m, i) => [String(m.id), i]));
+
+  const perPeserta = new Map();
+  sesi
+    .filter((row) => urutan.has(String(row.id_mapel)))
+    .sort((a, b) => urutan.get(String(a.id_mapel)) - urutan.get(String(b.id_mapel)))
+    .forEach((row) => {
+      const kunci = String(row.id_peserta);
+      if (!perPeserta.has(kunci)) {
+        perPeserta.set(kunci, []);
+      }
+      perPeserta.get(kunci).push({
+        mapel: mapelList[urutan.get(String(row.id_mapel))].nama_mata_pelajaran,
+        nilai: row.nilai,
+        tgljam_selesai: row.tgljam_selesai,
+        jumlah_pelanggaran: row.jumlah_pelanggaran,
+        esai_belum_dinilai: row.esai_belum_dinilai
+      });
+    });
+  return perPeserta;
+}
+
+/**
+ * Antrekan notifikasi untuk peserta agenda yang belum punya baris notifikasi_ortu,
+ * jadi rilis ulang (mis. setelah susulan) tidak mengirim dua kali ke orang tua yang sama.
+ */
+async function antreNotifikasiOrtu(agenda) {
+  const perPeserta = await hasilAgendaPerPeserta(agenda.id);
+  const sudah = new Set(
+    (await ambilSemua('notifikasi_ortu', { select: 'id_peserta', id_agenda: `eq.${agenda.id}`, order: 'id.asc' }))
+      .map((row) => String(row.id_peserta))
+  );
+  const peserta = await getPesertaByIds(
+    [...perPeserta.keys()].filter((id) => !sudah.has(id)),
+    'id,nama_peserta,nis_username,kelas,asal_sekolah,no_wa_ortu'
+  );
+
+  const now = new Date().toISOString();
+  const rows = peserta.map((p) => {
+    const tujuan = normalisasiNomor(p.no_wa_ortu);
+    return {
+      id_agenda: agenda.id,
+      id_peserta: p.id,
+      tujuan,
+      pesan: susunPesan({ agenda, peserta: p, hasil: perPeserta.get(String(p.id)) }),
+      status: tujuan ? 'antre' : 'gagal',
+      percobaan: 0,
+      error: tujuan ? null : 'Nomor WA orang tua kosong/tidak valid',
+      kirim_berikutnya: tujuan ? now : null,
+      created_at: now,
+      updated_at: now
+    };
+  });
+
+  const tabel = db.tabel('notifikasi_ortu');
+  for (let i = 0; i < rows.length; i += 200) {
+    const bagian = rows.slice(i, i + 200);
+    try {
+      await tabel.tambah(bagian);
+    } catch (e) {
+      if (!String(e.message).includes('(409)')) {
+        throw e;
+      }
+      // Rilis bersamaan: satu per satu, lewati yang sudah diantrekan proses lain
+      for (const row of bagian) {
+        await tabel.tambah(row).catch((err) => {
+          if (!String(err.message).includes('(409)')) {
+            throw err;
+          }
+        });
+      }
+    }
+  }
+
+  return {
+    diantre: rows.filter((r) => r.status === 'antre').length,
+    nomor_tidak_valid: rows.filter((r) => r.status === 'gagal').length,
+    sudah_ada: sudah.size,
+    nilai_sementara: peserta.filter((p) => perPeserta.get(String(p.id)).some((h) => Number(h.esai_belum_dinilai) > 0)).length
+  };
+}
+
+/**
+ * Kirim notifikasi yang sudah jatuh tempo lewat provider orang tua (cron & tombol admin).
+ * Gagal kirim dijadwalkan ulang (lib/notifikasi-ortu.js jedaUlang) sampai NOTIFY_ORTU_MAKS_PERCOBAAN.
+ * @returns {Promise<{ diproses, terkirim, dijadwalkan_ulang, gagal, error? }>}
+ */
+async function kirimNotifikasiOrtu({ agendaId, batas = NOTIF_BATCH } = {}) {
+  const hasil = { diproses: 0, terkirim: 0, dijadwalkan_ulang: 0, gagal: 0 };
+  let provider;
+  try {
+    provider = getProviderOrtu();
+  } catch (e) {
+    return { ...hasil, error: e.message };
+  }
+  if (provider.kanal !== 'wa') {
+    return { ...hasil, error: `Provider ${provider.nama} tidak mengirim ke nomor WA; set NOTIFY_ORTU_PROVIDER` };
+  }
+
+  const tabel = db.tabel('notifikasi_ortu');
+  const filter = { status: ['antre', 'mengirim'], kirim_berikutnya: { lte: new Date().toISOString() } };
+  if (agendaId) {
+    filter.id_agenda = agendaId;
+  }
+  const rows = await tabel.cari(filter, { select: NOTIF_SELECT, order: 'kirim_berikutnya.asc', limit: batas });
+
+  for (const row of rows) {
+    const percobaan = (Number(row.percobaan) || 0) + 1;
+    const now = new Date().toISOString();
+    if (percobaan > NOTIF_MAKS_PERCOBAAN) {
+      await tabel.ubah({ id: row.id, status: row.status }, { status: 'gagal', kirim_berikutnya: null, updated_at: now });
+      hasil.gagal++;
+      continue;
+    }
+
+    // Klaim bersyarat (status & percobaan belum berubah) agar dua proses tidak mengirim pesan yang sama
+    const klaim = await tabel.ubah(
+      { id: row.id, status: row.status, percobaan: row.percobaan },
+      {
+        status: 'mengirim',
+        percobaan,
+        provider: provider.nama,
+        kirim_berikutnya: new Date(Date.now() + NOTIF_LEASE_MS).toISOString(),
+        updated_at: now
+      }
+    );
+    if (klaim.length === 0) {
+      continue;
+    }
+    hasil.diproses++;
+
+    try {
+      await provider.kirim({ tujuan: row.tujuan, subjek: 'Hasil Ujian CBTKU', pesan: row.pesan });
+      const selesai = new Date().toISOString();
+      await tabel.ubah({ id: row.id }, { status: 'terkirim', error: null, kirim_berikutnya: null, terkirim_pada: selesai, updated_at: selesai });
+      hasil.terkirim++;
+    } catch (e) {
+      console.error(`[notify-ortu:${provider.nama}]`, e);
+      const habis = percobaan >= NOTIF_MAKS_PERCOBAAN;
+      await tabel.ubah({ id: row.id }, {
+        status: habis ? 'gagal' : 'antre',
+        error: String(e.message || e).slice(0, 500),
+        kirim_berikutnya: habis ? null : new Date(Date.now() + jedaUlang(percobaan)).toISOString(),
+        updated_at: new Date().toISOString()
+      });
+      hasil[habis ? 'gagal' : 'dijadwalkan_ulang']++;
+    }
+  }
+  return hasil;
+}
+
+/**
+ * POST /api/admin/agenda/:id/rilis-hasil
+ * Tandai hasil agenda dirilis; jika agenda.notif_ortu, antrekan notifikasi ke orang tua.
+ * Boleh dipanggil lagi setelah ujian susulan: hanya peserta baru yang diantrekan.
+ */
+adminRouter.post('/agenda/:id/rilis-hasil', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, AGENDA_SELECT);
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    if (await db.jawaban.satu({ id_agenda: agenda.id, status: 'Proses' }, { select: 'id' })) {
+      return res.status(409).json({ success: false, message: 'Masih ada peserta yang sedang ujian di agenda ini' });
+    }
+
+    const dirilis = agenda.hasil_dirilis_pada || new Date().toISOString();
+    if (!agenda.hasil_dirilis_pada) {
+      await db.agenda.ubah({ id: agenda.id }, { hasil_dirilis_pada: dirilis });
+    }
+    const notifikasi = agenda.notif_ortu ? await antreNotifikasiOrtu(agenda) : null;
+
+    res.json({
+      success: true,
+      hasil_dirilis_pada: dirilis,
+      notifikasi,
+      message: agenda.notif_ortu ? undefined : 'Notifikasi orang tua tidak aktif untuk agenda ini (notif_ortu)'
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/agenda/:id/notifikasi?status=antre|mengirim|terkirim|gagal
+ * Ringkasan & daftar status kirim per peserta (tanpa isi pesan, nomor disamarkan).
+ */
+adminRouter.get('/agenda/:id/notifikasi', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STATUS_NOTIF.includes(status)) {
+      return res.status(400).json({ success: false, message: `status harus salah satu dari: ${STATUS_NOTIF.join(', ')}` });
+    }
+    const agenda = await getById('agenda_ujian', req.params.id, AGENDA_SELECT);
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+
+    const rows = await ambilSemua('notifikasi_ortu', { select: NOTIF_SELECT, id_agenda: `eq.${agenda.id}`, order: 'id.asc' });
+    const ringkasan = { total: rows.length };
+    STATUS_NOTIF.forEach((s) => {
+      ringkasan[s] = rows.filter((r) => r.status === s).length;
+    });
+
+    const daftar = status ? rows.filter((r) => r.status === status) : rows;
+    const peserta = await getPesertaByIds(daftar.map((r) => r.id_peserta), 'id,nama_peserta,nis_username,kelas');
+    const pesertaById = new Map(peserta.map((p) => [String(p.id), p]));
+
+    res.json({
+      success: true,
+      agenda,
+      ringkasan,
+      data: daftar.map((r) => ({
+        id: r.id,
+        peserta: pesertaById.get(String(r.id_peserta)) || { id: r.id_peserta },
+        tujuan: r.tujuan ? samarkanTujuan(r.tujuan) : null,
+        status: r.status,
+        percobaan: r.percobaan,
+        provider: r.provider,
+        error: r.error,
+        kirim_berikutnya: r.kirim_berikutnya,
+        terkirim_pada: r.terkirim_pada
+      }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/agenda/:id/notifikasi/pratinjau?peserta_id=&template=
+ * Contoh pesan untuk satu peserta (default peserta pertama yang sudah selesai); `template` untuk mencoba
+ * template sebelum disimpan ke agenda.
+ */
+adminRouter.get('/agenda/:id/notifikasi/pratinjau', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, AGENDA_SELECT);
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    if (req.query.template !== undefined) {
+      const err = validatePengaturanNotif({ template_notif_ortu: String(req.query.template) });
+      if (err) {
+        return res.status(400).json({ success: false, message: err });
+      }
+      agenda.template_notif_ortu = String(req.query.template);
+    }
+
+    const perPeserta = await hasilAgendaPerPeserta(agenda.id);
+    const pesertaId = req.query.peserta_id ? String(req.query.peserta_id) : perPeserta.keys().next().value;
+    if (!pesertaId || !perPeserta.has(pesertaId)) {
+      return res.status(404).json({ success: false, message: 'Belum ada hasil ujian peserta di agenda ini' });
+    }
+    const peserta = await getById('peserta', pesertaId, 'id,nama_peserta,nis_username,kelas,asal_sekolah,no_wa_ortu');
+    const tujuan = normalisasiNomor(peserta && peserta.no_wa_ortu);
+
+    res.json({
+      success: true,
+      data: {
+        peserta: { id: pesertaId, nama_peserta: peserta?.nama_peserta },
+        tujuan: tujuan ? samarkanTujuan(tujuan) : null,
+        pesan: susunPesan({ agenda, peserta: peserta || {}, hasil: perPeserta.get(pesertaId) })
+      }
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/agenda/:id/notifikasi/kirim
+ * Kirim satu batch antrean agenda ini sekarang, tanpa menunggu cron.
+ */
+adminRouter.post('/agenda/:id/notifikasi/kirim', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    const hasil = await kirimNotifikasiOrtu({ agendaId: agenda.id });
+    if (hasil.error) {
+      return res.status(502).json({ success: false, message: hasil.error });
+    }
+    res.json({ success: true, ...hasil });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/agenda/:id/notifikasi/ulang
+ * body: { ids?: [id notifikasi] } - antrekan lagi notifikasi gagal (yang nomornya valid), percobaan dari 0.
+ */
+adminRouter.post('/agenda/:id/notifikasi/ulang', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+      return res.status(400).json({ success: false, message: 'ids harus berupa daftar id notifikasi' });
+    }
+
+    const filter = { id_agenda: agenda.id, status: 'gagal', tujuan: { not: null } };
+    if (ids) {
+      filter.id = ids.map(String);
+    }
+    const now = new Date().toISOString();
+    const rows = await db.tabel('notifikasi_ortu').ubah(filter, {
+      status: 'antre',
+      percobaan: 0,
+      error: null,
+      kirim_berikutnya: now,
+      updated_at: now
+    });
+    res.json({ success: true, diantre: rows.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel?agenda_id=...
+ */
+adminRouter.get('/mapel', async (req, res) => {
+  try {
+    const filter = req.query.agenda_id ? { id_agenda: String(req.query.agenda_id) } : {};
+    const data = await db.mapel.cari(filter, {
+      select: 'id,id_agenda,nama_mata_pelajaran,jumlah_soal,durasi_ujian,status_mapel,jadwal_mulai,jadwal_selesai,urutan,id_mapel_prasyarat,jeda_menit',
+      order: 'id.asc'
+    });
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/mapel
+ * body: { id_agenda, nama_mata_pelajaran, durasi_ujian }  - selalu dibuat sebagai Draft
+ */
+adminRouter.post('/mapel', async (req, res) => {
+  try {
+    const payload = pickFields(req.body || {}, MAPEL_FIELDS);
+    const err = requireFields(payload, ['id_agenda', 'nama_mata_pelajaran', 'durasi_ujian']);
+    if (err) {
+      return res.status(400).json({ success: false, message: err });
+    }
+    if (!(Number(payload.durasi_ujian) > 0)) {
+      return res.status(400).json({ success: false, message: 'durasi_ujian harus lebih dari 0 menit' });
+    }
+    const kebijakanErr = validateKebijakan(payload) || validatePengaturanEsai(payload);
+    if (kebijakanErr) {
+      return res.status(400).json({ success: false, message: kebijakanErr });
+    }
+    if (!(await getById('agenda_ujian', payload.id_agenda, 'id'))) {
+      return res.status(400).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    const jadwalErr = await validateJadwalPayload(payload);
+    if (jadwalErr) {
+      return res.status(400).json({ success: false, message: jadwalErr });
+    }
+
+    payload.status_mapel = 'Draft';
+    payload.jumlah_soal = 0;
+
+    const data = await supabaseRequest('mata_pelajaran', 'POST', null, payload);
+    res.status(201).json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel/:id
+ */
+adminRouter.get('/mapel/:id', async (req, res) => {
+  try {
+    const mapel = await getById('mata_pelajaran', req.params.id);
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+    res.json({ success: true, data: mapel });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/mapel/:id
+ */
+adminRouter.patch('/mapel/:id', async (req, res) => {
+  try {
+    const mapel = await getById('mata_pelajaran', req.params.id, 'id,id_agenda,jadwal_mulai,jadwal_selesai');
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+    if (await hasActiveAttempts(mapel.id)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+
+    const patch = pickFields(req.body || {}, MAPEL_FIELDS);
+    if (patch.durasi_ujian !== undefined && !(Number(patch.durasi_ujian) > 0)) {
+      return res.status(400).json({ success: false, message: 'durasi_ujian harus lebih dari 0 menit' });
+    }
+    const kebijakanErr = validateKebijakan(patch) || validatePengaturanEsai(patch);
+    if (kebijakanErr) {
+      return res.status(400).json({ success: false, message: kebijakanErr });
+    }
+    const jadwalErr = await validateJadwalPayload(patch, mapel);
+    if (jadwalErr) {
+      return res.status(400).json({ success: false, message: jadwalErr });
+    }
+    if (patch.status_mapel !== undefined) {
+      const status = await prepareStatusMapel(mapel.id, patch.status_mapel);
+      if (status.error) {
+        return res.status(400).json({ success: false, message: status.error });
+      }
+      Object.assign(patch, status.patch);
+    }
+
+    const data = await db.mapel.ubah({ id: mapel.id }, { ...patch, ...versiSoalBaru(mapel.id) });
+    res.json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/mapel/:id/status
+ * body: { status_mapel: 'Siap' | 'Draft' }
+ */
+adminRouter.post('/mapel/:id/status', async (req, res) => {
+  try {
+    const mapel = await getById('mata_pelajaran', req.params.id, 'id');
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+    if (await hasActiveAttempts(mapel.id)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+
+    const status = await prepareStatusMapel(mapel.id, (req.body || {}).status_mapel);
+    if (status.error) {
+      return res.status(400).json({ success: false, message: status.error });
+    }
+
+    const data = await db.mapel.ubah({ id: mapel.id }, { ...status.patch, ...versiSoalBaru(mapel.id) });
+    res.json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/mapel/:id
+ * Ditolak jika sudah ada jawaban peserta untuk mapel ini.
+ */
+adminRouter.delete('/mapel/:id', async (req, res) => {
+  try {
+    if (await adaJawabanMapel(req.params.id)) {
+      return res.status(409).json({ success: false, message: 'Mapel sudah punya jawaban peserta, tidak bisa dihapus' });
+    }
+
+    await db.soal.hapus({ id_mapel: req.params.id });
+    await db.mapel.hapus({ id: req.params.id });
+    soalCache.hapus(req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel/:id/soal
+ * Termasuk kunci_jawaban & bobot (hanya untuk admin).
+ */
+adminRouter.get('/mapel/:id/soal', async (req, res) => {
+  try {
+    const data = await db.soal.cari({ id_mapel: req.params.id }, { order: 'no_soal.asc', limit: 500 });
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/mapel/:id/soal
+ * body: kolom bank_soal; divalidasi sesuai type_soal. no_soal otomatis jika kosong.
+ */
+adminRouter.post('/mapel/:id/soal', async (req, res) => {
+  try {
+    const mapel = await getById('mata_pelajaran', req.params.id, 'id');
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+    if (await hasActiveAttempts(mapel.id)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+
+    const payload = pickSoalFields(req.body || {});
+    payload.type_soal = payload.type_soal || 'Pilihan Ganda';
+
+    const errors = validateSoal(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    if (!payload.no_soal) {
+      const last = await supabaseRequest('bank_soal', 'GET', {
+        select: 'no_soal',
+        id_mapel: `eq.${mapel.id}`,
+        order: 'no_soal.desc',
+        limit: 1
+      });
+      payload.no_soal = (Number(last?.[0]?.no_soal) || 0) + 1;
+    }
+    payload.id_mapel = mapel.id;
+
+    const data = await supabaseRequest('bank_soal', 'POST', null, payload);
+    await syncJumlahSoal(mapel.id);
+    res.status(201).json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/admin/mapel/:id/import
+ * body: { format: csv|aiken|gift, content, dry_run?, ganti? }
+ * dry_run hanya mengembalikan hasil parse + error per baris tanpa menulis apa pun.
+ * ganti=true mengganti soal lama (ditolak 409 jika mapel sudah punya jawaban peserta); default soal
+ * ditambahkan setelah no_soal terakhir. Jika ada satu error, tidak ada soal yang disimpan.
+ */
+adminRouter.post('/mapel/:id/import', async (req, res) => {
+  try {
+    const { format, content, dry_run, ganti } = req.body || {};
+    if (!format || typeof content !== 'string' || content.trim() === '') {
+      return res.status(400).json({ success: false, message: 'format dan content wajib diisi' });
+    }
+
+    const mapel = await getById('mata_pelajaran', req.params.id, 'id');
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+
+    const existing = ganti
+      ? []
+      : await supabaseRequest('bank_soal', 'GET', { select: 'no_soal', id_mapel: `eq.${mapel.id}` });
+    const existingNo = (existing || []).map((r) => Number(r.no_soal)).filter(Boolean);
+
+    const { items, errors } = parseImport(format, content, existingNo);
+    const summary = {
+      format: String(format).toLowerCase(),
+      total: items.length,
+      valid: items.filter((i) => !errors.some((e) => e.line === i.line)).length,
+      errors
+    };
+
+    if (dry_run) {
+      return res.json({ success: errors.length === 0, dry_run: true, ...summary, data: items.map((i) => i.soal) });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Import dibatalkan, perbaiki error terlebih dahulu', ...summary });
+    }
+    if (items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Tidak ada soal yang bisa diimport', ...summary });
+    }
+    if (await hasActiveAttempts(mapel.id)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+    if (ganti && (await adaJawabanMapel(mapel.id))) {
+      return res.status(409).json({ success: false, message: MSG_SOAL_DIPAKAI });
+    }
+
+    // Soal baru disimpan dulu: jika insert gagal, soal lama masih utuh
+    const lama = ganti ? await db.soal.cari({ id_mapel: mapel.id }, { select: 'id' }) : [];
+    const rows = items.map((i) => ({ ...i.soal, id_mapel: mapel.id }));
+    const data = await db.soal.tambah(rows);
+    for (let i = 0; i < lama.length; i += 100) {
+      await db.soal.hapus({ id: lama.slice(i, i + 100).map((r) => r.id) });
+    }
+    await syncJumlahSoal(mapel.id);
+
+    res.status(201).json({ success: true, dry_run: false, ...summary, imported: data.length || rows.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel/:id/export?format=csv
+ * Hasilnya memakai template yang sama dengan import sehingga bisa diimport ulang.
+ */
+adminRouter.get('/mapel/:id/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (format !== 'csv') {
+      return res.status(400).json({ success: false, message: 'Export baru mendukung format csv' });
+    }
+
+    const mapel = await getById('mata_pelajaran', req.params.id, 'id,nama_mata_pelajaran');
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+
+    const soal = await supabaseRequest('bank_soal', 'GET', {
+      select: '*',
+      id_mapel: `eq.${mapel.id}`,
+      order: 'no_soal.asc',
+      limit: 500
+    });
+
+    const filename = `bank_soal_${String(mapel.nama_mata_pelajaran || mapel.id).replace(/[^\w-]+/g, '_')}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send('\ufeff' + toCsv(soal || []));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/soal/:id
+ */
+adminRouter.get('/soal/:id', async (req, res) => {
+  try {
+    const soal = await getById('bank_soal', req.params.id);
+    if (!soal) {
+      return res.status(404).json({ success: false, message: 'Soal tidak ditemukan' });
+    }
+    res.json({ success: true, data: soal });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * PATCH /api/admin/soal/:id
+ * Payload digabung dengan data lama lalu divalidasi ulang secara utuh.
+ */
+adminRouter.patch('/soal/:id', async (req, res) => {
+  try {
+    const soal = await getById('bank_soal', req.params.id);
+    if (!soal) {
+      return res.status(404).json({ success: false, message: 'Soal tidak ditemukan' });
+    }
+    if (await hasActiveAttempts(soal.id_mapel)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+
+    const patch = pickSoalFields(req.body || {}, soal);
+    const errors = validateSoal({ ...soal, ...patch });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    const data = await supabaseRequest('bank_soal', 'PATCH', { id: `eq.${soal.id}` }, patch);
+    await db.mapel.ubah({ id: soal.id_mapel }, versiSoalBaru(soal.id_mapel));
+    res.json({ success: true, data: data?.[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/soal/:id
+ * Ditolak (409) jika mapelnya sudah punya jawaban peserta.
+ */
+adminRouter.delete('/soal/:id', async (req, res) => {
+  try {
+    const soal = await getById('bank_soal', req.params.id, 'id,id_mapel');
+    if (!soal) {
+      return res.status(404).json({ success: false, message: 'Soal tidak ditemukan' });
+    }
+    if (await hasActiveAttempts(soal.id_mapel)) {
+      return res.status(409).json({ success: false, message: MSG_MAPEL_TERKUNCI });
+    }
+    if (await adaJawabanMapel(soal.id_mapel)) {
+      return res.status(409).json({ success: false, message: MSG_SOAL_DIPAKAI });
+    }
+
+    await db.soal.hapus({ id: soal.id });
+    await syncJumlahSoal(soal.id_mapel);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel/:id/pelanggaran
+ * Rekap pelanggaran per sesi jawaban + daftar kejadian terbaru.
+ */
+adminRouter.get('/mapel/:id/pelanggaran', async (req, res) => {
+  try {
+    const sesi = await db.jawaban.cari(
+      { id_mapel: req.params.id, jumlah_pelanggaran: { gt: 0 } },
+      {
+        select: 'id,id_peserta,nama_peserta_snap,status,terkunci,terkunci_pada,jumlah_pelanggaran',
+        order: 'jumlah_pelanggaran.desc'
+      }
+    );
+    const kejadian = await db.tabel('pelanggaran').cari(
+      { id_mapel: req.params.id },
+      { select: 'id,id_jawaban,id_peserta,jenis,waktu,durasi_detik,indeks_soal,id_soal', order: 'waktu.desc', limit: 1000 }
+    );
+    res.json({ success: true, data: { sesi, kejadian } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/* ---------- Laporan hasil & analisis butir ---------- */
+
+const HALAMAN_LAPORAN = 1000;
+const BAGIAN_LAPORAN = ['peserta', 'butir', 'grup'];
+
+/**
+ * GET semua baris (PostgREST membatasi jumlah baris per request, jadi diambil per halaman).
+ */
+async function ambilSemua(table, query) {
+  const rows = [];
+  for (let offset = 0; ; offset += HALAMAN_LAPORAN) {
+    const page = (await supabaseRequest(table, 'GET', { ...query, limit: HALAMAN_LAPORAN, offset })) || [];
+    rows.push(...page);
+    if (page.length < HALAMAN_LAPORAN) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Hasil semua sesi Selesai satu mapel, siap dianalisis (lib/analisis.js).
+ * Sesi Selesai selalu punya jawaban final di kolom jawaban.jawaban (lihat finalizeJawaban).
+ */
+async function loadHasilMapel(mapel) {
+  const soal = await supabaseRequest('bank_soal', 'GET', {
+    select: 'id,no_soal,type_soal,kunci_jawaban,bobot,satuan,pilihan_a,pilihan_b,pilihan_c,pilihan_d,pilihan_e',
+    id_mapel: `eq.${mapel.id}`,
+    order: 'no_soal.asc',
+    limit: 500
+  });
+  const sesi = await ambilSemua('jawaban', {
+    select: 'id,id_peserta,jawaban,nilai',
+    id_mapel: `eq.${mapel.id}`,
+    status: 'eq.Selesai',
+    order: 'id.asc'
+  });
+
+  const peserta = await getPesertaByIds(
+    sesi.map((row) => row.id_peserta),
+    'id,nama_peserta,nis_username,asal_sekolah,kelas,jenjang_studi'
+  );
+  const pesertaById = new Map(peserta.map((p) => [String(p.id), p]));
+
+  // Skor esai dari penilai ikut analisis butir; tanpa soal esai tidak perlu dimuat
+  let pengaturan = null;
+  let kelompok = new Map();
+  if (adaEsai(soal)) {
+    pengaturan = (await getById('mata_pelajaran', mapel.id, KOLOM_PENGATURAN_ESAI)) || {};
+    kelompok = kelompokPenilaian(
+      await ambilSemua('penilaian_esai', {
+        select: 'id_jawaban,id_soal,penilai_ke,skor',
+        id_mapel: `eq.${mapel.id}`,
+        order: 'id.asc'
+      })
+    );
+  }
+
+  const hasil = sesi.map((row) => ({
+    peserta: pesertaById.get(String(row.id_peserta)) || { id: row.id_peserta },
+    jawaban: decodeJawaban(soal || [], row.jawaban),
+    nilai: row.nilai,
+    skor_manual: pengaturan ? skorManualSesi(row.id, soal, pengaturan, kelompok) : undefined
+  }));
+  return { soal: soal || [], hasil };
+}
+
+/**
+ * Validasi mapel + group_by lalu jalankan analisis.
+ * @returns {Promise<{ mapel?: object, analisis?: object, status?: number, body?: object }>}
+ */
+async function analisisDariRequest(req) {
+  const groupBy = req.query.group_by ? String(req.query.group_by) : null;
+  if (groupBy && !GROUP_FIELDS.includes(groupBy)) {
+    return {
+      status: 400,
+      body: { success: false, message: `group_by harus salah satu dari: ${GROUP_FIELDS.join(', ')}` }
+    };
+  }
+
+  const mapel = await getById('mata_pelajaran', req.params.id, 'id,id_agenda,nama_mata_pelajaran');
+  if (!mapel) {
+    return { status: 404, body: { success: false, message: 'Mapel tidak ditemukan' } };
+  }
+
+  const { soal, hasil } = await loadHasilMapel(mapel);
+  return { mapel, analisis: analisisMapel(soal, hasil, { groupBy }) };
+}
+
+/**
+ * GET /api/admin/mapel/:id/analisis?group_by=asal_sekolah|kelas|jenjang_studi
+ * Nilai + peringkat peserta dan statistik butir soal (hanya sesi yang sudah Selesai).
+ */
+adminRouter.get('/mapel/:id/analisis', async (req, res) => {
+  try {
+    const { mapel, analisis, status, body } = await analisisDariRequest(req);
+    if (!analisis) {
+      return res.status(status).json(body);
+    }
+    res.json({ success: true, data: { mapel, ...analisis } });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/admin/mapel/:id/analisis/export?format=csv|xlsx&bagian=peserta|butir|grup&group_by=
+ * CSV berisi satu bagian (default peserta); XLSX berisi semua bagian sebagai sheet terpisah.
+ */
+adminRouter.get('/mapel/:id/analisis/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const bagian = String(req.query.bagian || 'peserta').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format harus csv atau xlsx' });
+    }
+    if (!BAGIAN_LAPORAN.includes(bagian)) {
+      return res.status(400).json({ success: false, message: `bagian harus salah satu dari: ${BAGIAN_LAPORAN.join(', ')}` });
+    }
+    if (bagian === 'grup' && !req.query.group_by) {
+      return res.status(400).json({ success: false, message: 'bagian grup wajib memakai group_by' });
+    }
+
+    const { mapel, analisis, status, body } = await analisisDariRequest(req);
+    if (!analisis) {
+      return res.status(status).json(body);
+    }
+
+    const nama = String(mapel.nama_mata_pelajaran || mapel.id).replace(/[^\w-]+/g, '_');
+    if (format === 'xlsx') {
+      const sheets = [
+        { nama: 'Peserta', ...tabelPeserta(analisis) },
+        { nama: 'Butir Soal', ...tabelButir(analisis) }
+      ];
+      if (analisis.group_by) {
+        sheets.push({ nama: `Per ${analisis.group_by}`, ...tabelGrup(analisis) });
+      }
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="analisis_${nama}.xlsx"`);
+      return res.send(buatXlsx(sheets));
+    }
+
+    const tabel = { peserta: tabelPeserta, butir: tabelButir, grup: tabelGrup }[bagian](analisis);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="analisis_${bagian}_${nama}.csv"`);
+    res.send('\ufeff' + tabelKeCsv(tabel.kolom, tabel.baris));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+router.use('/admin', adminRouter);
+
+/* =========================================================
+ * PROKTOR API (/api/proktor/*) - role "proktor" atau "admin"
+ * Login memakai POST /api/admin/login (tabel admin_user, role proktor).
+ * ========================================================= */
+
+const PROKTOR_INTERVAL_MS = (Number(process.env.PROKTOR_INTERVAL_SECONDS) || 5) * 1000;
+// Vercel memutus fungsi serverless setelah batas durasi; EventSource akan reconnect otomatis
+const PROKTOR_STREAM_SECONDS = Number(process.env.PROKTOR_STREAM_SECONDS) || 55;
+
+const proktorRouter = express.Router();
+
+// Tiket stream hanya untuk membuka satu koneksi SSE; setiap sambung ulang meminta tiket baru
+const TIKET_STREAM_MENIT = 2;
+
+/**
+ * EventSource tidak bisa mengirim header Authorization, jadi stream memakai tiket di ?tiket=
+ * (bukan token sesi): berumur pendek, hanya untuk /agenda/:id/stream agenda itu, dan ikut
+ * tidak berlaku jika sesi staf yang menerbitkannya dicabut (logout).
+ */
+function buatTiketStream(session, agendaId) {
+  const { token, payload } = signSession(
+    { typ: 'tiket_stream', sub: session.sub, role: session.role, sid: session.jti, agd: agendaId },
+    TIKET_STREAM_MENIT
+  );
+  return { tiket: token, berlaku_sampai: new Date(payload.exp * 1000).toISOString() };
+}
+
+async function requireTiketStream(req, res, next) {
+  try {
+    const { payload } = verifySession(req.query.tiket);
+    const valid =
+      !!payload &&
+      payload.typ === 'tiket_stream' &&
+      ['proktor', 'admin'].includes(payload.role) &&
+      String(payload.agd) === String(req.params.id);
+    if (!valid || (await isSessionRevoked(payload.sid))) {
+      return res.status(401).json({ success: false, message: 'Tiket stream tidak valid atau kadaluarsa' });
+    }
+    req.staff = { id: payload.sub, role: payload.role };
+    return next();
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ success: false, message: e.message });
+  }
+}
+
+/**
+ * Snapshot monitor satu agenda: semua peserta x mapel beserta status sesi.
+ * status: Belum | Proses | Selesai (terkunci ditandai terpisah)
+ */
+async function buildMonitorAgenda(agendaId, mapelId) {
+  const agenda = await getById('agenda_ujian', agendaId, 'id,agenda_ujian,tgljam_mulai,tgljam_selesai');
+  if (!agenda) {
+    return null;
+  }
+
+  const mapelFilter = { id_agenda: agenda.id };
+  if (mapelId) {
+    mapelFilter.id = String(mapelId);
+  }
+  const mapelList = await db.mapel.cari(mapelFilter, {
+    select: 'id,nama_mata_pelajaran,durasi_ujian,jumlah_soal,jadwal_selesai',
+    order: 'id.asc'
+  });
+
+  const peserta = await getPesertaAgenda(agenda.id, 'id,nama_peserta,nis_username,kelas');
+
+  const jawabanFilter = { id_agenda: agenda.id };
+  if (mapelId) {
+    jawabanFilter.id_mapel = String(mapelId);
+  }
+  const jawabanList = await db.jawaban.cari(jawabanFilter, {
+    select:
+      'id,id_peserta,id_mapel,status,tgljam_mulai,tgljam_selesai,tambahan_waktu,jumlah_terjawab,terakhir_simpan,jumlah_pelanggaran,terkunci,nilai'
+  });
+
+  const now = Date.now();
+  const sesiByKey = new Map(jawabanList.map((j) => [`${j.id_peserta}:${j.id_mapel}`, j]));
+  const ringkasan = { Belum: 0, Proses: 0, Selesai: 0, terkunci: 0 };
+
+  const data = peserta.map((p) => ({
+    id_peserta: p.id,
+    nama_peserta: p.nama_peserta,
+    nis_username: p.nis_username,
+    kelas: p.kelas,
+    mapel: mapelList.map((m) => {
+      const sesi = sesiByKey.get(`${p.id}:${m.id}`);
+      if (!sesi) {
+        ringkasan.Belum++;
+        return { id_mapel: m.id, status: 'Belum' };
+      }
+
+      const status = sesi.status === 'Selesai' ? 'Selesai' : 'Proses';
+      ringkasan[status]++;
+      if (sesi.terkunci) {
+        ringkasan.terkunci++;
+      }
+
+      const deadline = computeDeadline({
+        mulai: sesi.tgljam_mulai,
+        durasiMenit: m.durasi_ujian,
+        agendaSelesai: agenda.tgljam_selesai,
+        mapelSelesai: m.jadwal_selesai,
+        tambahanMenit: sesi.tambahan_waktu
+      });
+
+      return {
+        id_mapel: m.id,
+        id_jawaban: sesi.id,
+        status,
+        terjawab: sesi.jumlah_terjawab || 0,
+        jumlah_soal: m.jumlah_soal || 0,
+        terakhir_simpan: sesi.terakhir_simpan || null,
+        sisa_waktu_ms: status === 'Proses' ? remainingMs(deadline, now) : null,
+        tambahan_waktu: sesi.tambahan_waktu || 0,
+        jumlah_pelanggaran: sesi.jumlah_pelanggaran || 0,
+        terkunci: !!sesi.terkunci,
+        nilai: status === 'Selesai' ? sesi.nilai : null
+      };
+    })
+  }));
+
+  return {
+    agenda,
+    mapel: mapelList,
+    ringkasan,
+    server_time: new Date(now).toISOString(),
+    peserta: data
+  };
+}
+
+proktorRouter.get('/agenda/:id/stream', requireTiketStream, streamMonitorAgenda);
+proktorRouter.use(requireRole('proktor', 'admin'));
+
+/**
+ * POST /api/proktor/logout
+ */
+proktorRouter.post('/logout', async (req, res) => {
+  try {
+    await revokeSession(req.session);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/proktor/agenda
+ */
+proktorRouter.get('/agenda', async (req, res) => {
+  try {
+    const data = await supabaseRequest('agenda_ujian', 'GET', {
+      select: 'id,agenda_ujian,tgljam_mulai,tgljam_selesai',
+      order: 'tgljam_mulai.desc'
+    });
+    res.json({ success: true, data: data || [] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/proktor/agenda/:id/monitor?mapel_id=
+ */
+proktorRouter.get('/agenda/:id/monitor', async (req, res) => {
+  try {
+    const data = await buildMonitorAgenda(req.params.id, req.query.mapel_id);
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    res.json({ success: true, data });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/proktor/agenda/:id/token
+ * Token ujian yang berlaku sekarang untuk dibacakan/ditulis pengawas.
+ */
+proktorRouter.get('/agenda/:id/token', async (req, res) => {
+  try {
+    const agenda = await getById('agenda_ujian', req.params.id, 'id,token_ujian,token_secret');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    if (!agenda.token_secret) {
+      // Agenda lama: token statis sampai admin membuat token baru
+      return res.json({ success: true, token: agenda.token_ujian || null, berlaku_sampai: null, window_detik: null });
+    }
+    res.json({ success: true, ...tokenAktif(agenda.token_secret) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/proktor/agenda/:id/stream-tiket
+ * Tiket untuk membuka GET /agenda/:id/stream (berlaku TIKET_STREAM_MENIT).
+ */
+proktorRouter.post('/agenda/:id/stream-tiket', async (req, res) => {
+  try {
+    const agenda = await db.agenda.byId(req.params.id, 'id');
+    if (!agenda) {
+      return res.status(404).json({ success: false, message: 'Agenda tidak ditemukan' });
+    }
+    res.json({ success: true, ...buatTiketStream(req.session, agenda.id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * GET /api/proktor/agenda/:id/stream?mapel_id=&tiket=
+ * Server-Sent Events: event "snapshot" berisi data yang sama dengan /monitor.
+ * Didaftarkan sebelum requireRole karena memakai tiket, bukan header Authorization.
+ */
+async function streamMonitorAgenda(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let busy = false;
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const push = async () => {
+    if (busy || closed) {
+      return;
+    }
+    busy = true;
+    try {
+      const data = await buildMonitorAgenda(req.params.id, req.query.mapel_id);
+      if (!data) {
+        send('error', { message: 'Agenda tidak ditemukan' });
+        stop();
+        return;
+      }
+      send('snapshot', data);
+    } catch (e) {
+      console.error(e);
+      send('error', { message: e.message });
+    } finally {
+      busy = false;
+    }
+  };
+
+  const interval = setInterval(push, PROKTOR_INTERVAL_MS);
+  const timeout = setTimeout(() => stop(), PROKTOR_STREAM_SECONDS * 1000);
+
+  function stop() {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(interval);
+    clearTimeout(timeout);
+    res.end();
+  }
+
+  req.on('close', stop);
+  await push();
+}
+
+/**
+ * Ambil sesi jawaban untuk aksi proktor.
+ */
+async function getSesiProktor(id) {
+  return getById('jawaban', id, 'id,id_peserta,id_agenda,id_mapel,jawaban,tgljam_mulai,status,terkunci,tambahan_waktu');
+}
+
+/**
+ * POST /api/proktor/jawaban/:id/tambah-waktu
+ * body: { menit }  - ditambahkan ke jawaban.tambahan_waktu (kumulatif)
+ */
+proktorRouter.post('/jawaban/:id/tambah-waktu', async (req, res) => {
+  try {
+    const menit = Number((req.body || {}).menit);
+    if (!Number.isInteger(menit) || menit < 1 || menit > 240) {
+      return res.status(400).json({ success: false, message: 'menit harus bilangan bulat 1-240' });
+    }
+
+    const row = await getSesiProktor(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Sesi jawaban tidak ditemukan' });
+    }
+    if (row.status === 'Selesai') {
+      return res.status(409).json({ success: false, message: 'Sesi sudah selesai, reset dulu jika perlu dilanjutkan' });
+    }
+
+    const tambahan = (Number(row.tambahan_waktu) || 0) + menit;
+    await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, { tambahan_waktu: tambahan });
+    const deadline = await getExamDeadline({ ...row, tambahan_waktu: tambahan });
+
+    res.json({
+      success: true,
+      tambahan_waktu: tambahan,
+      deadline: deadline ? deadline.toISOString() : null,
+      sisa_waktu_ms: remainingMs(deadline)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/proktor/jawaban/:id/reset
+ * body: { menit? } - tambahan waktu sekaligus (wajib jika deadline sudah lewat, ditolak 400 dengan `menit_minimal`)
+ * Kembalikan sesi yang macet/terlanjur selesai ke status Proses. Jawaban tersimpan tidak dihapus.
+ */
+proktorRouter.post('/jawaban/:id/reset', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const menit = body.menit === undefined || body.menit === null ? 0 : Number(body.menit);
+    if (body.menit !== undefined && body.menit !== null && (!Number.isInteger(menit) || menit < 1 || menit > 240)) {
+      return res.status(400).json({ success: false, message: 'menit harus bilangan bulat 1-240' });
+    }
+
+    const row = await getSesiProktor(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Sesi jawaban tidak ditemukan' });
+    }
+
+    // Sesi yang waktunya habis akan langsung diselesaikan lagi oleh save-jawaban/cron, jadi wajib ditambah waktu
+    const tambahan = (Number(row.tambahan_waktu) || 0) + menit;
+    const deadline = await getExamDeadline({ ...row, tambahan_waktu: tambahan });
+    if (isPastGrace(deadline)) {
+      const kurang = menit + Math.ceil((Date.now() - deadline.getTime()) / 60000) + 1;
+      return res.status(400).json({
+        success: false,
+        message: `Waktu ujian sudah habis; isi menit tambahan (minimal ${kurang}) agar peserta bisa melanjutkan`,
+        menit_minimal: kurang
+      });
+    }
+
+    const patch = { status: 'Proses', tgljam_selesai: null, terkunci: false };
+    if (menit) {
+      patch.tambahan_waktu = tambahan;
+    }
+    await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, patch);
+
+    res.json({
+      success: true,
+      tambahan_waktu: tambahan,
+      deadline: deadline ? deadline.toISOString() : null,
+      sisa_waktu_ms: remainingMs(deadline)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
+
+/**
+ * POST /api/proktor/jawaban/:id/selesaikan
+ * Paksa selesai: jawaban tersimpan terakhir langsung dinilai.
+ */
+proktorRouter.post('/jawaban/:id/selesaikan', async (req, res) => {
+  try {
+    const row = await getSesiProktor(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Sesi jawaban tidak ditemukan' });
+    }
+    if (row.status === 'Selesai') {
+      return res.json({ success: true, sudah_selesai: true });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Kode OTP telah dikirim',
-      // Hanya untuk development/testing, hapus di production
-      otp: process.env.NODE_ENV === 'development' ? otp : undefined,
-      user_id: user.id,
-      nama: user.nama_peserta
-    });
+    const hasil = await finalizeJawaban(row);
+    res.json({ success: true, nilai: hasil.nilai });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -292,179 +3682,195 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 /**
- * POST /api/verify-otp
- * Verifikasi OTP
+ * POST /api/proktor/jawaban/:id/buka-kunci
+ * Buka sesi yang dikunci kebijakan pelanggaran. Pelanggaran berikutnya akan mengunci lagi.
  */
-router.post('/verify-otp', async (req, res) => {
-  const { user_id, otp } = req.body || {};
+proktorRouter.post('/jawaban/:id/buka-kunci', async (req, res) => {
   try {
-    if (!user_id || !otp) return res.status(400).json({ success: false, message: 'User ID dan OTP wajib diisi' });
-
-    // Cari OTP yang valid
-    const otpList = await supabaseRequest('password_reset', 'GET', {
-      select: 'id,otp_code,expires_at,status',
-      user_id: `eq.${user_id}`,
-      otp_code: `eq.${otp}`,
-      status: `eq.pending`,
-      order: 'created_at.desc',
-      limit: 1
-    });
-
-    if (!otpList || otpList.length === 0) {
-      return res.status(400).json({ success: false, message: 'Kode OTP tidak valid' });
+    const row = await getSesiProktor(req.params.id);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Sesi jawaban tidak ditemukan' });
     }
-
-    const otpData = otpList[0];
-    const now = new Date();
-    const expiryDate = new Date(otpData.expires_at);
-
-    if (now > expiryDate) {
-      await supabaseRequest(
-        'password_reset',
-        'PATCH',
-        { id: `eq.${otpData.id}` },
-        { status: 'expired' }
-      );
-      return res.status(400).json({ success: false, message: 'Kode OTP sudah kadaluarsa' });
+    if (!row.terkunci) {
+      return res.json({ success: true, message: 'Sesi tidak dalam keadaan terkunci' });
     }
 
-    // Update status OTP menjadi verified
-    await supabaseRequest(
-      'password_reset',
-      'PATCH',
-      { id: `eq.${otpData.id}` },
-      { status: 'verified', verified_at: new Date().toISOString() }
-    );
-
-    // Generate reset token untuk reset password
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const tokenExpiry = new Date(Date.now() + 30 * 60000); // 30 menit
-
-    await supabaseRequest(
-      'password_reset',
-      'PATCH',
-      { id: `eq.${otpData.id}` },
-      { 
-        reset_token: resetToken,
-        token_expires_at: tokenExpiry.toISOString()
-      }
-    );
-
-    res.json({ 
-      success: true, 
-      message: 'OTP berhasil diverifikasi',
-      reset_token: resetToken,
-      token_expires_at: tokenExpiry.toISOString()
+    await supabaseRequest('jawaban', 'PATCH', { id: `eq.${row.id}` }, {
+      terkunci: false,
+      dibuka_oleh: req.staff.id,
+      dibuka_pada: new Date().toISOString()
     });
+    res.json({ success: true });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
+router.use('/proktor', proktorRouter);
+
+/* ---------- Penilaian esai oleh guru (/api/penilai) ---------- */
+
+const penilaiRouter = express.Router();
+penilaiRouter.use(requireRole('penilai', 'admin'));
+
+const MAPEL_PENILAIAN_SELECT = `id,id_agenda,nama_mata_pelajaran,${KOLOM_PENGATURAN_ESAI}`;
+const PENILAIAN_ESAI_SELECT = 'id,id_jawaban,id_soal,id_penilai,penilai_ke,skor,skor_rubrik,komentar,updated_at';
+// Kunci HMAC kode anonim; di production server menolak start tanpa SESSION_SECRET / SUPABASE_KEY
+const RAHASIA_KODE_ESAI = kunciKodeAnonim();
+
 /**
- * POST /api/reset-password
- * Reset password dengan token
+ * Jawaban esai terisi dari semua sesi Selesai satu mapel beserta penilaiannya.
+ * Esai kosong tidak masuk antrean (langsung bernilai 0, lihat scoreExam).
+ * @returns {Promise<{ soal: object[], items: object[] }>} item: { sesi, soal, jawaban, penilaian, status, skor }
  */
-router.post('/reset-password', async (req, res) => {
-  const { reset_token, new_password, confirm_password } = req.body || {};
-  try {
-    if (!reset_token || !new_password || !confirm_password) {
-      return res.status(400).json({ success: false, message: 'Token dan password baru wajib diisi' });
-    }
-
-    if (new_password !== confirm_password) {
-      return res.status(400).json({ success: false, message: 'Password baru tidak cocok' });
-    }
+async function muatJawabanEsai(mapel, soalId) {
+  const soal =
+    (await supabaseRequest('bank_soal', 'GET', {
+      select: 'id,no_soal,type_soal,pertanyaan,kunci_jawaban,bobot,rubrik',
+      id_mapel: `eq.${mapel.id}`,
+      order: 'no_soal.asc',
+      limit: 500
+    })) || [];
+  const esai = soal.filter((s) => getTipeSoal(s.type_soal) === 'esai' && (!soalId || String(s.id) === String(soalId)));
+  if (esai.length === 0) {
+    return { soal: esai, items: [] };
+  }
 
-    if (new_password.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password minimal 6 karakter' });
-    }
+  const [sesi, penilaian] = await Promise.all([
+    ambilSemua('jawaban', {
+      select: 'id,id_peserta,id_mapel,jawaban',
+      id_mapel: `eq.${mapel.id}`,
+      status: 'eq.Selesai',
+      order: 'id.asc'
+    }),
+    ambilSemua('penilaian_esai', { select: PENILAIAN_ESAI_SELECT, id_mapel: `eq.${mapel.id}`, order: 'id.asc' })
+  ]);
+  const kelompok = kelompokPenilaian(penilaian);
 
-    // Cari reset token yang valid
-    const resetList = await supabaseRequest('password_reset', 'GET', {
-      select: 'id,user_id,reset_token,token_expires_at,status',
-      reset_token: `eq.${reset_token}`,
-      status: `eq.verified`,
-      limit: 1
+  const items = [];
+  sesi.forEach((row) => {
+    // Format lama jawaban.jawaban butuh seluruh soal untuk posisi
+    const map = decodeJawaban(soal, row.jawaban);
+    esai.forEach((s) => {
+      if (map[s.id] === undefined) {
+        return;
+      }
+      const list = kelompok.get(`${row.id}:${s.id}`) || [];
+      items.push({ sesi: row, soal: s, jawaban: map[s.id], penilaian: list, ...statusEsai(list, mapel, s.bobot) });
     });
+  });
+  return { soal: esai, items };
+}
 
-    if (!resetList || resetList.length === 0) {
-      return res.status(400).json({ success: false, message: 'Token reset tidak valid' });
-    }
+function progresEsai(soal, items) {
+  return {
+    ...ringkasProgres(items.map((item) => item.status)),
+    per_soal: soal.map((s) => ({
+      id_soal: s.id,
+      no_soal: s.no_soal,
+      ...ringkasProgres(items.filter((item) => item.soal === s).map((item) => item.status))
+    }))
+  };
+}
 
-    const resetData = resetList[0];
-    const now = new Date();
-    const tokenExpiry = new Date(resetData.token_expires_at);
+function penilaianPublik(p) {
+  return {
+    penilai_ke: Number(p.penilai_ke),
+    skor: Number(p.skor),
+    skor_rubrik: p.skor_rubrik || null,
+    komentar: p.komentar || null,
+    updated_at: p.updated_at || null
+  };
+}
 
-    if (now > tokenExpiry) {
-      await supabaseRequest(
-        'password_reset',
-        'PATCH',
-        { id: `eq.${resetData.id}` },
-        { status: 'expired' }
-      );
-      return res.status(400).json({ success: false, message: 'Token reset sudah kadaluarsa' });
-    }
+/**
+ * Satu item antrean untuk penilai. Penilai kedua tidak melihat nilai penilai pertama (penilaian buta);
+ * moderator melihat keduanya.
+ */
+function itemAntrean(item, mapel, staffId) {
+  const tahap = tahapPenilai(item.penilaian, mapel, item.soal.bobot, staffId);
+  const milik = item.penilaian.find((p) => String(p.id_penilai) === String(staffId));
+  const out = {
+    id_jawaban: item.sesi.id,
+    id_soal: item.soal.id,
+    no_soal: item.soal.no_soal,
+    kode: kodeAnonim(item.sesi.id, RAHASIA_KODE_ESAI),
+    status: item.status,
+    penilai_ke: tahap.penilai_ke || null,
+    jawaban: item.jawaban,
+    penilaian_saya: milik ? penilaianPublik(milik) : null
+  };
+  if (tahap.penilai_ke === 3) {
+    out.penilaian_lain = item.penilaian.filter((p) => Number(p.penilai_ke) < 3).map(penilaianPublik);
+  }
+  return out;
+}
 
-    // TANPA HASH: simpan password plaintext
-    // Update password user
-    await supabaseRequest(
-      'peserta',
-      'PATCH',
-      { id: `eq.${resetData.user_id}` },
-      { password: String(new_password) } // PLAINTEXT
-    );
+async function getMapelPenilaian(id) {
+  return getById('mata_pelajaran', id, MAPEL_PENILAIAN_SELECT);
+}
 
-    // Update status reset menjadi completed
-    await supabaseRequest(
-      'password_reset',
-      'PATCH',
-      { id: `eq.${resetData.id}` },
-      { 
-        status: 'completed',
-        completed_at: new Date().toISOString()
-      }
-    );
+/**
+ * POST /api/penilai/logout
+ */
+penilaiRouter.post('/logout', async (req, res) => {
+  try {
+    await revokeSession(req.session);
+    res.json({ success: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: e.message });
+  }
+});
 
-    res.json({ 
-      success: true, 
-      message: 'Password berhasil direset. Silakan login dengan password baru.' 
+/**
+ * GET /api/penilai/agenda
+ */
+penilaiRouter.get('/agenda', async (req, res) => {
+  try {
+    const data = await supabaseRequest('agenda_ujian', 'GET', {
+      select: 'id,agenda_ujian,tgljam_mulai,tgljam_selesai',
+      order: 'tgljam_mulai.desc'
     });
+    res.json({ success: true, data: data || [] });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
-// Endpoint untuk membersihkan data reset password yang expired
-router.post('/cleanup-expired-resets', async (req, res) => {
+/**
+ * GET /api/penilai/mapel?agenda_id=
+ * Mapel agenda yang punya soal esai, dengan progres penilaiannya.
+ */
+penilaiRouter.get('/mapel', async (req, res) => {
   try {
-    const now = new Date().toISOString();
-    
-    // Update status yang expired
-    await supabaseRequest(
-      'password_reset',
-      'PATCH',
-      {
-        status: 'eq.pending',
-        expires_at: `lt.${now}`
-      },
-      { status: 'expired' }
+    if (!req.query.agenda_id) {
+      return res.status(400).json({ success: false, message: 'agenda_id wajib diisi' });
+    }
+    const mapelList = await db.mapel.cari(
+      { id_agenda: String(req.query.agenda_id) },
+      { select: MAPEL_PENILAIAN_SELECT, order: 'urutan.asc.nullslast,id.asc' }
     );
-    
-    // Hapus data yang sudah completed lebih dari 7 hari
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-    await supabaseRequest(
-      'password_reset',
-      'DELETE',
-      {
-        status: 'eq.completed',
-        completed_at: `lt.${sevenDaysAgo}`
+
+    const data = [];
+    for (const mapel of mapelList) {
+      const { soal, items } = await muatJawabanEsai(mapel);
+      if (soal.length > 0) {
+        const { anonim, duaPenilai, batasSelisih } = pengaturanEsai(mapel);
+        data.push({
+          id: mapel.id,
+          nama_mata_pelajaran: mapel.nama_mata_pelajaran,
+          penilaian_anonim: anonim,
+          penilai_kedua: duaPenilai,
+          batas_selisih_esai: batasSelisih,
+          jumlah_soal_esai: soal.length,
+          progres: ringkasProgres(items.map((item) => item.status))
+        });
       }
-    );
-    
-    res.json({ success: true, message: 'Cleanup berhasil' });
+    }
+    res.json({ success: true, data });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -472,27 +3878,17 @@ router.post('/cleanup-expired-resets', async (req, res) => {
 });
 
 /**
- * POST /api/verify-token
- * body: { agenda_id, token }
+ * GET /api/penilai/mapel/:id/progres
+ * Jumlah jawaban esai per status (belum, menunggu_kedua, moderasi, selesai), total & per soal.
  */
-router.post('/verify-token', async (req, res) => {
-  const { agenda_id, token } = req.body || {};
+penilaiRouter.get('/mapel/:id/progres', async (req, res) => {
   try {
-    if (!agenda_id || !token) return res.status(400).json({ success: false, message: 'agenda_id & token wajib' });
-
-    const ag = await supabaseRequest('agenda_ujian', 'GET', {
-      select: 'token_ujian,agenda_ujian',
-      id: `eq.${agenda_id}`,
-      limit: 1
-    });
-
-    if (!ag || ag.length === 0) return res.status(400).json({ success: false, message: 'Agenda error' });
-
-    if (String(ag[0].token_ujian).trim().toUpperCase() !== String(token).trim().toUpperCase()) {
-      return res.status(400).json({ success: false, message: 'Token Salah!' });
+    const mapel = await getMapelPenilaian(req.params.id);
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
     }
-
-    res.json({ success: true });
+    const { soal, items } = await muatJawabanEsai(mapel);
+    res.json({ success: true, mapel, data: progresEsai(soal, items) });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -500,36 +3896,58 @@ router.post('/verify-token', async (req, res) => {
 });
 
 /**
- * GET /api/mapel?agenda_id=...&peserta_id=...
+ * GET /api/penilai/mapel/:id/antrean?id_soal=&status=perlu|saya&limit=
+ * perlu (default): jawaban yang bisa dinilai penilai ini sekarang; saya: yang sudah ia nilai.
+ * Identitas peserta hanya dikirim jika mapel.penilaian_anonim = false.
  */
-router.get('/mapel', async (req, res) => {
-  const { agenda_id, peserta_id } = req.query || {};
+penilaiRouter.get('/mapel/:id/antrean', async (req, res) => {
   try {
-    if (!agenda_id || !peserta_id) {
-      return res.status(400).json({ success: false, message: 'agenda_id & peserta_id wajib' });
+    const status = String(req.query.status || 'perlu');
+    if (!['perlu', 'saya'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'status harus perlu atau saya' });
     }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
 
-    const mapelList = await supabaseRequest('mata_pelajaran', 'GET', {
-      select: 'id,nama_mata_pelajaran,jumlah_soal,durasi_ujian',
-      id_agenda: `eq.${agenda_id}`,
-      status_mapel: 'eq.Siap',
-      order: 'id.asc'
-    });
+    const mapel = await getMapelPenilaian(req.params.id);
+    if (!mapel) {
+      return res.status(404).json({ success: false, message: 'Mapel tidak ditemukan' });
+    }
+    const { soal, items } = await muatJawabanEsai(mapel, req.query.id_soal);
 
-    if (!mapelList) return res.json({ success: true, data: [] });
+    const staffId = req.staff.id;
+    const cocok = items
+      .map((item) => itemAntrean(item, mapel, staffId))
+      .filter((item) => (status === 'saya' ? item.penilaian_saya : item.penilai_ke && !item.penilaian_saya))
+      // Urut kode (acak tetapi stabil) agar urutan antrean tidak mengikuti urutan peserta
+      .sort((a, b) => a.no_soal - b.no_soal || a.kode.localeCompare(b.kode));
+    const halaman = cocok.slice(0, limit);
 
-    const jawabanSiswa = await supabaseRequest('jawaban', 'GET', {
-      select: 'id_mapel,status',
-      id_agenda: `eq.${agenda_id}`,
-      id_peserta: `eq.${peserta_id}`
-    });
+    if (!pengaturanEsai(mapel).anonim && halaman.length > 0) {
+      const sesiById = new Map(items.map((item) => [String(item.sesi.id), item.sesi]));
+      const peserta = await getPesertaByIds(
+        halaman.map((item) => sesiById.get(String(item.id_jawaban)).id_peserta),
+        'id,nama_peserta,nis_username,kelas'
+      );
+      const pesertaById = new Map(peserta.map((p) => [String(p.id), p]));
+      halaman.forEach((item) => {
+        item.peserta = pesertaById.get(String(sesiById.get(String(item.id_jawaban)).id_peserta)) || null;
+      });
+    }
 
-    const finalData = mapelList.map((m) => {
-      const jwb = jawabanSiswa ? jawabanSiswa.find((j) => String(j.id_mapel) === String(m.id)) : null;
-      return { ...m, status_kerjakan: jwb ? jwb.status : 'Belum' };
+    res.json({
+      success: true,
+      mapel,
+      soal: soal.map((s) => ({
+        id: s.id,
+        no_soal: s.no_soal,
+        pertanyaan: sanitasiKontenSoal({ pertanyaan: s.pertanyaan }).pertanyaan,
+        pedoman: s.kunci_jawaban || null,
+        bobot: Number(s.bobot) > 0 ? Number(s.bobot) : 1,
+        rubrik: normalisasiRubrik(s.rubrik).rubrik
+      })),
+      total: cocok.length,
+      data: halaman
     });
-
-    res.json({ success: true, data: finalData });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -537,112 +3955,170 @@ router.get('/mapel', async (req, res) => {
 });
 
 /**
- * POST /api/get-soal
- * body: { agenda_id, peserta_id, mapel_id }
- * PERUBAHAN: Hanya ambil field yang ada di database
+ * POST /api/penilai/nilai
+ * body: { id_jawaban, id_soal, poin: [per kriteria rubrik] | skor: 0..bobot, komentar? }
+ * Tahap (penilai pertama / kedua / moderasi) ditentukan server; nilai sesi langsung dihitung ulang.
  */
-router.post('/get-soal', async (req, res) => {
-  const { agenda_id, peserta_id, mapel_id } = req.body || {};
+penilaiRouter.post('/nilai', async (req, res) => {
   try {
-    if (!agenda_id || !peserta_id || !mapel_id) {
-      return res.status(400).json({ success: false, message: 'agenda_id, peserta_id, mapel_id wajib' });
+    const body = req.body || {};
+    const err = requireFields(body, ['id_jawaban', 'id_soal']);
+    if (err) {
+      return res.status(400).json({ success: false, message: err });
     }
 
-    const mapelRes = await supabaseRequest('mata_pelajaran', 'GET', {
-      select: 'id,nama_mata_pelajaran,durasi_ujian',
-      id: `eq.${mapel_id}`,
-      limit: 1
-    });
-    if (!mapelRes || mapelRes.length === 0) throw new Error('Mapel Invalid');
-    const mapel = mapelRes[0];
-
-    const pRes = await supabaseRequest('peserta', 'GET', { select: 'nama_peserta', id: `eq.${peserta_id}`, limit: 1 });
-    const aRes = await supabaseRequest('agenda_ujian', 'GET', { select: 'agenda_ujian', id: `eq.${agenda_id}`, limit: 1 });
-    const namaP = pRes?.[0]?.nama_peserta || '-';
-    const namaA = aRes?.[0]?.agenda_ujian || '-';
+    const sesi = await getById('jawaban', body.id_jawaban, 'id,id_mapel,status,jawaban');
+    if (!sesi) {
+      return res.status(404).json({ success: false, message: 'Sesi jawaban tidak ditemukan' });
+    }
+    if (sesi.status !== 'Selesai') {
+      return res.status(409).json({ success: false, message: 'Ujian peserta belum selesai' });
+    }
 
-    // AMBIL SEMUA FIELD YANG ADA DI DATABASE - HANYA FIELD YANG DIPERLUKAN
-    // Hapus gambar_a, gambar_b, gambar_c, gambar_d, gambar_e jika tidak ada di database
-    const soal = await supabaseRequest('bank_soal', 'GET', {
-      select:
-        'id,pertanyaan,type_soal,no_soal,pilihan_a,pilihan_b,pilihan_c,pilihan_d,pilihan_e,gambar_url,pernyataan_1,pernyataan_2,pernyataan_3,pernyataan_4,pernyataan_5,pernyataan_6,pernyataan_7,pernyataan_8,pernyataan_kiri_1,pernyataan_kiri_2,pernyataan_kiri_3,pernyataan_kiri_4,pernyataan_kiri_5,pernyataan_kiri_6,pernyataan_kiri_7,pernyataan_kiri_8,pernyataan_kanan_1,pernyataan_kanan_2,pernyataan_kanan_3,pernyataan_kanan_4,pernyataan_kanan_5,pernyataan_kanan_6,pernyataan_kanan_7,pernyataan_kanan_8',
-      id_mapel: `eq.${mapel_id}`,
-      order: 'no_soal.asc', // URUTKAN BERDASARKAN no_soal
-      limit: 500
-    });
+    const [mapel, soalList] = await Promise.all([
+      getMapelPenilaian(sesi.id_mapel),
+      supabaseRequest('bank_soal', 'GET', {
+        select: 'id,no_soal,type_soal,bobot,rubrik',
+        id_mapel: `eq.${sesi.id_mapel}`,
+        order: 'no_soal.asc',
+        limit: 500
+      })
+    ]);
+    const soal = (soalList || []).find((s) => String(s.id) === String(body.id_soal));
+    if (!soal || getTipeSoal(soal.type_soal) !== 'esai') {
+      return res.status(400).json({ success: false, message: 'Soal bukan soal esai mapel ini' });
+    }
+    if (decodeJawaban(soalList, sesi.jawaban)[soal.id] === undefined) {
+      return res.status(400).json({ success: false, message: 'Jawaban esai kosong, otomatis bernilai 0' });
+    }
 
-    const jRes = await supabaseRequest('jawaban', 'GET', {
-      select: 'id,jawaban,tgljam_mulai,status',
-      id_peserta: `eq.${peserta_id}`,
-      id_mapel: `eq.${mapel_id}`,
-      limit: 1
-    });
+    const tabel = db.tabel('penilaian_esai');
+    const penilaian = await tabel.cari({ id_jawaban: sesi.id, id_soal: soal.id }, { select: PENILAIAN_ESAI_SELECT });
+    const tahap = tahapPenilai(penilaian, mapel, soal.bobot, req.staff.id);
+    if (tahap.error) {
+      return res.status(409).json({ success: false, message: tahap.error });
+    }
 
-    let status = 'Baru';
-    let jwbStr = '';
-    let waktuMulai = new Date().toISOString();
+    const skor = hitungSkor({ rubrik: soal.rubrik, bobot: soal.bobot, poin: body.poin, skor: body.skor });
+    if (skor.error) {
+      return res.status(400).json({ success: false, message: skor.error });
+    }
 
-    if (jRes && jRes.length > 0) {
-      status = jRes[0].status === 'Selesai' ? 'Selesai' : 'Lanjut';
-      jwbStr = jRes[0].jawaban || '';
-      waktuMulai = jRes[0].tgljam_mulai;
+    const now = new Date().toISOString();
+    const isi = {
+      skor: skor.skor,
+      skor_rubrik: skor.skor_rubrik,
+      komentar: body.komentar ? String(body.komentar).trim().slice(0, 2000) : null,
+      updated_at: now
+    };
+    let baris;
+    if (tahap.ubah) {
+      [baris] = await tabel.ubah({ id: tahap.ubah.id }, isi);
     } else {
-      jwbStr = Array(soal ? soal.length : 0).fill('-').join('|');
-      await supabaseRequest('jawaban', 'POST', null, {
-        id_peserta: peserta_id,
-        id_agenda: agenda_id,
-        id_mapel: mapel_id,
-        nama_peserta_snap: namaP,
-        nama_agenda_snap: namaA,
-        nama_mapel_snap: mapel.nama_mata_pelajaran,
-        jawaban: jwbStr,
-        tgljam_login: waktuMulai,
-        tgljam_mulai: waktuMulai,
-        status: 'Proses'
-      });
+      try {
+        [baris] = await tabel.tambah({
+          id_jawaban: sesi.id,
+          id_mapel: sesi.id_mapel,
+          id_soal: soal.id,
+          id_penilai: req.staff.id,
+          penilai_ke: tahap.penilai_ke,
+          ...isi,
+          created_at: now
+        });
+      } catch (e) {
+        if (!String(e.message).includes('(409)')) {
+          throw e;
+        }
+        return res.status(409).json({ success: false, message: 'Jawaban ini baru saja dinilai penilai lain, muat ulang antrean' });
+      }
     }
 
-    // Log untuk debugging
-    console.log(`[GET-SOAL] Mapel: ${mapel.nama_mata_pelajaran}, Jumlah soal: ${soal ? soal.length : 0}`);
-    if (soal && soal.length > 0) {
-      console.log(`[GET-SOAL] Sample soal pertama - ID: ${soal[0].id}, No Soal: ${soal[0].no_soal}`);
-    }
+    const terbaru = [...penilaian.filter((p) => !tahap.ubah || p.id !== tahap.ubah.id), baris || { ...isi, penilai_ke: tahap.penilai_ke }];
+    const esai = statusEsai(terbaru, mapel, soal.bobot);
+    const hasil = await hitungUlangNilai(sesi);
 
     res.json({
       success: true,
-      status,
-      waktu_mulai: waktuMulai,
-      jawaban_sebelumnya: jwbStr,
-      mapel_detail: mapel,
-      data_soal: soal || []
+      data: {
+        penilai_ke: tahap.penilai_ke,
+        skor: skor.skor,
+        status: esai.status,
+        skor_akhir: esai.skor,
+        nilai: hasil.nilai,
+        esai_belum_dinilai: hasil.jumlah_belum_dinilai
+      }
     });
   } catch (e) {
-    console.error('Error di /get-soal:', e);
+    console.error(e);
     res.status(500).json({ success: false, message: e.message });
   }
 });
 
+router.use('/penilai', penilaiRouter);
+
 /**
- * POST /api/save-jawaban
- * body: { pid, aid, mid, jwb }
+ * GET /api/cron/finalize-expired
+ * Dipanggil Vercel Cron: selesaikan otomatis sesi "Proses" yang melewati batas waktu
  */
-router.post('/save-jawaban', async (req, res) => {
-  const { pid, aid, mid, jwb } = req.body || {};
+router.get('/cron/finalize-expired', requireCron, async (req, res) => {
   try {
-    if (!pid || !aid || !mid) return res.status(400).json({ success: false, message: 'pid, aid, mid wajib' });
+    const rows = await supabaseRequest('jawaban', 'GET', {
+      select: 'id,id_peserta,id_agenda,id_mapel,jawaban,tgljam_mulai,status,tambahan_waktu',
+      status: 'eq.Proses',
+      limit: 1000
+    });
 
-    await supabaseRequest(
-      'jawaban',
-      'PATCH',
-      {
-        id_peserta: `eq.${pid}`,
-        id_mapel: `eq.${mid}`,
-        id_agenda: `eq.${aid}`
-      },
-      { jawaban: jwb }
-    );
+    if (!rows || rows.length === 0) {
+      return res.json({ success: true, diselesaikan: 0 });
+    }
 
-    res.json({ success: true });
+    const mapelIds = [...new Set(rows.map((r) => r.id_mapel))];
+    const agendaIds = [...new Set(rows.map((r) => r.id_agenda))];
+
+    const mapelList = await supabaseRequest('mata_pelajaran', 'GET', {
+      select: 'id,durasi_ujian,jadwal_selesai',
+      id: `in.(${mapelIds.join(',')})`
+    });
+    const agendaList = await supabaseRequest('agenda_ujian', 'GET', {
+      select: 'id,tgljam_selesai',
+      id: `in.(${agendaIds.join(',')})`
+    });
+
+    const soalPerMapel = new Map();
+    let diselesaikan = 0;
+
+    for (const row of rows) {
+      const mapel = (mapelList || []).find((m) => String(m.id) === String(row.id_mapel));
+      const agenda = (agendaList || []).find((a) => String(a.id) === String(row.id_agenda));
+      const deadline = computeDeadline({
+        mulai: row.tgljam_mulai,
+        durasiMenit: mapel?.durasi_ujian,
+        agendaSelesai: agenda?.tgljam_selesai,
+        mapelSelesai: mapel?.jadwal_selesai,
+        tambahanMenit: row.tambahan_waktu
+      });
+
+      if (!isPastGrace(deadline)) {
+        continue;
+      }
+
+      if (!soalPerMapel.has(row.id_mapel)) {
+        soalPerMapel.set(
+          row.id_mapel,
+          await supabaseRequest('bank_soal', 'GET', {
+            select: 'id,no_soal,type_soal,kunci_jawaban,bobot,satuan',
+            id_mapel: `eq.${row.id_mapel}`,
+            order: 'no_soal.asc',
+            limit: 500
+          })
+        );
+      }
+
+      await finalizeJawaban(row, { selesaiPada: deadline, soal: soalPerMapel.get(row.id_mapel) });
+      diselesaikan++;
+    }
+
+    res.json({ success: true, diselesaikan });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -650,30 +4126,16 @@ router.post('/save-jawaban', async (req, res) => {
 });
 
 /**
- * POST /api/selesai-ujian
- * body: { pid, aid, mid, jwb }
+ * GET /api/cron/notifikasi-ortu
+ * Dipanggil Vercel Cron: kirim antrean notifikasi hasil ke orang tua yang sudah jatuh tempo
  */
-router.post('/selesai-ujian', async (req, res) => {
-  const { pid, aid, mid, jwb } = req.body || {};
+router.get('/cron/notifikasi-ortu', requireCron, async (req, res) => {
   try {
-    if (!pid || !aid || !mid) return res.status(400).json({ success: false, message: 'pid, aid, mid wajib' });
-
-    await supabaseRequest(
-      'jawaban',
-      'PATCH',
-      {
-        id_peserta: `eq.${pid}`,
-        id_mapel: `eq.${mid}`,
-        id_agenda: `eq.${aid}`
-      },
-      {
-        jawaban: jwb,
-        status: 'Selesai',
-        tgljam_selesai: new Date().toISOString()
-      }
-    );
-
-    res.json({ success: true });
+    const hasil = await kirimNotifikasiOrtu();
+    if (hasil.error) {
+      return res.status(502).json({ success: false, message: hasil.error });
+    }
+    res.json({ success: true, ...hasil });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: e.message });
@@ -690,7 +4152,9 @@ router.get('/health', (req, res) => {
     message: 'Server berjalan dengan baik',
     timestamp: new Date().toISOString(),
     env: {
-      supabase_url: SUPABASE_URL ? 'Terisi' : 'Kosong',
+      db_adapter: db.adapter.nama,
+      cache_soal: soalCache.statistik(),
+      supabase_url: process.env.SUPABASE_URL ? 'Terisi' : 'Kosong',
       node_env: process.env.NODE_ENV || 'development'
     }
   });
@@ -725,6 +4189,14 @@ if (require.main === module) {
     console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
     console.log(`========================================`);
   });
+
+  // Server sendiri (mis. provider whatsapp-web): kirim antrean notifikasi orang tua tanpa Vercel Cron
+  const intervalNotif = Number(process.env.NOTIFY_ORTU_INTERVAL_SECONDS);
+  if (intervalNotif > 0) {
+    setInterval(() => {
+      kirimNotifikasiOrtu().catch((e) => console.error('[notify-ortu]', e));
+    }, intervalNotif * 1000);
+  }
 }
 
 module.exports = app;
@@ -0,0 +1,79 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getTipeSoal } = require('./scoring');
+const { opsiTerisi } = require('./konten-soal');
+
+/**
+ * Pengacakan urutan soal & pilihan per peserta.
+ * Seed diturunkan dari id mapel + id peserta sehingga urutan yang sama
+ * muncul lagi saat peserta melanjutkan ujian (resume).
+ *
+ * Jawaban disimpan per id soal dengan huruf pilihan asli dari bank_soal,
+ * jadi penilaian tidak perlu tahu urutan tampilan.
+ */
+
+/**
+ * PRNG mulberry32: cukup untuk mengacak tampilan, bukan untuk kriptografi.
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * @param {object[]} soalList soal urut no_soal.asc
+ * @param {object} opts
+ * @param {string|number} opts.pesertaId
+ * @param {string|number} opts.mapelId
+ * @param {boolean} [opts.acakSoal]
+ * @param {boolean} [opts.acakOpsi]
+ * @returns {object[]} salinan soal dalam urutan tampilan, dengan `no_tampil`,
+ *   `urutan_opsi` (huruf asli untuk posisi tampilan A, B, C, ...) dan untuk soal Urutan
+ *   `urutan_item` (nomor pernyataan untuk susunan awal)
+ */
+function susunSoal(soalList, { pesertaId, mapelId, acakSoal = false, acakOpsi = false }) {
+  const random = createRandom(`${mapelId}:${pesertaId}`);
+  const urutan = acakSoal ? shuffle(soalList || [], random) : (soalList || []).slice();
+
+  return urutan.map((soal, index) => {
+    const out = { ...soal, no_tampil: index + 1 };
+    const tipe = getTipeSoal(soal.type_soal);
+
+    if (tipe === 'pg' || tipe === 'pgk') {
+      const terisi = opsiTerisi(soal);
+      // Acak per soal dengan seed sendiri agar tidak bergantung pada urutan soal lain
+      out.urutan_opsi = acakOpsi ? shuffle(terisi, createRandom(`${mapelId}:${pesertaId}:${soal.id}`)) : terisi;
+    }
+
+    if (tipe === 'urutan') {
+      const item = [1, 2, 3, 4, 5, 6, 7, 8].filter((i) => {
+        const v = soal[`pernyataan_${i}`];
+        return v !== undefined && v !== null && String(v).trim() !== '';
+      });
+      // Selalu diacak: item di bank_soal bisa saja tersimpan dalam urutan yang benar
+      out.urutan_item = shuffle(item, createRandom(`${mapelId}:${pesertaId}:${soal.id}:urutan`));
+    }
+
+    return out;
+  });
+}
+
+module.exports = {
+  susunSoal
+};
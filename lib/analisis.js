@@ -0,0 +1,324 @@
+'use strict';
+
+const { getTipeSoal, scoreExam } = require('./scoring');
+const { toList } = require('./jawaban');
+
+/**
+ * Analisis hasil ujian per mapel (teori tes klasik):
+ *   - nilai + peringkat peserta (peringkat sama untuk nilai sama: 1, 2, 2, 4)
+ *   - per butir soal: tingkat kesukaran (p), daya beda (D), sebaran pilihan pengecoh, persen kosong
+ *
+ * p = rata-rata fraksi skor butir (skor / bobot) seluruh peserta; soal kosong dihitung 0.
+ * D = p kelompok atas - p kelompok bawah, masing-masing 27% peserta menurut nilai total.
+ * Soal yang tidak dinilai otomatis (esai / kunci kosong) bernilai null.
+ */
+
+const GROUP_FIELDS = ['asal_sekolah', 'kelas', 'jenjang_studi'];
+const OPSI = ['A', 'B', 'C', 'D', 'E'];
+const PROPORSI_KELOMPOK = 0.27;
+// Pengecoh dianggap berfungsi jika dipilih minimal 5% peserta
+const BATAS_PENGECOH = 0.05;
+
+function round(n, digit = 2) {
+  const f = 10 ** digit;
+  return Math.round(n * f) / f;
+}
+
+function rataRata(list) {
+  return list.length > 0 ? list.reduce((a, b) => a + b, 0) / list.length : null;
+}
+
+function kategoriKesukaran(p) {
+  if (p === null) {
+    return null;
+  }
+  if (p < 0.3) {
+    return 'sukar';
+  }
+  return p <= 0.7 ? 'sedang' : 'mudah';
+}
+
+function kategoriDayaBeda(d) {
+  if (d === null) {
+    return null;
+  }
+  if (d < 0) {
+    return 'negatif';
+  }
+  if (d < 0.2) {
+    return 'jelek';
+  }
+  if (d < 0.4) {
+    return 'cukup';
+  }
+  return d < 0.7 ? 'baik' : 'baik sekali';
+}
+
+/**
+ * Peringkat kompetisi: nilai sama mendapat peringkat sama, peringkat berikutnya dilompati.
+ * @param {Array} list sudah urut nilai menurun
+ */
+function beriPeringkat(list, field) {
+  list.forEach((item, i) => {
+    item[field] = i > 0 && list[i - 1].nilai === item.nilai ? list[i - 1][field] : i + 1;
+  });
+}
+
+function urutNilai(list) {
+  return [...list].sort((a, b) => b.nilai - a.nilai || String(a.peserta.nama_peserta || '').localeCompare(String(b.peserta.nama_peserta || '')));
+}
+
+function ringkasNilai(records) {
+  const nilai = records.map((r) => r.nilai);
+  const rata = rataRata(nilai);
+  const simpangan = rata === null ? null : Math.sqrt(rataRata(nilai.map((n) => (n - rata) ** 2)));
+  return {
+    jumlah_peserta: records.length,
+    rata_rata: rata === null ? null : round(rata),
+    tertinggi: nilai.length > 0 ? Math.max(...nilai) : null,
+    terendah: nilai.length > 0 ? Math.min(...nilai) : null,
+    simpangan_baku: simpangan === null ? null : round(simpangan)
+  };
+}
+
+function fraksi(detail) {
+  return detail && detail.dinilai ? detail.skor / detail.bobot : null;
+}
+
+function hurufDipilih(tipe, jawaban) {
+  if (jawaban === null || jawaban === undefined) {
+    return [];
+  }
+  if (tipe === 'pgk') {
+    return Array.isArray(jawaban) ? jawaban.map((h) => String(h).toUpperCase()) : String(jawaban).toUpperCase().split(/[\s,;]+/);
+  }
+  return [String(Array.isArray(jawaban) ? jawaban[0] : jawaban).trim().toUpperCase()];
+}
+
+function kunciHuruf(kunci) {
+  return String(kunci || '').toUpperCase().split(/[\s,;]+/).filter((h) => OPSI.includes(h));
+}
+
+/**
+ * Sebaran pilihan A-E untuk soal pilihan ganda (biasa / kompleks).
+ */
+function sebaranPengecoh(soal, tipe, records, index, atas, bawah) {
+  const kunci = kunciHuruf(soal.kunci_jawaban);
+  const n = records.length;
+  const hitung = (list) => {
+    const jumlah = {};
+    list.forEach((r) => {
+      hurufDipilih(tipe, r.detail[index].jawaban).forEach((h) => {
+        jumlah[h] = (jumlah[h] || 0) + 1;
+      });
+    });
+    return jumlah;
+  };
+  const semua = hitung(records);
+  const jumlahAtas = hitung(atas);
+  const jumlahBawah = hitung(bawah);
+
+  return OPSI.filter((h) => {
+    const teks = soal[`pilihan_${h.toLowerCase()}`];
+    return (teks !== undefined && teks !== null && String(teks).trim() !== '') || semua[h] > 0;
+  }).map((h) => {
+    const proporsi = n > 0 ? (semua[h] || 0) / n : 0;
+    const isKunci = kunci.includes(h);
+    return {
+      opsi: h,
+      kunci: isKunci,
+      jumlah: semua[h] || 0,
+      proporsi: round(proporsi, 3),
+      kelompok_atas: jumlahAtas[h] || 0,
+      kelompok_bawah: jumlahBawah[h] || 0,
+      // Untuk kunci tidak relevan
+      berfungsi: isKunci ? null : proporsi >= BATAS_PENGECOH
+    };
+  });
+}
+
+/**
+ * Statistik tiap butir soal dari kumpulan hasil peserta.
+ * @param {Array} soalList
+ * @param {Array} records [{ nilai, detail }] detail sejajar dengan soalList
+ */
+function statistikButir(soalList, records) {
+  const urut = urutNilai(records);
+  const n = records.length;
+  const k = n >= 2 ? Math.max(1, Math.round(n * PROPORSI_KELOMPOK)) : 0;
+  const atas = urut.slice(0, k);
+  const bawah = k > 0 ? urut.slice(n - k) : [];
+
+  return (soalList || []).map((soal, i) => {
+    const tipe = getTipeSoal(soal.type_soal);
+    const nilaiButir = (list) => list.map((r) => fraksi(r.detail[i])).filter((f) => f !== null);
+    const semua = nilaiButir(records);
+    const dinilai = semua.length > 0;
+
+    const p = dinilai ? rataRata(semua) : null;
+    const pAtas = rataRata(nilaiButir(atas));
+    const pBawah = rataRata(nilaiButir(bawah));
+    const d = dinilai && pAtas !== null && pBawah !== null ? pAtas - pBawah : null;
+    const kosong = records.filter((r) => r.detail[i].status === 'kosong').length;
+
+    return {
+      id_soal: soal.id,
+      no_soal: soal.no_soal,
+      type_soal: soal.type_soal || 'Pilihan Ganda',
+      kunci_jawaban: soal.kunci_jawaban || null,
+      jumlah_peserta: n,
+      jumlah_benar: records.filter((r) => r.detail[i].status === 'benar').length,
+      jumlah_kosong: kosong,
+      persen_kosong: n > 0 ? round((kosong / n) * 100) : null,
+      tingkat_kesukaran: p === null ? null : round(p, 3),
+      kategori_kesukaran: kategoriKesukaran(p),
+      daya_beda: d === null ? null : round(d, 3),
+      kategori_daya_beda: kategoriDayaBeda(d),
+      pengecoh: tipe === 'pg' || tipe === 'pgk' ? sebaranPengecoh(soal, tipe, records, i, atas, bawah) : null
+    };
+  });
+}
+
+/**
+ * @param {Array} soalList baris bank_soal lengkap (kunci_jawaban, bobot, pilihan_a..e) urut no_soal
+ * @param {Array} hasilList [{ peserta, jawaban: { [id_soal]: nilai }, nilai?, skor_manual? }]
+ *   nilai tersimpan (mis. setelah koreksi manual) dipakai jika ada, selain itu dihitung ulang;
+ *   skor_manual = skor esai dari penilai (lihat scoreExam)
+ * @param {object} [opts]
+ * @param {string} [opts.groupBy] salah satu GROUP_FIELDS
+ */
+function analisisMapel(soalList, hasilList, opts = {}) {
+  const records = (hasilList || []).map((h) => {
+    const hasil = scoreExam(soalList, toList(soalList, h.jawaban || {}), h.skor_manual);
+    const tersimpan = Number(h.nilai);
+    return {
+      peserta: h.peserta || {},
+      nilai: h.nilai !== null && h.nilai !== undefined && Number.isFinite(tersimpan) ? tersimpan : hasil.nilai,
+      skor_total: hasil.skor_total,
+      skor_maks: hasil.skor_maks,
+      jumlah_benar: hasil.jumlah_benar,
+      jumlah_salah: hasil.jumlah_salah,
+      jumlah_kosong: hasil.jumlah_kosong,
+      detail: hasil.detail
+    };
+  });
+
+  const urut = urutNilai(records);
+  beriPeringkat(urut, 'peringkat');
+
+  const hasil = {
+    ringkasan: ringkasNilai(records),
+    butir: statistikButir(soalList, records)
+  };
+
+  if (opts.groupBy) {
+    const grup = new Map();
+    urut.forEach((r) => {
+      const nama = String(r.peserta[opts.groupBy] || '').trim() || '(kosong)';
+      if (!grup.has(nama)) {
+        grup.set(nama, []);
+      }
+      grup.get(nama).push(r);
+    });
+    hasil.group_by = opts.groupBy;
+    hasil.grup = [...grup.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([nama, list]) => {
+        beriPeringkat(list, 'peringkat_grup');
+        return { grup: nama, ringkasan: ringkasNilai(list), butir: statistikButir(soalList, list) };
+      });
+  }
+
+  hasil.peserta = urut.map((r) => ({
+    peringkat: r.peringkat,
+    ...(opts.groupBy ? { peringkat_grup: r.peringkat_grup } : {}),
+    id_peserta: r.peserta.id,
+    nama_peserta: r.peserta.nama_peserta || null,
+    nis_username: r.peserta.nis_username || null,
+    asal_sekolah: r.peserta.asal_sekolah || null,
+    kelas: r.peserta.kelas || null,
+    jenjang_studi: r.peserta.jenjang_studi || null,
+    nilai: r.nilai,
+    skor_total: r.skor_total,
+    skor_maks: r.skor_maks,
+    jumlah_benar: r.jumlah_benar,
+    jumlah_salah: r.jumlah_salah,
+    jumlah_kosong: r.jumlah_kosong
+  }));
+
+  return hasil;
+}
+
+/* ---------- Tabel untuk export CSV / XLSX ---------- */
+
+const KOLOM_PESERTA = [
+  'peringkat',
+  'nama_peserta',
+  'nis_username',
+  'asal_sekolah',
+  'kelas',
+  'jenjang_studi',
+  'nilai',
+  'skor_total',
+  'skor_maks',
+  'jumlah_benar',
+  'jumlah_salah',
+  'jumlah_kosong'
+];
+
+const KOLOM_BUTIR = [
+  'no_soal',
+  'type_soal',
+  'kunci_jawaban',
+  'jumlah_peserta',
+  'jumlah_benar',
+  'tingkat_kesukaran',
+  'kategori_kesukaran',
+  'daya_beda',
+  'kategori_daya_beda',
+  'persen_kosong'
+];
+
+function tabelPeserta(analisis) {
+  const kolom = analisis.group_by ? ['peringkat', 'peringkat_grup', ...KOLOM_PESERTA.slice(1)] : KOLOM_PESERTA;
+  return { kolom, baris: analisis.peserta.map((p) => kolom.map((c) => p[c])) };
+}
+
+/**
+ * Satu baris per butir; kolom pilih_A..E = jumlah pemilih (kunci ditandai di kunci_jawaban).
+ * Jika dikelompokkan, baris per grup diberi kolom `grup` (baris "Semua" = seluruh peserta).
+ */
+function tabelButir(analisis) {
+  const kolomOpsi = OPSI.map((h) => `pilih_${h}`);
+  const kolom = [...(analisis.group_by ? ['grup'] : []), ...KOLOM_BUTIR, ...kolomOpsi];
+  const barisButir = (butir, grup) =>
+    butir.map((b) => {
+      const opsi = new Map((b.pengecoh || []).map((o) => [o.opsi, o.jumlah]));
+      return [
+        ...(analisis.group_by ? [grup] : []),
+        ...KOLOM_BUTIR.map((c) => b[c]),
+        ...OPSI.map((h) => (opsi.has(h) ? opsi.get(h) : null))
+      ];
+    });
+
+  const baris = barisButir(analisis.butir, 'Semua');
+  (analisis.grup || []).forEach((g) => baris.push(...barisButir(g.butir, g.grup)));
+  return { kolom, baris };
+}
+
+function tabelGrup(analisis) {
+  const kolom = [analisis.group_by, 'jumlah_peserta', 'rata_rata', 'tertinggi', 'terendah', 'simpangan_baku'];
+  return {
+    kolom,
+    baris: (analisis.grup || []).map((g) => [g.grup, ...kolom.slice(1).map((c) => g.ringkasan[c])])
+  };
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  analisisMapel,
+  statistikButir,
+  tabelPeserta,
+  tabelButir,
+  tabelGrup
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Filter PostgREST yang aman: nilai tidak pernah ditempel mentah ke dalam `in.(...)` atau `or=(...)`.
+ *
+ * Filter ditulis sebagai objek, mis.
+ *   { id: 5 }                         -> id=eq.5
+ *   { id: [1, 2] }                    -> id=in.("1","2")
+ *   { nilai: { not: null } }          -> nilai=not.is.null
+ *   { tgljam_selesai: { gte: iso } }  -> tgljam_selesai=gte.<iso>
+ *   { or: [{ nis_username: u }, { no_wa_peserta: u }] } -> or=(nis_username.eq."u",no_wa_peserta.eq."u")
+ *
+ * Parser di bawah dipakai adapter memory untuk membaca query yang sama (termasuk query mentah lama).
+ */
+
+const OPERATOR = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+const LOGIKA = ['or', 'and'];
+
+// Nilai di dalam daftar/logika PostgREST: selalu dikutip, " dan \ di-escape dengan backslash
+function kutip(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function nilaiIs(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (value === true || value === false) {
+    return String(value);
+  }
+  throw new Error(`Filter "is" hanya menerima null/true/false, bukan ${value}`);
+}
+
+/**
+ * Satu kondisi kolom -> [operator, nilai] (nilai sudah diformat, `dalamLogika` = di dalam or/and).
+ */
+function kondisi(nilai, dalamLogika) {
+  const teks = (v) => (dalamLogika ? kutip(v) : String(v));
+
+  if (nilai === null) {
+    return ['is', 'null'];
+  }
+  if (Array.isArray(nilai)) {
+    return ['in', `(${nilai.map(kutip).join(',')})`];
+  }
+  if (typeof nilai !== 'object' || nilai instanceof Date) {
+    return ['eq', teks(nilai instanceof Date ? nilai.toISOString() : nilai)];
+  }
+
+  const ops = Object.keys(nilai);
+  if (ops.length !== 1) {
+    throw new Error('Satu kolom hanya boleh satu operator; pakai { and: [...] } untuk rentang');
+  }
+  const op = ops[0];
+  const v = nilai[op];
+  if (op === 'not') {
+    const [opDalam, vDalam] = kondisi(v, dalamLogika);
+    return ['not', `${opDalam}.${vDalam}`];
+  }
+  if (!OPERATOR.includes(op)) {
+    throw new Error(`Operator filter tidak dikenal: ${op}`);
+  }
+  if (op === 'in') {
+    return ['in', `(${[].concat(v).map(kutip).join(',')})`];
+  }
+  if (op === 'is') {
+    return ['is', nilaiIs(v)];
+  }
+  return [op, teks(v instanceof Date ? v.toISOString() : v)];
+}
+
+function logika(daftar) {
+  return `(${[].concat(daftar).map((f) => kondisiLogika(f)).join(',')})`;
+}
+
+// Satu objek filter di dalam or/and: beberapa kolom digabung dengan and(...)
+function kondisiLogika(filter) {
+  const bagian = Object.entries(filter).map(([kolom, nilai]) => {
+    if (LOGIKA.includes(kolom)) {
+      return `${kolom}${logika(nilai)}`;
+    }
+    const [op, v] = kondisi(nilai, true);
+    return `${kolom}.${op}.${v}`;
+  });
+  if (bagian.length === 0) {
+    throw new Error('Kondisi or/and tidak boleh kosong');
+  }
+  return bagian.length === 1 ? bagian[0] : `and(${bagian.join(',')})`;
+}
+
+/**
+ * Objek filter -> parameter query PostgREST.
+ * @returns {Object<string,string>}
+ */
+function keQuery(filter = {}) {
+  const query = {};
+  Object.entries(filter).forEach(([kolom, nilai]) => {
+    if (nilai === undefined) {
+      throw new Error(`Nilai filter "${kolom}" undefined`);
+    }
+    if (LOGIKA.includes(kolom)) {
+      query[kolom] = logika(nilai);
+      return;
+    }
+    const [op, v] = kondisi(nilai, false);
+    query[kolom] = `${op}.${v}`;
+  });
+  return query;
+}
+
+/* ---------- parser (adapter memory) ---------- */
+
+// Pisah di koma level teratas, abaikan koma di dalam kutip/kurung
+function pisahKoma(teks) {
+  const hasil = [];
+  let depth = 0;
+  let quoted = false;
+  let awal = 0;
+  for (let i = 0; i < teks.length; i++) {
+    const ch = teks[i];
+    if (quoted) {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      hasil.push(teks.slice(awal, i));
+      awal = i + 1;
+    }
+  }
+  hasil.push(teks.slice(awal));
+  return hasil.filter((s) => s !== '');
+}
+
+function bukaKutip(teks) {
+  const t = String(teks);
+  if (t.length >= 2 && t.startsWith('"') && t.endsWith('"')) {
+    return t.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return t;
+}
+
+function tanpaKurung(teks) {
+  const t = String(teks);
+  if (!t.startsWith('(') || !t.endsWith(')')) {
+    throw new Error(`Format daftar tidak valid: ${t}`);
+  }
+  return t.slice(1, -1);
+}
+
+/**
+ * "op.nilai" (atau "not.op.nilai") -> { op, nilai, not }
+ * @param {boolean} dalamLogika nilai di dalam or/and boleh dikutip
+ */
+function parseOperator(teks, dalamLogika) {
+  let sisa = String(teks);
+  let not = false;
+  if (sisa.startsWith('not.')) {
+    not = true;
+    sisa = sisa.slice(4);
+  }
+  const titik = sisa.indexOf('.');
+  const op = titik === -1 ? sisa : sisa.slice(0, titik);
+  const mentah = titik === -1 ? '' : sisa.slice(titik + 1);
+  if (!OPERATOR.includes(op)) {
+    throw new Error(`Operator filter tidak didukung: ${op}`);
+  }
+  if (op === 'in') {
+    return { op, not, nilai: pisahKoma(tanpaKurung(mentah)).map(bukaKutip) };
+  }
+  return { op, not, nilai: dalamLogika ? bukaKutip(mentah) : mentah };
+}
+
+/**
+ * Satu item logika: "kolom.op.nilai", "and(...)", "or(...)", "not.and(...)".
+ * @returns {object} node { logika, not, isi: [node] } atau { kolom, op, nilai, not }
+ */
+function parseNode(teks) {
+  let t = String(teks).trim();
+  let not = false;
+  if (t.startsWith('not.and(') || t.startsWith('not.or(')) {
+    not = true;
+    t = t.slice(4);
+  }
+  const m = /^(and|or)\((.*)\)$/s.exec(t);
+  if (m) {
+    return { logika: m[1], not, isi: pisahKoma(m[2]).map(parseNode) };
+  }
+  const titik = t.indexOf('.');
+  if (titik === -1) {
+    throw new Error(`Kondisi tidak valid: ${t}`);
+  }
+  return { kolom: t.slice(0, titik), ...parseOperator(t.slice(titik + 1), true) };
+}
+
+/**
+ * Parameter query PostgREST (filter saja) -> daftar node yang harus dipenuhi semua.
+ */
+function parseQuery(query = {}) {
+  return Object.entries(query).map(([kunci, nilai]) => {
+    if (LOGIKA.includes(kunci)) {
+      return { logika: kunci, not: false, isi: pisahKoma(tanpaKurung(nilai)).map(parseNode) };
+    }
+    return { kolom: kunci, ...parseOperator(nilai, false) };
+  });
+}
+
+module.exports = {
+  kutip,
+  keQuery,
+  parseQuery
+};
@@ -0,0 +1,168 @@
+'use strict';
+
+const { keQuery } = require('./filter');
+const { createSupabaseAdapter } = require('./supabase');
+const { createMemoryAdapter } = require('./memory');
+
+/**
+ * Lapisan akses data: satu adapter (supabase | memory) + repository per entitas.
+ * Repository menerima filter berupa objek (lib/db/filter.js) sehingga nilai dari request
+ * tidak pernah ditempel mentah ke query PostgREST.
+ *
+ *   DB_ADAPTER=supabase (default)  SUPABASE_URL + SUPABASE_KEY
+ *   DB_ADAPTER=memory              DB_FILE=./data/cbtku.json (opsional, tanpa file = hilang saat restart)
+ */
+
+const UKURAN_BATCH_ID = 200;
+
+/**
+ * Repository generik untuk satu tabel.
+ * @param {Function} request adapter.request(path, method, query, body)
+ * @param {string} table
+ */
+function buatRepo(request, table) {
+  function opsiQuery({ select = '*', order, limit, offset } = {}) {
+    const query = { select };
+    if (order) {
+      query.order = order;
+    }
+    if (limit !== undefined) {
+      query.limit = limit;
+    }
+    if (offset !== undefined) {
+      query.offset = offset;
+    }
+    return query;
+  }
+
+  // PATCH/DELETE tanpa filter akan mengenai seluruh tabel
+  function wajibFilter(filter, aksi) {
+    if (!filter || Object.keys(filter).length === 0) {
+      throw new Error(`${aksi} ${table} tanpa filter ditolak`);
+    }
+  }
+
+  const repo = {
+    table,
+
+    async cari(filter = {}, opsi = {}) {
+      return (await request(table, 'GET', { ...opsiQuery(opsi), ...keQuery(filter) })) || [];
+    },
+
+    async satu(filter = {}, opsi = {}) {
+      const rows = await repo.cari(filter, { ...opsi, limit: 1 });
+      return rows.length > 0 ? rows[0] : null;
+    },
+
+    byId(id, select = '*') {
+      return repo.satu({ id }, { select });
+    },
+
+    // Dipecah per UKURAN_BATCH_ID agar URL in.(...) tidak terlalu panjang
+    async byIds(ids, select = '*') {
+      const unik = [...new Set((ids || []).map(String))];
+      const list = [];
+      for (let i = 0; i < unik.length; i += UKURAN_BATCH_ID) {
+        list.push(...(await repo.cari({ id: unik.slice(i, i + UKURAN_BATCH_ID) }, { select })));
+      }
+      return list;
+    },
+
+    async tambah(rows) {
+      return (await request(table, 'POST', null, rows)) || [];
+    },
+
+    async upsert(rows, onConflict) {
+      return (await request(table, 'POST', { on_conflict: onConflict }, rows)) || [];
+    },
+
+    async ubah(filter, patch) {
+      wajibFilter(filter, 'PATCH');
+      return (await request(table, 'PATCH', keQuery(filter), patch)) || [];
+    },
+
+    async hapus(filter) {
+      wajibFilter(filter, 'DELETE');
+      return (await request(table, 'DELETE', keQuery(filter))) || [];
+    }
+  };
+  return repo;
+}
+
+function buatAdapter(env = process.env) {
+  const nama = String(env.DB_ADAPTER || 'supabase').toLowerCase();
+  if (nama === 'memory') {
+    return createMemoryAdapter({ file: env.DB_FILE });
+  }
+  if (nama !== 'supabase') {
+    throw new Error(`DB_ADAPTER tidak dikenal: ${nama} (supabase | memory)`);
+  }
+  return createSupabaseAdapter({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+}
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.adapter] adapter siap pakai (mis. createMemoryAdapter() di pengujian)
+ * @param {object} [opts.env]     default process.env
+ */
+function createDb({ adapter, env } = {}) {
+  const a = adapter || buatAdapter(env);
+  const request = (path, method, query, body) => a.request(path, method, query, body);
+  const tabel = (nama) => buatRepo(request, nama);
+
+  const peserta = tabel('peserta');
+  const jawaban = tabel('jawaban');
+  const resetPassword = tabel('password_reset');
+
+  return {
+    adapter: a,
+    request,
+    tabel,
+
+    peserta: {
+      ...peserta,
+      /** Login / lupa password: cocokkan nis_username atau no_wa_peserta. */
+      cariIdentitas(identitas, select = '*') {
+        const nilai = String(identitas);
+        return peserta.satu({ or: [{ nis_username: nilai }, { no_wa_peserta: nilai }] }, { select });
+      },
+      /** Peserta yang memakai salah satu username / nomor WA (cek duplikat registrasi & import). */
+      cariBentrok(usernames, nomorWa, select = 'id,nis_username,no_wa_peserta') {
+        const kondisi = [];
+        if (usernames.length > 0) {
+          kondisi.push({ nis_username: usernames });
+        }
+        if (nomorWa.length > 0) {
+          kondisi.push({ no_wa_peserta: nomorWa });
+        }
+        return kondisi.length > 0 ? peserta.cari({ or: kondisi }, { select }) : Promise.resolve([]);
+      }
+    },
+    agenda: tabel('agenda_ujian'),
+    mapel: tabel('mata_pelajaran'),
+    soal: tabel('bank_soal'),
+    jawaban: {
+      ...jawaban,
+      /** Sesi jawaban peserta untuk satu mapel (satu baris per peserta+mapel). */
+      sesi(pesertaId, mapelId, select = '*') {
+        return jawaban.satu({ id_peserta: pesertaId, id_mapel: mapelId }, { select });
+      }
+    },
+    jawabanItem: tabel('jawaban_item'),
+    resetPassword: {
+      ...resetPassword,
+      /** OTP pending terbaru milik user. */
+      otpTerakhir(userId, select = '*') {
+        return resetPassword.satu({ user_id: userId, status: 'pending' }, { select, order: 'created_at.desc' });
+      },
+      byResetToken(token, select = '*') {
+        return resetPassword.satu({ reset_token: String(token), status: 'verified' }, { select });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createDb,
+  buatRepo
+};
@@ -0,0 +1,293 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseQuery } = require('./filter');
+
+/**
+ * Adapter lokal tanpa Supabase: tabel disimpan di memori (opsional di file JSON) dan query
+ * PostgREST yang dipakai API dijalankan di sini (filter, or/and, order, limit/offset, select kolom,
+ * upsert on_conflict). Untuk development offline dan pengujian, bukan untuk produksi.
+ */
+
+const PARAM_KHUSUS = ['select', 'order', 'limit', 'offset', 'on_conflict'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function dbError(status, message) {
+  return new Error(`DB Error (${status}): ${JSON.stringify({ message })}`);
+}
+
+function kosong(value) {
+  return value === null || value === undefined;
+}
+
+/**
+ * Bandingkan isi kolom dengan nilai dari query (selalu string): angka, tanggal, lalu teks.
+ * @returns {number|null} null jika kolom kosong
+ */
+function bandingkan(cell, nilai) {
+  if (kosong(cell)) {
+    return null;
+  }
+  const teks = String(nilai);
+  if (typeof cell === 'number' || (typeof cell === 'string' && cell.trim() !== '' && !Number.isNaN(Number(cell)))) {
+    const n = Number(teks);
+    if (teks.trim() !== '' && !Number.isNaN(n)) {
+      return Number(cell) - n;
+    }
+  }
+  if (typeof cell === 'string' && ISO_DATE.test(cell) && ISO_DATE.test(teks)) {
+    const a = new Date(cell).getTime();
+    const b = new Date(teks).getTime();
+    if (!Number.isNaN(a) && !Number.isNaN(b)) {
+      return a - b;
+    }
+  }
+  if (typeof cell === 'boolean') {
+    return String(cell) === teks ? 0 : 1;
+  }
+  const a = typeof cell === 'object' ? JSON.stringify(cell) : String(cell);
+  return a < teks ? -1 : a > teks ? 1 : 0;
+}
+
+function polaLike(pola, flags) {
+  const regex = String(pola)
+    .split('')
+    .map((ch) => {
+      if (ch === '*' || ch === '%') {
+        return '.*';
+      }
+      if (ch === '_') {
+        return '.';
+      }
+      return ch.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${regex}$`, flags);
+}
+
+function cocokKondisi(row, { kolom, op, nilai, not }) {
+  const cell = row[kolom];
+  let hasil;
+  switch (op) {
+    case 'eq':
+      hasil = bandingkan(cell, nilai) === 0;
+      break;
+    case 'neq':
+      hasil = !kosong(cell) && bandingkan(cell, nilai) !== 0;
+      break;
+    case 'gt':
+      hasil = !kosong(cell) && bandingkan(cell, nilai) > 0;
+      break;
+    case 'gte':
+      hasil = !kosong(cell) && bandingkan(cell, nilai) >= 0;
+      break;
+    case 'lt':
+      hasil = !kosong(cell) && bandingkan(cell, nilai) < 0;
+      break;
+    case 'lte':
+      hasil = !kosong(cell) && bandingkan(cell, nilai) <= 0;
+      break;
+    case 'like':
+      hasil = !kosong(cell) && polaLike(nilai, '').test(String(cell));
+      break;
+    case 'ilike':
+      hasil = !kosong(cell) && polaLike(nilai, 'i').test(String(cell));
+      break;
+    case 'in':
+      hasil = !kosong(cell) && nilai.some((v) => bandingkan(cell, v) === 0);
+      break;
+    case 'is':
+      hasil = nilai === 'null' ? kosong(cell) : cell === (nilai === 'true');
+      break;
+    default:
+      throw dbError(400, `Operator ${op} tidak didukung adapter memory`);
+  }
+  return not ? !hasil : hasil;
+}
+
+function cocok(row, node) {
+  if (node.logika) {
+    const hasil = node.logika === 'or' ? node.isi.some((n) => cocok(row, n)) : node.isi.every((n) => cocok(row, n));
+    return node.not ? !hasil : hasil;
+  }
+  return cocokKondisi(row, node);
+}
+
+// order=kolom.asc.nullslast,kolom2.desc (default PostgREST: asc nulls last, desc nulls first)
+function urutkan(rows, order) {
+  const kunci = String(order)
+    .split(',')
+    .filter(Boolean)
+    .map((bagian) => {
+      const [kolom, arah = 'asc', nulls] = bagian.split('.');
+      const desc = arah === 'desc';
+      return { kolom, desc, nullsFirst: nulls ? nulls === 'nullsfirst' : desc };
+    });
+
+  return [...rows].sort((a, b) => {
+    for (const { kolom, desc, nullsFirst } of kunci) {
+      const x = a[kolom];
+      const y = b[kolom];
+      if (kosong(x) || kosong(y)) {
+        if (kosong(x) && kosong(y)) {
+          continue;
+        }
+        return kosong(x) === nullsFirst ? -1 : 1;
+      }
+      const c = bandingkan(x, typeof y === 'object' ? JSON.stringify(y) : y);
+      if (c !== 0) {
+        return desc ? -Math.sign(c) : Math.sign(c);
+      }
+    }
+    return 0;
+  });
+}
+
+// select=a,b,alias:c (tanpa embed relasi)
+function proyeksi(rows, select) {
+  if (!select || select === '*') {
+    return rows;
+  }
+  const kolom = String(select)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [alias, asli] = s.includes(':') ? s.split(':') : [s, s];
+      return { alias, asli: asli.split('::')[0] };
+    });
+  if (kolom.some((k) => k.asli === '*')) {
+    return rows;
+  }
+  return rows.map((row) => {
+    const out = {};
+    kolom.forEach(({ alias, asli }) => {
+      out[alias] = row[asli] === undefined ? null : row[asli];
+    });
+    return out;
+  });
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file] path JSON { nama_tabel: [baris] }; dibaca saat start, ditulis tiap perubahan
+ * @param {object} [opts.data] isi awal (dipakai jika file belum ada)
+ */
+function createMemoryAdapter({ file, data } = {}) {
+  let tabel = {};
+
+  if (file && fs.existsSync(file)) {
+    tabel = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+  } else if (data) {
+    tabel = structuredClone(data);
+  }
+
+  function simpan() {
+    if (!file) {
+      return;
+    }
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(tabel, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function ambilTabel(nama) {
+    if (!tabel[nama]) {
+      tabel[nama] = [];
+    }
+    return tabel[nama];
+  }
+
+  function idBerikut(rows) {
+    const ids = rows.map((r) => Number(r.id)).filter((n) => Number.isInteger(n));
+    return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+  }
+
+  function sesuaiFilter(rows, query) {
+    const filter = {};
+    Object.entries(query || {}).forEach(([k, v]) => {
+      if (!PARAM_KHUSUS.includes(k)) {
+        filter[k] = v;
+      }
+    });
+    let nodes;
+    try {
+      nodes = parseQuery(filter);
+    } catch (e) {
+      throw dbError(400, e.message);
+    }
+    return rows.filter((row) => nodes.every((n) => cocok(row, n)));
+  }
+
+  async function request(nama, method = 'GET', query = null, body = null) {
+    const m = method.toUpperCase();
+    const rows = ambilTabel(nama);
+    const q = query || {};
+
+    if (m === 'GET') {
+      let hasil = sesuaiFilter(rows, q);
+      if (q.order) {
+        hasil = urutkan(hasil, q.order);
+      }
+      const offset = Number(q.offset) || 0;
+      const limit = q.limit !== undefined ? Number(q.limit) : undefined;
+      hasil = hasil.slice(offset, limit !== undefined ? offset + limit : undefined);
+      return structuredClone(proyeksi(hasil, q.select));
+    }
+
+    if (m === 'POST') {
+      const items = [].concat(body || []);
+      const konflik = q.on_conflict ? String(q.on_conflict).split(',') : null;
+      const hasil = items.map((item) => {
+        if (konflik) {
+          const ada = rows.find((r) => konflik.every((k) => !kosong(r[k]) && String(r[k]) === String(item[k])));
+          if (ada) {
+            Object.assign(ada, structuredClone(item));
+            return ada;
+          }
+        }
+        const row = { id: idBerikut(rows), created_at: new Date().toISOString(), ...structuredClone(item) };
+        rows.push(row);
+        return row;
+      });
+      simpan();
+      return structuredClone(proyeksi(hasil, q.select));
+    }
+
+    if (m === 'PATCH') {
+      const hasil = sesuaiFilter(rows, q);
+      hasil.forEach((row) => Object.assign(row, structuredClone(body || {})));
+      simpan();
+      return structuredClone(proyeksi(hasil, q.select));
+    }
+
+    if (m === 'DELETE') {
+      const hasil = sesuaiFilter(rows, q);
+      tabel[nama] = rows.filter((row) => !hasil.includes(row));
+      simpan();
+      return structuredClone(proyeksi(hasil, q.select));
+    }
+
+    throw dbError(405, `Method ${m} tidak didukung`);
+  }
+
+  return {
+    nama: 'memory',
+    request,
+    /** Ganti seluruh isi (seed data pengujian). */
+    muat(isi) {
+      tabel = structuredClone(isi || {});
+      simpan();
+    },
+    /** Salinan seluruh isi tabel. */
+    ekspor() {
+      return structuredClone(tabel);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryAdapter
+};
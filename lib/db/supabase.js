@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Adapter Supabase: PostgREST lewat fetch (perilaku lama supabaseRequest).
+ * @param {object} opts
+ * @param {string} opts.url  SUPABASE_URL
+ * @param {string} opts.key  SUPABASE_KEY (service role)
+ */
+function createSupabaseAdapter({ url, key }) {
+  async function request(path, method = 'GET', query = null, body = null) {
+    if (!url || !key) {
+      throw new Error('Server belum dikonfigurasi: SUPABASE_URL / SUPABASE_KEY kosong.');
+    }
+
+    const target = new URL(`${url}/rest/v1/${path}`);
+
+    if (query) {
+      for (const [k, v] of Object.entries(query)) {
+        target.searchParams.set(k, String(v));
+      }
+    }
+
+    const options = {
+      method: method.toUpperCase(),
+      headers: {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation'
+      }
+    };
+
+    // Upsert: POST dengan ?on_conflict=kolom1,kolom2
+    if (options.method === 'POST' && query && query.on_conflict) {
+      options.headers.Prefer += ',resolution=merge-duplicates';
+    }
+
+    if (body && (options.method === 'POST' || options.method === 'PATCH')) {
+      options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(target, options);
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`DB Error (${response.status}): ${errorBody}`);
+    }
+
+    return response.status !== 204 ? await response.json() : null;
+  }
+
+  return { nama: 'supabase', request };
+}
+
+module.exports = {
+  createSupabaseAdapter
+};
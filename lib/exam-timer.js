@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Batas waktu ujian dihitung di server, bukan di browser.
+ * Deadline = min(tgljam_mulai + durasi_ujian, agenda.tgljam_selesai, mapel.jadwal_selesai) + tambahan_waktu
+ * (tambahan_waktu diberikan proktor per peserta, ikut menggeser batas agenda/jadwal mapel)
+ */
+
+function graceDariEnv(nilai) {
+  // 0 berarti tanpa masa tenggang; kosong, negatif atau bukan angka memakai default
+  const n = nilai === undefined || String(nilai).trim() === '' ? NaN : Number(nilai);
+  return Number.isFinite(n) && n >= 0 ? n : 30;
+}
+
+const EXAM_GRACE_SECONDS = graceDariEnv(process.env.EXAM_GRACE_SECONDS);
+
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.mulai        jawaban.tgljam_mulai
+ * @param {number} opts.durasiMenit  mata_pelajaran.durasi_ujian
+ * @param {string} [opts.agendaSelesai] agenda_ujian.tgljam_selesai
+ * @param {string} [opts.mapelSelesai]  mata_pelajaran.jadwal_selesai
+ * @param {number} [opts.tambahanMenit] jawaban.tambahan_waktu
+ * @returns {Date|null} null jika tidak ada batas waktu sama sekali
+ */
+function computeDeadline({ mulai, durasiMenit, agendaSelesai, mapelSelesai, tambahanMenit = 0 }) {
+  const candidates = [];
+
+  const start = toTime(mulai);
+  const durasi = Number(durasiMenit) || 0;
+  if (start !== null && durasi > 0) {
+    candidates.push(start + durasi * 60000);
+  }
+
+  [agendaSelesai, mapelSelesai].forEach((value) => {
+    const end = toTime(value);
+    if (end !== null) {
+      candidates.push(end);
+    }
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  const tambahan = Number(tambahanMenit) > 0 ? Number(tambahanMenit) * 60000 : 0;
+  return new Date(Math.min(...candidates) + tambahan);
+}
+
+function remainingMs(deadline, now = Date.now()) {
+  if (!deadline) {
+    return null;
+  }
+  return Math.max(0, deadline.getTime() - now);
+}
+
+/**
+ * True jika waktu sudah lewat deadline + masa tenggang (untuk request yang telat sampai).
+ */
+function isPastGrace(deadline, now = Date.now()) {
+  return !!deadline && now > deadline.getTime() + EXAM_GRACE_SECONDS * 1000;
+}
+
+module.exports = {
+  EXAM_GRACE_SECONDS,
+  computeDeadline,
+  remainingMs,
+  isPastGrace
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+const crypto = require('crypto');
+const { parseCsvRows } = require('./import-soal');
+const { normalisasiNomor } = require('./notify/nomor');
+
+/**
+ * Import peserta dari daftar kelas (CSV, koma atau titik koma seperti template soal).
+ * Header memakai nama kolom `peserta`; nama field form /api/register juga diterima.
+ *
+ * Semua parser menghasilkan { items: [{ line, peserta }], errors: [{ line, messages }] }.
+ */
+
+const PESERTA_CSV_COLUMNS = [
+  'nama_peserta',
+  'nis_username',
+  'jenjang_studi',
+  'kelas',
+  'asal_sekolah',
+  'no_wa_peserta',
+  'no_wa_ortu',
+  'password'
+];
+const WAJIB = ['nama_peserta', 'nis_username', 'kelas', 'no_wa_peserta'];
+
+// Nama field form pendaftaran (handleRegister) -> kolom peserta
+const ALIAS_KOLOM = {
+  nama: 'nama_peserta',
+  username: 'nis_username',
+  nis: 'nis_username',
+  jenjang: 'jenjang_studi',
+  sekolah: 'asal_sekolah',
+  no_wa: 'no_wa_peserta',
+  wa_ortu: 'no_wa_ortu'
+};
+
+// Tanpa karakter mirip (0/o, 1/l/i) agar mudah diketik dari kartu cetak
+const CHARS_PASSWORD = 'abcdefghjkmnpqrstuvwxyz23456789';
+const PANJANG_PASSWORD = 8;
+
+/**
+ * Aturan username yang sama dengan /api/register (aman dipakai di filter "or" Supabase).
+ */
+function usernameValid(username) {
+  return /^[0-9A-Za-z_+.-]{3,50}$/.test(username) || /^[0-9]{8,20}$/.test(username);
+}
+
+/**
+ * Nomor WA dalam format lokal yang diketik siswa saat login (08xxxxxxxxxx).
+ * @returns {string|null} null jika bukan nomor HP Indonesia yang masuk akal
+ */
+function formatNoWa(raw) {
+  const nomor = normalisasiNomor(raw);
+  return nomor ? `0${nomor.slice(2)}` : null;
+}
+
+/**
+ * Bentuk penulisan nomor yang mungkin sudah tersimpan (peserta daftar sendiri), untuk cek duplikat.
+ */
+function varianNoWa(noWa) {
+  const nomor = normalisasiNomor(noWa);
+  return nomor ? [`0${nomor.slice(2)}`, nomor, `+${nomor}`] : [String(noWa)];
+}
+
+function buatPassword() {
+  let hasil = '';
+  for (let i = 0; i < PANJANG_PASSWORD; i++) {
+    hasil += CHARS_PASSWORD[crypto.randomInt(CHARS_PASSWORD.length)];
+  }
+  return hasil;
+}
+
+function validatePeserta(peserta) {
+  const messages = [];
+  WAJIB.forEach((f) => {
+    if (!peserta[f]) {
+      messages.push(`Kolom "${f}" wajib diisi`);
+    }
+  });
+  if (peserta.nis_username && !usernameValid(peserta.nis_username)) {
+    messages.push('nis_username tidak valid (3-50 huruf/angka/_+.-)');
+  }
+  if (peserta.no_wa_peserta && !formatNoWa(peserta.no_wa_peserta)) {
+    messages.push(`no_wa_peserta "${peserta.no_wa_peserta}" bukan nomor HP yang valid`);
+  }
+  if (peserta.no_wa_ortu && !formatNoWa(peserta.no_wa_ortu)) {
+    messages.push(`no_wa_ortu "${peserta.no_wa_ortu}" bukan nomor HP yang valid`);
+  }
+  return messages;
+}
+
+/**
+ * Parse CSV daftar peserta + validasi per baris + duplikat di dalam file.
+ * Nomor WA yang valid dinormalisasi ke 08xxxxxxxxxx dan nama ditulis kapital seperti /api/register.
+ */
+function parsePeserta(text) {
+  const rows = parseCsvRows(text);
+  const items = [];
+  const errors = [];
+
+  if (rows.length === 0) {
+    return { items, errors: [{ line: 1, messages: ['File CSV kosong'] }] };
+  }
+
+  const header = rows[0].cells.map((h) => {
+    const nama = h.trim().toLowerCase();
+    return ALIAS_KOLOM[nama] || nama;
+  });
+  const unknown = header.filter((h) => h && !PESERTA_CSV_COLUMNS.includes(h));
+  if (unknown.length > 0) {
+    errors.push({ line: rows[0].line, messages: [`Kolom tidak dikenal: ${unknown.join(', ')}`] });
+  }
+  const kurang = WAJIB.filter((f) => !header.includes(f));
+  if (kurang.length > 0) {
+    errors.push({ line: rows[0].line, messages: [`Kolom wajib tidak ada di header: ${kurang.join(', ')}`] });
+    return { items, errors };
+  }
+
+  const dipakaiUsername = new Map();
+  const dipakaiNoWa = new Map();
+
+  rows.slice(1).forEach((row) => {
+    const peserta = {};
+    header.forEach((h, i) => {
+      if (PESERTA_CSV_COLUMNS.includes(h)) {
+        peserta[h] = (row.cells[i] || '').trim();
+      }
+    });
+
+    const messages = validatePeserta(peserta);
+    if (messages.length === 0) {
+      peserta.nama_peserta = peserta.nama_peserta.toUpperCase();
+      peserta.no_wa_peserta = formatNoWa(peserta.no_wa_peserta);
+      if (peserta.no_wa_ortu) {
+        peserta.no_wa_ortu = formatNoWa(peserta.no_wa_ortu);
+      }
+
+      const barisUsername = dipakaiUsername.get(peserta.nis_username);
+      if (barisUsername) {
+        messages.push(`nis_username sama dengan baris ${barisUsername}`);
+      }
+      const barisNoWa = dipakaiNoWa.get(peserta.no_wa_peserta);
+      if (barisNoWa) {
+        messages.push(`no_wa_peserta sama dengan baris ${barisNoWa}`);
+      }
+      dipakaiUsername.set(peserta.nis_username, dipakaiUsername.get(peserta.nis_username) || row.line);
+      dipakaiNoWa.set(peserta.no_wa_peserta, dipakaiNoWa.get(peserta.no_wa_peserta) || row.line);
+    }
+
+    if (messages.length > 0) {
+      errors.push({ line: row.line, messages });
+    }
+    items.push({ line: row.line, peserta });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Cocokkan item dengan peserta yang sudah ada (nis_username atau no_wa_peserta, seperti /api/register).
+ * @param {Array<{ line, peserta }>} items
+ * @param {Array<{ nis_username, no_wa_peserta }>} existing
+ * @returns {Array<{ line: number, messages: string[] }>}
+ */
+function cariDuplikat(items, existing) {
+  const usernames = new Set((existing || []).map((p) => String(p.nis_username)));
+  const nomor = new Set((existing || []).map((p) => normalisasiNomor(p.no_wa_peserta) || String(p.no_wa_peserta)));
+
+  return items
+    .map(({ line, peserta }) => {
+      const messages = [];
+      if (usernames.has(String(peserta.nis_username))) {
+        messages.push(`nis_username "${peserta.nis_username}" sudah terdaftar`);
+      }
+      if (peserta.no_wa_peserta && nomor.has(normalisasiNomor(peserta.no_wa_peserta))) {
+        messages.push(`no_wa_peserta "${peserta.no_wa_peserta}" sudah terdaftar`);
+      }
+      return { line, messages };
+    })
+    .filter((d) => d.messages.length > 0);
+}
+
+module.exports = {
+  PESERTA_CSV_COLUMNS,
+  usernameValid,
+  formatNoWa,
+  varianNoWa,
+  buatPassword,
+  parsePeserta,
+  cariDuplikat
+};
@@ -0,0 +1,428 @@
+'use strict';
+
+const { SOAL_FIELDS, pickSoalFields, validateSoal } = require('./soal-validator');
+
+/**
+ * Import/export bank_soal: template CSV (kolom = nama kolom bank_soal),
+ * format teks Aiken dan GIFT (subset yang umum dipakai Moodle).
+ *
+ * Semua parser menghasilkan { items: [{ line, soal }], errors: [{ line, messages }] }.
+ */
+
+const CSV_COLUMNS = SOAL_FIELDS;
+const HURUF = ['a', 'b', 'c', 'd', 'e'];
+
+/* ---------- CSV ---------- */
+
+function detectDelimiter(headerLine) {
+  // Excel versi Indonesia menyimpan CSV dengan titik koma
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parser CSV (RFC 4180): mendukung kutip ganda, "" sebagai escape dan baris baru di dalam kutip.
+ * @returns {Array<{ line: number, cells: string[] }>}
+ */
+function parseCsvRows(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') {
+          line++;
+        }
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') {
+        i++;
+      }
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+  }
+
+  return rows.filter((r) => r.cells.some((c) => c.trim() !== ''));
+}
+
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  const items = [];
+  const errors = [];
+
+  if (rows.length === 0) {
+    return { items, errors: [{ line: 1, messages: ['File CSV kosong'] }] };
+  }
+
+  const header = rows[0].cells.map((h) => h.trim().toLowerCase());
+  const unknown = header.filter((h) => h && !CSV_COLUMNS.includes(h));
+  if (unknown.length > 0) {
+    errors.push({ line: rows[0].line, messages: [`Kolom tidak dikenal: ${unknown.join(', ')}`] });
+  }
+  if (!header.includes('pertanyaan')) {
+    errors.push({ line: rows[0].line, messages: ['Kolom "pertanyaan" wajib ada di header'] });
+    return { items, errors };
+  }
+
+  rows.slice(1).forEach((row) => {
+    const raw = {};
+    header.forEach((h, i) => {
+      if (CSV_COLUMNS.includes(h)) {
+        raw[h] = (row.cells[i] || '').trim();
+      }
+    });
+    items.push({ line: row.line, soal: pickSoalFields(raw) });
+  });
+
+  return { items, errors };
+}
+
+/* ---------- Aiken ---------- */
+
+function parseAiken(text) {
+  const items = [];
+  const errors = [];
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let current = null;
+
+  const flush = () => {
+    if (!current) {
+      return;
+    }
+    if (!current.answerSeen) {
+      errors.push({ line: current.line, messages: ['Baris "ANSWER:" tidak ditemukan'] });
+    } else {
+      items.push({ line: current.line, soal: pickSoalFields(current.soal) });
+    }
+    current = null;
+  };
+
+  lines.forEach((rawLine, idx) => {
+    const lineNo = idx + 1;
+    const text = rawLine.trim();
+
+    if (text === '') {
+      // Baris kosong setelah pilihan menutup soal (termasuk yang lupa ANSWER:)
+      if (current && current.soal.pilihan_a) {
+        flush();
+      }
+      return;
+    }
+
+    const option = text.match(/^([A-Ea-e])[.)]\s+(.*)$/);
+    const answer = text.match(/^ANSWER:\s*([A-Ea-e])\s*$/i);
+
+    if (!current) {
+      current = { line: lineNo, answerSeen: false, soal: { type_soal: 'Pilihan Ganda', pertanyaan: text } };
+    } else if (answer) {
+      current.soal.kunci_jawaban = answer[1].toUpperCase();
+      current.answerSeen = true;
+      flush();
+    } else if (option) {
+      current.soal[`pilihan_${option[1].toLowerCase()}`] = option[2].trim();
+    } else if (!current.soal.pilihan_a) {
+      current.soal.pertanyaan += `\n${text}`;
+    } else {
+      errors.push({ line: lineNo, messages: [`Baris tidak dikenali: "${text}"`] });
+    }
+  });
+
+  flush();
+  return { items, errors };
+}
+
+/* ---------- GIFT ---------- */
+
+function splitGiftAnswers(body) {
+  // Pisahkan jawaban berdasarkan penanda = atau ~ yang tidak di-escape
+  const parts = [];
+  const re = /(^|[^\\])([=~])/g;
+  const marks = [];
+  let m;
+  while ((m = re.exec(body)) !== null) {
+    marks.push({ index: m.index + m[1].length, mark: m[2] });
+  }
+  marks.forEach((mk, i) => {
+    const end = i + 1 < marks.length ? marks[i + 1].index : body.length;
+    let value = body.slice(mk.index + 1, end).trim();
+    value = value.replace(/#.*$/s, '').trim(); // buang feedback
+    parts.push({ mark: mk.mark, value });
+  });
+  return parts;
+}
+
+function unescapeGift(text) {
+  return String(text).replace(/\\([~=#{}:])/g, '$1').trim();
+}
+
+function parseGiftQuestion(block) {
+  const titleMatch = block.match(/^::(.*?)::/s);
+  const withoutTitle = titleMatch ? block.slice(titleMatch[0].length) : block;
+  const open = withoutTitle.search(/(^|[^\\]){/);
+  if (open < 0) {
+    return { error: 'Bagian jawaban { ... } tidak ditemukan' };
+  }
+  const braceIndex = withoutTitle.indexOf('{', open);
+  const close = withoutTitle.lastIndexOf('}');
+  if (close < braceIndex) {
+    return { error: 'Kurung kurawal jawaban tidak ditutup' };
+  }
+
+  const question = unescapeGift(
+    (withoutTitle.slice(0, braceIndex) + ' ' + withoutTitle.slice(close + 1)).replace(/\[(html|moodle|markdown|plain)\]/, '')
+  );
+  const body = withoutTitle.slice(braceIndex + 1, close).trim();
+
+  if (body === '') {
+    return { soal: { type_soal: 'Esai', pertanyaan: question } };
+  }
+
+  // Numerik: {#12.5:0.1} (nilai:toleransi) atau {#10..15} (rentang)
+  if (body.startsWith('#')) {
+    const angka = body.slice(1).replace(/^=/, '').replace(/#.*$/s, '').trim();
+    const rentang = angka.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    const tunggal = angka.match(/^(-?[\d.]+)(?:\s*:\s*([\d.]+))?$/);
+    let kunci = null;
+    if (rentang) {
+      const [min, max] = [Number(rentang[1]), Number(rentang[2])].sort((a, b) => a - b);
+      kunci = `${(min + max) / 2} ± ${(max - min) / 2}`;
+    } else if (tunggal) {
+      kunci = tunggal[2] ? `${tunggal[1]} ± ${tunggal[2]}` : tunggal[1];
+    }
+    if (kunci === null) {
+      return { error: 'Format jawaban numerik GIFT tidak dikenali ({#nilai:toleransi} atau {#min..max})' };
+    }
+    return { soal: { type_soal: 'Isian Angka', pertanyaan: question, kunci_jawaban: kunci } };
+  }
+
+  if (/^(T|TRUE|F|FALSE)$/i.test(body)) {
+    return {
+      soal: {
+        type_soal: 'Benar/Salah',
+        pertanyaan: 'Tentukan benar atau salah pernyataan berikut.',
+        pernyataan_1: question,
+        kunci_jawaban: /^T/i.test(body) ? 'B' : 'S'
+      }
+    };
+  }
+
+  const answers = splitGiftAnswers(body);
+  if (answers.length === 0) {
+    return { error: 'Format jawaban GIFT tidak dikenali' };
+  }
+
+  // Penjodohan: =kiri -> kanan
+  if (answers.every((a) => a.mark === '=' && a.value.includes('->'))) {
+    const soal = { type_soal: 'Penjodohan', pertanyaan: question };
+    const pairs = [];
+    answers.forEach((a, i) => {
+      const [kiri, kanan] = a.value.split('->');
+      soal[`pernyataan_kiri_${i + 1}`] = unescapeGift(kiri);
+      soal[`pernyataan_kanan_${i + 1}`] = unescapeGift(kanan);
+      pairs.push(`${i + 1}${String.fromCharCode(65 + i)}`);
+    });
+    soal.kunci_jawaban = pairs.join(',');
+    return { soal };
+  }
+
+  if (answers.length > HURUF.length) {
+    return { error: `Maksimal ${HURUF.length} pilihan jawaban` };
+  }
+
+  const soal = { pertanyaan: question };
+  const kunci = [];
+  answers.forEach((a, i) => {
+    const weight = a.value.match(/^%(-?\d+(?:\.\d+)?)%/);
+    const text = unescapeGift(weight ? a.value.slice(weight[0].length) : a.value);
+    soal[`pilihan_${HURUF[i]}`] = text;
+    if (a.mark === '=' || (weight && Number(weight[1]) > 0)) {
+      kunci.push(HURUF[i].toUpperCase());
+    }
+  });
+
+  const kompleks = kunci.length > 1 || answers.some((a) => /^%/.test(a.value));
+  soal.type_soal = kompleks ? 'Pilihan Ganda Kompleks' : 'Pilihan Ganda';
+  soal.kunci_jawaban = kunci.join(',');
+  return { soal };
+}
+
+function parseGift(text) {
+  const items = [];
+  const errors = [];
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let buffer = [];
+  let startLine = 0;
+
+  const flush = () => {
+    const block = buffer.join('\n').trim();
+    buffer = [];
+    if (!block) {
+      return;
+    }
+    const parsed = parseGiftQuestion(block);
+    if (parsed.error) {
+      errors.push({ line: startLine, messages: [parsed.error] });
+    } else {
+      items.push({ line: startLine, soal: pickSoalFields(parsed.soal) });
+    }
+  };
+
+  lines.forEach((rawLine, idx) => {
+    const text = rawLine.trim();
+    if (text.startsWith('//') || text.startsWith('$CATEGORY')) {
+      return;
+    }
+    if (text === '') {
+      flush();
+      return;
+    }
+    if (buffer.length === 0) {
+      startLine = idx + 1;
+    }
+    buffer.push(rawLine);
+  });
+  flush();
+
+  return { items, errors };
+}
+
+/* ---------- Umum ---------- */
+
+const PARSERS = { csv: parseCsv, aiken: parseAiken, gift: parseGift };
+
+/**
+ * Parse + validasi + penomoran otomatis no_soal.
+ * @param {string} format csv | aiken | gift
+ * @param {string} content isi file
+ * @param {number[]} [existingNo] no_soal yang sudah ada di mapel (mode tambah)
+ */
+function parseImport(format, content, existingNo = []) {
+  const parser = PARSERS[String(format || '').toLowerCase()];
+  if (!parser) {
+    return { items: [], errors: [{ line: 0, messages: [`Format tidak didukung: ${format}`] }] };
+  }
+
+  const { items, errors } = parser(content);
+  let nextNo = existingNo.length > 0 ? Math.max(...existingNo) : 0;
+
+  items.forEach((item) => {
+    item.soal.type_soal = item.soal.type_soal || 'Pilihan Ganda';
+    if (item.soal.no_soal) {
+      const no = Number(item.soal.no_soal);
+      if (!Number.isInteger(no) || no < 1) {
+        errors.push({ line: item.line, messages: [`no_soal tidak valid: "${item.soal.no_soal}"`] });
+        item.soal.no_soal = null;
+        return;
+      }
+      item.soal.no_soal = no;
+      nextNo = Math.max(nextNo, no);
+    }
+  });
+  items.forEach((item) => {
+    if (!item.soal.no_soal) {
+      nextNo++;
+      item.soal.no_soal = nextNo;
+    }
+    const messages = validateSoal(item.soal);
+    if (messages.length > 0) {
+      errors.push({ line: item.line, messages });
+    }
+  });
+
+  const seen = new Map();
+  items.forEach((item) => {
+    if (existingNo.includes(item.soal.no_soal)) {
+      errors.push({ line: item.line, messages: [`no_soal ${item.soal.no_soal} sudah ada di mapel ini`] });
+    } else if (seen.has(item.soal.no_soal)) {
+      errors.push({ line: item.line, messages: [`no_soal ${item.soal.no_soal} duplikat (baris ${seen.get(item.soal.no_soal)})`] });
+    } else {
+      seen.set(item.soal.no_soal, item.line);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { items, errors };
+}
+
+// Teks yang diawali karakter ini dijalankan sebagai rumus oleh Excel/Sheets (CSV injection)
+const AWALAN_RUMUS = /^[=+\-@\t\r]/;
+
+function csvCell(value, amanRumus) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (amanRumus && typeof value === 'string' && AWALAN_RUMUS.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tabel (header + baris array) ke teks CSV.
+ * Sel teks yang bisa terbaca sebagai rumus diberi awalan `'`; angka (mis. daya beda negatif) dibiarkan.
+ * @param {object} [opts]
+ * @param {boolean} [opts.amanRumus=true] false hanya untuk file yang diimport ulang apa adanya (template soal)
+ */
+function tabelKeCsv(kolom, baris, { amanRumus = true } = {}) {
+  const sel = (v) => csvCell(v, amanRumus);
+  const lines = [kolom.map(sel).join(',')];
+  (baris || []).forEach((row) => {
+    lines.push(row.map(sel).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Export bank_soal ke template CSV yang sama dengan import.
+ */
+function toCsv(soalList) {
+  // Tanpa awalan `'`: isi soal ditulis admin dan kunci seperti `-5` harus terbaca sama saat diimport ulang
+  return tabelKeCsv(CSV_COLUMNS, (soalList || []).map((soal) => CSV_COLUMNS.map((c) => soal[c])), { amanRumus: false });
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsvRows,
+  parseImport,
+  tabelKeCsv,
+  toCsv
+};
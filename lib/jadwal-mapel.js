@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Jadwal dan urutan mapel di dalam satu agenda (kolom mata_pelajaran, semuanya opsional):
+ *   - jadwal_mulai / jadwal_selesai : jendela buka mapel (mis. Matematika 08:00-09:30)
+ *   - id_mapel_prasyarat            : mapel yang wajib Selesai lebih dulu
+ *   - urutan                        : urutan tetap; semua mapel dengan urutan lebih kecil wajib Selesai
+ *   - jeda_menit                    : jeda minimal sejak peserta menyelesaikan mapel terakhirnya
+ *
+ * Mapel tanpa kolom di atas tetap bisa dibuka kapan saja selama agenda berlangsung.
+ */
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function terbuka() {
+  return { terkunci: false, kunci: null, alasan: null, buka_pada: null };
+}
+
+function dikunci(kunci, alasan, bukaPada = null) {
+  return { terkunci: true, kunci, alasan, buka_pada: bukaPada !== null ? new Date(bukaPada).toISOString() : null };
+}
+
+function formatJam(time) {
+  return new Date(time).toLocaleTimeString('id-ID', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: process.env.TZ_SEKOLAH || 'Asia/Jakarta'
+  });
+}
+
+/**
+ * Status kunci satu mapel untuk satu peserta.
+ * @param {object} mapel         baris mata_pelajaran
+ * @param {object} ctx
+ * @param {object[]} ctx.mapelList   semua mapel Siap di agenda yang sama (untuk prasyarat/urutan)
+ * @param {object[]} ctx.jawabanList jawaban peserta di agenda ini ({ id_mapel, status, tgljam_selesai })
+ * @param {number} [ctx.now]
+ * @returns {{ terkunci: boolean, kunci: string|null, alasan: string|null, buka_pada: string|null }}
+ *   kunci: belum_dibuka | sudah_ditutup | prasyarat | urutan | jeda
+ */
+function statusKunciMapel(mapel, { mapelList = [], jawabanList = [], now = Date.now() } = {}) {
+  const jawabanDari = (id) => jawabanList.find((j) => String(j.id_mapel) === String(id));
+  const selesai = (id) => {
+    const j = jawabanDari(id);
+    return !!j && j.status === 'Selesai';
+  };
+
+  const sesi = jawabanDari(mapel.id);
+  if (sesi && sesi.status === 'Selesai') {
+    return terbuka();
+  }
+
+  const tutup = toTime(mapel.jadwal_selesai);
+  if (tutup !== null && now > tutup) {
+    return dikunci('sudah_ditutup', `Jadwal ${mapel.nama_mata_pelajaran || 'mapel'} sudah ditutup`);
+  }
+
+  // Sesi yang sudah dimulai hanya dibatasi jendela tutup (dan deadline), bukan syarat masuk
+  if (sesi) {
+    return terbuka();
+  }
+
+  const buka = toTime(mapel.jadwal_mulai);
+  if (buka !== null && now < buka) {
+    return dikunci('belum_dibuka', `Dibuka pukul ${formatJam(buka)}`, buka);
+  }
+
+  if (mapel.id_mapel_prasyarat) {
+    const prasyarat = mapelList.find((m) => String(m.id) === String(mapel.id_mapel_prasyarat));
+    // Prasyarat yang tidak Siap (Draft / agenda lain) diabaikan agar peserta tidak terkunci selamanya
+    if (prasyarat && !selesai(prasyarat.id)) {
+      return dikunci('prasyarat', `Selesaikan ${prasyarat.nama_mata_pelajaran} terlebih dahulu`);
+    }
+  }
+
+  const urutan = Number(mapel.urutan);
+  if (mapel.urutan !== null && mapel.urutan !== undefined && Number.isFinite(urutan)) {
+    const sebelumnya = mapelList
+      .filter((m) => m.urutan !== null && m.urutan !== undefined && Number(m.urutan) < urutan)
+      .sort((a, b) => Number(a.urutan) - Number(b.urutan))
+      .find((m) => !selesai(m.id));
+    if (sebelumnya) {
+      return dikunci('urutan', `Kerjakan ${sebelumnya.nama_mata_pelajaran} terlebih dahulu`);
+    }
+  }
+
+  const jeda = Number(mapel.jeda_menit) || 0;
+  if (jeda > 0) {
+    const terakhir = jawabanList
+      .filter((j) => j.status === 'Selesai')
+      .map((j) => toTime(j.tgljam_selesai))
+      .filter((t) => t !== null);
+    if (terakhir.length > 0) {
+      const bukaJeda = Math.max(...terakhir) + jeda * 60000;
+      if (now < bukaJeda) {
+        return dikunci('jeda', `Istirahat minimal ${jeda} menit antar mapel`, bukaJeda);
+      }
+    }
+  }
+
+  return terbuka();
+}
+
+/**
+ * Validasi field jadwal di payload admin mapel (null = kosongkan kolom).
+ * @param {object} payload
+ * @param {object} [lama] nilai kolom sebelum PATCH, untuk cek jadwal_mulai < jadwal_selesai
+ * @returns {string|null} pesan error
+ */
+function validateJadwalMapel(payload, lama = {}) {
+  for (const field of ['jadwal_mulai', 'jadwal_selesai']) {
+    const value = payload[field];
+    if (value !== undefined && value !== null && value !== '' && toTime(value) === null) {
+      return `${field} wajib berupa tanggal`;
+    }
+  }
+  const mulai = toTime(payload.jadwal_mulai !== undefined ? payload.jadwal_mulai : lama.jadwal_mulai);
+  const selesai = toTime(payload.jadwal_selesai !== undefined ? payload.jadwal_selesai : lama.jadwal_selesai);
+  if (mulai !== null && selesai !== null && mulai >= selesai) {
+    return 'jadwal_mulai harus sebelum jadwal_selesai';
+  }
+
+  if (payload.urutan !== undefined && payload.urutan !== null && !(Number.isInteger(Number(payload.urutan)) && Number(payload.urutan) > 0)) {
+    return 'urutan harus bilangan bulat lebih dari 0';
+  }
+  if (payload.jeda_menit !== undefined && payload.jeda_menit !== null && !(Number.isInteger(Number(payload.jeda_menit)) && Number(payload.jeda_menit) >= 0)) {
+    return 'jeda_menit harus bilangan bulat 0 atau lebih';
+  }
+  return null;
+}
+
+module.exports = {
+  statusKunciMapel,
+  validateJadwalMapel
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+const { getTipeSoal, parseAngka, tanpaSatuan } = require('./scoring');
+
+/**
+ * Format jawaban terstruktur (per id soal, bertipe) + decoder kompatibilitas
+ * untuk baris lama yang masih berupa string "A|B,C|..." urut no_soal.
+ *
+ * Nilai per tipe:
+ *   - pg    : "A"
+ *   - pgk   : ["A", "C"]
+ *   - bs    : ["B", null, "S"]   (index = nomor pernyataan - 1)
+ *   - jodoh : { "1": "A", "2": "C" }
+ *   - angka : 12.5
+ *   - urutan: [3, 1, 2, 4]       (nomor pernyataan sesuai urutan yang disusun peserta)
+ *   - rumpang: { "1": "kucing", "2": "lari" }
+ *   - esai  : "teks bebas"
+ * Soal yang belum dijawab bernilai null (tidak disimpan).
+ *
+ * Kolom jawaban.jawaban berisi JSON: {"v":2,"items":{"<id_soal>": nilai}}
+ */
+
+const FORMAT_VERSION = 2;
+const KOSONG = '-';
+const HURUF = /^[A-E]$/;
+const MAKS_ISIAN = 200;
+
+function isKosong(value) {
+  return value === undefined || value === null || (typeof value === 'string' && (value.trim() === '' || value.trim() === KOSONG));
+}
+
+function normalizePg(value) {
+  const huruf = String(Array.isArray(value) ? value[0] || '' : value).trim().toUpperCase();
+  return HURUF.test(huruf) ? huruf : null;
+}
+
+function normalizePgk(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+  const huruf = [...new Set(parts.map((v) => String(v || '').trim().toUpperCase()).filter((v) => HURUF.test(v)))];
+  return huruf.length > 0 ? huruf.sort() : null;
+}
+
+function normalizeBs(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const list = parts.slice(0, 8).map((v) => {
+    const c = String(v || '').trim().toUpperCase().charAt(0);
+    return c || null;
+  });
+  return list.some((v) => v !== null) ? list : null;
+}
+
+function normalizeJodoh(value) {
+  const pairs = {};
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([kiri, kanan]) => {
+      const k = String(kiri).trim();
+      const v = String(kanan || '').trim().toUpperCase();
+      if (/^\d+$/.test(k) && /^[A-Z]$/.test(v)) {
+        pairs[k] = v;
+      }
+    });
+  } else {
+    // Format lama "1A,2C"
+    String(value)
+      .split(',')
+      .forEach((pair) => {
+        const match = pair.trim().toUpperCase().match(/^(\d+)\s*[-:=]?\s*([A-Z])$/);
+        if (match) {
+          pairs[match[1]] = match[2];
+        }
+      });
+  }
+  return Object.keys(pairs).length > 0 ? pairs : null;
+}
+
+function normalizeUrutan(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+  const nomor = parts.map((v) => Number(v)).filter((n) => Number.isInteger(n) && n >= 1 && n <= 8);
+  const unik = [...new Set(nomor)];
+  return unik.length > 0 && unik.length === nomor.length ? unik : null;
+}
+
+function normalizeRumpang(value) {
+  const isian = {};
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([nomor, teks]) => {
+      const k = String(nomor).trim();
+      const v = teks === null || teks === undefined ? '' : String(teks).trim().slice(0, MAKS_ISIAN);
+      if (/^\d+$/.test(k) && v !== '') {
+        isian[k] = v;
+      }
+    });
+  }
+  return Object.keys(isian).length > 0 ? isian : null;
+}
+
+/**
+ * Samakan bentuk nilai sesuai type_soal. Menerima nilai bertipe maupun string format lama.
+ * @returns {*} nilai ternormalisasi, atau null jika kosong/tidak valid
+ */
+function normalizeNilai(soal, value) {
+  if (isKosong(value)) {
+    return null;
+  }
+  switch (getTipeSoal(soal && soal.type_soal)) {
+    case 'pg':
+      return normalizePg(value);
+    case 'pgk':
+      return normalizePgk(value);
+    case 'bs':
+      return normalizeBs(value);
+    case 'jodoh':
+      return normalizeJodoh(value);
+    case 'angka':
+      return parseAngka(tanpaSatuan(value, soal.satuan));
+    case 'urutan':
+      return normalizeUrutan(value);
+    case 'rumpang':
+      return normalizeRumpang(value);
+    default:
+      return typeof value === 'string' ? value : String(value);
+  }
+}
+
+function parseStored(stored) {
+  if (stored && typeof stored === 'object') {
+    return stored;
+  }
+  const text = String(stored || '').trim();
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Baca kolom jawaban.jawaban (format baru atau string pipe lama).
+ * @param {object[]} soalList baris bank_soal urut no_soal.asc (untuk format lama)
+ * @returns {Object<string, *>} { [id_soal]: nilai }
+ */
+function decodeJawaban(soalList, stored) {
+  const map = {};
+  const soalById = new Map((soalList || []).map((s) => [String(s.id), s]));
+  const parsed = parseStored(stored);
+
+  if (parsed && parsed.items) {
+    Object.entries(parsed.items).forEach(([id, value]) => {
+      const soal = soalById.get(String(id));
+      const nilai = soal ? normalizeNilai(soal, value) : value;
+      if (nilai !== null) {
+        map[id] = nilai;
+      }
+    });
+    return map;
+  }
+
+  // Format lama: posisi = urutan no_soal
+  const parts = String(stored || '').split('|');
+  (soalList || []).forEach((soal, index) => {
+    const nilai = normalizeNilai(soal, parts[index]);
+    if (nilai !== null) {
+      map[soal.id] = nilai;
+    }
+  });
+  return map;
+}
+
+/**
+ * @param {Object<string, *>} map { [id_soal]: nilai }
+ * @returns {string} JSON untuk kolom jawaban.jawaban
+ */
+function encodeJawaban(map) {
+  const items = {};
+  Object.entries(map || {}).forEach(([id, value]) => {
+    if (!isKosong(value)) {
+      items[id] = value;
+    }
+  });
+  return JSON.stringify({ v: FORMAT_VERSION, items });
+}
+
+/**
+ * Lengkapi map dengan null untuk soal yang tidak ada, agar jawaban yang
+ * dikosongkan ikut terhapus saat disimpan.
+ */
+function lengkapi(soalList, map) {
+  const out = {};
+  (soalList || []).forEach((soal) => {
+    const v = (map || {})[soal.id];
+    out[soal.id] = v === undefined ? null : v;
+  });
+  return out;
+}
+
+/**
+ * Susun jawaban sesuai urutan soalList (untuk penilaian).
+ */
+function toList(soalList, map) {
+  return (soalList || []).map((soal) => {
+    const v = (map || {})[soal.id];
+    return v === undefined ? null : v;
+  });
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  normalizeNilai,
+  decodeJawaban,
+  encodeJawaban,
+  lengkapi,
+  toList
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Lembar cetak kartu peserta (HTML, siap print / "Save as PDF" dari browser).
+ * Tata letak sama dengan .kartu-visual di index.html, dua kolom per halaman A4,
+ * setiap kelas mulai di halaman baru.
+ */
+
+const WARNA = {
+  primary: '#dc2626',
+  primaryLight: '#fef2f2'
+};
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const CSS = `
+  * { box-sizing: border-box; }
+  body { font-family: 'Plus Jakarta Sans', Arial, sans-serif; margin: 0; padding: 16px; color: #0f172a; background: #f1f5f9; }
+  .toolbar { margin-bottom: 16px; }
+  .toolbar button { background: ${WARNA.primary}; color: white; border: none; padding: 8px 16px; border-radius: 8px; font-weight: 700; cursor: pointer; }
+  .kelas { page-break-after: always; break-after: page; }
+  .kelas:last-child { page-break-after: auto; break-after: auto; }
+  .kelas h2 { font-size: 14px; margin: 0 0 10px 0; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+  .kartu-visual {
+    background: white; border: 2px solid ${WARNA.primary}; padding: 14px; border-radius: 12px;
+    position: relative; overflow: hidden; page-break-inside: avoid; break-inside: avoid;
+  }
+  .kartu-watermark {
+    position: absolute; top: 20%; left: 50%; transform: translate(-50%, -50%) rotate(-20deg);
+    font-size: 40px; font-weight: 900; opacity: 0.05; white-space: nowrap; color: ${WARNA.primary}; pointer-events: none;
+  }
+  .kartu-head { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
+  .kartu-head h3 { color: ${WARNA.primary}; margin: 0; font-size: 14px; }
+  .jenis-tes-badge {
+    background: ${WARNA.primary}; color: white; padding: 2px 10px; border-radius: 20px; font-size: 9px;
+    font-weight: 700; text-transform: uppercase; letter-spacing: 0.5px; max-width: 55%; overflow: hidden; white-space: nowrap;
+  }
+  table { width: 100%; font-size: 11px; border-collapse: collapse; }
+  td { padding: 2px 0; vertical-align: top; }
+  td.label { color: #666; width: 30%; }
+  td.isi { font-weight: 700; }
+  .pass { letter-spacing: 2px; font-family: 'Courier New', monospace; }
+  .token { background: ${WARNA.primaryLight}; color: ${WARNA.primary}; text-align: center; padding: 6px; margin-top: 10px; border-radius: 8px; font-size: 10px; }
+  .catatan { margin-top: 8px; padding: 6px; background: #f8fafc; border-radius: 6px; font-size: 9px; color: #666; }
+  @page { size: A4; margin: 10mm; }
+  @media print {
+    body { background: white; padding: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .toolbar { display: none; }
+  }
+`;
+
+function kartuHtml(peserta, { jenisTes, password }) {
+  const pass = password
+    ? `<span class="pass">${escapeHtml(password)}</span>`
+    : '<span style="color:#94a3b8; font-weight:400;">........................</span>';
+
+  return `
+    <div class="kartu-visual">
+      <div class="kartu-watermark">KARTU UJIAN</div>
+      <div class="kartu-head">
+        <h3>KARTU PESERTA</h3>
+        <div class="jenis-tes-badge">${escapeHtml(jenisTes)}</div>
+      </div>
+      <table>
+        <tr><td class="label">Nama</td><td class="isi">${escapeHtml(peserta.nama_peserta)}</td></tr>
+        <tr><td class="label">Kelas</td><td class="isi">${escapeHtml(peserta.kelas || '-')}</td></tr>
+        <tr><td class="label">Sekolah</td><td class="isi">${escapeHtml(peserta.asal_sekolah || '-')}</td></tr>
+        <tr><td class="label">Username</td><td class="isi">${escapeHtml(peserta.nis_username)}</td></tr>
+        <tr><td class="label">Password</td><td class="isi">${pass}</td></tr>
+        <tr><td class="label">Jenis Tes</td><td class="isi">${escapeHtml(jenisTes)}</td></tr>
+      </table>
+      <div class="token"><small>TOKEN UJIAN</small><br><strong>Dibacakan pengawas saat ujian dimulai</strong></div>
+      <div class="catatan"><strong>⚠️ Keamanan:</strong> Jangan bagikan kartu ini. Ganti password setelah login pertama.</div>
+    </div>`;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.agenda     baris agenda_ujian ({ agenda_ujian })
+ * @param {object[]} opts.peserta  baris peserta ({ nama_peserta, nis_username, kelas, asal_sekolah })
+ * @param {Object<string,string>} [opts.kataSandi] nis_username -> password awal (hasil import); kosong = garis isian
+ * @param {string} [opts.jenisTes]
+ * @returns {string} dokumen HTML lengkap
+ */
+function lembarKartu({ agenda, peserta, kataSandi = {}, jenisTes = 'Ujian Umum' }) {
+  const perKelas = new Map();
+  (peserta || []).forEach((p) => {
+    const kelas = p.kelas || 'Tanpa Kelas';
+    if (!perKelas.has(kelas)) {
+      perKelas.set(kelas, []);
+    }
+    perKelas.get(kelas).push(p);
+  });
+
+  const bagian = [...perKelas.keys()]
+    .sort((a, b) => a.localeCompare(b, 'id', { numeric: true }))
+    .map((kelas) => {
+      const kartu = perKelas
+        .get(kelas)
+        .sort((a, b) => String(a.nama_peserta || '').localeCompare(String(b.nama_peserta || ''), 'id'))
+        .map((p) => kartuHtml(p, { jenisTes, password: kataSandi[p.nis_username] }))
+        .join('');
+      return `
+  <section class="kelas">
+    <h2>${escapeHtml(agenda.agenda_ujian || '')} — Kelas ${escapeHtml(kelas)} (${perKelas.get(kelas).length} peserta)</h2>
+    <div class="grid">${kartu}</div>
+  </section>`;
+    })
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>Kartu Peserta - ${escapeHtml(agenda.agenda_ujian || '')}</title>
+<style>${CSS}</style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">🖨️ Cetak / Simpan PDF</button></div>
+  ${bagian || '<p>Tidak ada peserta</p>'}
+</body>
+</html>`;
+}
+
+module.exports = {
+  lembarKartu
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+const { sanitasiHtml, urlAman } = require('./sanitasi-html');
+
+/**
+ * Konten soal kaya: kolom `bank_soal.media` (jsonb) untuk banyak gambar per soal & per opsi dan audio
+ * dengan batas putar. Teks soal (pertanyaan, pilihan, pernyataan) boleh berisi HTML dan rumus LaTeX;
+ * HTML disanitasi di server sebelum dikirim ke peserta.
+ *
+ *   {
+ *     "gambar": ["https://.../grafik.png"],
+ *     "gambar_opsi": { "A": ["https://.../a.png"], "C": ["..."] },
+ *     "audio": [{ "url": "https://.../listening-1.mp3", "judul": "Dialog 1", "maks_putar": 2 }]
+ *   }
+ */
+
+const HURUF_OPSI = ['A', 'B', 'C', 'D', 'E'];
+const MAKS_GAMBAR = 10;
+const MAKS_GAMBAR_OPSI = 5;
+const MAKS_AUDIO = 5;
+const MAKS_PUTAR = 10;
+
+// Kolom teks yang dipasang sebagai HTML di index.html
+const KOLOM_HTML = [
+  'pertanyaan',
+  ...HURUF_OPSI.map((h) => `pilihan_${h.toLowerCase()}`),
+  ...[1, 2, 3, 4, 5, 6, 7, 8].flatMap((i) => [`pernyataan_${i}`, `pernyataan_kiri_${i}`, `pernyataan_kanan_${i}`])
+];
+
+function daftarUrl(nilai, label, maks, errors) {
+  if (nilai === undefined || nilai === null) {
+    return [];
+  }
+  if (!Array.isArray(nilai)) {
+    errors.push(`${label} harus berupa daftar URL`);
+    return [];
+  }
+  if (nilai.length > maks) {
+    errors.push(`${label} maksimal ${maks} gambar`);
+  }
+  return nilai
+    .map((url) => {
+      const aman = typeof url === 'string' ? urlAman(url) : null;
+      if (!aman) {
+        errors.push(`${label}: URL gambar tidak valid "${url}"`);
+      }
+      return aman;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Validasi & rapikan isi kolom media (objek atau teks JSON dari CSV/form).
+ * @returns {{ media: object|null, errors: string[] }}
+ */
+function normalisasiMedia(nilai) {
+  const errors = [];
+  if (nilai === undefined || nilai === null || nilai === '') {
+    return { media: null, errors };
+  }
+
+  let media = nilai;
+  if (typeof media === 'string') {
+    try {
+      media = JSON.parse(media);
+    } catch (e) {
+      return { media: null, errors: ['media harus JSON yang valid'] };
+    }
+  }
+  if (!media || typeof media !== 'object' || Array.isArray(media)) {
+    return { media: null, errors: ['media harus berupa objek { gambar, gambar_opsi, audio }'] };
+  }
+
+  const hasil = {};
+  const gambar = daftarUrl(media.gambar, 'media.gambar', MAKS_GAMBAR, errors);
+  if (gambar.length > 0) {
+    hasil.gambar = gambar;
+  }
+
+  if (media.gambar_opsi !== undefined && media.gambar_opsi !== null) {
+    if (typeof media.gambar_opsi !== 'object' || Array.isArray(media.gambar_opsi)) {
+      errors.push('media.gambar_opsi harus objek { A: [url], ... }');
+    } else {
+      const opsi = {};
+      Object.entries(media.gambar_opsi).forEach(([huruf, urls]) => {
+        const h = String(huruf).toUpperCase();
+        if (!HURUF_OPSI.includes(h)) {
+          errors.push(`media.gambar_opsi: opsi "${huruf}" tidak dikenal (A-E)`);
+          return;
+        }
+        const list = daftarUrl(urls, `media.gambar_opsi.${h}`, MAKS_GAMBAR_OPSI, errors);
+        if (list.length > 0) {
+          opsi[h] = list;
+        }
+      });
+      if (Object.keys(opsi).length > 0) {
+        hasil.gambar_opsi = opsi;
+      }
+    }
+  }
+
+  if (media.audio !== undefined && media.audio !== null) {
+    if (!Array.isArray(media.audio)) {
+      errors.push('media.audio harus berupa daftar');
+    } else {
+      if (media.audio.length > MAKS_AUDIO) {
+        errors.push(`media.audio maksimal ${MAKS_AUDIO} audio`);
+      }
+      const audio = media.audio.map((a, i) => {
+        const item = a && typeof a === 'object' ? a : { url: a };
+        const url = typeof item.url === 'string' && !/^data:/i.test(item.url.trim()) ? urlAman(item.url) : null;
+        if (!url) {
+          errors.push(`media.audio[${i}]: URL audio tidak valid`);
+        }
+        const maks = item.maks_putar === undefined || item.maks_putar === null ? 1 : Number(item.maks_putar);
+        if (!Number.isInteger(maks) || maks < 1 || maks > MAKS_PUTAR) {
+          errors.push(`media.audio[${i}]: maks_putar harus 1-${MAKS_PUTAR}`);
+        }
+        const out = { url, maks_putar: maks };
+        if (item.judul) {
+          out.judul = String(item.judul).slice(0, 100);
+        }
+        return out;
+      });
+      if (audio.length > 0) {
+        hasil.audio = audio;
+      }
+    }
+  }
+
+  return { media: Object.keys(hasil).length > 0 ? hasil : null, errors };
+}
+
+/**
+ * Media versi peserta: gambar_url lama digabung ke daftar gambar, URL audio TIDAK ikut
+ * (hanya diberikan /api/putar-audio selama jatah putar masih ada).
+ * @returns {object|null}
+ */
+function mediaUntukPeserta(row) {
+  const { media } = normalisasiMedia(row.media);
+  const gambar = [row.gambar_url, ...((media && media.gambar) || [])]
+    .filter((url) => typeof url === 'string' && urlAman(url));
+  const hasil = {};
+  if (gambar.length > 0) {
+    hasil.gambar = [...new Set(gambar)];
+  }
+  if (media && media.gambar_opsi) {
+    hasil.gambar_opsi = media.gambar_opsi;
+  }
+  if (media && media.audio) {
+    hasil.audio = media.audio
+      .map((a, indeks) => (a.url ? { indeks, judul: a.judul || `Audio ${indeks + 1}`, maks_putar: a.maks_putar } : null))
+      .filter(Boolean);
+  }
+  return Object.keys(hasil).length > 0 ? hasil : null;
+}
+
+/**
+ * Audio ke-`indeks` milik soal (baris bank_soal dengan kolom media).
+ * @returns {{ url: string, maks_putar: number, judul?: string }|null}
+ */
+function audioSoal(row, indeks) {
+  const { media } = normalisasiMedia(row.media);
+  const audio = media && media.audio ? media.audio[Number(indeks)] : null;
+  return audio && audio.url ? audio : null;
+}
+
+/**
+ * Huruf opsi yang terisi: punya teks `pilihan_x` atau gambar di `media.gambar_opsi` (opsi bergambar saja).
+ * @returns {string[]} mis. ['A', 'B', 'D']
+ */
+function opsiTerisi(soal) {
+  let media = soal.media;
+  if (typeof media === 'string') {
+    try {
+      media = JSON.parse(media);
+    } catch (e) {
+      media = null;
+    }
+  }
+  const gambar = (media && typeof media === 'object' && media.gambar_opsi) || {};
+  return HURUF_OPSI.filter((h) => {
+    const teks = soal[`pilihan_${h.toLowerCase()}`];
+    const adaTeks = teks !== undefined && teks !== null && String(teks).trim() !== '';
+    return adaTeks || (Array.isArray(gambar[h]) && gambar[h].length > 0);
+  });
+}
+
+/**
+ * Sanitasi semua kolom teks HTML pada salinan soal.
+ */
+function sanitasiKontenSoal(soal) {
+  const out = { ...soal };
+  KOLOM_HTML.forEach((kolom) => {
+    if (typeof out[kolom] === 'string') {
+      out[kolom] = sanitasiHtml(out[kolom]);
+    }
+  });
+  return out;
+}
+
+module.exports = {
+  KOLOM_HTML,
+  normalisasiMedia,
+  mediaUntukPeserta,
+  audioSoal,
+  opsiTerisi,
+  sanitasiKontenSoal
+};
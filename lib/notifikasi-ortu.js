@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Notifikasi hasil ujian ke orang tua (peserta.no_wa_ortu) setelah hasil agenda dirilis.
+ *
+ * Pesan disusun dari template per agenda (agenda_ujian.template_notif_ortu, default TEMPLATE_DEFAULT) dan
+ * dikirim lewat provider lib/notify. Antrean & status kirim ada di tabel notifikasi_ortu:
+ *   antre -> mengirim -> terkirim | antre (dijadwalkan ulang) | gagal (percobaan habis / nomor tidak valid)
+ */
+
+const PLACEHOLDER = ['nama_peserta', 'nis', 'kelas', 'asal_sekolah', 'agenda', 'daftar_nilai', 'jumlah_mapel', 'rata_rata'];
+const POLA_PLACEHOLDER = /\{([a-z_]+)\}/g;
+const MAKS_TEMPLATE = 2000;
+
+const TEMPLATE_DEFAULT = [
+  '*Hasil Ujian {agenda}*',
+  '',
+  'Yth. Orang Tua/Wali dari *{nama_peserta}* ({kelas}),',
+  'berikut hasil ujian putra/putri Bapak/Ibu:',
+  '',
+  '{daftar_nilai}',
+  '',
+  'Rata-rata: *{rata_rata}*',
+  '',
+  'Pesan ini dikirim otomatis oleh CBTKU 2026.'
+].join('\n');
+
+// Jeda sebelum percobaan ulang ke-n (menit); setelah daftar habis memakai nilai terakhir
+const JEDA_ULANG_MENIT = [1, 5, 15, 60];
+
+function formatWaktu(iso) {
+  if (!iso) {
+    return '-';
+  }
+  return new Date(iso).toLocaleString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: process.env.TZ_SEKOLAH || 'Asia/Jakarta'
+  });
+}
+
+function formatNilai(nilai) {
+  const n = Number(nilai);
+  return nilai === null || nilai === undefined || !Number.isFinite(n) ? '-' : String(Math.round(n * 100) / 100).replace('.', ',');
+}
+
+/**
+ * @returns {string|null} pesan error template
+ */
+function validateTemplate(template) {
+  const teks = String(template);
+  if (teks.length > MAKS_TEMPLATE) {
+    return `template_notif_ortu maksimal ${MAKS_TEMPLATE} karakter`;
+  }
+  const tidakDikenal = [...teks.matchAll(POLA_PLACEHOLDER)].map((m) => m[1]).filter((p) => !PLACEHOLDER.includes(p));
+  if (tidakDikenal.length > 0) {
+    return `placeholder tidak dikenal: {${tidakDikenal.join('}, {')}} (pilihan: {${PLACEHOLDER.join('}, {')}})`;
+  }
+  if (!teks.includes('{daftar_nilai}')) {
+    return 'template_notif_ortu wajib berisi {daftar_nilai}';
+  }
+  return null;
+}
+
+/**
+ * @returns {string|null} pesan error pengaturan notifikasi di payload agenda
+ */
+function validatePengaturanNotif(payload) {
+  ['notif_ortu', 'notif_ortu_pelanggaran'].forEach((f) => {
+    if (payload[f] === 'true' || payload[f] === 'false') {
+      payload[f] = payload[f] === 'true';
+    }
+  });
+  if (payload.notif_ortu !== undefined && typeof payload.notif_ortu !== 'boolean') {
+    return 'notif_ortu harus true/false';
+  }
+  if (payload.notif_ortu_pelanggaran !== undefined && typeof payload.notif_ortu_pelanggaran !== 'boolean') {
+    return 'notif_ortu_pelanggaran harus true/false';
+  }
+  if (payload.template_notif_ortu !== undefined && payload.template_notif_ortu !== null && payload.template_notif_ortu !== '') {
+    return validateTemplate(payload.template_notif_ortu);
+  }
+  return null;
+}
+
+/**
+ * Isi template; placeholder tanpa data diganti "-".
+ */
+function renderTemplate(template, data) {
+  return String(template).replace(POLA_PLACEHOLDER, (m, nama) => {
+    if (!PLACEHOLDER.includes(nama)) {
+      return m;
+    }
+    const nilai = data[nama];
+    return nilai === null || nilai === undefined || nilai === '' ? '-' : String(nilai);
+  });
+}
+
+/**
+ * Susun pesan untuk satu peserta.
+ * @param {object} opts
+ * @param {object} opts.agenda  baris agenda_ujian (agenda_ujian, template_notif_ortu, notif_ortu_pelanggaran)
+ * @param {object} opts.peserta baris peserta
+ * @param {object[]} opts.hasil [{ mapel, nilai, tgljam_selesai, jumlah_pelanggaran, esai_belum_dinilai }] urut mapel
+ * @returns {string}
+ */
+function susunPesan({ agenda, peserta, hasil }) {
+  const baris = hasil.map((h) => {
+    let teks = `- ${h.mapel}: *${formatNilai(h.nilai)}* (selesai ${formatWaktu(h.tgljam_selesai)})`;
+    if (agenda.notif_ortu_pelanggaran) {
+      teks += `, pelanggaran: ${Number(h.jumlah_pelanggaran) || 0}`;
+    }
+    if (Number(h.esai_belum_dinilai) > 0) {
+      teks += ' - sementara, esai belum dinilai';
+    }
+    return teks;
+  });
+  // Mapel tanpa nilai (ditulis "-") tidak ikut dirata-rata; Number(null) bernilai 0.
+  // Mapel dengan esai yang belum dinilai ikut dengan nilai sementaranya, rata-rata ditandai sementara.
+  const dinilai = hasil.filter(
+    (h) => h.nilai !== null && h.nilai !== undefined && h.nilai !== '' && Number.isFinite(Number(h.nilai))
+  );
+  const nilai = dinilai.map((h) => Number(h.nilai));
+  const sementara = dinilai.some((h) => Number(h.esai_belum_dinilai) > 0);
+
+  return renderTemplate(agenda.template_notif_ortu || TEMPLATE_DEFAULT, {
+    nama_peserta: peserta.nama_peserta,
+    nis: peserta.nis_username,
+    kelas: peserta.kelas,
+    asal_sekolah: peserta.asal_sekolah,
+    agenda: agenda.agenda_ujian,
+    daftar_nilai: baris.join('\n'),
+    jumlah_mapel: hasil.length,
+    rata_rata: nilai.length > 0
+      ? `${formatNilai(nilai.reduce((a, b) => a + b, 0) / nilai.length)}${sementara ? ' (sementara)' : ''}`
+      : null
+  });
+}
+
+/**
+ * Jeda (ms) sebelum kirim ulang setelah percobaan ke-`percobaan` gagal.
+ */
+function jedaUlang(percobaan) {
+  const i = Math.min(Math.max(Number(percobaan) || 1, 1), JEDA_ULANG_MENIT.length) - 1;
+  return JEDA_ULANG_MENIT[i] * 60 * 1000;
+}
+
+module.exports = {
+  PLACEHOLDER,
+  TEMPLATE_DEFAULT,
+  validatePengaturanNotif,
+  renderTemplate,
+  susunPesan,
+  jedaUlang
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Provider "console": pesan hanya ditulis ke log server. Untuk development.
+ */
+function buatConsoleProvider() {
+  return {
+    nama: 'console',
+    kanal: 'wa',
+    async kirim({ tujuan, pesan }) {
+      console.log(`[notify:console] ke ${tujuan}:\n${pesan}`);
+    }
+  };
+}
+
+module.exports = buatConsoleProvider;
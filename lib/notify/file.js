@@ -0,0 +1,21 @@
+'use strict';
+
+const fs = require('fs/promises');
+
+/**
+ * Provider "file": setiap pesan ditambahkan sebagai satu baris JSON ke NOTIFY_FILE.
+ * Berguna untuk staging/uji tanpa gateway. Di Vercel hanya /tmp yang bisa ditulis.
+ */
+function buatFileProvider(env) {
+  const file = env.NOTIFY_FILE || '/tmp/cbtku-notify.log';
+  return {
+    nama: 'file',
+    kanal: 'wa',
+    async kirim({ tujuan, subjek, pesan }) {
+      const baris = JSON.stringify({ waktu: new Date().toISOString(), tujuan, subjek, pesan });
+      await fs.appendFile(file, `${baris}\n`, 'utf8');
+    }
+  };
+}
+
+module.exports = buatFileProvider;
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Provider "http": gateway SMS/WhatsApp generik (Fonnte, Wablas, Zenziva, dll).
+ * Request: POST NOTIFY_HTTP_URL dengan field tujuan & pesan (nama field bisa diatur).
+ *
+ *   NOTIFY_HTTP_URL            endpoint gateway (wajib)
+ *   NOTIFY_HTTP_TOKEN          nilai header auth (opsional)
+ *   NOTIFY_HTTP_AUTH_HEADER    nama header auth (default Authorization)
+ *   NOTIFY_HTTP_FIELD_TO       nama field nomor tujuan (default target)
+ *   NOTIFY_HTTP_FIELD_MESSAGE  nama field isi pesan (default message)
+ *   NOTIFY_HTTP_FORMAT         json | form (default json)
+ *   NOTIFY_HTTP_TIMEOUT_MS     default 10000
+ */
+function buatHttpProvider(env) {
+  if (!env.NOTIFY_HTTP_URL) {
+    throw new Error('NOTIFY_HTTP_URL belum diset');
+  }
+
+  const fieldTo = env.NOTIFY_HTTP_FIELD_TO || 'target';
+  const fieldMessage = env.NOTIFY_HTTP_FIELD_MESSAGE || 'message';
+  const asForm = env.NOTIFY_HTTP_FORMAT === 'form';
+  const timeoutMs = Number(env.NOTIFY_HTTP_TIMEOUT_MS) || 10000;
+
+  return {
+    nama: 'http',
+    kanal: 'wa',
+    async kirim({ tujuan, pesan }) {
+      const data = { [fieldTo]: tujuan, [fieldMessage]: pesan };
+      const headers = {
+        'Content-Type': asForm ? 'application/x-www-form-urlencoded' : 'application/json'
+      };
+      if (env.NOTIFY_HTTP_TOKEN) {
+        headers[env.NOTIFY_HTTP_AUTH_HEADER || 'Authorization'] = env.NOTIFY_HTTP_TOKEN;
+      }
+
+      const response = await fetch(env.NOTIFY_HTTP_URL, {
+        method: 'POST',
+        headers,
+        body: asForm ? new URLSearchParams(data).toString() : JSON.stringify(data),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Gateway HTTP ${response.status}: ${text.slice(0, 200)}`);
+      }
+    }
+  };
+}
+
+module.exports = buatHttpProvider;
@@ -0,0 +1,111 @@
+'use strict';
+
+const { normalisasiNomor, samarkanTujuan } = require('./nomor');
+
+/**
+ * Pengiriman notifikasi (OTP, dll) lewat provider yang dipilih dari env NOTIFY_PROVIDER:
+ *   console (default) | file | http | smtp | whatsapp-web
+ * Notifikasi hasil ke orang tua boleh memakai provider lain lewat NOTIFY_ORTU_PROVIDER.
+ *
+ * Setiap provider: { nama, kanal: 'wa'|'email', kirim({ tujuan, subjek, pesan }) }.
+ * kirim() melempar error jika gagal; pemanggil yang mencatat hasilnya.
+ */
+
+const PROVIDERS = {
+  console: () => require('./console'),
+  file: () => require('./file'),
+  http: () => require('./http'),
+  smtp: () => require('./smtp'),
+  'whatsapp-web': () => require('./whatsapp-web')
+};
+
+const OTP_BERLAKU_MENIT = 10;
+
+const cached = new Map();
+
+function buatProvider(nama, variabel, env) {
+  if (!PROVIDERS[nama]) {
+    throw new Error(`${variabel} tidak dikenal: "${nama}" (pilihan: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  // whatsapp-web cukup satu client per proses walaupun dipakai OTP & notifikasi orang tua
+  if (!cached.has(nama)) {
+    cached.set(nama, PROVIDERS[nama]()(env));
+  }
+  return cached.get(nama);
+}
+
+/**
+ * Provider aktif (dibuat sekali per proses).
+ */
+function getProvider(env = process.env) {
+  const nama = (env.NOTIFY_PROVIDER || 'console').trim().toLowerCase();
+  if (nama === 'console' && env.NODE_ENV === 'production' && !cached.has(nama)) {
+    console.warn('[WARN] NOTIFY_PROVIDER belum diset. OTP hanya ditulis ke log server.');
+  }
+  return buatProvider(nama, 'NOTIFY_PROVIDER', env);
+}
+
+/**
+ * Provider notifikasi hasil ke orang tua: NOTIFY_ORTU_PROVIDER, default sama dengan NOTIFY_PROVIDER.
+ */
+function getProviderOrtu(env = process.env) {
+  const variabel = env.NOTIFY_ORTU_PROVIDER ? 'NOTIFY_ORTU_PROVIDER' : 'NOTIFY_PROVIDER';
+  const nama = (env.NOTIFY_ORTU_PROVIDER || env.NOTIFY_PROVIDER || 'console').trim().toLowerCase();
+  return buatProvider(nama, variabel, env);
+}
+
+/**
+ * Tentukan alamat tujuan sesuai kanal provider.
+ * @param {object} penerima { no_wa, email }
+ * @returns {string|null}
+ */
+function tujuanUntuk(provider, penerima) {
+  if (provider.kanal === 'email') {
+    const email = String(penerima.email || '').trim();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  }
+  return normalisasiNomor(penerima.no_wa);
+}
+
+function pesanOtp(otp, menit) {
+  return `*CBTKU 2026 - Reset Password*\n\nKode OTP Anda: *${otp}*\n\nKode berlaku ${menit} menit.\n\nJangan bagikan kode ini.`;
+}
+
+/**
+ * Kirim kode OTP reset password.
+ * @param {object} penerima { no_wa, email }
+ * @param {string} otp
+ * @returns {Promise<{ provider: string, tujuan: string|null, error: string|null }>}
+ *   tujuan sudah disamarkan, aman untuk response/log
+ */
+async function kirimOtp(penerima, otp, menit = OTP_BERLAKU_MENIT) {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (e) {
+    return { provider: null, tujuan: null, error: e.message };
+  }
+
+  const tujuan = tujuanUntuk(provider, penerima);
+  if (!tujuan) {
+    const error = provider.kanal === 'email' ? 'Email peserta kosong/tidak valid' : 'Nomor WA peserta tidak valid';
+    return { provider: provider.nama, tujuan: null, error };
+  }
+
+  try {
+    await provider.kirim({ tujuan, subjek: 'Kode OTP Reset Password CBTKU', pesan: pesanOtp(otp, menit) });
+    return { provider: provider.nama, tujuan: samarkanTujuan(tujuan), error: null };
+  } catch (e) {
+    console.error(`[notify:${provider.nama}]`, e);
+    return { provider: provider.nama, tujuan: samarkanTujuan(tujuan), error: e.message || String(e) };
+  }
+}
+
+module.exports = {
+  OTP_BERLAKU_MENIT,
+  getProvider,
+  getProviderOrtu,
+  kirimOtp,
+  normalisasiNomor,
+  samarkanTujuan
+};
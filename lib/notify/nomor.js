@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Normalisasi nomor HP Indonesia ke format internasional tanpa "+" (628xxxxxxxxx).
+ * Menerima "0812-3456-7890", "+62 812 3456 7890", "62812...", "812..." dan "0062812...".
+ * @returns {string|null} null jika bukan nomor yang masuk akal
+ */
+function normalisasiNomor(raw) {
+  let digits = String(raw || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+  if (digits.startsWith('0')) {
+    digits = `62${digits.slice(1)}`;
+  } else if (digits.startsWith('8')) {
+    digits = `62${digits}`;
+  }
+  // E.164: maksimal 15 digit; nomor seluler Indonesia minimal 62 + 9 digit
+  if (!/^62\d{9,13}$/.test(digits)) {
+    return null;
+  }
+  return digits;
+}
+
+/**
+ * Samarkan tujuan untuk ditampilkan/dicatat: 62812****7890, b***@sekolah.sch.id
+ */
+function samarkanTujuan(tujuan) {
+  const text = String(tujuan || '');
+  if (text.includes('@')) {
+    const [nama, domain] = text.split('@');
+    return `${nama.charAt(0)}***@${domain}`;
+  }
+  if (text.length <= 8) {
+    return text;
+  }
+  return `${text.slice(0, 5)}${'*'.repeat(text.length - 9)}${text.slice(-4)}`;
+}
+
+module.exports = {
+  normalisasiNomor,
+  samarkanTujuan
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Provider "smtp": kirim email lewat nodemailer. Tujuan = kolom email peserta.
+ *
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true untuk port 465),
+ *   SMTP_USER, SMTP_PASS, SMTP_FROM (default SMTP_USER)
+ */
+function buatSmtpProvider(env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST belum diset');
+  }
+
+  let transporter = null;
+  function getTransporter() {
+    if (!transporter) {
+      // Dimuat saat dipakai saja agar deploy tanpa SMTP tidak butuh paket ini
+      const nodemailer = require('nodemailer');
+      transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+      });
+    }
+    return transporter;
+  }
+
+  return {
+    nama: 'smtp',
+    kanal: 'email',
+    async kirim({ tujuan, subjek, pesan }) {
+      await getTransporter().sendMail({
+        from: env.SMTP_FROM || env.SMTP_USER,
+        to: tujuan,
+        subject: subjek,
+        text: pesan.replace(/\*/g, '')
+      });
+    }
+  };
+}
+
+module.exports = buatSmtpProvider;
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Provider "whatsapp-web": memakai client whatsapp-web.js di /whatsapp-web.js.
+ * Butuh proses Node yang hidup terus (server sendiri/VPS), tidak jalan di Vercel serverless.
+ * QR login dicetak di log server saat pertama kali dipakai.
+ */
+function buatWhatsAppWebProvider() {
+  // Dimuat saat dipilih saja: paket whatsapp-web.js menarik puppeteer
+  const wa = require('../../whatsapp-web');
+  wa.initWhatsApp();
+
+  return {
+    nama: 'whatsapp-web',
+    kanal: 'wa',
+    async kirim({ tujuan, pesan }) {
+      await wa.sendMessage(tujuan, pesan);
+    }
+  };
+}
+
+module.exports = buatWhatsAppWebProvider;
@@ -0,0 +1,81 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Hash password peserta dengan scrypt (salt acak per user).
+ * Format tersimpan: scrypt$N$r$p$<salt base64>$<hash base64>
+ *
+ * Baris lama yang masih plaintext tetap bisa login; verifyPassword memberi
+ * tanda needsRehash agar password di-upgrade ke hash saat login berhasil.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLEL = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function isHashed(stored) {
+  return String(stored || '').startsWith(`${PREFIX}$`);
+}
+
+async function hashPassword(plain) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(String(plain), salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLEL });
+  return [PREFIX, COST, BLOCK_SIZE, PARALLEL, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Bandingkan dua buffer dengan waktu konstan (panjang berbeda dianggap tidak cocok).
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ */
+async function verifyPassword(plain, stored) {
+  const storedStr = String(stored || '');
+  if (!storedStr) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(storedStr)) {
+    // Baris lama (plaintext): bandingkan digest agar tetap waktu konstan
+    const a = crypto.createHash('sha256').update(String(plain)).digest();
+    const b = crypto.createHash('sha256').update(storedStr).digest();
+    const valid = safeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, n, r, p, saltB64, hashB64] = storedStr.split('$');
+  if (!saltB64 || !hashB64) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(plain), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  const valid = safeEqual(actual, expected);
+  const outdated = Number(n) !== COST || Number(r) !== BLOCK_SIZE || Number(p) !== PARALLEL;
+  return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = {
+  isHashed,
+  hashPassword,
+  verifyPassword
+};
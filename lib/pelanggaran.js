@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Kebijakan pelanggaran anti-cheat per mapel.
+ *   - peringatan : hanya dicatat + peringatan di layar
+ *   - kunci      : sesi dikunci setelah N pelanggaran sampai dibuka proktor/admin
+ *   - kirim      : jawaban otomatis dikirim (diselesaikan) setelah N pelanggaran
+ */
+
+const JENIS_PELANGGARAN = ['tab_hidden', 'blur', 'fullscreen_exit', 'copy', 'paste'];
+const KEBIJAKAN_PELANGGARAN = ['peringatan', 'kunci', 'kirim'];
+const DEFAULT_KEBIJAKAN = 'peringatan';
+const DEFAULT_BATAS = 3;
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.kebijakan] mata_pelajaran.kebijakan_pelanggaran
+ * @param {number} [opts.batas]     mata_pelajaran.batas_pelanggaran
+ * @param {number} opts.jumlah      jumlah pelanggaran sesi ini (termasuk yang baru)
+ * @returns {'peringatan'|'kunci'|'kirim'} tindakan yang harus diambil
+ */
+function tentukanTindakan({ kebijakan, batas, jumlah }) {
+  const k = KEBIJAKAN_PELANGGARAN.includes(kebijakan) ? kebijakan : DEFAULT_KEBIJAKAN;
+  const n = Number(batas) > 0 ? Number(batas) : DEFAULT_BATAS;
+  if (k === 'peringatan' || jumlah < n) {
+    return 'peringatan';
+  }
+  return k;
+}
+
+/**
+ * Validasi field kebijakan di payload admin mapel.
+ * @returns {string|null} pesan error
+ */
+function validateKebijakan(payload) {
+  if (payload.kebijakan_pelanggaran !== undefined && !KEBIJAKAN_PELANGGARAN.includes(payload.kebijakan_pelanggaran)) {
+    return `kebijakan_pelanggaran harus salah satu dari: ${KEBIJAKAN_PELANGGARAN.join(', ')}`;
+  }
+  if (payload.batas_pelanggaran !== undefined && !(Number.isInteger(Number(payload.batas_pelanggaran)) && Number(payload.batas_pelanggaran) > 0)) {
+    return 'batas_pelanggaran harus bilangan bulat lebih dari 0';
+  }
+  return null;
+}
+
+module.exports = {
+  JENIS_PELANGGARAN,
+  KEBIJAKAN_PELANGGARAN,
+  DEFAULT_BATAS,
+  tentukanTindakan,
+  validateKebijakan
+};
@@ -0,0 +1,240 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Penilaian manual jawaban esai oleh guru (role "penilai" atau "admin").
+ *
+ * bank_soal.rubrik (jsonb, opsional): [{ "kriteria": "Isi", "skor_maks": 4, "deskripsi": "..." }]
+ *   skor soal = total poin rubrik / total skor_maks x bobot. Tanpa rubrik penilai langsung mengisi skor 0..bobot.
+ *
+ * Tabel penilaian_esai: satu baris per penilai per jawaban soal, `penilai_ke` 1 (pertama), 2 (kedua), 3 (moderasi).
+ * Pengaturan per mapel:
+ *   - penilaian_anonim   (default true)  penilai melihat kode jawaban, bukan identitas peserta
+ *   - penilai_kedua      (default false) setiap jawaban dinilai dua guru berbeda
+ *   - batas_selisih_esai (default 20)    selisih maksimal kedua nilai, persen dari bobot; lebih dari itu
+ *                                        skor akhir ditentukan moderator (guru ketiga), selain itu rata-rata
+ */
+
+const MAKS_KRITERIA = 10;
+const DEFAULT_BATAS_SELISIH = 20;
+const STATUS_ESAI = ['belum', 'menunggu_kedua', 'moderasi', 'selesai'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Validasi & rapikan kolom rubrik (array atau teks JSON dari CSV/form).
+ * @returns {{ rubrik: object[]|null, errors: string[] }}
+ */
+function normalisasiRubrik(nilai) {
+  if (nilai === undefined || nilai === null || nilai === '') {
+    return { rubrik: null, errors: [] };
+  }
+  let list = nilai;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return { rubrik: null, errors: ['rubrik harus JSON yang valid'] };
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    return { rubrik: null, errors: ['rubrik harus berupa daftar [{ kriteria, skor_maks }]'] };
+  }
+
+  const errors = [];
+  if (list.length > MAKS_KRITERIA) {
+    errors.push(`rubrik maksimal ${MAKS_KRITERIA} kriteria`);
+  }
+  const rubrik = list.map((k, i) => {
+    const item = k && typeof k === 'object' ? k : {};
+    const kriteria = String(item.kriteria || '').trim();
+    const skorMaks = Number(item.skor_maks);
+    if (kriteria === '') {
+      errors.push(`rubrik[${i}]: kriteria wajib diisi`);
+    }
+    if (!(skorMaks > 0)) {
+      errors.push(`rubrik[${i}]: skor_maks harus angka lebih dari 0`);
+    }
+    const out = { kriteria: kriteria.slice(0, 200), skor_maks: skorMaks };
+    if (item.deskripsi) {
+      out.deskripsi = String(item.deskripsi).slice(0, 1000);
+    }
+    return out;
+  });
+  return { rubrik: errors.length === 0 ? rubrik : null, errors };
+}
+
+/**
+ * Skor satu penilaian dari poin rubrik (sejajar kriteria) atau skor langsung.
+ * @returns {{ skor?: number, skor_rubrik?: number[]|null, error?: string }}
+ */
+function hitungSkor({ rubrik, bobot, poin, skor }) {
+  const maks = Number(bobot) > 0 ? Number(bobot) : 1;
+  const { rubrik: kriteria } = normalisasiRubrik(rubrik);
+
+  if (kriteria) {
+    if (!Array.isArray(poin) || poin.length !== kriteria.length) {
+      return { error: `poin wajib diisi untuk ${kriteria.length} kriteria rubrik` };
+    }
+    const angka = poin.map(Number);
+    const salah = kriteria.findIndex((k, i) => !(Number.isFinite(angka[i]) && angka[i] >= 0 && angka[i] <= k.skor_maks));
+    if (salah !== -1) {
+      return { error: `poin kriteria "${kriteria[salah].kriteria}" harus 0-${kriteria[salah].skor_maks}` };
+    }
+    const total = kriteria.reduce((sum, k) => sum + k.skor_maks, 0);
+    const didapat = angka.reduce((sum, n) => sum + n, 0);
+    return { skor: round2((didapat / total) * maks), skor_rubrik: angka };
+  }
+
+  const n = Number(skor);
+  if (skor === undefined || skor === null || skor === '' || !Number.isFinite(n) || n < 0 || n > maks) {
+    return { error: `skor harus angka 0-${maks}` };
+  }
+  return { skor: round2(n), skor_rubrik: null };
+}
+
+function pengaturan(mapel = {}) {
+  const batas = Number(mapel.batas_selisih_esai);
+  return {
+    anonim: mapel.penilaian_anonim !== false,
+    duaPenilai: mapel.penilai_kedua === true,
+    batasSelisih: mapel.batas_selisih_esai !== null && mapel.batas_selisih_esai !== undefined && batas >= 0 ? batas : DEFAULT_BATAS_SELISIH
+  };
+}
+
+/**
+ * Status & skor akhir satu jawaban esai dari baris penilaian_esai miliknya.
+ * @param {object[]} penilaian baris { penilai_ke, skor, id_penilai }
+ * @param {object} mapel kolom pengaturan mapel
+ * @param {number} bobot bobot soal
+ * @returns {{ status: string, skor: number|null }}
+ */
+function statusEsai(penilaian, mapel, bobot) {
+  const { duaPenilai, batasSelisih } = pengaturan(mapel);
+  const ke = (n) => (penilaian || []).find((p) => Number(p.penilai_ke) === n);
+  const [p1, p2, p3] = [ke(1), ke(2), ke(3)];
+
+  if (!p1) {
+    return { status: 'belum', skor: null };
+  }
+  if (!duaPenilai) {
+    return { status: 'selesai', skor: Number(p1.skor) };
+  }
+  if (!p2) {
+    return { status: 'menunggu_kedua', skor: null };
+  }
+  if (p3) {
+    return { status: 'selesai', skor: Number(p3.skor) };
+  }
+  const maks = Number(bobot) > 0 ? Number(bobot) : 1;
+  const selisih = Math.abs(Number(p1.skor) - Number(p2.skor));
+  if (selisih > (batasSelisih / 100) * maks + 1e-9) {
+    return { status: 'moderasi', skor: null };
+  }
+  return { status: 'selesai', skor: round2((Number(p1.skor) + Number(p2.skor)) / 2) };
+}
+
+/**
+ * Tahap yang diisi penilai ini untuk satu jawaban esai.
+ * Penilaian milik sendiri boleh diubah selama tahap berikutnya belum diisi penilai lain.
+ * @returns {{ penilai_ke: number, ubah?: object }|{ error: string }}
+ */
+function tahapPenilai(penilaian, mapel, bobot, staffId) {
+  const list = penilaian || [];
+  const milik = list.find((p) => String(p.id_penilai) === String(staffId));
+  const terakhir = Math.max(0, ...list.map((p) => Number(p.penilai_ke)));
+  if (milik) {
+    if (Number(milik.penilai_ke) < terakhir) {
+      return { error: 'Penilaian tidak bisa diubah, jawaban sudah dinilai penilai berikutnya' };
+    }
+    return { penilai_ke: Number(milik.penilai_ke), ubah: milik };
+  }
+
+  const { status } = statusEsai(list, mapel, bobot);
+  if (status === 'belum') {
+    return { penilai_ke: 1 };
+  }
+  if (status === 'menunggu_kedua') {
+    return { penilai_ke: 2 };
+  }
+  if (status === 'moderasi') {
+    return { penilai_ke: 3 };
+  }
+  return { error: 'Jawaban ini sudah selesai dinilai' };
+}
+
+/**
+ * Kode jawaban untuk penilaian anonim: stabil per sesi, tidak bisa ditebak dari id.
+ */
+function kodeAnonim(idJawaban, secret) {
+  const hash = crypto.createHmac('sha256', String(secret || '')).update(`esai:${idJawaban}`).digest('hex');
+  return `E-${hash.slice(0, 6).toUpperCase()}`;
+}
+
+/**
+ * Kunci HMAC untuk kodeAnonim, diturunkan dari SESSION_SECRET atau SUPABASE_KEY dengan label tetap
+ * (secret aslinya tidak dipakai langsung). Di production salah satunya wajib ada: tanpa kunci, kode
+ * anonim bisa dihitung ulang dari id jawaban. Di development dipakai kunci acak per proses.
+ */
+function kunciKodeAnonim(env = process.env) {
+  const dasar = env.SESSION_SECRET || env.SUPABASE_KEY;
+  if (dasar) {
+    return crypto.createHmac('sha256', dasar).update('cbtku-kode-esai').digest('hex');
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET atau SUPABASE_KEY wajib diset untuk kode penilaian esai anonim');
+  }
+  console.warn('[WARN] SESSION_SECRET belum diset. Kode penilaian esai anonim berubah setiap server restart.');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Jumlah jawaban esai per status ({ belum, menunggu_kedua, moderasi, selesai, total, persen }).
+ * @param {string[]} statusList
+ */
+function ringkasProgres(statusList) {
+  const out = { total: statusList.length };
+  STATUS_ESAI.forEach((s) => {
+    out[s] = statusList.filter((x) => x === s).length;
+  });
+  out.persen = out.total > 0 ? Math.round((out.selesai / out.total) * 100) : 100;
+  return out;
+}
+
+/**
+ * @returns {string|null} pesan error pengaturan penilaian esai di payload mapel
+ */
+function validatePengaturanEsai(payload) {
+  ['penilaian_anonim', 'penilai_kedua'].forEach((f) => {
+    if (payload[f] === 'true' || payload[f] === 'false') {
+      payload[f] = payload[f] === 'true';
+    }
+  });
+  if (payload.penilaian_anonim !== undefined && typeof payload.penilaian_anonim !== 'boolean') {
+    return 'penilaian_anonim harus true/false';
+  }
+  if (payload.penilai_kedua !== undefined && typeof payload.penilai_kedua !== 'boolean') {
+    return 'penilai_kedua harus true/false';
+  }
+  const batas = Number(payload.batas_selisih_esai);
+  if (payload.batas_selisih_esai !== undefined && payload.batas_selisih_esai !== null && !(batas >= 0 && batas <= 100)) {
+    return 'batas_selisih_esai harus 0-100 (persen dari bobot soal)';
+  }
+  return null;
+}
+
+module.exports = {
+  STATUS_ESAI,
+  normalisasiRubrik,
+  hitungSkor,
+  pengaturan,
+  statusEsai,
+  tahapPenilai,
+  kodeAnonim,
+  kunciKodeAnonim,
+  ringkasProgres,
+  validatePengaturanEsai
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Pembatas percobaan (brute-force) berbasis jendela waktu tetap.
+ * Yang dihitung adalah percobaan GAGAL; kunci yang mencapai `max` diblokir sampai jendelanya habis.
+ *
+ * Store:
+ *   - memory   : default, per proses (cukup untuk satu instance / development)
+ *   - supabase : tabel `rate_limit` bersama untuk banyak instance serverless
+ *
+ * Interface store: get(kunci) -> { jumlah, reset_at } | null, tambah(kunci, windowMs) -> { jumlah, reset_at },
+ * hapus(kunci). reset_at dalam milidetik epoch.
+ */
+
+function createMemoryStore() {
+  const data = new Map();
+  let nextSweep = 0;
+
+  // Bersihkan entri kedaluwarsa sesekali agar Map tidak tumbuh terus
+  function sweep(now) {
+    if (now < nextSweep) {
+      return;
+    }
+    nextSweep = now + 60000;
+    for (const [kunci, entry] of data) {
+      if (entry.reset_at <= now) {
+        data.delete(kunci);
+      }
+    }
+  }
+
+  return {
+    async get(kunci) {
+      const now = Date.now();
+      sweep(now);
+      const entry = data.get(kunci);
+      return entry && entry.reset_at > now ? entry : null;
+    },
+    async tambah(kunci, windowMs) {
+      const now = Date.now();
+      const entry = data.get(kunci);
+      if (!entry || entry.reset_at <= now) {
+        const baru = { jumlah: 1, reset_at: now + windowMs };
+        data.set(kunci, baru);
+        return baru;
+      }
+      entry.jumlah++;
+      return entry;
+    },
+    async hapus(kunci) {
+      data.delete(kunci);
+    }
+  };
+}
+
+/**
+ * @param {Function} request supabaseRequest(path, method, query, body)
+ * Tabel: rate_limit (kunci text primary key, jumlah int, reset_at timestamptz)
+ * Baca lalu tulis (tidak atomik): pada serbuan paralel hitungan bisa sedikit kurang, tetap terbatas.
+ */
+function createSupabaseStore(request, table = 'rate_limit') {
+  function toEntry(row) {
+    return row ? { jumlah: Number(row.jumlah) || 0, reset_at: new Date(row.reset_at).getTime() } : null;
+  }
+
+  async function get(kunci) {
+    const rows = await request(table, 'GET', { select: 'jumlah,reset_at', kunci: `eq.${kunci}`, limit: 1 });
+    const entry = toEntry(rows && rows[0]);
+    return entry && entry.reset_at > Date.now() ? entry : null;
+  }
+
+  return {
+    get,
+    async tambah(kunci, windowMs) {
+      const entry = await get(kunci);
+      const next = entry
+        ? { jumlah: entry.jumlah + 1, reset_at: entry.reset_at }
+        : { jumlah: 1, reset_at: Date.now() + windowMs };
+      await request(table, 'POST', { on_conflict: 'kunci' }, {
+        kunci,
+        jumlah: next.jumlah,
+        reset_at: new Date(next.reset_at).toISOString()
+      });
+      return next;
+    },
+    async hapus(kunci) {
+      await request(table, 'DELETE', { kunci: `eq.${kunci}` });
+    }
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store
+ * @param {string} opts.nama    prefix kunci, mis. "login"
+ * @param {number} opts.max     jumlah gagal sebelum diblokir
+ * @param {number} opts.windowMs
+ */
+function createRateLimiter({ store, nama, max, windowMs }) {
+  const k = (kunci) => `${nama}:${kunci}`;
+
+  function hasil(entry) {
+    const blocked = !!entry && entry.jumlah >= max;
+    return {
+      blocked,
+      sisa: entry ? Math.max(0, max - entry.jumlah) : max,
+      retryAfter: blocked ? Math.max(1, Math.ceil((entry.reset_at - Date.now()) / 1000)) : 0
+    };
+  }
+
+  // Hasil paling ketat dari beberapa kunci: yang diblokir paling lama, lalu sisa paling sedikit
+  function terketat(list) {
+    return list.reduce((a, b) => {
+      if (a.blocked !== b.blocked) {
+        return a.blocked ? a : b;
+      }
+      if (a.retryAfter !== b.retryAfter) {
+        return a.retryAfter > b.retryAfter ? a : b;
+      }
+      return a.sisa <= b.sisa ? a : b;
+    }, hasil(null));
+  }
+
+  return {
+    nama,
+    /**
+     * Cek semua kunci; diblokir jika salah satu sudah mencapai batas.
+     * @param {string[]} kunciList
+     */
+    async periksa(kunciList) {
+      const entries = await Promise.all(kunciList.map((kunci) => store.get(k(kunci))));
+      return terketat(entries.map((entry) => hasil(entry)));
+    },
+    /**
+     * Catat satu kegagalan untuk semua kunci.
+     */
+    async gagal(kunciList) {
+      const entries = await Promise.all(kunciList.map((kunci) => store.tambah(k(kunci), windowMs)));
+      return terketat(entries.map((entry) => hasil(entry)));
+    },
+    async reset(kunciList) {
+      await Promise.all(kunciList.map((kunci) => store.hapus(k(kunci))));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createSupabaseStore,
+  createRateLimiter
+};
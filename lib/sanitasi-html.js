@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Sanitasi HTML konten soal sebelum dikirim ke peserta (index.html memasangnya dengan innerHTML).
+ *
+ * Whitelist: hanya tag format teks, tabel dan gambar; atribut per tag dibatasi, `style` hanya properti
+ * tampilan sederhana, URL gambar hanya http(s), path relatif atau data:image. Isi <script>, <style>,
+ * <iframe> dst. dibuang seluruhnya; tag lain yang tidak dikenal dibuang tetapi teksnya dipertahankan.
+ *
+ * Rumus LaTeX ($...$, $$...$$, \(...\), \[...\]) tidak diurai sebagai HTML sehingga `a<b` di dalam rumus
+ * tidak terbaca sebagai tag; KaTeX di browser membaca teksnya.
+ */
+
+const TAG_BOLEH = new Set([
+  'b', 'strong', 'i', 'em', 'u', 's', 'sub', 'sup', 'small', 'mark', 'br', 'hr', 'p', 'div', 'span',
+  'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'caption', 'img'
+]);
+const TAG_KOSONG = new Set(['br', 'hr', 'img']);
+// Isi tag ini ikut dibuang (bukan teks soal)
+const TAG_BUANG_ISI = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'select']);
+
+const ATRIBUT_UMUM = ['style', 'title'];
+const ATRIBUT_TAG = {
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan', 'align'],
+  th: ['colspan', 'rowspan', 'align'],
+  p: ['align'],
+  div: ['align'],
+  ol: ['start', 'type']
+};
+
+const CSS_BOLEH = new Set([
+  'color', 'background-color', 'text-align', 'font-weight', 'font-style', 'text-decoration', 'vertical-align',
+  'width', 'height', 'max-width', 'border', 'border-collapse', 'padding', 'margin'
+]);
+
+const POLA_RUMUS = /\$\$[\s\S]+?\$\$|\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)|\$(?!\s)[^$\n]+?\$/g;
+const POLA_TAG = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const POLA_ATRIBUT = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// Penanda posisi rumus (karakter private use, dibuang dari input)
+const PENANDA = '\uE000';
+const POLA_PENANDA = /\uE000(\d+)\uE000/g;
+
+const ENTITAS = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+function escapeTeks(teks) {
+  return String(teks).replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAtribut(nilai) {
+  return String(nilai).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeEntitas(teks) {
+  return String(teks).replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);?/g, (m, kode) => {
+    if (kode[0] === '#') {
+      const n = kode[1] === 'x' || kode[1] === 'X' ? parseInt(kode.slice(2), 16) : parseInt(kode.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : '';
+    }
+    return ENTITAS[kode.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * URL gambar yang boleh: http(s)://, //host, path relatif, atau data:image raster base64.
+ * @returns {string|null}
+ */
+function urlAman(nilai) {
+  // Browser mengabaikan spasi & karakter kontrol di dalam skema ("java\tscript:")
+  const url = [...decodeEntitas(nilai)].filter((ch) => ch.charCodeAt(0) > 32 && ch.charCodeAt(0) !== 127).join('');
+  if (url === '') {
+    return null;
+  }
+  if (/^data:/i.test(url)) {
+    return /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=]+$/i.test(url) ? url : null;
+  }
+  const skema = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  if (skema) {
+    return /^https?$/i.test(skema[1]) ? url : null;
+  }
+  return url;
+}
+
+function styleAman(nilai) {
+  return decodeEntitas(nilai)
+    .split(';')
+    .map((bagian) => {
+      const titik = bagian.indexOf(':');
+      if (titik === -1) {
+        return null;
+      }
+      const prop = bagian.slice(0, titik).trim().toLowerCase();
+      const isi = bagian.slice(titik + 1).trim();
+      if (!CSS_BOLEH.has(prop) || !/^[#\w\s.,%-]+$/.test(isi) || /expression|url|javascript/i.test(isi)) {
+        return null;
+      }
+      return `${prop}: ${isi}`;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function atributAman(tag, teks) {
+  const boleh = [...ATRIBUT_UMUM, ...(ATRIBUT_TAG[tag] || [])];
+  const hasil = [];
+  let m;
+  POLA_ATRIBUT.lastIndex = 0;
+  while ((m = POLA_ATRIBUT.exec(teks)) !== null) {
+    const nama = m[1].toLowerCase();
+    if (!boleh.includes(nama)) {
+      continue;
+    }
+    let nilai = m[2] ?? m[3] ?? m[4] ?? '';
+    if (nama === 'src') {
+      nilai = urlAman(nilai);
+    } else if (nama === 'style') {
+      nilai = styleAman(nilai) || null;
+    } else if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(nama)) {
+      nilai = /^\d{1,4}%?$/.test(nilai.trim()) ? nilai.trim() : null;
+    } else {
+      nilai = decodeEntitas(nilai);
+    }
+    if (nilai !== null) {
+      hasil.push(` ${nama}="${escapeAtribut(nilai)}"`);
+    }
+  }
+  return hasil.join('');
+}
+
+function sanitasiBagian(html) {
+  let out = '';
+  let posisi = 0;
+  let buang = null; // tag yang isinya sedang dibuang
+  const terbuka = [];
+  let m;
+  POLA_TAG.lastIndex = 0;
+
+  while ((m = POLA_TAG.exec(html)) !== null) {
+    if (!buang) {
+      out += escapeTeks(html.slice(posisi, m.index));
+    }
+    posisi = POLA_TAG.lastIndex;
+
+    const [, tutup, namaTag, atribut] = m;
+    if (!namaTag) {
+      continue; // komentar
+    }
+    const tag = namaTag.toLowerCase();
+
+    if (buang) {
+      if (tutup && tag === buang) {
+        buang = null;
+      }
+      continue;
+    }
+    if (TAG_BUANG_ISI.has(tag)) {
+      if (!tutup) {
+        buang = tag;
+      }
+      continue;
+    }
+    if (!TAG_BOLEH.has(tag)) {
+      continue;
+    }
+    if (tutup) {
+      const idx = terbuka.lastIndexOf(tag);
+      if (idx !== -1) {
+        // Tutup juga tag di dalamnya yang lupa ditutup
+        out += terbuka.splice(idx).reverse().map((t) => `</${t}>`).join('');
+      }
+      continue;
+    }
+    if (tag === 'img') {
+      const attrs = atributAman(tag, atribut);
+      if (attrs.includes(' src="')) {
+        out += `<img${attrs}>`;
+      }
+      continue;
+    }
+    out += `<${tag}${atributAman(tag, atribut)}>`;
+    if (!TAG_KOSONG.has(tag)) {
+      terbuka.push(tag);
+    }
+  }
+
+  if (!buang) {
+    out += escapeTeks(html.slice(posisi));
+  }
+  return out + terbuka.reverse().map((t) => `</${t}>`).join('');
+}
+
+/**
+ * @param {string|null|undefined} html
+ * @returns {string|null|undefined} HTML aman (null/undefined dikembalikan apa adanya)
+ */
+function sanitasiHtml(html) {
+  if (html === null || html === undefined) {
+    return html;
+  }
+  const teks = String(html).split(PENANDA).join('');
+  // Rumus diganti penanda sementara, disanitasi sebagai teks, lalu dikembalikan
+  const rumus = [];
+  const tanpaRumus = teks.replace(POLA_RUMUS, (r) => {
+    rumus.push(r);
+    return `${PENANDA}${rumus.length - 1}${PENANDA}`;
+  });
+  return sanitasiBagian(tanpaRumus).replace(POLA_PENANDA, (_, i) => escapeTeks(rumus[Number(i)]));
+}
+
+module.exports = {
+  sanitasiHtml,
+  urlAman
+};
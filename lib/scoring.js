@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * Penilaian otomatis jawaban ujian.
+ *
+ * Kunci jawaban diambil dari kolom bank_soal.kunci_jawaban dengan format yang
+ * sama seperti jawaban yang dikirim client:
+ *   - Pilihan Ganda          : "A"
+ *   - Pilihan Ganda Kompleks : "A,C"
+ *   - Benar/Salah            : "B,S,B"  (Setuju/Tidak: "S,T,S"), urut sesuai pernyataan
+ *   - Penjodohan             : "1A,2C,3B"
+ *   - Isian Angka            : "12.5", "12.5 ± 0.1" (toleransi mutlak) atau "12.5 ± 2%" (relatif)
+ *   - Urutan                 : "3,1,2,4"  (nomor pernyataan dalam urutan yang benar)
+ *   - Isian Rumpang          : "1=kucing; 2=berlari|lari"  (per rumpang, alternatif dipisah |)
+ * Bobot soal diambil dari bank_soal.bobot (default 1).
+ *
+ * Jawaban boleh berupa string format di atas atau nilai bertipe dari lib/jawaban.js
+ * (array huruf, array pernyataan, objek pasangan, angka, array nomor urut, objek isian).
+ *
+ * Soal tanpa kunci otomatis (Esai) bernilai dari penilaian guru (lib/penilaian-esai.js) jika skornya
+ * diberikan lewat `skorManual`; selama belum dinilai soal itu tidak ikut skor_maks.
+ */
+
+const KOSONG = '-';
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isBlank(value) {
+  if (Array.isArray(value)) {
+    return value.every(isBlank);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length === 0;
+  }
+  return value === undefined || value === null || String(value).trim() === '' || String(value).trim() === KOSONG;
+}
+
+/**
+ * Samakan aturan deteksi tipe dengan renderQuestionOptions di index.html.
+ */
+function getTipeSoal(typeSoal) {
+  const type = typeSoal || 'Pilihan Ganda';
+  if (type === 'Pilihan Ganda Kompleks') {
+    return 'pgk';
+  }
+  if (type.includes('Benar/Salah') || type.includes('Setuju/Tidak')) {
+    return 'bs';
+  }
+  if (type.includes('Penjodohan')) {
+    return 'jodoh';
+  }
+  if (type === 'Isian Angka') {
+    return 'angka';
+  }
+  if (type === 'Urutan') {
+    return 'urutan';
+  }
+  if (type === 'Isian Rumpang') {
+    return 'rumpang';
+  }
+  if (type.includes('Pilihan Ganda')) {
+    return 'pg';
+  }
+  return 'esai';
+}
+
+function parseHuruf(value) {
+  const text = (Array.isArray(value) ? value.join(',') : String(value || '')).toUpperCase().trim();
+  if (!text || text === KOSONG) {
+    return [];
+  }
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  // "ACD" tanpa pemisah juga diterima untuk kunci PG kompleks
+  if (parts.length === 1 && /^[A-E]{2,5}$/.test(parts[0])) {
+    return parts[0].split('');
+  }
+  return [...new Set(parts)];
+}
+
+function parsePernyataan(value) {
+  // Jawaban kosong per pernyataan tetap dipertahankan posisinya ("B,,S")
+  const parts = Array.isArray(value) ? value : String(value || '').split(',');
+  return parts.map((v) => String(v || '').trim().toUpperCase().charAt(0));
+}
+
+function parsePasangan(value) {
+  const pairs = {};
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([kiri, kanan]) => {
+      pairs[String(kiri).trim()] = String(kanan || '').trim().toUpperCase();
+    });
+    return pairs;
+  }
+  String(value || '')
+    .split(',')
+    .map((p) => p.trim().toUpperCase())
+    .forEach((pair) => {
+      const match = pair.match(/^(\d+)\s*[-:=]?\s*([A-Z])$/);
+      if (match) {
+        pairs[match[1]] = match[2];
+      }
+    });
+  return pairs;
+}
+
+/**
+ * Angka dari jawaban/kunci: "12,5" dan "12.5" sama; jika ada titik dan koma, yang terakhir pemisah desimal.
+ * @returns {number|null}
+ */
+function parseAngka(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  let text = String(value || '').replace(/\s+/g, '');
+  if (text.includes('.') && text.includes(',')) {
+    text = text.lastIndexOf(',') > text.lastIndexOf('.') ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else {
+    text = text.replace(',', '.');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : null;
+}
+
+/**
+ * Buang satuan soal di akhir jawaban angka: "12,5 cm" dan "12.5CM" untuk satuan "cm" menjadi angkanya saja.
+ * Spasi dan huruf besar/kecil diabaikan; jawaban tanpa satuan tidak diubah.
+ */
+function tanpaSatuan(value, satuan) {
+  const s = String(satuan || '').replace(/\s+/g, '').toLowerCase();
+  if (!s || typeof value !== 'string') {
+    return value;
+  }
+  const text = value.replace(/\s+/g, '');
+  return text.toLowerCase().endsWith(s) ? text.slice(0, text.length - s.length) : value;
+}
+
+/**
+ * "12.5", "12.5 ± 0.1", "12.5 +- 0.1", "12.5 ± 2%"
+ * @returns {{ nilai: number, toleransi: number, relatif: boolean }|null}
+ */
+function parseKunciAngka(kunci) {
+  const [nilaiTeks, tolTeks, ...lebih] = String(kunci || '').split(/±|\+\/-|\+-/);
+  const nilai = parseAngka(nilaiTeks);
+  if (nilai === null || lebih.length > 0) {
+    return null;
+  }
+  if (tolTeks === undefined) {
+    return { nilai, toleransi: 0, relatif: false };
+  }
+  const relatif = /%\s*$/.test(tolTeks);
+  const toleransi = parseAngka(tolTeks.replace(/%\s*$/, ''));
+  return toleransi === null || toleransi < 0 ? null : { nilai, toleransi, relatif };
+}
+
+function parseUrutan(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  return parts.map((v) => String(v === null || v === undefined ? '' : v).trim()).filter(Boolean);
+}
+
+// Perbandingan isian: tanpa beda huruf besar/kecil & spasi berlebih
+function samakanIsian(value) {
+  return String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * "1=kucing; 2=berlari|lari" -> { "1": ["kucing"], "2": ["berlari", "lari"] }
+ */
+function parseKunciRumpang(kunci) {
+  const out = {};
+  String(kunci || '')
+    .split(';')
+    .forEach((bagian) => {
+      const match = bagian.match(/^\s*(\d+)\s*=(.*)$/s);
+      if (match) {
+        out[String(Number(match[1]))] = match[2].split('|').map((v) => v.trim()).filter(Boolean);
+      }
+    });
+  return out;
+}
+
+/**
+ * Hitung fraksi benar (0..1) satu soal. Return null jika soal tidak bisa
+ * dinilai otomatis (esai atau kunci belum diisi).
+ * @param {string} [satuan] bank_soal.satuan (Isian Angka), boleh ikut diketik peserta
+ */
+function hitungFraksi(tipe, kunci, jawaban, satuan) {
+  if (tipe === 'pg') {
+    const k = parseHuruf(kunci);
+    if (k.length === 0) {
+      return null;
+    }
+    return k.includes(String(jawaban).trim().toUpperCase()) ? 1 : 0;
+  }
+
+  if (tipe === 'pgk') {
+    const k = parseHuruf(kunci);
+    if (k.length === 0) {
+      return null;
+    }
+    const pilihan = parseHuruf(jawaban);
+    const benar = pilihan.filter((p) => k.includes(p)).length;
+    const salah = pilihan.length - benar;
+    // Skor parsial: pilihan salah mengurangi pilihan benar, minimal 0
+    return Math.max(0, (benar - salah) / k.length);
+  }
+
+  if (tipe === 'bs') {
+    const k = parsePernyataan(kunci).filter(Boolean);
+    if (k.length === 0) {
+      return null;
+    }
+    const j = parsePernyataan(jawaban);
+    const benar = k.filter((v, i) => j[i] === v).length;
+    return benar / k.length;
+  }
+
+  if (tipe === 'jodoh') {
+    const k = parsePasangan(kunci);
+    const kiri = Object.keys(k);
+    if (kiri.length === 0) {
+      return null;
+    }
+    const j = parsePasangan(jawaban);
+    const benar = kiri.filter((id) => j[id] === k[id]).length;
+    return benar / kiri.length;
+  }
+
+  if (tipe === 'angka') {
+    const k = parseKunciAngka(kunci);
+    if (k === null) {
+      return null;
+    }
+    const j = parseAngka(tanpaSatuan(jawaban, satuan));
+    if (j === null) {
+      return 0;
+    }
+    const toleransi = k.relatif ? (Math.abs(k.nilai) * k.toleransi) / 100 : k.toleransi;
+    // Selisih pembulatan float (0.1 + 0.2) tidak dihitung salah
+    return Math.abs(j - k.nilai) <= toleransi + 1e-9 * Math.max(1, Math.abs(k.nilai)) ? 1 : 0;
+  }
+
+  if (tipe === 'urutan') {
+    const k = parseUrutan(kunci);
+    if (k.length === 0) {
+      return null;
+    }
+    const j = parseUrutan(jawaban);
+    // Skor parsial: jumlah posisi yang tepat
+    return k.filter((v, i) => j[i] === v).length / k.length;
+  }
+
+  if (tipe === 'rumpang') {
+    const k = parseKunciRumpang(kunci);
+    const nomor = Object.keys(k).filter((n) => k[n].length > 0);
+    if (nomor.length === 0) {
+      return null;
+    }
+    const j = jawaban && typeof jawaban === 'object' && !Array.isArray(jawaban) ? jawaban : {};
+    const benar = nomor.filter((n) => k[n].map(samakanIsian).includes(samakanIsian(j[n]))).length;
+    return benar / nomor.length;
+  }
+
+  return null;
+}
+
+/**
+ * Nilai satu soal.
+ * status: benar | sebagian | salah | kosong | manual
+ * @param {number|null} [skorManual] skor akhir penilaian guru untuk soal tanpa kunci otomatis;
+ *   null = penilaian esai dipakai tetapi belum selesai, undefined = tidak dipakai
+ */
+function scoreQuestion(soal, jawaban, skorManual) {
+  const tipe = getTipeSoal(soal.type_soal);
+  const bobot = Number(soal.bobot) > 0 ? Number(soal.bobot) : 1;
+  const base = {
+    id_soal: soal.id,
+    no_soal: soal.no_soal,
+    type_soal: soal.type_soal || 'Pilihan Ganda',
+    jawaban: isBlank(jawaban) ? null : jawaban,
+    bobot
+  };
+
+  if (isBlank(jawaban)) {
+    const fraksiKosong = hitungFraksi(tipe, soal.kunci_jawaban, '');
+    if (fraksiKosong === null) {
+      // Esai kosong tidak masuk antrean penilai; dengan penilaian esai langsung bernilai 0
+      if (skorManual !== undefined) {
+        return { ...base, skor: 0, status: 'kosong', dinilai: true };
+      }
+      return { ...base, skor: null, status: 'kosong', dinilai: false };
+    }
+    return { ...base, skor: 0, status: 'kosong', dinilai: true };
+  }
+
+  let fraksi = hitungFraksi(tipe, soal.kunci_jawaban, jawaban, soal.satuan);
+  if (fraksi === null) {
+    if (skorManual === undefined || skorManual === null) {
+      return { ...base, skor: null, status: 'manual', dinilai: false };
+    }
+    fraksi = Math.min(1, Math.max(0, Number(skorManual) / bobot));
+    base.dinilai_guru = true;
+  }
+
+  let status = 'salah';
+  if (fraksi >= 1) {
+    status = 'benar';
+  } else if (fraksi > 0) {
+    status = 'sebagian';
+  }
+
+  return { ...base, skor: round2(fraksi * bobot), status, dinilai: true };
+}
+
+/**
+ * Nilai seluruh ujian.
+ * @param {Array} soalList  baris bank_soal (urut no_soal)
+ * @param {Array} jawabanList jawaban sesuai urutan soalList
+ * @param {object} [skorManual] id_soal -> skor akhir penilaian esai (null/tidak ada jika belum selesai);
+ *   tanpa argumen ini soal Esai tidak dinilai sama sekali
+ */
+function scoreExam(soalList, jawabanList, skorManual) {
+  const detail = (soalList || []).map((soal, i) =>
+    scoreQuestion(
+      soal,
+      (jawabanList || [])[i],
+      skorManual && getTipeSoal(soal.type_soal) === 'esai' ? (skorManual[soal.id] ?? null) : undefined
+    )
+  );
+
+  let skorTotal = 0;
+  let skorMaks = 0;
+  let benar = 0;
+  let salah = 0;
+  let kosong = 0;
+  let belumDinilai = 0;
+
+  detail.forEach((d) => {
+    if (d.status === 'manual') {
+      belumDinilai++;
+    }
+    if (d.status === 'kosong') {
+      kosong++;
+    } else if (d.status === 'benar') {
+      benar++;
+    } else if (d.status === 'salah' || d.status === 'sebagian') {
+      salah++;
+    }
+
+    if (d.dinilai) {
+      skorTotal += d.skor;
+      skorMaks += d.bobot;
+    }
+  });
+
+  return {
+    nilai: skorMaks > 0 ? round2((skorTotal / skorMaks) * 100) : 0,
+    skor_total: round2(skorTotal),
+    skor_maks: round2(skorMaks),
+    jumlah_benar: benar,
+    jumlah_salah: salah,
+    jumlah_kosong: kosong,
+    jumlah_belum_dinilai: belumDinilai,
+    detail
+  };
+}
+
+module.exports = {
+  getTipeSoal,
+  parseHuruf,
+  parseAngka,
+  tanpaSatuan,
+  parseKunciAngka,
+  parseKunciRumpang,
+  scoreQuestion,
+  scoreExam
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Token sesi bertanda tangan (format JWT HS256) memakai modul crypto bawaan Node.
+ * Payload: { sub: id peserta, agd: id agenda, jti, iat, exp }
+ */
+
+const SESSION_TTL_MINUTES = Number(process.env.SESSION_TTL_MINUTES) || 180;
+
+function resolveSecret() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  console.warn('[WARN] SESSION_SECRET belum diset. Secret sesi diturunkan dari SUPABASE_KEY.');
+  if (process.env.SUPABASE_KEY) {
+    return crypto.createHmac('sha256', process.env.SUPABASE_KEY).update('cbtku-session').digest('hex');
+  }
+  // Tanpa env sama sekali: secret acak, sesi hilang saat server restart
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const SECRET = resolveSecret();
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Buat token sesi baru.
+ * @param {object} claims klaim tambahan (sub, agd, ...)
+ * @param {number} [ttlMinutes]
+ * @returns {{ token: string, payload: object }}
+ */
+function signSession(claims, ttlMinutes = SESSION_TTL_MINUTES) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...claims,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + Math.round(ttlMinutes * 60)
+  };
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = hmac(`${header}.${body}`);
+
+  return { token: `${header}.${body}.${signature}`, payload };
+}
+
+/**
+ * Verifikasi token sesi.
+ * @returns {{ payload: object|null, message?: string }}
+ */
+function verifySession(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return { payload: null, message: 'Sesi tidak valid' };
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { payload: null, message: 'Sesi tidak valid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return { payload: null, message: 'Sesi tidak valid' };
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    return { payload: null, message: 'Sesi sudah kadaluarsa, silakan login ulang' };
+  }
+
+  return { payload };
+}
+
+/**
+ * Ambil token dari header "Authorization: Bearer <token>".
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+module.exports = {
+  SESSION_TTL_MINUTES,
+  signSession,
+  verifySession,
+  getBearerToken
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+const { mediaUntukPeserta, sanitasiKontenSoal } = require('./konten-soal');
+const { urlAman } = require('./sanitasi-html');
+
+/**
+ * Cache set soal siap kirim per mapel (per proses), untuk /api/get-soal saat satu ruangan mulai bersamaan.
+ *
+ * Entri berlaku selama versinya sama dengan `mata_pelajaran.versi_soal` (diganti setiap soal / mapel
+ * diubah admin, jadi instance lain ikut tahu) dan belum lewat TTL. Permintaan yang datang bersamaan
+ * saat cache kosong menunggu satu pemuatan yang sama, bukan masing-masing ke database.
+ *
+ * Yang disimpan hanya kolom dari KOLOM_SOAL_PESERTA; kunci jawaban & kolom penilaian tidak pernah
+ * ikut walaupun kolom baru ditambahkan ke bank_soal. HTML soal disanitasi dan media diubah ke versi
+ * peserta (tanpa URL audio) sekali saat set dimuat, bukan per permintaan.
+ */
+
+const KOLOM_SOAL_PESERTA = [
+  'id',
+  'pertanyaan',
+  'type_soal',
+  'no_soal',
+  'pilihan_a',
+  'pilihan_b',
+  'pilihan_c',
+  'pilihan_d',
+  'pilihan_e',
+  'gambar_url',
+  'media',
+  'satuan',
+  ...[1, 2, 3, 4, 5, 6, 7, 8].flatMap((i) => [`pernyataan_${i}`, `pernyataan_kiri_${i}`, `pernyataan_kanan_${i}`])
+];
+
+// Pengaman kedua jika daftar di atas kelak diperluas dengan kolom yang seharusnya rahasia
+const KOLOM_RAHASIA = /^(kunci|bobot|skor|nilai|poin|pembahasan|jawaban_benar|rubrik)/;
+
+/**
+ * Salinan baris soal yang aman dikirim ke peserta (dibekukan karena dipakai bersama).
+ */
+function soalUntukPeserta(row) {
+  const out = {};
+  KOLOM_SOAL_PESERTA.forEach((kolom) => {
+    if (row[kolom] !== undefined && !KOLOM_RAHASIA.test(kolom)) {
+      out[kolom] = row[kolom];
+    }
+  });
+  const soal = sanitasiKontenSoal(out);
+  soal.gambar_url = row.gambar_url ? urlAman(row.gambar_url) : null;
+  soal.media = mediaUntukPeserta(row);
+  return Object.freeze(soal);
+}
+
+/**
+ * @param {object} opts
+ * @param {Function} opts.muat     async (mapelId) -> baris bank_soal urut no_soal
+ * @param {number} [opts.ttlMs]    default 10 menit
+ * @param {number} [opts.maksMapel] jumlah mapel yang disimpan (yang paling lama tidak dipakai dibuang)
+ */
+function createSoalCache({ muat, ttlMs = 10 * 60 * 1000, maksMapel = 100 }) {
+  const data = new Map();
+  const statistik = { hit: 0, miss: 0 };
+
+  function simpan(kunci, entry) {
+    data.delete(kunci);
+    data.set(kunci, entry);
+    while (data.size > maksMapel) {
+      data.delete(data.keys().next().value);
+    }
+  }
+
+  return {
+    /**
+     * @param {string|number} mapelId
+     * @param {*} versi nilai mata_pelajaran.versi_soal saat ini
+     * @returns {Promise<object[]>} soal beku, jangan diubah
+     */
+    ambil(mapelId, versi) {
+      const kunci = String(mapelId);
+      const tag = String(versi ?? '');
+      const now = Date.now();
+      const entry = data.get(kunci);
+
+      if (entry && entry.versi === tag && entry.kadaluarsa > now) {
+        statistik.hit++;
+        simpan(kunci, entry);
+        return entry.janji;
+      }
+
+      statistik.miss++;
+      const baru = { versi: tag, kadaluarsa: now + ttlMs };
+      baru.janji = Promise.resolve()
+        .then(() => muat(mapelId))
+        .then((rows) => Object.freeze((rows || []).map(soalUntukPeserta)));
+      // Pemuatan gagal tidak boleh tertahan di cache
+      baru.janji.catch(() => {
+        if (data.get(kunci) === baru) {
+          data.delete(kunci);
+        }
+      });
+      simpan(kunci, baru);
+      return baru.janji;
+    },
+
+    /** Buang cache satu mapel di proses ini (versi_soal menangani instance lain). */
+    hapus(mapelId) {
+      data.delete(String(mapelId));
+    },
+
+    statistik() {
+      return { ...statistik, mapel: data.size };
+    }
+  };
+}
+
+module.exports = {
+  KOLOM_SOAL_PESERTA,
+  soalUntukPeserta,
+  createSoalCache
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+const { getTipeSoal, parseHuruf, parseKunciAngka, parseKunciRumpang } = require('./scoring');
+const { normalisasiMedia, opsiTerisi } = require('./konten-soal');
+const { normalisasiRubrik } = require('./penilaian-esai');
+
+/**
+ * Validasi payload bank_soal sesuai type_soal (dipakai API admin & import).
+ */
+
+const TYPE_SOAL = [
+  'Pilihan Ganda',
+  'Pilihan Ganda Kompleks',
+  'Benar/Salah',
+  'Setuju/Tidak',
+  'Penjodohan',
+  'Isian Angka',
+  'Urutan',
+  'Isian Rumpang',
+  'Esai'
+];
+
+const OPSI = ['a', 'b', 'c', 'd', 'e'];
+const MAX_PERNYATAAN = 8;
+const MAX_SATUAN = 20;
+
+// Rumpang di teks soal Isian Rumpang: [[1]] isian singkat, [[2:kucing|anjing|burung]] pilihan (dropdown)
+const POLA_RUMPANG = /\[\[\s*(\d+)\s*(?::([^\]]*))?\]\]/g;
+
+const SOAL_FIELDS = [
+  'no_soal',
+  'type_soal',
+  'pertanyaan',
+  'gambar_url',
+  'media',
+  'satuan',
+  'rubrik',
+  'kunci_jawaban',
+  'bobot',
+  ...OPSI.map((o) => `pilihan_${o}`),
+  ...Array.from({ length: MAX_PERNYATAAN }, (_, i) => `pernyataan_${i + 1}`),
+  ...Array.from({ length: MAX_PERNYATAAN }, (_, i) => `pernyataan_kiri_${i + 1}`),
+  ...Array.from({ length: MAX_PERNYATAAN }, (_, i) => `pernyataan_kanan_${i + 1}`)
+];
+
+function filled(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Ambil hanya kolom bank_soal yang boleh ditulis lewat API.
+ * @param {object} body
+ * @param {object} [tersimpan] baris bank_soal lama (PATCH): type_soal-nya dipakai jika body tidak mengirim type_soal
+ */
+function pickSoalFields(body, tersimpan = {}) {
+  const out = {};
+  SOAL_FIELDS.forEach((f) => {
+    if (body[f] !== undefined) {
+      out[f] = body[f] === '' ? null : body[f];
+    }
+  });
+  // Tipe berubah tanpa kunci baru: kunci lama dinormalisasi ulang mengikuti tipe baru
+  let kunci = out.kunci_jawaban;
+  if (kunci === undefined && out.type_soal !== undefined) {
+    kunci = tersimpan.kunci_jawaban;
+  }
+  if (filled(kunci)) {
+    // Kunci isian rumpang berupa teks jawaban dan kunci esai pedoman untuk penilai, bukan huruf
+    const type = out.type_soal !== undefined ? out.type_soal : tersimpan.type_soal;
+    out.kunci_jawaban = ['rumpang', 'esai'].includes(getTipeSoal(type))
+      ? String(kunci).trim()
+      : String(kunci).trim().toUpperCase();
+  }
+  // media dari CSV/form berupa teks JSON; yang tidak valid dibiarkan agar validateSoal melaporkannya
+  if (out.media !== undefined) {
+    const { media, errors } = normalisasiMedia(out.media);
+    if (errors.length === 0) {
+      out.media = media;
+    }
+  }
+  if (out.rubrik !== undefined) {
+    const { rubrik, errors } = normalisasiRubrik(out.rubrik);
+    if (errors.length === 0) {
+      out.rubrik = rubrik;
+    }
+  }
+  return out;
+}
+
+function filledList(soal, prefix) {
+  const list = [];
+  for (let i = 1; i <= MAX_PERNYATAAN; i++) {
+    if (filled(soal[`${prefix}${i}`])) {
+      list.push(i);
+    }
+  }
+  return list;
+}
+
+/**
+ * Daftar rumpang di teks soal, urut kemunculan.
+ * @returns {Array<{ nomor: string, pilihan: string[]|null }>}
+ */
+function daftarRumpang(pertanyaan) {
+  const list = [];
+  String(pertanyaan || '').replace(POLA_RUMPANG, (_, nomor, pilihan) => {
+    list.push({
+      nomor: String(Number(nomor)),
+      pilihan: pilihan === undefined ? null : pilihan.split('|').map((p) => p.trim()).filter(Boolean)
+    });
+    return '';
+  });
+  return list;
+}
+
+/**
+ * @returns {string[]} daftar pesan error (kosong jika valid)
+ */
+function validateSoal(soal) {
+  const errors = [];
+  const type = soal.type_soal || 'Pilihan Ganda';
+
+  if (!TYPE_SOAL.includes(type)) {
+    errors.push(`type_soal tidak dikenal: "${type}"`);
+    return errors;
+  }
+  if (!filled(soal.pertanyaan)) {
+    errors.push('pertanyaan wajib diisi');
+  }
+  if (soal.bobot !== undefined && soal.bobot !== null && !(Number(soal.bobot) > 0)) {
+    errors.push('bobot harus angka lebih dari 0');
+  }
+  errors.push(...normalisasiMedia(soal.media).errors);
+
+  const tipe = getTipeSoal(type);
+  if (filled(soal.rubrik)) {
+    if (tipe !== 'esai') {
+      errors.push('rubrik hanya untuk soal Esai');
+    }
+    errors.push(...normalisasiRubrik(soal.rubrik).errors);
+  }
+  const kunci = String(soal.kunci_jawaban || '').toUpperCase().trim();
+
+  if (tipe === 'pg' || tipe === 'pgk') {
+    const opsi = opsiTerisi(soal);
+    if (opsi.length < 2) {
+      errors.push('minimal 2 pilihan jawaban (pilihan_a..e atau media.gambar_opsi)');
+    }
+    // Dibaca sama persis dengan penilaian, termasuk kunci tanpa pemisah seperti "ACD"
+    const hurufKunci = parseHuruf(kunci);
+    if (hurufKunci.length === 0) {
+      errors.push('kunci_jawaban wajib diisi');
+    } else if (tipe === 'pg' && hurufKunci.length !== 1) {
+      errors.push('kunci_jawaban Pilihan Ganda hanya satu huruf');
+    } else if (hurufKunci.some((h) => !opsi.includes(h))) {
+      errors.push('kunci_jawaban harus merujuk pilihan yang terisi');
+    }
+  }
+
+  if (tipe === 'bs') {
+    const pernyataan = filledList(soal, 'pernyataan_');
+    if (pernyataan.length === 0) {
+      errors.push('minimal 1 pernyataan (pernyataan_1..8)');
+    }
+    const nilaiSah = type.includes('Setuju') ? ['S', 'T'] : ['B', 'S'];
+    const k = kunci.split(',').map((v) => v.trim()).filter(Boolean);
+    if (k.length !== pernyataan.length) {
+      errors.push(`kunci_jawaban harus berisi ${pernyataan.length} nilai (${nilaiSah.join('/')})`);
+    } else if (k.some((v) => !nilaiSah.includes(v))) {
+      errors.push(`kunci_jawaban hanya boleh berisi ${nilaiSah.join('/')}`);
+    }
+  }
+
+  if (tipe === 'jodoh') {
+    const kiri = filledList(soal, 'pernyataan_kiri_');
+    const kanan = filledList(soal, 'pernyataan_kanan_').map((i) => String.fromCharCode(64 + i));
+    if (kiri.length === 0 || kanan.length === 0) {
+      errors.push('Penjodohan wajib punya pernyataan kiri dan kanan');
+    }
+    const pairs = kunci.split(',').map((p) => p.trim()).filter(Boolean);
+    if (pairs.length === 0) {
+      errors.push('kunci_jawaban wajib diisi (contoh: 1A,2C)');
+    }
+    pairs.forEach((pair) => {
+      const match = pair.match(/^(\d+)\s*[-:=]?\s*([A-Z])$/);
+      if (!match || !kiri.includes(Number(match[1])) || !kanan.includes(match[2])) {
+        errors.push(`pasangan kunci tidak valid: "${pair}"`);
+      }
+    });
+  }
+
+  if (filled(soal.satuan) && String(soal.satuan).trim().length > MAX_SATUAN) {
+    errors.push(`satuan maksimal ${MAX_SATUAN} karakter`);
+  }
+
+  if (tipe === 'angka' && parseKunciAngka(kunci) === null) {
+    errors.push('kunci_jawaban Isian Angka harus angka, boleh dengan toleransi (contoh: 12.5, 12.5 ± 0.1, 12.5 ± 2%)');
+  }
+
+  if (tipe === 'urutan') {
+    const item = filledList(soal, 'pernyataan_');
+    if (item.length < 2) {
+      errors.push('Urutan minimal 2 item (pernyataan_1..8)');
+    }
+    const k = kunci.split(/[\s,;]+/).filter(Boolean).map(Number);
+    const sama = k.length === item.length && [...k].sort((a, b) => a - b).every((n, i) => n === item[i]);
+    if (!sama) {
+      errors.push(`kunci_jawaban harus berisi semua nomor item (${item.join(',')}) dalam urutan yang benar, contoh: 3,1,2`);
+    }
+  }
+
+  if (tipe === 'rumpang') {
+    const rumpang = daftarRumpang(soal.pertanyaan);
+    const nomor = rumpang.map((r) => r.nomor);
+    if (rumpang.length === 0) {
+      errors.push('pertanyaan Isian Rumpang wajib berisi rumpang [[1]] atau [[1:pilihan a|pilihan b]]');
+    }
+    if (new Set(nomor).size !== nomor.length) {
+      errors.push('nomor rumpang tidak boleh dipakai dua kali');
+    }
+    const k = parseKunciRumpang(soal.kunci_jawaban);
+    rumpang.forEach((r) => {
+      const jawaban = k[r.nomor] || [];
+      if (jawaban.length === 0) {
+        errors.push(`kunci_jawaban rumpang ${r.nomor} belum diisi (contoh: 1=kucing; 2=lari|berlari)`);
+      } else if (r.pilihan) {
+        const pilihan = r.pilihan.map((p) => p.toLowerCase());
+        if (r.pilihan.length < 2) {
+          errors.push(`rumpang ${r.nomor}: pilihan minimal 2`);
+        }
+        if (jawaban.some((j) => !pilihan.includes(j.toLowerCase()))) {
+          errors.push(`kunci_jawaban rumpang ${r.nomor} harus salah satu pilihannya`);
+        }
+      }
+    });
+    Object.keys(k).filter((n) => !nomor.includes(n)).forEach((n) => {
+      errors.push(`kunci_jawaban rumpang ${n} tidak ada di pertanyaan`);
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  TYPE_SOAL,
+  SOAL_FIELDS,
+  pickSoalFields,
+  validateSoal,
+  daftarRumpang
+};
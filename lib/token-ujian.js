@@ -0,0 +1,75 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Token ujian berganti otomatis per jendela waktu (mirip TOTP), diturunkan dari
+ * agenda_ujian.token_secret. Token hanya ditampilkan ke proktor/admin dan dicek di server.
+ *
+ * token = 6 huruf dari HMAC-SHA256(secret, nomor jendela), tanpa karakter mirip (0/O, 1/I)
+ * agar mudah dibacakan pengawas.
+ */
+
+const CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PANJANG_TOKEN = 6;
+const TOKEN_WINDOW_MENIT = Number(process.env.TOKEN_WINDOW_MENIT) || 15;
+// Jumlah jendela sebelumnya yang masih diterima (token dibacakan tepat sebelum berganti)
+const TOKEN_DRIFT = process.env.TOKEN_DRIFT !== undefined ? Number(process.env.TOKEN_DRIFT) : 1;
+
+const WINDOW_MS = TOKEN_WINDOW_MENIT * 60 * 1000;
+
+function buatSecret() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+function nomorJendela(waktu) {
+  return Math.floor(waktu / WINDOW_MS);
+}
+
+function tokenJendela(secret, jendela) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(jendela));
+  const digest = crypto.createHmac('sha256', secret).update(counter).digest();
+  let token = '';
+  for (let i = 0; i < PANJANG_TOKEN; i++) {
+    token += CHARS[digest[i] % CHARS.length];
+  }
+  return token;
+}
+
+/**
+ * Token yang berlaku sekarang, untuk ditampilkan ke proktor.
+ * @returns {{ token: string, berlaku_sampai: string, window_detik: number }}
+ */
+function tokenAktif(secret, waktu = Date.now()) {
+  const jendela = nomorJendela(waktu);
+  return {
+    token: tokenJendela(secret, jendela),
+    berlaku_sampai: new Date((jendela + 1) * WINDOW_MS).toISOString(),
+    window_detik: WINDOW_MS / 1000
+  };
+}
+
+/**
+ * Cek token masukan peserta terhadap jendela sekarang dan TOKEN_DRIFT jendela sebelumnya.
+ */
+function cekToken(secret, input, waktu = Date.now()) {
+  const masukan = Buffer.from(String(input || '').trim().toUpperCase());
+  const jendela = nomorJendela(waktu);
+  let cocok = false;
+  for (let i = 0; i <= TOKEN_DRIFT; i++) {
+    const expected = Buffer.from(tokenJendela(secret, jendela - i));
+    // Semua jendela tetap dibandingkan agar waktu respons tidak bergantung pada posisi cocok
+    if (expected.length === masukan.length && crypto.timingSafeEqual(expected, masukan)) {
+      cocok = true;
+    }
+  }
+  return cocok;
+}
+
+module.exports = {
+  TOKEN_WINDOW_MENIT,
+  buatSecret,
+  tokenAktif,
+  cekToken
+};
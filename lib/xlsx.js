@@ -0,0 +1,228 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Penulis XLSX minimal (Office Open XML) tanpa dependensi: beberapa sheet berisi tabel
+ * header + baris. Angka ditulis sebagai angka, selain itu sebagai teks (inline string).
+ *
+ * @example buatXlsx([{ nama: 'Peserta', kolom: ['nama', 'nilai'], baris: [['Budi', 87.5]] }]) -> Buffer
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Arsip zip sederhana (deflate, tanpa zip64) dari [{ nama, isi: Buffer|string }].
+ */
+function buatZip(files) {
+  const lokal = [];
+  const pusat = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const nama = Buffer.from(file.nama, 'utf8');
+    const isi = Buffer.isBuffer(file.isi) ? file.isi : Buffer.from(file.isi, 'utf8');
+    const data = zlib.deflateRawSync(isi);
+    const crc = crc32(isi);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // versi minimal
+    header.writeUInt16LE(0x0800, 6); // nama file UTF-8
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt32LE(0, 10); // waktu/tanggal DOS
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(isi.length, 22);
+    header.writeUInt16LE(nama.length, 26);
+    header.writeUInt16LE(0, 28);
+    lokal.push(header, nama, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(0, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(isi.length, 24);
+    entry.writeUInt16LE(nama.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    pusat.push(entry, nama);
+
+    offset += header.length + nama.length + data.length;
+  });
+
+  const direktori = Buffer.concat(pusat);
+  const akhir = Buffer.alloc(22);
+  akhir.writeUInt32LE(0x06054b50, 0);
+  akhir.writeUInt16LE(files.length, 8);
+  akhir.writeUInt16LE(files.length, 10);
+  akhir.writeUInt32LE(direktori.length, 12);
+  akhir.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...lokal, direktori, akhir]);
+}
+
+// Karakter kontrol selain tab/baris baru tidak valid di XML 1.0
+function buangKontrol(text) {
+  return [...text].filter((ch) => ch.charCodeAt(0) >= 0x20 || ch === '\t' || ch === '\n' || ch === '\r').join('');
+}
+
+function escapeXml(value) {
+  return buangKontrol(String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function namaKolom(index) {
+  let nama = '';
+  let n = index + 1;
+  while (n > 0) {
+    const sisa = (n - 1) % 26;
+    nama = String.fromCharCode(65 + sisa) + nama;
+    n = Math.floor((n - 1) / 26);
+  }
+  return nama;
+}
+
+function sel(ref, value, style) {
+  const s = style ? ` s="${style}"` : '';
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(kolom, baris) {
+  const rows = [kolom, ...baris].map((row, r) => {
+    // Baris pertama (header) memakai style tebal (s=1 di styles.xml)
+    const cells = row.map((value, c) => sel(`${namaKolom(c)}${r + 1}`, value, r === 0 ? 1 : 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rows.join('')}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+// Nama sheet Excel: maks 31 karakter, tanpa []:*?/\ dan harus unik
+function namaSheet(nama, dipakai) {
+  const dasar = String(nama || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let hasil = dasar;
+  for (let i = 2; dipakai.has(hasil.toLowerCase()); i++) {
+    hasil = `${dasar.slice(0, 31 - String(i).length - 1)}_${i}`;
+  }
+  dipakai.add(hasil.toLowerCase());
+  return hasil;
+}
+
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+/**
+ * @param {Array<{ nama: string, kolom: string[], baris: Array<Array<*>> }>} sheets
+ * @returns {Buffer}
+ */
+function buatXlsx(sheets) {
+  const dipakai = new Set();
+  const list = (sheets || []).map((sheet, i) => ({ ...sheet, id: i + 1, nama: namaSheet(sheet.nama, dipakai) }));
+
+  const files = [
+    {
+      nama: '[Content_Types].xml',
+      isi:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        list
+          .map(
+            (s) =>
+              `<Override PartName="/xl/worksheets/sheet${s.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join('') +
+        '</Types>'
+    },
+    {
+      nama: '_rels/.rels',
+      isi:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      nama: 'xl/workbook.xml',
+      isi:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${list.map((s) => `<sheet name="${escapeXml(s.nama)}" sheetId="${s.id}" r:id="rId${s.id}"/>`).join('')}</sheets>` +
+        '</workbook>'
+    },
+    {
+      nama: 'xl/_rels/workbook.xml.rels',
+      isi:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        list
+          .map(
+            (s) =>
+              `<Relationship Id="rId${s.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${s.id}.xml"/>`
+          )
+          .join('') +
+        `<Relationship Id="rId${list.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { nama: 'xl/styles.xml', isi: STYLES_XML },
+    ...list.map((s) => ({ nama: `xl/worksheets/sheet${s.id}.xml`, isi: sheetXml(s.kolom, s.baris || []) }))
+  ];
+
+  return buatZip(files);
+}
+
+module.exports = {
+  buatXlsx
+};
@@ -0,0 +1,138 @@
+/* eslint-env serviceworker */
+'use strict';
+
+/**
+ * Service Worker CBTKU: halaman ujian dan gambar soal tetap tersedia saat Wi-Fi sekolah putus.
+ *
+ * - Navigasi (index.html): network-first, jatuh ke cache saat offline
+ * - Gambar, script, style, font: cache-first (gambar soal juga di-prefetch lewat pesan `cache-gambar`)
+ * - /api/*: tidak pernah di-cache. Jawaban dikirim ulang oleh antrean IndexedDB di index.html.
+ */
+
+const VERSI = 'v1';
+const CACHE_SHELL = `cbtku-shell-${VERSI}`;
+const CACHE_ASET = `cbtku-aset-${VERSI}`;
+const SHELL = ['./', './index.html'];
+// Batas entri cache aset agar storage perangkat lab tidak penuh
+const MAKS_ASET = 500;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_SHELL).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith('cbtku-') && key !== CACHE_SHELL && key !== CACHE_ASET)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function rapikanCache(cache) {
+  const keys = await cache.keys();
+  const lebih = keys.length - MAKS_ASET;
+  for (let i = 0; i < lebih; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+async function simpanAset(request, response) {
+  // Respons opaque (gambar lintas domain tanpa CORS) tetap boleh disimpan
+  if (!response || (!response.ok && response.type !== 'opaque')) {
+    return;
+  }
+  const cache = await caches.open(CACHE_ASET);
+  await cache.put(request, response);
+  await rapikanCache(cache);
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  // Respons opaque tidak boleh menjawab request CORS (img.crossOrigin), ambil ulang dari jaringan
+  if (cached && !(cached.type === 'opaque' && request.mode === 'cors')) {
+    return cached;
+  }
+  try {
+    const response = await fetch(request);
+    simpanAset(request, response.clone()).catch(() => {});
+    return response;
+  } catch (e) {
+    if (cached) {
+      return cached;
+    }
+    throw e;
+  }
+}
+
+// Utamakan mode CORS (bisa dipakai semua jenis <img>), jatuh ke no-cors jika server gambar menolak
+async function ambilGambar(url) {
+  try {
+    return await fetch(new Request(url, { mode: 'cors', referrerPolicy: 'no-referrer' }));
+  } catch (e) {
+    return fetch(new Request(url, { mode: 'no-cors', referrerPolicy: 'no-referrer' }));
+  }
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_SHELL);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (e) {
+    const cached = (await caches.match(request)) || (await caches.match('./index.html'));
+    if (cached) {
+      return cached;
+    }
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (['image', 'script', 'style', 'font'].includes(request.destination)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// index.html mengirim daftar URL gambar soal setelah /get-soal berhasil
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'cache-gambar' || !Array.isArray(data.urls)) {
+    return;
+  }
+
+  event.waitUntil(
+    caches.open(CACHE_ASET).then((cache) => Promise.all(data.urls.map(async (url) => {
+      if (await cache.match(url)) {
+        return;
+      }
+      try {
+        await simpanAset(url, await ambilGambar(url));
+      } catch (e) {
+        // Gambar gagal di-prefetch; dicoba lagi saat benar-benar ditampilkan
+      }
+    })))
+  );
+});
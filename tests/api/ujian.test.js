@@ -0,0 +1,566 @@
+'use strict';
+
+const request = require('supertest');
+
+// API dijalankan penuh di atas adapter memory: tanpa Supabase, tanpa jaringan
+process.env.DB_ADAPTER = 'memory';
+process.env.SESSION_SECRET = 'rahasia-pengujian';
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_KEY;
+delete process.env.DB_FILE;
+// Notifikasi orang tua lewat gateway HTTP; fetch di-mock per test
+process.env.NOTIFY_ORTU_PROVIDER = 'http';
+process.env.NOTIFY_HTTP_URL = 'https://gateway.test/kirim';
+
+const app = require('../../api/index');
+const { hashPassword } = require('../../lib/password');
+const { encodeJawaban } = require('../../lib/jawaban');
+
+const db = app.locals.db;
+let passwordHash;
+
+beforeAll(async () => {
+  // Log debug /get-soal tidak perlu memenuhi output test
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  passwordHash = await hashPassword('rahasia');
+});
+
+beforeEach(() => {
+  const now = Date.now();
+  db.adapter.muat({
+    agenda_ujian: [
+      {
+        id: 1,
+        agenda_ujian: 'PAS Ganjil',
+        token_ujian: 'ABC123',
+        tgljam_mulai: new Date(now - 3600e3).toISOString(),
+        tgljam_selesai: new Date(now + 3600e3).toISOString()
+      }
+    ],
+    mata_pelajaran: [
+      { id: 5, id_agenda: 1, nama_mata_pelajaran: 'Matematika', durasi_ujian: 60, status_mapel: 'Siap', jumlah_soal: 3 }
+    ],
+    bank_soal: [
+      { id: 101, id_mapel: 5, no_soal: 1, type_soal: 'Pilihan Ganda', pertanyaan: '1 + 1 = ?', pilihan_a: '1', pilihan_b: '2', kunci_jawaban: 'B' },
+      { id: 102, id_mapel: 5, no_soal: 2, type_soal: 'Pilihan Ganda', pertanyaan: '2 + 2 = ?', pilihan_a: '4', pilihan_b: '5', kunci_jawaban: 'A' },
+      { id: 103, id_mapel: 5, no_soal: 3, type_soal: 'Pilihan Ganda Kompleks', pertanyaan: 'Bilangan genap?', pilihan_a: '2', pilihan_b: '3', pilihan_c: '4', kunci_jawaban: 'A,C' }
+    ],
+    peserta: [
+      { id: 7, nama_peserta: 'Budi', nis_username: 'budi', no_wa_peserta: '081234567890', id_agenda: 1, status: 'Aktif', password: passwordHash },
+      { id: 8, nama_peserta: 'Ani', nis_username: 'ani', no_wa_peserta: '081200000002', id_agenda: 1, status: 'Nonaktif', password: passwordHash }
+    ],
+    peserta_agenda: [{ id: 1, id_peserta: 7, id_agenda: 1 }],
+    jawaban: [],
+    jawaban_item: []
+  });
+});
+
+async function login(u = 'budi', p = 'rahasia') {
+  const res = await request(app).post('/api/login').send({ u, p });
+  return res;
+}
+
+function pakai(token) {
+  return (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+}
+
+async function loginStaf(username) {
+  const res = await request(app).post('/api/admin/login').send({ username, password: 'rahasia' });
+  return pakai(res.body.session_token);
+}
+
+describe('POST /api/login', () => {
+  test('login dengan username atau nomor WA, password tidak ikut di response', async () => {
+    const res = await login();
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.session_token).toEqual(expect.any(String));
+    expect(res.body.data.nama_peserta).toBe('Budi');
+    expect(res.body.data.password).toBeUndefined();
+
+    expect((await login('081234567890')).status).toBe(200);
+  });
+
+  test('password salah, akun tidak ada dan akun nonaktif ditolak', async () => {
+    const salah = await login('budi', 'keliru');
+    expect(salah.status).toBe(401);
+    expect(salah.body.sisa_percobaan).toBeGreaterThan(0);
+
+    expect((await login('tidak-ada')).status).toBe(404);
+    expect((await login('ani')).status).toBe(403);
+  });
+
+  test('identitas berisi sintaks filter tidak cocok dengan akun lain', async () => {
+    expect((await login('x,status.eq.Aktif')).status).toBe(404);
+    expect((await login('budi)')).status).toBe(404);
+  });
+
+  test('refresh mencabut token lama, logout mencabut token yang dipakai', async () => {
+    const lama = (await login()).body.session_token;
+
+    const refresh = await pakai(lama)('post', '/api/refresh-session');
+    expect(refresh.status).toBe(200);
+    const baru = refresh.body.session_token;
+    expect(baru).not.toBe(lama);
+    expect((await pakai(lama)('get', '/api/agenda-saya')).status).toBe(401);
+    expect((await pakai(baru)('get', '/api/agenda-saya')).status).toBe(200);
+
+    expect((await pakai(baru)('post', '/api/logout')).status).toBe(200);
+    expect((await pakai(baru)('get', '/api/agenda-saya')).body.session_expired).toBe(true);
+  });
+
+  test('refresh ditolak jika akun dinonaktifkan selama sesi berjalan', async () => {
+    const token = (await login()).body.session_token;
+    await db.peserta.ubah({ id: 7 }, { status: 'Nonaktif' });
+
+    expect((await pakai(token)('post', '/api/refresh-session')).status).toBe(401);
+    expect((await pakai(token)('get', '/api/agenda-saya')).status).toBe(401);
+  });
+
+  test('route ujian tanpa token sesi ditolak', async () => {
+    const res = await request(app).post('/api/get-soal').send({ mapel_id: 5 });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('alur ujian: get-soal, save-jawaban, selesai-ujian', () => {
+  test('peserta mengerjakan dan dinilai di server', async () => {
+    const api = pakai((await login()).body.session_token);
+
+    const tanpaToken = await api('post', '/api/get-soal').send({ mapel_id: 5 });
+    expect(tanpaToken.status).toBe(403);
+    expect(tanpaToken.body.perlu_token).toBe(true);
+
+    const token = await api('post', '/api/verify-token').send({ mapel_id: 5, token: 'abc123' });
+    expect(token.status).toBe(200);
+
+    const soal = await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+    expect(soal.status).toBe(200);
+    expect(soal.body.status).toBe('Baru');
+    expect(soal.body.data_soal.map((s) => s.id)).toEqual([101, 102, 103]);
+    soal.body.data_soal.forEach((s) => expect(s.kunci_jawaban).toBeUndefined());
+
+    const simpan = await api('post', '/api/save-jawaban').send({ mid: 5, jwb: { 101: 'B', 103: ['C', 'A'] } });
+    expect(simpan.status).toBe(200);
+    expect(simpan.body.disimpan).toBe(2);
+
+    // Melanjutkan ujian: jawaban tersimpan ikut dikirim kembali
+    const lanjut = await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+    expect(lanjut.body.status).toBe('Lanjut');
+    expect(lanjut.body.jawaban_per_soal).toEqual({ 101: 'B', 103: ['A', 'C'] });
+
+    const selesai = await api('post', '/api/selesai-ujian').send({ mid: 5, jwb: { 101: 'B', 102: 'B', 103: ['A', 'C'] } });
+    expect(selesai.status).toBe(200);
+    expect(selesai.body.waktu_habis).toBe(false);
+
+    const [row] = db.adapter.ekspor().jawaban;
+    expect(row.status).toBe('Selesai');
+    expect(row.jumlah_benar).toBe(2);
+    expect(row.jumlah_salah).toBe(1);
+    expect(Number(row.nilai)).toBeCloseTo(66.67, 1);
+
+    const lagi = await api('post', '/api/selesai-ujian').send({ mid: 5 });
+    expect(lagi.body.sudah_selesai).toBe(true);
+
+    const review = await api('post', '/api/get-soal').send({ mapel_id: 5 });
+    expect(review.body).toMatchObject({ status: 'Selesai', boleh_review: false });
+  });
+
+  test('kiriman dengan seq lama tidak menimpa jawaban yang lebih baru', async () => {
+    const api = pakai((await login()).body.session_token);
+    const token = await api('post', '/api/verify-token').send({ mapel_id: 5, token: 'ABC123' });
+    await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+
+    const baru = await api('post', '/api/save-jawaban-item').send({ mid: 5, id_soal: 101, nilai: 'B', seq: 3 });
+    expect(baru.body.diabaikan).toBe(false);
+    // Antrean offline mengirim ulang perubahan lama setelah yang baru tersimpan
+    const lama = await api('post', '/api/save-jawaban-item').send({ mid: 5, id_soal: 101, nilai: 'A', seq: 2 });
+    expect(lama.status).toBe(200);
+    expect(lama.body.diabaikan).toBe(true);
+    const ganda = await api('post', '/api/save-jawaban').send({ mid: 5, jwb: { 101: 'A', 102: 'A' }, seq: { 101: 3, 102: 1 } });
+    expect(ganda.body.disimpan).toBe(1);
+
+    const lanjut = await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+    expect(lanjut.body.jawaban_per_soal).toEqual({ 101: 'B', 102: 'A' });
+  });
+
+  test('jawaban tidak bisa disimpan setelah ujian selesai', async () => {
+    const api = pakai((await login()).body.session_token);
+    const token = await api('post', '/api/verify-token').send({ mapel_id: 5, token: 'ABC123' });
+    await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+    await api('post', '/api/selesai-ujian').send({ mid: 5, jwb: { 101: 'B' } });
+
+    const res = await api('post', '/api/save-jawaban').send({ mid: 5, jwb: { 102: 'A' } });
+    expect(res.status).toBe(409);
+    expect(res.body.ujian_selesai).toBe(true);
+    expect(db.adapter.ekspor().jawaban[0].jumlah_benar).toBe(1);
+  });
+
+  test('izin masuk hanya berlaku untuk peserta dan mapel yang meminta, dan kedaluwarsa', async () => {
+    await db.tabel('mata_pelajaran').tambah({ id: 6, id_agenda: 1, nama_mata_pelajaran: 'IPA', durasi_ujian: 60, status_mapel: 'Siap' });
+    await db.tabel('peserta').tambah({ id: 9, nama_peserta: 'Citra', nis_username: 'citra', id_agenda: 1, status: 'Aktif', password: passwordHash });
+    await db.tabel('peserta_agenda').tambah({ id: 2, id_peserta: 9, id_agenda: 1 });
+
+    const budi = pakai((await login()).body.session_token);
+    const citra = pakai((await login('citra')).body.session_token);
+    const { izin_masuk } = (await budi('post', '/api/verify-token').send({ mapel_id: 5, token: 'ABC123' })).body;
+
+    const mapelLain = await budi('post', '/api/get-soal').send({ mapel_id: 6, izin_masuk });
+    expect(mapelLain.status).toBe(403);
+    expect(mapelLain.body.perlu_token).toBe(true);
+    expect((await citra('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk })).body.perlu_token).toBe(true);
+    // Izin bukan token sesi
+    expect((await pakai(izin_masuk)('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk })).status).toBe(401);
+
+    const nanti = Date.now() + 11 * 60e3;
+    jest.spyOn(Date, 'now').mockReturnValue(nanti);
+    try {
+      expect((await budi('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk })).body.perlu_token).toBe(true);
+    } finally {
+      Date.now.mockRestore();
+    }
+    expect(db.adapter.ekspor().jawaban).toHaveLength(0);
+
+    expect((await budi('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk })).status).toBe(200);
+  });
+
+  test('token ujian salah ditolak', async () => {
+    const api = pakai((await login()).body.session_token);
+    const res = await api('post', '/api/verify-token').send({ mapel_id: 5, token: 'SALAH1' });
+    expect(res.status).toBe(400);
+    expect(res.body.izin_masuk).toBeUndefined();
+  });
+});
+
+describe('konten soal: HTML disanitasi dan audio dibatasi', () => {
+  test('get-soal tidak mengirim script maupun URL audio, putar-audio memakai jatah', async () => {
+    await db.soal.ubah(
+      { id: 101 },
+      {
+        pertanyaan: '<b>1 + 1</b><script>alert(1)</script> = ?',
+        media: { audio: [{ url: 'https://x.id/dengar.mp3', judul: 'Dialog', maks_putar: 2 }] }
+      }
+    );
+    await db.mapel.ubah({ id: 5 }, { versi_soal: Date.now() });
+
+    const api = pakai((await login()).body.session_token);
+    const token = await api('post', '/api/verify-token').send({ mapel_id: 5, token: 'ABC123' });
+    const soal = await api('post', '/api/get-soal').send({ mapel_id: 5, izin_masuk: token.body.izin_masuk });
+    const s101 = soal.body.data_soal.find((s) => s.id === 101);
+    expect(s101.pertanyaan).toBe('<b>1 + 1</b> = ?');
+    expect(s101.media).toEqual({ audio: [{ indeks: 0, judul: 'Dialog', maks_putar: 2 }] });
+    expect(JSON.stringify(soal.body)).not.toContain('dengar.mp3');
+
+    const putar = () => api('post', '/api/putar-audio').send({ mid: 5, id_soal: 101, indeks: 0 });
+    expect((await putar()).body).toMatchObject({ url: 'https://x.id/dengar.mp3', jumlah: 1, sisa: 1 });
+    expect((await putar()).body).toMatchObject({ jumlah: 2, sisa: 0 });
+    const habis = await putar();
+    expect(habis.status).toBe(403);
+    expect(habis.body.habis).toBe(true);
+
+    const tanpaAudio = await api('post', '/api/putar-audio').send({ mid: 5, id_soal: 102, indeks: 0 });
+    expect(tanpaAudio.status).toBe(404);
+  });
+});
+
+describe('penilaian esai dengan penilai kedua', () => {
+  beforeEach(async () => {
+    await db.mapel.ubah({ id: 5 }, { penilai_kedua: true, batas_selisih_esai: 20 });
+    await db.soal.tambah({ id: 104, id_mapel: 5, no_soal: 4, type_soal: 'Esai', pertanyaan: 'Jelaskan', bobot: 10 });
+    await db.tabel('admin_user').tambah(
+      ['guru1', 'guru2', 'guru3'].map((username, i) => ({ id: i + 1, username, role: 'penilai', status: 'Aktif', password: passwordHash }))
+    );
+    await db.tabel('jawaban').tambah({
+      id: 50,
+      id_peserta: 7,
+      id_agenda: 1,
+      id_mapel: 5,
+      status: 'Selesai',
+      jawaban: encodeJawaban({ 101: 'B', 102: 'A', 103: ['A', 'C'], 104: 'Karena ...' })
+    });
+  });
+
+  test('selisih besar diputuskan moderator; identitas peserta tidak terlihat', async () => {
+    const [g1, g2, g3] = await Promise.all(['guru1', 'guru2', 'guru3'].map(loginStaf));
+    const nilai = (api, skor) => api('post', '/api/penilai/nilai').send({ id_jawaban: 50, id_soal: 104, skor });
+
+    const antrean = await g1('get', '/api/penilai/mapel/5/antrean');
+    expect(antrean.body.data).toHaveLength(1);
+    expect(antrean.body.data[0]).toMatchObject({ kode: expect.stringMatching(/^E-/), penilai_ke: 1 });
+    expect(antrean.body.data[0].peserta).toBeUndefined();
+
+    expect((await nilai(g1, 4)).body.data).toMatchObject({ penilai_ke: 1, status: 'menunggu_kedua', skor_akhir: null });
+    expect((await g1('get', '/api/penilai/mapel/5/antrean')).body.data).toEqual([]);
+
+    // Penilai kedua menilai buta: nilai penilai pertama tidak dikirim
+    const kedua = await g2('get', '/api/penilai/mapel/5/antrean');
+    expect(kedua.body.data[0]).toMatchObject({ penilai_ke: 2, penilaian_saya: null });
+    expect(kedua.body.data[0].penilaian_lain).toBeUndefined();
+    expect((await nilai(g2, 9)).body.data).toMatchObject({ penilai_ke: 2, status: 'moderasi', esai_belum_dinilai: 1 });
+    expect((await nilai(g1, 5)).status).toBe(409);
+
+    const moderasi = await g3('get', '/api/penilai/mapel/5/antrean');
+    expect(moderasi.body.data[0].penilaian_lain.map((p) => p.skor)).toEqual([4, 9]);
+    expect((await nilai(g3, 8)).body.data).toMatchObject({ penilai_ke: 3, status: 'selesai', skor_akhir: 8, nilai: 84.62 });
+
+    const row = db.adapter.ekspor().jawaban.find((j) => j.id === 50);
+    expect(Number(row.nilai)).toBe(84.62);
+  });
+});
+
+describe('notifikasi hasil ke orang tua', () => {
+  let admin;
+  let fetch;
+
+  beforeEach(async () => {
+    fetch = jest.spyOn(global, 'fetch');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await db.agenda.ubah({ id: 1 }, { notif_ortu: true });
+    await db.peserta.ubah({ id: 7 }, { no_wa_ortu: '+62 812-0000-0009' });
+    await db.tabel('admin_user').tambah({ id: 9, username: 'admin', role: 'admin', status: 'Aktif', password: passwordHash });
+    await db.tabel('jawaban').tambah({ id: 60, id_peserta: 7, id_agenda: 1, id_mapel: 5, status: 'Selesai', nilai: 80 });
+    admin = await loginStaf('admin');
+  });
+
+  afterEach(() => {
+    fetch.mockRestore();
+    console.error.mockRestore();
+  });
+
+  function notif() {
+    return db.adapter.ekspor().notifikasi_ortu[0];
+  }
+
+  test('rilis mengantrekan sekali per peserta; gagal kirim dijadwalkan ulang, lease yang masih berlaku tidak diambil', async () => {
+    const rilis = await admin('post', '/api/admin/agenda/1/rilis-hasil');
+    expect(rilis.body.notifikasi).toMatchObject({ diantre: 1, nomor_tidak_valid: 0, sudah_ada: 0 });
+    expect(notif()).toMatchObject({ tujuan: '6281200000009', status: 'antre', percobaan: 0 });
+    expect(notif().pesan).toContain('Matematika: *80*');
+
+    fetch.mockResolvedValue(new Response('sibuk', { status: 503 }));
+    const kirim = () => admin('post', '/api/admin/agenda/1/notifikasi/kirim');
+    expect((await kirim()).body).toMatchObject({ diproses: 1, dijadwalkan_ulang: 1, terkirim: 0 });
+    expect(notif()).toMatchObject({ status: 'antre', percobaan: 1, error: 'Gateway HTTP 503: sibuk' });
+    expect(Date.parse(notif().kirim_berikutnya) - Date.now()).toBeGreaterThan(50e3);
+
+    // Belum jatuh tempo
+    expect((await kirim()).body.diproses).toBe(0);
+
+    // Proses lain sedang mengirim (lease belum habis)
+    await db.tabel('notifikasi_ortu').ubah({ id: notif().id }, { status: 'mengirim', kirim_berikutnya: new Date(Date.now() + 60e3).toISOString() });
+    expect((await kirim()).body.diproses).toBe(0);
+
+    // Lease habis tanpa hasil (proses mati): diambil lagi
+    await db.tabel('notifikasi_ortu').ubah({ id: notif().id }, { kirim_berikutnya: new Date(Date.now() - 1000).toISOString() });
+    fetch.mockResolvedValue(new Response('ok', { status: 200 }));
+    expect((await kirim()).body).toMatchObject({ diproses: 1, terkirim: 1 });
+    expect(notif()).toMatchObject({ status: 'terkirim', percobaan: 2, error: null, kirim_berikutnya: null });
+    expect(fetch).toHaveBeenLastCalledWith('https://gateway.test/kirim', expect.objectContaining({ method: 'POST' }));
+
+    const lagi = await admin('post', '/api/admin/agenda/1/rilis-hasil');
+    expect(lagi.body.notifikasi).toMatchObject({ diantre: 0, sudah_ada: 1 });
+    expect(db.adapter.ekspor().notifikasi_ortu).toHaveLength(1);
+  });
+
+  test('rilis ditolak selama masih ada peserta yang ujian', async () => {
+    await db.tabel('jawaban').ubah({ id: 60 }, { status: 'Proses' });
+    expect((await admin('post', '/api/admin/agenda/1/rilis-hasil')).status).toBe(409);
+  });
+});
+
+describe('proktor: reset sesi', () => {
+  let proktor;
+
+  beforeEach(async () => {
+    await db.tabel('admin_user').tambah({ id: 20, username: 'proktor', role: 'proktor', status: 'Aktif', password: passwordHash });
+    // Mulai 70 menit lalu dengan durasi 60: waktu sudah habis 10 menit
+    await db.tabel('jawaban').tambah({
+      id: 70,
+      id_peserta: 7,
+      id_agenda: 1,
+      id_mapel: 5,
+      status: 'Selesai',
+      tgljam_mulai: new Date(Date.now() - 70 * 60e3).toISOString(),
+      tambahan_waktu: 0
+    });
+    proktor = await loginStaf('proktor');
+  });
+
+  test('sesi yang waktunya habis hanya bisa direset dengan menit tambahan', async () => {
+    const tanpaMenit = await proktor('post', '/api/proktor/jawaban/70/reset').send({});
+    expect(tanpaMenit.status).toBe(400);
+    expect(tanpaMenit.body.menit_minimal).toBe(12);
+    expect(db.adapter.ekspor().jawaban[0].status).toBe('Selesai');
+
+    expect((await proktor('post', '/api/proktor/jawaban/70/reset').send({ menit: 5 })).body.menit_minimal).toBe(12);
+    expect((await proktor('post', '/api/proktor/jawaban/70/reset').send({ menit: 0 })).status).toBe(400);
+
+    const reset = await proktor('post', '/api/proktor/jawaban/70/reset').send({ menit: 15 });
+    expect(reset.status).toBe(200);
+    expect(db.adapter.ekspor().jawaban[0]).toMatchObject({ status: 'Proses', tambahan_waktu: 15, terkunci: false });
+
+    // Peserta bisa menyimpan lagi tanpa langsung diselesaikan
+    const api = pakai((await login()).body.session_token);
+    expect((await api('post', '/api/save-jawaban').send({ mid: 5, jwb: { 101: 'B' } })).status).toBe(200);
+    expect(db.adapter.ekspor().jawaban[0].status).toBe('Proses');
+  });
+});
+
+describe('proktor: stream monitor', () => {
+  let proktor;
+  let sessionToken;
+
+  beforeEach(async () => {
+    await db.tabel('admin_user').tambah({ id: 20, username: 'proktor', role: 'proktor', status: 'Aktif', password: passwordHash });
+    await db.tabel('agenda_ujian').tambah({ id: 2, agenda_ujian: 'PAS Genap', token_ujian: 'XYZ789' });
+    const res = await request(app).post('/api/admin/login').send({ username: 'proktor', password: 'rahasia' });
+    sessionToken = res.body.session_token;
+    proktor = pakai(sessionToken);
+  });
+
+  // Baca sampai snapshot pertama lalu putuskan koneksi, seperti browser yang menutup halaman
+  function bacaSnapshot(tiket) {
+    return request(app)
+      .get(`/api/proktor/agenda/1/stream?tiket=${encodeURIComponent(tiket)}`)
+      .buffer(true)
+      .parse((res, cb) => {
+        let data = '';
+        res.on('data', (chunk) => {
+          data += chunk;
+          if (data.includes('event: snapshot')) {
+            res.destroy();
+            cb(null, data);
+          }
+        });
+      });
+  }
+
+  test('stream dibuka dengan tiket, bukan token sesi di query', async () => {
+    const pakaiToken = await request(app).get(`/api/proktor/agenda/1/stream?token=${sessionToken}`);
+    expect(pakaiToken.status).toBe(401);
+
+    const tiket = await proktor('post', '/api/proktor/agenda/1/stream-tiket');
+    expect(tiket.status).toBe(200);
+    expect(new Date(tiket.body.berlaku_sampai).getTime()).toBeLessThanOrEqual(Date.now() + 2 * 60e3 + 1000);
+
+    const res = await bacaSnapshot(tiket.body.tiket);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.body).toContain('event: snapshot');
+  });
+
+  test('tiket hanya berlaku untuk agendanya dan tidak bisa dipakai sebagai token sesi', async () => {
+    const { tiket } = (await proktor('post', '/api/proktor/agenda/2/stream-tiket')).body;
+
+    expect((await request(app).get(`/api/proktor/agenda/1/stream?tiket=${tiket}`)).status).toBe(401);
+    expect((await pakai(tiket)('get', '/api/proktor/agenda')).status).toBe(401);
+    expect((await proktor('post', '/api/proktor/agenda/99/stream-tiket')).status).toBe(404);
+  });
+
+  test('tiket tidak berlaku lagi setelah proktor logout', async () => {
+    const { tiket } = (await proktor('post', '/api/proktor/agenda/1/stream-tiket')).body;
+    expect((await proktor('post', '/api/proktor/logout')).status).toBe(200);
+
+    expect((await request(app).get(`/api/proktor/agenda/1/stream?tiket=${tiket}`)).status).toBe(401);
+  });
+});
+
+describe('satu akun di beberapa agenda', () => {
+  beforeEach(async () => {
+    const selesai = new Date(Date.now() + 86400e3).toISOString();
+    await db.agenda.tambah([
+      { id: 2, agenda_ujian: 'Tryout', tgljam_mulai: new Date().toISOString(), tgljam_selesai: selesai },
+      { id: 3, agenda_ujian: 'PAS Genap', tgljam_mulai: new Date().toISOString(), tgljam_selesai: selesai, kode_gabung: 'PAS-7A-2026' }
+    ]);
+  });
+
+  test('agenda yang tidak diikuti ditolak; ikut sendiri hanya dengan kode gabung', async () => {
+    const api = pakai((await login()).body.session_token);
+    const tolak = await api('get', '/api/mapel?agenda_id=3');
+    expect(tolak.status).toBe(403);
+    expect(tolak.body.tidak_terdaftar).toBe(true);
+
+    expect((await api('post', '/api/agenda-saya').send({ agenda_id: 2, kode_gabung: 'apa-saja' })).status).toBe(403);
+    expect((await api('post', '/api/agenda-saya').send({ agenda_id: 3 })).status).toBe(400);
+    const salah = await api('post', '/api/agenda-saya').send({ agenda_id: 3, kode_gabung: 'PAS-7B-2026' });
+    expect(salah.status).toBe(403);
+
+    const ikut = await api('post', '/api/agenda-saya').send({ agenda_id: 3, kode_gabung: 'pas-7a-2026' });
+    expect(ikut.body).toMatchObject({ success: true, sudah_terdaftar: false });
+    expect(ikut.body.data.kode_gabung).toBeUndefined();
+    expect((await api('post', '/api/agenda-saya').send({ agenda_id: 3 })).body.sudah_terdaftar).toBe(true);
+
+    const daftar = await api('get', '/api/agenda-saya');
+    expect(daftar.body.data.map((a) => a.id).sort()).toEqual([1, 3]);
+    expect((await api('get', '/api/mapel?agenda_id=3')).status).toBe(200);
+  });
+});
+
+describe('admin: ganti & hapus soal', () => {
+  let admin;
+  const csv = 'type_soal,pertanyaan,pilihan_a,pilihan_b,kunci_jawaban\nPilihan Ganda,3 + 3 = ?,6,7,A\n';
+
+  beforeEach(async () => {
+    await db.tabel('admin_user').tambah({ id: 9, username: 'admin', role: 'admin', status: 'Aktif', password: passwordHash });
+    admin = await loginStaf('admin');
+  });
+
+  function soalMapel() {
+    return db.adapter.ekspor().bank_soal.filter((s) => s.id_mapel === 5);
+  }
+
+  test('import ganti menyimpan soal baru lalu menghapus soal lama', async () => {
+    const res = await admin('post', '/api/admin/mapel/5/import').send({ format: 'csv', content: csv, ganti: true });
+    expect(res.status).toBe(201);
+    expect(res.body.imported).toBe(1);
+    expect(soalMapel().map((s) => [s.no_soal, s.pertanyaan])).toEqual([[1, '3 + 3 = ?']]);
+    expect(db.adapter.ekspor().mata_pelajaran[0].jumlah_soal).toBe(1);
+  });
+
+  test('soal mapel yang sudah punya jawaban peserta tidak bisa diganti atau dihapus', async () => {
+    await db.tabel('jawaban').tambah({ id: 80, id_peserta: 7, id_agenda: 1, id_mapel: 5, status: 'Selesai', jawaban: '{"v":2,"items":{"101":"B"}}' });
+
+    const ganti = await admin('post', '/api/admin/mapel/5/import').send({ format: 'csv', content: csv, ganti: true });
+    expect(ganti.status).toBe(409);
+    const hapus = await admin('delete', '/api/admin/soal/101');
+    expect(hapus.status).toBe(409);
+    expect(soalMapel().map((s) => s.id)).toEqual([101, 102, 103]);
+
+    // Menambah soal tetap boleh
+    expect((await admin('post', '/api/admin/mapel/5/import').send({ format: 'csv', content: csv })).status).toBe(201);
+    expect(soalMapel()).toHaveLength(4);
+  });
+
+  test('soal mapel tanpa jawaban bisa dihapus', async () => {
+    expect((await admin('delete', '/api/admin/soal/103')).status).toBe(200);
+    expect(soalMapel().map((s) => s.id)).toEqual([101, 102]);
+  });
+});
+
+describe('admin: filter dari parameter request', () => {
+  let admin;
+
+  beforeEach(async () => {
+    await db.tabel('admin_user').tambah({ id: 9, username: 'admin', role: 'admin', status: 'Aktif', password: passwordHash });
+    admin = await loginStaf('admin');
+  });
+
+  test('agenda_id berbentuk objek tidak menjadi operator filter', async () => {
+    expect((await admin('get', '/api/admin/mapel?agenda_id=1')).body.data.map((m) => m.id)).toEqual([5]);
+    expect((await admin('get', '/api/admin/mapel?agenda_id[neq]=0')).body.data).toEqual([]);
+  });
+
+  test('agenda dengan mapel dan mapel dengan jawaban tidak bisa dihapus', async () => {
+    expect((await admin('delete', '/api/admin/agenda/1')).status).toBe(409);
+
+    await db.tabel('jawaban').tambah({ id: 80, id_peserta: 7, id_agenda: 1, id_mapel: 5, status: 'Proses' });
+    expect((await admin('delete', '/api/admin/mapel/5')).status).toBe(409);
+    expect(db.adapter.ekspor().bank_soal).toHaveLength(3);
+
+    await db.tabel('jawaban').hapus({ id: 80 });
+    expect((await admin('delete', '/api/admin/mapel/5')).status).toBe(200);
+    expect(db.adapter.ekspor().bank_soal).toHaveLength(0);
+    expect((await admin('delete', '/api/admin/agenda/1')).status).toBe(200);
+    expect(db.adapter.ekspor().agenda_ujian).toHaveLength(0);
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { susunSoal } = require('../../lib/acak');
+
+const SOAL = Array.from({ length: 10 }, (_, i) => ({
+  id: 100 + i,
+  no_soal: i + 1,
+  type_soal: i === 9 ? 'Esai' : 'Pilihan Ganda',
+  pilihan_a: 'a',
+  pilihan_b: 'b',
+  pilihan_c: 'c',
+  pilihan_d: 'd',
+  pilihan_e: i === 0 ? '' : 'e'
+}));
+
+function ids(list) {
+  return list.map((s) => s.id);
+}
+
+test('tanpa pengacakan urutan tetap no_soal dan pilihan A..E yang terisi', () => {
+  const hasil = susunSoal(SOAL, { pesertaId: 7, mapelId: 5 });
+  expect(ids(hasil)).toEqual(ids(SOAL));
+  expect(hasil.map((s) => s.no_tampil)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  expect(hasil[0].urutan_opsi).toEqual(['A', 'B', 'C', 'D']);
+  expect(hasil[9].urutan_opsi).toBeUndefined();
+});
+
+test('urutan acak stabil untuk peserta yang sama (resume) dan berbeda antar peserta', () => {
+  const opts = { mapelId: 5, acakSoal: true, acakOpsi: true };
+  const budi = susunSoal(SOAL, { ...opts, pesertaId: 7 });
+  const budiLagi = susunSoal(SOAL, { ...opts, pesertaId: 7 });
+  const ani = susunSoal(SOAL, { ...opts, pesertaId: 8 });
+
+  expect(budiLagi).toEqual(budi);
+  expect(ids(budi).sort()).toEqual(ids(SOAL));
+  expect(ids(ani)).not.toEqual(ids(budi));
+  expect(budi.map((s) => s.urutan_opsi)).not.toEqual(ani.map((s) => s.urutan_opsi));
+});
+
+test('acak pilihan hanya mengubah urutan tampilan, huruf aslinya tetap', () => {
+  const hasil = susunSoal(SOAL, { pesertaId: 7, mapelId: 5, acakOpsi: true });
+  expect(ids(hasil)).toEqual(ids(SOAL));
+  hasil.slice(1, 9).forEach((s) => expect([...s.urutan_opsi].sort()).toEqual(['A', 'B', 'C', 'D', 'E']));
+  // Soal tidak diubah: pilihan_a tetap berisi teks pilihan A
+  expect(hasil[1].pilihan_a).toBe('a');
+});
+
+test('item soal Urutan selalu diacak, stabil per peserta', () => {
+  const urutan = { id: 200, no_soal: 11, type_soal: 'Urutan', pernyataan_1: 'a', pernyataan_2: 'b', pernyataan_3: 'c', pernyataan_4: 'd' };
+  const susun = (pesertaId) => susunSoal([urutan], { pesertaId, mapelId: 5 })[0].urutan_item;
+  expect([...susun(1)].sort()).toEqual([1, 2, 3, 4]);
+  expect(susun(1)).toEqual(susun(1));
+  const hasil = new Set([1, 2, 3, 4, 5, 6].map((p) => susun(p).join()));
+  expect(hasil.size).toBeGreaterThan(1);
+});
+
+test('opsi bergambar tanpa teks ikut diacak', () => {
+  const soal = { id: 300, no_soal: 1, type_soal: 'Pilihan Ganda', pilihan_a: 'a', media: { gambar_opsi: { B: ['https://x.id/b.png'] } } };
+  expect(susunSoal([soal], { pesertaId: 1, mapelId: 5 })[0].urutan_opsi).toEqual(['A', 'B']);
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const zlib = require('zlib');
+const { analisisMapel, tabelPeserta, tabelButir, tabelGrup } = require('../../lib/analisis');
+const { buatXlsx } = require('../../lib/xlsx');
+
+const SOAL = [
+  { id: 1, no_soal: 1, type_soal: 'Pilihan Ganda', kunci_jawaban: 'A', pilihan_a: 'a', pilihan_b: 'b', pilihan_c: 'c', pilihan_d: 'd' },
+  { id: 2, no_soal: 2, type_soal: 'Pilihan Ganda', kunci_jawaban: 'B', pilihan_a: 'a', pilihan_b: 'b', pilihan_c: 'c' },
+  { id: 3, no_soal: 3, type_soal: 'Esai', kunci_jawaban: null }
+];
+
+const HASIL = [
+  { peserta: { id: 1, nama_peserta: 'Dewi', kelas: '7A' }, jawaban: { 1: 'A', 2: 'B' } },
+  { peserta: { id: 2, nama_peserta: 'Budi', kelas: '7A' }, jawaban: { 1: 'A', 2: 'C' } },
+  { peserta: { id: 3, nama_peserta: 'Ani', kelas: '7B' }, jawaban: { 1: 'C', 2: 'B' } },
+  { peserta: { id: 4, nama_peserta: 'Eka', kelas: '7B' }, jawaban: { 1: 'C' } },
+  { peserta: { id: 5, nama_peserta: 'Cici', kelas: '7B' }, jawaban: {} }
+];
+
+test('nilai dan peringkat: nilai sama mendapat peringkat sama (1, 2, 2, 4)', () => {
+  const { peserta, ringkasan } = analisisMapel(SOAL, HASIL);
+
+  expect(peserta.map((p) => [p.peringkat, p.nama_peserta, p.nilai])).toEqual([
+    [1, 'Dewi', 100],
+    [2, 'Ani', 50],
+    [2, 'Budi', 50],
+    [4, 'Cici', 0],
+    [4, 'Eka', 0]
+  ]);
+  expect(ringkasan).toEqual({ jumlah_peserta: 5, rata_rata: 40, tertinggi: 100, terendah: 0, simpangan_baku: 37.42 });
+});
+
+test('nilai tersimpan (koreksi manual) dipakai untuk peringkat', () => {
+  const hasil = HASIL.map((h) => (h.peserta.id === 5 ? { ...h, nilai: 75 } : h));
+  expect(analisisMapel(SOAL, hasil).peserta[1]).toMatchObject({ peringkat: 2, nama_peserta: 'Cici', nilai: 75 });
+});
+
+test('statistik butir: kesukaran, daya beda, pengecoh dan persen kosong', () => {
+  const [butir1, butir2, esai] = analisisMapel(SOAL, HASIL).butir;
+
+  expect(butir1).toMatchObject({
+    jumlah_benar: 2,
+    tingkat_kesukaran: 0.4,
+    kategori_kesukaran: 'sedang',
+    daya_beda: 1,
+    kategori_daya_beda: 'baik sekali',
+    jumlah_kosong: 1,
+    persen_kosong: 20
+  });
+  expect(butir1.pengecoh.map((o) => [o.opsi, o.jumlah, o.kunci, o.berfungsi])).toEqual([
+    ['A', 2, true, null],
+    ['B', 0, false, false],
+    ['C', 2, false, true],
+    ['D', 0, false, false]
+  ]);
+  expect(butir2.persen_kosong).toBe(40);
+  // Esai tidak dinilai otomatis: tidak ada p, D dan pengecoh
+  expect(esai).toMatchObject({ tingkat_kesukaran: null, daya_beda: null, pengecoh: null });
+});
+
+test('dikelompokkan per kelas dengan peringkat di dalam kelompok', () => {
+  const analisis = analisisMapel(SOAL, HASIL, { groupBy: 'kelas' });
+
+  expect(analisis.grup.map((g) => [g.grup, g.ringkasan.jumlah_peserta, g.ringkasan.rata_rata])).toEqual([
+    ['7A', 2, 75],
+    ['7B', 3, 16.67]
+  ]);
+  expect(analisis.peserta.map((p) => [p.nama_peserta, p.peringkat_grup])).toEqual([
+    ['Dewi', 1],
+    ['Ani', 1],
+    ['Budi', 2],
+    ['Cici', 2],
+    ['Eka', 2]
+  ]);
+
+  expect(tabelGrup(analisis)).toEqual({
+    kolom: ['kelas', 'jumlah_peserta', 'rata_rata', 'tertinggi', 'terendah', 'simpangan_baku'],
+    baris: [
+      ['7A', 2, 75, 100, 50, 25],
+      ['7B', 3, 16.67, 50, 0, 23.57]
+    ]
+  });
+  const butir = tabelButir(analisis);
+  expect(butir.kolom.slice(0, 2)).toEqual(['grup', 'no_soal']);
+  expect(butir.baris.map((b) => `${b[0]}#${b[1]}`)).toEqual(['Semua#1', 'Semua#2', 'Semua#3', '7A#1', '7A#2', '7A#3', '7B#1', '7B#2', '7B#3']);
+  expect(tabelPeserta(analisis).kolom.slice(0, 3)).toEqual(['peringkat', 'peringkat_grup', 'nama_peserta']);
+});
+
+function bacaZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const ukuran = buffer.readUInt32LE(offset + 18);
+    const panjangNama = buffer.readUInt16LE(offset + 26);
+    const panjangExtra = buffer.readUInt16LE(offset + 28);
+    const nama = buffer.toString('utf8', offset + 30, offset + 30 + panjangNama);
+    const mulai = offset + 30 + panjangNama + panjangExtra;
+    files[nama] = zlib.inflateRawSync(buffer.subarray(mulai, mulai + ukuran)).toString('utf8');
+    offset = mulai + ukuran;
+  }
+  return files;
+}
+
+test('export XLSX: satu sheet per tabel, angka tetap angka dan teks di-escape', () => {
+  const { kolom, baris } = tabelPeserta(analisisMapel(SOAL, HASIL));
+  const files = bacaZip(buatXlsx([
+    { nama: 'Peserta', kolom, baris },
+    { nama: 'Butir: <Mat/IPA>', kolom: ['catatan'], baris: [['A & B']] }
+  ]));
+
+  expect(Object.keys(files)).toEqual(
+    expect.arrayContaining(['[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'])
+  );
+  expect(files['xl/workbook.xml']).toContain('<sheet name="Peserta" sheetId="1"');
+  expect(files['xl/workbook.xml']).toContain('name="Butir  &lt;Mat IPA&gt;"');
+  expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="G2"><v>100</v></c>');
+  expect(files['xl/worksheets/sheet2.xml']).toContain('<t xml:space="preserve">A &amp; B</t>');
+});
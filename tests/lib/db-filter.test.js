@@ -0,0 +1,104 @@
+'use strict';
+
+const { kutip, keQuery, parseQuery } = require('../../lib/db/filter');
+const { createDb } = require('../../lib/db');
+const { createMemoryAdapter } = require('../../lib/db/memory');
+
+describe('keQuery', () => {
+  test('nilai tunggal, null, daftar dan operator', () => {
+    expect(keQuery({ id: 5 })).toEqual({ id: 'eq.5' });
+    expect(keQuery({ nilai: null })).toEqual({ nilai: 'is.null' });
+    expect(keQuery({ nilai: { not: null } })).toEqual({ nilai: 'not.is.null' });
+    expect(keQuery({ id: [1, 2] })).toEqual({ id: 'in.("1","2")' });
+    expect(keQuery({ status: { neq: 'Selesai' } })).toEqual({ status: 'neq.Selesai' });
+    expect(keQuery({ waktu: { gte: new Date('2026-01-01T00:00:00Z') } })).toEqual({
+      waktu: 'gte.2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('nilai di dalam in.(...) selalu dikutip sehingga koma dan kurung tidak memecah daftar', () => {
+    expect(keQuery({ nis_username: ['a,b', 'c)'] })).toEqual({ nis_username: 'in.("a,b","c)")' });
+  });
+
+  test('kutip & backslash di-escape', () => {
+    expect(kutip('a"b')).toBe('"a\\"b"');
+    expect(kutip('a\\b')).toBe('"a\\\\b"');
+    expect(keQuery({ id: ['x"),id.neq.("'] })).toEqual({ id: 'in.("x\\"),id.neq.(\\"")' });
+  });
+
+  test('or/and: nilai dikutip agar tidak bisa menyisipkan kondisi lain', () => {
+    const u = '1,status.eq.Aktif';
+    expect(keQuery({ or: [{ nis_username: u }, { no_wa_peserta: u }] })).toEqual({
+      or: '(nis_username.eq."1,status.eq.Aktif",no_wa_peserta.eq."1,status.eq.Aktif")'
+    });
+    expect(keQuery({ or: [{ a: 1, b: { lte: 2 } }] })).toEqual({ or: '(and(a.eq."1",b.lte."2"))' });
+  });
+
+  test('filter yang salah ditolak', () => {
+    expect(() => keQuery({ id: undefined })).toThrow('undefined');
+    expect(() => keQuery({ id: { gte: 1, lte: 2 } })).toThrow('satu operator');
+    expect(() => keQuery({ id: { drop: 1 } })).toThrow('tidak dikenal');
+    expect(() => keQuery({ aktif: { is: 'x' } })).toThrow('null/true/false');
+    expect(() => keQuery({ or: [{}] })).toThrow('kosong');
+  });
+});
+
+describe('parseQuery', () => {
+  test('kebalikan keQuery, termasuk nilai berkutip', () => {
+    const query = keQuery({ id: ['a,b', 'c"d'], or: [{ nis: 'x,y' }, { wa: { not: null } }] });
+    expect(parseQuery(query)).toEqual([
+      { kolom: 'id', op: 'in', not: false, nilai: ['a,b', 'c"d'] },
+      {
+        logika: 'or',
+        not: false,
+        isi: [
+          { kolom: 'nis', op: 'eq', not: false, nilai: 'x,y' },
+          { kolom: 'wa', op: 'is', not: true, nilai: 'null' }
+        ]
+      }
+    ]);
+  });
+
+  test('operator tak dikenal ditolak', () => {
+    expect(() => parseQuery({ id: 'drop.1' })).toThrow('tidak didukung');
+  });
+});
+
+describe('repository di atas adapter memory', () => {
+  function buatDb() {
+    return createDb({
+      adapter: createMemoryAdapter({
+        data: {
+          peserta: [
+            { id: 1, nis_username: 'budi', no_wa_peserta: '6281', status: 'Aktif' },
+            { id: 2, nis_username: 'a,b', no_wa_peserta: '6282', status: 'Aktif' },
+            { id: 3, nis_username: 'x"),id.neq.(', no_wa_peserta: null, status: 'Nonaktif' }
+          ]
+        }
+      })
+    });
+  }
+
+  test('identitas berisi koma/kutip hanya cocok dengan dirinya sendiri', async () => {
+    const db = buatDb();
+    expect((await db.peserta.cariIdentitas('a,b')).id).toBe(2);
+    expect((await db.peserta.cariIdentitas('x"),id.neq.(')).id).toBe(3);
+    expect(await db.peserta.cariIdentitas('budi,no_wa_peserta.neq.0')).toBeNull();
+  });
+
+  test('in, is null dan byIds', async () => {
+    const db = buatDb();
+    expect((await db.peserta.cari({ nis_username: ['a,b', 'budi'] })).map((p) => p.id)).toEqual([1, 2]);
+    expect((await db.peserta.cari({ no_wa_peserta: null })).map((p) => p.id)).toEqual([3]);
+    expect((await db.peserta.byIds([3, '1', 3])).map((p) => p.id).sort()).toEqual([1, 3]);
+  });
+
+  test('ubah & hapus tanpa filter ditolak', async () => {
+    const db = buatDb();
+    await expect(db.peserta.ubah({}, { status: 'x' })).rejects.toThrow('tanpa filter');
+    await expect(db.peserta.hapus()).rejects.toThrow('tanpa filter');
+    const rows = await db.peserta.ubah({ id: 2 }, { status: 'Nonaktif' });
+    expect(rows).toHaveLength(1);
+    expect(db.adapter.ekspor().peserta[1].status).toBe('Nonaktif');
+  });
+});
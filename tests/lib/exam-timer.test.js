@@ -0,0 +1,77 @@
+'use strict';
+
+delete process.env.EXAM_GRACE_SECONDS;
+
+const { EXAM_GRACE_SECONDS, computeDeadline, remainingMs, isPastGrace } = require('../../lib/exam-timer');
+
+const MULAI = '2026-03-02T01:00:00.000Z';
+
+describe('computeDeadline', () => {
+  test('tgljam_mulai + durasi_ujian', () => {
+    expect(computeDeadline({ mulai: MULAI, durasiMenit: 90 }).toISOString()).toBe('2026-03-02T02:30:00.000Z');
+  });
+
+  test('dipotong oleh tgljam_selesai agenda jika lebih dulu', () => {
+    const deadline = computeDeadline({ mulai: MULAI, durasiMenit: 90, agendaSelesai: '2026-03-02T02:00:00.000Z' });
+    expect(deadline.toISOString()).toBe('2026-03-02T02:00:00.000Z');
+  });
+
+  test('jadwal_selesai mapel ikut membatasi', () => {
+    const deadline = computeDeadline({ mulai: MULAI, durasiMenit: 90, mapelSelesai: '2026-03-02T02:10:00.000Z' });
+    expect(deadline.toISOString()).toBe('2026-03-02T02:10:00.000Z');
+  });
+
+  test('tambahan waktu dari proktor juga menggeser batas agenda', () => {
+    const deadline = computeDeadline({
+      mulai: MULAI,
+      durasiMenit: 90,
+      agendaSelesai: '2026-03-02T02:00:00.000Z',
+      tambahanMenit: 15
+    });
+    expect(deadline.toISOString()).toBe('2026-03-02T02:15:00.000Z');
+    expect(computeDeadline({ mulai: MULAI, durasiMenit: 90, tambahanMenit: -5 }).toISOString()).toBe('2026-03-02T02:30:00.000Z');
+  });
+
+  test('tanpa durasi memakai akhir agenda; tanpa keduanya tidak ada batas', () => {
+    expect(computeDeadline({ mulai: MULAI, durasiMenit: 0, agendaSelesai: '2026-03-02T05:00:00Z' }).toISOString()).toBe(
+      '2026-03-02T05:00:00.000Z'
+    );
+    expect(computeDeadline({ mulai: 'bukan tanggal', durasiMenit: 60 })).toBeNull();
+  });
+});
+
+test('sisa waktu tidak pernah negatif', () => {
+  const deadline = new Date('2026-03-02T02:00:00.000Z');
+  expect(remainingMs(deadline, deadline.getTime() - 90e3)).toBe(90e3);
+  expect(remainingMs(deadline, deadline.getTime() + 5e3)).toBe(0);
+  expect(remainingMs(null)).toBeNull();
+});
+
+test('simpan jawaban ditolak setelah deadline + masa tenggang', () => {
+  const deadline = new Date('2026-03-02T02:00:00.000Z');
+  expect(EXAM_GRACE_SECONDS).toBe(30);
+  expect(isPastGrace(deadline, deadline.getTime() + 30e3)).toBe(false);
+  expect(isPastGrace(deadline, deadline.getTime() + 30e3 + 1)).toBe(true);
+  expect(isPastGrace(null, Date.now())).toBe(false);
+});
+
+test('EXAM_GRACE_SECONDS=0 mematikan masa tenggang; nilai tidak valid memakai default', () => {
+  const grace = (nilai) => {
+    let modul;
+    process.env.EXAM_GRACE_SECONDS = nilai;
+    jest.isolateModules(() => {
+      modul = require('../../lib/exam-timer');
+    });
+    delete process.env.EXAM_GRACE_SECONDS;
+    return modul;
+  };
+
+  const tanpaTenggang = grace('0');
+  const deadline = new Date('2026-03-02T02:00:00.000Z');
+  expect(tanpaTenggang.EXAM_GRACE_SECONDS).toBe(0);
+  expect(tanpaTenggang.isPastGrace(deadline, deadline.getTime())).toBe(false);
+  expect(tanpaTenggang.isPastGrace(deadline, deadline.getTime() + 1)).toBe(true);
+
+  expect(grace('90').EXAM_GRACE_SECONDS).toBe(90);
+  expect(['', '-5', 'abc'].map((v) => grace(v).EXAM_GRACE_SECONDS)).toEqual([30, 30, 30]);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const { usernameValid, formatNoWa, varianNoWa, buatPassword, parsePeserta, cariDuplikat } = require('../../lib/import-peserta');
+
+describe('helper', () => {
+  test('usernameValid mengikuti aturan /api/register', () => {
+    expect(usernameValid('budi.s_01')).toBe(true);
+    expect(usernameValid('ab')).toBe(false);
+    expect(usernameValid('a,b')).toBe(false);
+    expect(usernameValid('budi)')).toBe(false);
+  });
+
+  test('formatNoWa & varianNoWa', () => {
+    expect(formatNoWa('+62 812-3456-7890')).toBe('081234567890');
+    expect(formatNoWa('081234567890')).toBe('081234567890');
+    expect(formatNoWa('12345')).toBeNull();
+    expect(varianNoWa('081234567890')).toEqual(['081234567890', '6281234567890', '+6281234567890']);
+    expect(varianNoWa('abc')).toEqual(['abc']);
+  });
+
+  test('buatPassword 8 karakter tanpa huruf/angka yang mirip', () => {
+    const pw = buatPassword();
+    expect(pw).toMatch(/^[a-km-np-z2-9]{8}$/);
+  });
+});
+
+describe('parsePeserta', () => {
+  test('alias kolom form pendaftaran, nama kapital dan nomor WA dinormalisasi', () => {
+    const csv = 'nama;username;kelas;no_wa;wa_ortu\nbudi santoso;budi01;7A;+6281234567890;6281200000001\n';
+    const { items, errors } = parsePeserta(csv);
+    expect(errors).toEqual([]);
+    expect(items).toEqual([
+      {
+        line: 2,
+        peserta: {
+          nama_peserta: 'BUDI SANTOSO',
+          nis_username: 'budi01',
+          kelas: '7A',
+          no_wa_peserta: '081234567890',
+          no_wa_ortu: '081200000001'
+        }
+      }
+    ]);
+  });
+
+  test('kolom wajib yang tidak ada di header menghentikan import', () => {
+    expect(parsePeserta('nama_peserta,alamat\nA,B')).toEqual({
+      items: [],
+      errors: [
+        { line: 1, messages: ['Kolom tidak dikenal: alamat'] },
+        { line: 1, messages: ['Kolom wajib tidak ada di header: nis_username, kelas, no_wa_peserta'] }
+      ]
+    });
+    expect(parsePeserta('').errors).toEqual([{ line: 1, messages: ['File CSV kosong'] }]);
+  });
+
+  test('validasi per baris dan duplikat di dalam file', () => {
+    const csv = [
+      'nama_peserta,nis_username,kelas,no_wa_peserta,no_wa_ortu',
+      'Ani,ani01,7A,081200000002,',
+      'Ani Dua,ani01,7B,6281200000002,',
+      ',x,7A,0812,123'
+    ].join('\n');
+    const { items, errors } = parsePeserta(csv);
+    expect(items).toHaveLength(3);
+    expect(errors).toEqual([
+      { line: 3, messages: ['nis_username sama dengan baris 2', 'no_wa_peserta sama dengan baris 2'] },
+      {
+        line: 4,
+        messages: [
+          'Kolom "nama_peserta" wajib diisi',
+          'nis_username tidak valid (3-50 huruf/angka/_+.-)',
+          'no_wa_peserta "0812" bukan nomor HP yang valid',
+          'no_wa_ortu "123" bukan nomor HP yang valid'
+        ]
+      }
+    ]);
+  });
+});
+
+describe('cariDuplikat', () => {
+  test('cocok dengan username atau nomor WA peserta yang sudah ada dalam format apa pun', () => {
+    const items = [
+      { line: 2, peserta: { nis_username: 'budi01', no_wa_peserta: '081234567890' } },
+      { line: 3, peserta: { nis_username: 'baru', no_wa_peserta: '081200000009' } },
+      { line: 4, peserta: { nis_username: 'lain', no_wa_peserta: '081200000003' } }
+    ];
+    const existing = [
+      { nis_username: 'budi01', no_wa_peserta: '+6281234567890' },
+      { nis_username: 'x', no_wa_peserta: '6281200000003' }
+    ];
+    expect(cariDuplikat(items, existing)).toEqual([
+      { line: 2, messages: ['nis_username "budi01" sudah terdaftar', 'no_wa_peserta "081234567890" sudah terdaftar'] },
+      { line: 4, messages: ['no_wa_peserta "081200000003" sudah terdaftar'] }
+    ]);
+    expect(cariDuplikat(items, null)).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const { parseCsvRows, parseImport, toCsv, tabelKeCsv } = require('../../lib/import-soal');
+
+describe('template CSV', () => {
+  test('parser mengikuti RFC 4180: kutip, "" dan baris baru di dalam sel', () => {
+    expect(parseCsvRows('\uFEFFpertanyaan,pilihan_a\r\n"Apa, ""ini""?\nbaris 2",x\n\n')).toEqual([
+      { line: 1, cells: ['pertanyaan', 'pilihan_a'] },
+      { line: 2, cells: ['Apa, "ini"?\nbaris 2', 'x'] }
+    ]);
+  });
+
+  test('CSV titik koma dari Excel Indonesia dikenali', () => {
+    expect(parseCsvRows('pertanyaan;kunci_jawaban\n1,5 + 1?;A')[1].cells).toEqual(['1,5 + 1?', 'A']);
+  });
+
+  test('no_soal dinomori otomatis melanjutkan nomor yang sudah ada di mapel', () => {
+    const csv = [
+      'pertanyaan,pilihan_a,pilihan_b,kunci_jawaban',
+      '1 + 1 = ?,1,2,B',
+      '2 + 2 = ?,4,5,a'
+    ].join('\n');
+    const { items, errors } = parseImport('csv', csv, [1, 4]);
+
+    expect(errors).toEqual([]);
+    expect(items.map(({ line, soal }) => [line, soal.no_soal, soal.kunci_jawaban])).toEqual([
+      [2, 5, 'B'],
+      [3, 6, 'A']
+    ]);
+  });
+
+  test('dry-run melaporkan error per baris: header, validasi soal dan no_soal bentrok', () => {
+    expect(parseImport('csv', 'soal,kunci\nx,A').errors).toEqual([
+      { line: 1, messages: ['Kolom tidak dikenal: soal, kunci'] },
+      { line: 1, messages: ['Kolom "pertanyaan" wajib ada di header'] }
+    ]);
+
+    const csv = [
+      'no_soal,type_soal,pertanyaan,pilihan_a,pilihan_b,kunci_jawaban',
+      '2,Pilihan Ganda,a,x,y,A',
+      '2,Pilihan Ganda,b,x,y,A',
+      '3,Pilihan Ganda,c,x,y,A',
+      '0,Pilihan Ganda,d,x,y,A',
+      ',Pilihan Ganda,e,x,,A'
+    ].join('\n');
+    expect(parseImport('csv', csv, [3]).errors).toEqual([
+      { line: 3, messages: ['no_soal 2 duplikat (baris 2)'] },
+      { line: 4, messages: ['no_soal 3 sudah ada di mapel ini'] },
+      { line: 5, messages: ['no_soal tidak valid: "0"'] },
+      { line: 6, messages: ['minimal 2 pilihan jawaban (pilihan_a..e atau media.gambar_opsi)'] }
+    ]);
+  });
+});
+
+test('Aiken: pertanyaan multi-baris dan pilihan masuk ke pilihan_a..e', () => {
+  const teks = ['Ibu kota Indonesia', 'adalah?', 'A. Bandung', 'B) Jakarta', 'ANSWER: b', '', 'Tanpa kunci', 'A. x', 'B. y', ''].join('\n');
+  const { items, errors } = parseImport('aiken', teks);
+
+  expect(items.map((i) => i.soal)).toEqual([
+    {
+      no_soal: 1,
+      type_soal: 'Pilihan Ganda',
+      pertanyaan: 'Ibu kota Indonesia\nadalah?',
+      pilihan_a: 'Bandung',
+      pilihan_b: 'Jakarta',
+      kunci_jawaban: 'B'
+    }
+  ]);
+  expect(errors).toEqual([{ line: 7, messages: ['Baris "ANSWER:" tidak ditemukan'] }]);
+});
+
+test('GIFT: pilihan ganda, kompleks, benar/salah ke pernyataan_1, penjodohan dan esai', () => {
+  const teks = [
+    '// komentar dilewati',
+    '::J1:: 1 + 1 = {=2 ~3 ~4}',
+    '',
+    'Bilangan prima {~%50%2 ~%50%3 ~%-100%4}',
+    '',
+    'Bumi itu bulat {T}',
+    '',
+    'Pasangkan {=Kucing -> Meong =Anjing -> Guk}',
+    '',
+    'Jelaskan fotosintesis {}',
+    '',
+    'Tanpa kurung kurawal'
+  ].join('\n');
+  const { items, errors } = parseImport('gift', teks);
+
+  expect(items.map(({ line, soal }) => [line, soal.no_soal, soal.type_soal, soal.kunci_jawaban])).toEqual([
+    [2, 1, 'Pilihan Ganda', 'A'],
+    [4, 2, 'Pilihan Ganda Kompleks', 'A,B'],
+    [6, 3, 'Benar/Salah', 'B'],
+    [8, 4, 'Penjodohan', '1A,2B'],
+    [10, 5, 'Esai', undefined]
+  ]);
+  expect(items[0].soal).toMatchObject({ pertanyaan: '1 + 1 =', pilihan_a: '2', pilihan_b: '3', pilihan_c: '4' });
+  expect(items[2].soal.pernyataan_1).toBe('Bumi itu bulat');
+  expect(items[3].soal).toMatchObject({ pernyataan_kiri_2: 'Anjing', pernyataan_kanan_2: 'Guk' });
+  expect(errors).toEqual([{ line: 12, messages: ['Bagian jawaban { ... } tidak ditemukan'] }]);
+});
+
+test('GIFT numerik menjadi Isian Angka dengan toleransi', () => {
+  const { items, errors } = parseImport('gift', 'g = ? {#9.8:0.1}\n\nSuhu {#10..15}\n\nX {#abc}');
+  expect(items.map(({ soal }) => [soal.type_soal, soal.kunci_jawaban])).toEqual([
+    ['Isian Angka', '9.8 ± 0.1'],
+    ['Isian Angka', '12.5 ± 2.5']
+  ]);
+  expect(errors).toEqual([
+    { line: 5, messages: ['Format jawaban numerik GIFT tidak dikenali ({#nilai:toleransi} atau {#min..max})'] }
+  ]);
+});
+
+test('format yang tidak didukung ditolak', () => {
+  expect(parseImport('docx', '').errors).toEqual([{ line: 0, messages: ['Format tidak didukung: docx'] }]);
+});
+
+test('export CSV bisa diimport ulang menjadi soal yang sama', () => {
+  const bank = [
+    { id: 10, no_soal: 1, type_soal: 'Pilihan Ganda', pertanyaan: 'Kata "baku", yang benar?', pilihan_a: 'apotik', pilihan_b: 'apotek', kunci_jawaban: 'B', bobot: 2 },
+    { id: 11, no_soal: 2, type_soal: 'Benar/Salah', pertanyaan: 'Tentukan', pernyataan_1: 'Air\nmendidih 100°C', kunci_jawaban: 'B' }
+  ];
+  const { items, errors } = parseImport('csv', toCsv(bank));
+
+  expect(errors).toEqual([]);
+  // id tidak ikut diexport; sel kosong terbaca null dan angka terbaca teks
+  expect(items.map((i) => i.soal.pertanyaan)).toEqual(bank.map((s) => s.pertanyaan));
+  expect(items[0].soal).toMatchObject({ no_soal: 1, pilihan_a: 'apotik', pilihan_b: 'apotek', kunci_jawaban: 'B', bobot: '2' });
+  expect(items[1].soal).toMatchObject({ no_soal: 2, type_soal: 'Benar/Salah', pernyataan_1: 'Air\nmendidih 100°C', bobot: null });
+});
+
+test('CSV analisis: teks yang terbaca sebagai rumus diberi awalan, angka dan template soal tidak', () => {
+  expect(tabelKeCsv(['nama', 'd'], [['=HYPERLINK("x")', -0.25], ['@SUM(A1)', 1], ['-budi', 0]])).toBe(
+    'nama,d\r\n"\'=HYPERLINK(""x"")",-0.25\r\n\'@SUM(A1),1\r\n\'-budi,0\r\n'
+  );
+  expect(toCsv([{ no_soal: 1, type_soal: 'Isian Angka', pertanyaan: '=2-7', kunci_jawaban: '-5' }])).toContain('=2-7,');
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+process.env.TZ_SEKOLAH = 'Asia/Jakarta';
+
+const { statusKunciMapel, validateJadwalMapel } = require('../../lib/jadwal-mapel');
+
+// Satu hari ujian (WIB = UTC+7): Matematika 08:00-09:30, lalu Bahasa 10:00-11:30
+const MTK = {
+  id: 1,
+  nama_mata_pelajaran: 'Matematika',
+  jadwal_mulai: '2026-03-02T01:00:00Z',
+  jadwal_selesai: '2026-03-02T02:30:00Z',
+  urutan: 1
+};
+const BAHASA = {
+  id: 2,
+  nama_mata_pelajaran: 'Bahasa',
+  jadwal_mulai: '2026-03-02T03:00:00Z',
+  jadwal_selesai: '2026-03-02T04:30:00Z',
+  urutan: 2,
+  jeda_menit: 20
+};
+const MAPEL = [MTK, BAHASA];
+const jam = (hhmm) => new Date(`2026-03-02T${hhmm}:00+07:00`).getTime();
+
+test('mapel belum dibuka dikunci dengan jam buka untuk hitung mundur', () => {
+  expect(statusKunciMapel(MTK, { mapelList: MAPEL, now: jam('07:45') })).toEqual({
+    terkunci: true,
+    kunci: 'belum_dibuka',
+    alasan: 'Dibuka pukul 08.00',
+    buka_pada: '2026-03-02T01:00:00.000Z'
+  });
+  expect(statusKunciMapel(MTK, { mapelList: MAPEL, now: jam('08:00') }).terkunci).toBe(false);
+});
+
+test('jendela yang sudah lewat menutup mapel, termasuk sesi yang sedang berjalan', () => {
+  const proses = [{ id_mapel: 1, status: 'Proses' }];
+  expect(statusKunciMapel(MTK, { mapelList: MAPEL, jawabanList: proses, now: jam('09:00') }).terkunci).toBe(false);
+  expect(statusKunciMapel(MTK, { mapelList: MAPEL, jawabanList: proses, now: jam('09:31') })).toMatchObject({
+    terkunci: true,
+    kunci: 'sudah_ditutup'
+  });
+  // Hasil yang sudah Selesai tetap bisa dibuka (review)
+  expect(statusKunciMapel(MTK, { jawabanList: [{ id_mapel: 1, status: 'Selesai' }], now: jam('12:00') }).terkunci).toBe(false);
+});
+
+test('urutan tetap: Bahasa menunggu Matematika selesai, lalu jeda istirahat', () => {
+  expect(statusKunciMapel(BAHASA, { mapelList: MAPEL, jawabanList: [], now: jam('10:05') })).toMatchObject({
+    kunci: 'urutan',
+    alasan: 'Kerjakan Matematika terlebih dahulu'
+  });
+
+  const selesai = [{ id_mapel: 1, status: 'Selesai', tgljam_selesai: '2026-03-02T02:50:00Z' }];
+  expect(statusKunciMapel(BAHASA, { mapelList: MAPEL, jawabanList: selesai, now: jam('10:05') })).toEqual({
+    terkunci: true,
+    kunci: 'jeda',
+    alasan: 'Istirahat minimal 20 menit antar mapel',
+    buka_pada: '2026-03-02T03:10:00.000Z'
+  });
+  expect(statusKunciMapel(BAHASA, { mapelList: MAPEL, jawabanList: selesai, now: jam('10:10') }).terkunci).toBe(false);
+});
+
+test('prasyarat hanya berlaku jika mapel prasyaratnya ada di agenda', () => {
+  const ipa = { id: 3, nama_mata_pelajaran: 'IPA', id_mapel_prasyarat: 1 };
+  expect(statusKunciMapel(ipa, { mapelList: MAPEL, now: jam('12:00') })).toMatchObject({
+    kunci: 'prasyarat',
+    alasan: 'Selesaikan Matematika terlebih dahulu'
+  });
+  expect(statusKunciMapel({ ...ipa, id_mapel_prasyarat: 99 }, { mapelList: MAPEL, now: jam('12:00') }).terkunci).toBe(false);
+});
+
+test('validateJadwalMapel', () => {
+  expect(validateJadwalMapel({ jadwal_mulai: '2026-03-02T01:00:00Z', jadwal_selesai: '2026-03-02T02:30:00Z', urutan: 1, jeda_menit: 0 })).toBeNull();
+  expect(validateJadwalMapel({ jadwal_mulai: 'besok' })).toBe('jadwal_mulai wajib berupa tanggal');
+  expect(validateJadwalMapel({ jadwal_selesai: '2026-03-02T00:30:00Z' }, { jadwal_mulai: '2026-03-02T01:00:00Z' })).toBe(
+    'jadwal_mulai harus sebelum jadwal_selesai'
+  );
+  expect(validateJadwalMapel({ urutan: 0 })).toBe('urutan harus bilangan bulat lebih dari 0');
+  expect(validateJadwalMapel({ jeda_menit: -5 })).toBe('jeda_menit harus bilangan bulat 0 atau lebih');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { FORMAT_VERSION, normalizeNilai, decodeJawaban, encodeJawaban, lengkapi, toList } = require('../../lib/jawaban');
+
+// Urut no_soal.asc, sama seperti query bank_soal di /api/get-soal
+const BANK_SOAL = [
+  { id: 31, no_soal: 1, type_soal: 'Pilihan Ganda' },
+  { id: 32, no_soal: 2, type_soal: 'Pilihan Ganda Kompleks' },
+  { id: 33, no_soal: 3, type_soal: 'Benar/Salah' },
+  { id: 34, no_soal: 4, type_soal: 'Penjodohan' },
+  { id: 35, no_soal: 5, type_soal: 'Esai' }
+];
+const [PG, PGK, BS, JODOH, ESAI] = BANK_SOAL;
+
+describe('normalizeNilai: satu bentuk nilai per tipe soal', () => {
+  test('kosong atau "-" berarti belum dijawab', () => {
+    [undefined, null, '', '  ', '-'].forEach((v) => expect(normalizeNilai(PG, v)).toBeNull());
+  });
+
+  test('Pilihan Ganda: satu huruf A-E', () => {
+    expect(normalizeNilai(PG, ' c ')).toBe('C');
+    expect(normalizeNilai(PG, 'F')).toBeNull();
+  });
+
+  test('PG kompleks: array huruf terurut tanpa duplikat', () => {
+    expect(normalizeNilai(PGK, 'C, a;A')).toEqual(['A', 'C']);
+    expect(normalizeNilai(PGK, ['Z'])).toBeNull();
+  });
+
+  test('Benar/Salah: posisi pernyataan yang dilewati tetap null', () => {
+    expect(normalizeNilai(BS, 'B,,Salah')).toEqual(['B', null, 'S']);
+  });
+
+  test('Penjodohan: objek pasangan, string lama "1A,2C" juga diterima', () => {
+    expect(normalizeNilai(JODOH, '1A, 2-c')).toEqual({ 1: 'A', 2: 'C' });
+    expect(normalizeNilai(JODOH, { 1: 'a', x: 'B', 2: '' })).toEqual({ 1: 'A' });
+  });
+
+  test('Isian Angka, Urutan dan Isian Rumpang', () => {
+    expect(normalizeNilai({ type_soal: 'Isian Angka' }, '12,5')).toBe(12.5);
+    expect(normalizeNilai({ type_soal: 'Isian Angka' }, 'abc')).toBeNull();
+    expect(normalizeNilai({ type_soal: 'Isian Angka', satuan: 'cm' }, '12,5 CM')).toBe(12.5);
+    expect(normalizeNilai({ type_soal: 'Urutan' }, '3,1,2')).toEqual([3, 1, 2]);
+    expect(normalizeNilai({ type_soal: 'Urutan' }, [1, 1, 2])).toBeNull();
+    expect(normalizeNilai({ type_soal: 'Isian Rumpang' }, { 1: ' kucing ', 2: '', a: 'x' })).toEqual({ 1: 'kucing' });
+    expect(normalizeNilai({ type_soal: 'Isian Rumpang' }, { 1: 'x'.repeat(300) })[1]).toHaveLength(200);
+  });
+
+  test('Esai boleh berisi | dan , tanpa merusak jawaban lain', () => {
+    expect(normalizeNilai(ESAI, 'a|b, c')).toBe('a|b, c');
+  });
+});
+
+describe('kolom jawaban.jawaban', () => {
+  test('disimpan sebagai JSON per id soal dan dibaca kembali sama', () => {
+    const stored = encodeJawaban({ 31: 'B', 32: ['A', 'C'], 35: 'satu | dua', 34: null, 33: '' });
+
+    expect(JSON.parse(stored)).toEqual({ v: FORMAT_VERSION, items: { 31: 'B', 32: ['A', 'C'], 35: 'satu | dua' } });
+    expect(decodeJawaban(BANK_SOAL, stored)).toEqual({ 31: 'B', 32: ['A', 'C'], 35: 'satu | dua' });
+  });
+
+  test('urutan jawaban tidak bergantung pada no_soal', () => {
+    const dibalik = [...BANK_SOAL].reverse();
+    const stored = encodeJawaban({ 34: { 1: 'B' }, 31: 'A' });
+    expect(decodeJawaban(dibalik, stored)).toEqual(decodeJawaban(BANK_SOAL, stored));
+  });
+
+  test('baris lama "A|B,C|..." tetap terbaca lewat decoder kompatibilitas', () => {
+    expect(decodeJawaban(BANK_SOAL, 'A|A,C|B,S|1A,2B|uraian')).toEqual({
+      31: 'A',
+      32: ['A', 'C'],
+      33: ['B', 'S'],
+      34: { 1: 'A', 2: 'B' },
+      35: 'uraian'
+    });
+    expect(decodeJawaban(BANK_SOAL, '-|-|B,S')).toEqual({ 33: ['B', 'S'] });
+  });
+
+  test('JSON rusak tidak melempar error', () => {
+    expect(decodeJawaban(BANK_SOAL, '{rusak')).toEqual({});
+  });
+});
+
+test('lengkapi & toList menyusun jawaban per soal untuk simpan dan penilaian', () => {
+  expect(lengkapi(BANK_SOAL.slice(0, 3), { 32: ['A'] })).toEqual({ 31: null, 32: ['A'], 33: null });
+  expect(toList(BANK_SOAL.slice(0, 3), { 33: ['B'], 31: 'A' })).toEqual(['A', null, ['B']]);
+});
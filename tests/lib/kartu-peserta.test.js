@@ -0,0 +1,37 @@
+'use strict';
+
+const { lembarKartu } = require('../../lib/kartu-peserta');
+
+describe('lembarKartu', () => {
+  const agenda = { agenda_ujian: 'PTS Ganjil' };
+  const peserta = [
+    { nama_peserta: 'CICI', nis_username: 'cici01', kelas: '7B' },
+    { nama_peserta: 'BUDI', nis_username: 'budi01', kelas: '7A' },
+    { nama_peserta: 'ANI <b>', nis_username: 'ani01', kelas: '7A' },
+    { nama_peserta: 'DODI', nis_username: 'dodi01' }
+  ];
+
+  test('satu bagian per kelas, urut kelas lalu nama', () => {
+    const html = lembarKartu({ agenda, peserta });
+    const judul = [...html.matchAll(/<h2>(.*?)<\/h2>/g)].map((m) => m[1]);
+    expect(judul).toEqual([
+      'PTS Ganjil — Kelas 7A (2 peserta)',
+      'PTS Ganjil — Kelas 7B (1 peserta)',
+      'PTS Ganjil — Kelas Tanpa Kelas (1 peserta)'
+    ]);
+    expect(html.match(/class="kartu-visual"/g)).toHaveLength(4);
+    expect(html.indexOf('ani01')).toBeLessThan(html.indexOf('budi01'));
+  });
+
+  test('password hasil import ditampilkan, sisanya garis isian; isi di-escape', () => {
+    const html = lembarKartu({ agenda, peserta, kataSandi: { budi01: 'k7m2p9qx' }, jenisTes: 'PTS' });
+    expect(html).toContain('<span class="pass">k7m2p9qx</span>');
+    expect(html.match(/\.{24}/g)).toHaveLength(3);
+    expect(html).toContain('ANI &lt;b&gt;');
+    expect(html).not.toContain('ANI <b>');
+  });
+
+  test('tanpa peserta', () => {
+    expect(lembarKartu({ agenda, peserta: [] })).toContain('Tidak ada peserta');
+  });
+});
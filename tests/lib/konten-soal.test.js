@@ -0,0 +1,65 @@
+'use strict';
+
+const { normalisasiMedia, mediaUntukPeserta, audioSoal, opsiTerisi, sanitasiKontenSoal } = require('../../lib/konten-soal');
+
+describe('normalisasiMedia', () => {
+  test('JSON dari CSV dirapikan: huruf opsi kapital, maks_putar default 1', () => {
+    const { media, errors } = normalisasiMedia(
+      '{"gambar":["https://x.id/a.png"],"gambar_opsi":{"b":["https://x.id/b.png"]},"audio":[{"url":"https://x.id/1.mp3"}]}'
+    );
+    expect(errors).toEqual([]);
+    expect(media).toEqual({
+      gambar: ['https://x.id/a.png'],
+      gambar_opsi: { B: ['https://x.id/b.png'] },
+      audio: [{ url: 'https://x.id/1.mp3', maks_putar: 1 }]
+    });
+    expect(normalisasiMedia('').media).toBeNull();
+  });
+
+  test('URL tidak aman, opsi asing dan batas putar ditolak', () => {
+    const { errors } = normalisasiMedia({
+      gambar: ['javascript:alert(1)'],
+      gambar_opsi: { F: ['https://x.id/f.png'] },
+      audio: [{ url: 'data:audio/mp3;base64,AAAA' }, { url: 'https://x.id/2.mp3', maks_putar: 11 }]
+    });
+    expect(errors).toEqual([
+      'media.gambar: URL gambar tidak valid "javascript:alert(1)"',
+      'media.gambar_opsi: opsi "F" tidak dikenal (A-E)',
+      'media.audio[0]: URL audio tidak valid',
+      'media.audio[1]: maks_putar harus 1-10'
+    ]);
+    expect(normalisasiMedia('{x').errors).toEqual(['media harus JSON yang valid']);
+  });
+});
+
+describe('media untuk peserta', () => {
+  const row = {
+    gambar_url: 'https://x.id/lama.png',
+    media: { gambar: ['https://x.id/lama.png', 'https://x.id/baru.png'], audio: [{ url: 'https://x.id/1.mp3', maks_putar: 3 }] }
+  };
+
+  test('gambar_url lama digabung tanpa duplikat, URL audio disembunyikan', () => {
+    expect(mediaUntukPeserta(row)).toEqual({
+      gambar: ['https://x.id/lama.png', 'https://x.id/baru.png'],
+      audio: [{ indeks: 0, judul: 'Audio 1', maks_putar: 3 }]
+    });
+    expect(mediaUntukPeserta({})).toBeNull();
+  });
+
+  test('audioSoal mengambil audio per indeks', () => {
+    expect(audioSoal(row, '0')).toEqual({ url: 'https://x.id/1.mp3', maks_putar: 3 });
+    expect(audioSoal(row, 1)).toBeNull();
+  });
+});
+
+test('opsiTerisi: teks atau gambar opsi, media boleh berupa teks JSON', () => {
+  const soal = { pilihan_a: 'x', pilihan_b: ' ', media: '{"gambar_opsi":{"C":["https://x.id/c.png"],"D":[]}}' };
+  expect(opsiTerisi(soal)).toEqual(['A', 'C']);
+  expect(opsiTerisi({ pilihan_a: 'x', media: '{rusak' })).toEqual(['A']);
+});
+
+test('sanitasiKontenSoal membersihkan semua kolom teks HTML dan tidak mengubah aslinya', () => {
+  const soal = { pertanyaan: '<i>a</i><script>x</script>', pilihan_a: '<img src=x onerror=y>', pernyataan_kiri_1: '<b>k' };
+  expect(sanitasiKontenSoal(soal)).toEqual({ pertanyaan: '<i>a</i>', pilihan_a: '<img src="x">', pernyataan_kiri_1: '<b>k</b>' });
+  expect(soal.pertanyaan).toBe('<i>a</i><script>x</script>');
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { TEMPLATE_DEFAULT, validatePengaturanNotif, renderTemplate, susunPesan, jedaUlang } = require('../../lib/notifikasi-ortu');
+
+describe('validatePengaturanNotif', () => {
+  test('"true"/"false" dari form diubah ke boolean', () => {
+    const payload = { notif_ortu: 'true', notif_ortu_pelanggaran: 'false' };
+    expect(validatePengaturanNotif(payload)).toBeNull();
+    expect(payload).toEqual({ notif_ortu: true, notif_ortu_pelanggaran: false });
+    expect(validatePengaturanNotif({ notif_ortu: 'ya' })).toBe('notif_ortu harus true/false');
+  });
+
+  test('template: placeholder dikenal, wajib {daftar_nilai}, panjang dibatasi', () => {
+    expect(validatePengaturanNotif({ template_notif_ortu: 'Nilai {nama_peserta}:\n{daftar_nilai}' })).toBeNull();
+    expect(validatePengaturanNotif({ template_notif_ortu: '' })).toBeNull();
+    expect(validatePengaturanNotif({ template_notif_ortu: '{daftar_nilai} {alamat}' })).toMatch(/^placeholder tidak dikenal: \{alamat\}/);
+    expect(validatePengaturanNotif({ template_notif_ortu: 'Halo {nama_peserta}' })).toBe('template_notif_ortu wajib berisi {daftar_nilai}');
+    expect(validatePengaturanNotif({ template_notif_ortu: `{daftar_nilai}${'x'.repeat(2000)}` })).toBe(
+      'template_notif_ortu maksimal 2000 karakter'
+    );
+    expect(validatePengaturanNotif({ template_notif_ortu: TEMPLATE_DEFAULT })).toBeNull();
+  });
+});
+
+describe('renderTemplate', () => {
+  test('data kosong menjadi "-", kurung kurawal lain dibiarkan', () => {
+    expect(renderTemplate('{nama_peserta} ({kelas}) {lain}', { nama_peserta: 'BUDI', kelas: '' })).toBe('BUDI (-) {lain}');
+  });
+});
+
+describe('susunPesan', () => {
+  const peserta = { nama_peserta: 'BUDI', nis_username: 'budi01', kelas: '7A', asal_sekolah: 'SMP 1' };
+  const hasil = [
+    { mapel: 'Matematika', nilai: 87.456, tgljam_selesai: null, jumlah_pelanggaran: 2 },
+    { mapel: 'IPA', nilai: 70, tgljam_selesai: null, jumlah_pelanggaran: 0, esai_belum_dinilai: 1 }
+  ];
+
+  test('template agenda dengan daftar nilai, rata-rata dan catatan esai', () => {
+    const agenda = { agenda_ujian: 'PAS', template_notif_ortu: '{agenda} {nis} {jumlah_mapel} mapel\n{daftar_nilai}\nRata-rata {rata_rata}' };
+    expect(susunPesan({ agenda, peserta, hasil })).toBe(
+      [
+        'PAS budi01 2 mapel',
+        '- Matematika: *87,46* (selesai -)',
+        '- IPA: *70* (selesai -) - sementara, esai belum dinilai',
+        'Rata-rata 78,73 (sementara)'
+      ].join('\n')
+    );
+  });
+
+  test('jumlah pelanggaran hanya ditulis jika diaktifkan; tanpa template memakai default', () => {
+    const pesan = susunPesan({ agenda: { agenda_ujian: 'PAS', notif_ortu_pelanggaran: true }, peserta, hasil: hasil.slice(0, 1) });
+    expect(pesan).toContain('*Hasil Ujian PAS*');
+    expect(pesan).toContain('*BUDI* (7A)');
+    expect(pesan).toContain('- Matematika: *87,46* (selesai -), pelanggaran: 2');
+    expect(pesan).toContain('Rata-rata: *87,46*');
+  });
+
+  test('waktu selesai ditulis dalam zona waktu sekolah', () => {
+    const pesan = susunPesan({
+      agenda: { agenda_ujian: 'PAS', template_notif_ortu: '{daftar_nilai}' },
+      peserta,
+      hasil: [{ mapel: 'IPA', nilai: 80, tgljam_selesai: '2026-03-02T03:30:00Z' }]
+    });
+    expect(pesan).toMatch(/^- IPA: \*80\* \(selesai 2 Mar.* 10[.:]30\)$/);
+  });
+});
+
+describe('rata-rata', () => {
+  const agenda = { agenda_ujian: 'PAS', template_notif_ortu: '{daftar_nilai}\nRata-rata {rata_rata}' };
+  const peserta = { nama_peserta: 'BUDI' };
+
+  test('mapel tanpa nilai ditulis "-" dan tidak dihitung sebagai 0', () => {
+    const pesan = susunPesan({
+      agenda,
+      peserta,
+      hasil: [
+        { mapel: 'Matematika', nilai: 90 },
+        { mapel: 'IPS', nilai: null },
+        { mapel: 'IPA', nilai: '' }
+      ]
+    });
+    expect(pesan).toContain('- IPS: *-*');
+    expect(pesan.split('\n').pop()).toBe('Rata-rata 90');
+  });
+
+  test('nilai sementara (esai belum dinilai) ikut dirata-rata dan rata-ratanya ditandai sementara', () => {
+    const pesan = susunPesan({
+      agenda,
+      peserta,
+      hasil: [
+        { mapel: 'Matematika', nilai: 90 },
+        { mapel: 'IPA', nilai: 60, esai_belum_dinilai: 2 }
+      ]
+    });
+    expect(pesan.split('\n').pop()).toBe('Rata-rata 75 (sementara)');
+  });
+
+  test('tanpa nilai sama sekali rata-rata "-"', () => {
+    expect(susunPesan({ agenda, peserta, hasil: [{ mapel: 'IPS', nilai: null }] }).split('\n').pop()).toBe('Rata-rata -');
+  });
+});
+
+describe('jedaUlang', () => {
+  test('bertahap 1, 5, 15, 60 menit lalu tetap 60', () => {
+    expect([0, 1, 2, 3, 4, 9].map((n) => jedaUlang(n) / 60000)).toEqual([1, 1, 5, 15, 60, 60]);
+  });
+});
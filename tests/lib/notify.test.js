@@ -0,0 +1,101 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { normalisasiNomor, samarkanTujuan } = require('../../lib/notify/nomor');
+const buatHttpProvider = require('../../lib/notify/http');
+
+describe('normalisasiNomor', () => {
+  test('semua cara menulis nomor HP Indonesia menjadi 628xxxxxxxxx', () => {
+    ['0812-3456-7890', '+62 812 3456 7890', '6281234567890', '81234567890', '006281234567890'].forEach((nomor) => {
+      expect(normalisasiNomor(nomor)).toBe('6281234567890');
+    });
+  });
+
+  test('nomor yang tidak masuk akal tidak diberi awalan 62 begitu saja', () => {
+    expect(normalisasiNomor('12345')).toBeNull();
+    expect(normalisasiNomor('0812')).toBeNull();
+    expect(normalisasiNomor('+1 415 555 0100')).toBeNull();
+    expect(normalisasiNomor(null)).toBeNull();
+  });
+});
+
+test('samarkanTujuan untuk response dan log', () => {
+  expect(samarkanTujuan('6281234567890')).toBe('62812****7890');
+  expect(samarkanTujuan('budi@sekolah.sch.id')).toBe('b***@sekolah.sch.id');
+});
+
+describe('kirimOtp lewat provider dari env', () => {
+  let file;
+
+  beforeEach(() => {
+    jest.resetModules();
+    file = path.join(os.tmpdir(), `cbtku-notify-${process.pid}-${Date.now()}.log`);
+    process.env.NOTIFY_PROVIDER = 'file';
+    process.env.NOTIFY_FILE = file;
+  });
+
+  afterEach(() => {
+    fs.rmSync(file, { force: true });
+    delete process.env.NOTIFY_PROVIDER;
+    delete process.env.NOTIFY_FILE;
+  });
+
+  test('OTP dikirim ke nomor yang dinormalisasi; tujuan di hasil disamarkan', async () => {
+    const { kirimOtp } = require('../../lib/notify');
+    const hasil = await kirimOtp({ no_wa: '0812-3456-7890' }, '482913');
+
+    expect(hasil).toEqual({ provider: 'file', tujuan: '62812****7890', error: null });
+    const baris = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(baris.tujuan).toBe('6281234567890');
+    expect(baris.pesan).toContain('*482913*');
+  });
+
+  test('nomor tidak valid dilaporkan sebagai error, bukan dikirim', async () => {
+    const { kirimOtp } = require('../../lib/notify');
+    await expect(kirimOtp({ no_wa: '123' }, '482913')).resolves.toEqual({
+      provider: 'file',
+      tujuan: null,
+      error: 'Nomor WA peserta tidak valid'
+    });
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('provider tak dikenal menjadi error yang bisa dicatat di password_reset', async () => {
+    process.env.NOTIFY_PROVIDER = 'pos';
+    const { kirimOtp } = require('../../lib/notify');
+    const hasil = await kirimOtp({ no_wa: '081234567890' }, '1');
+    expect(hasil.error).toMatch(/^NOTIFY_PROVIDER tidak dikenal: "pos"/);
+  });
+});
+
+describe('provider http', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('nama field dan header auth mengikuti env gateway', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+    const provider = buatHttpProvider({
+      NOTIFY_HTTP_URL: 'https://gateway.test/send',
+      NOTIFY_HTTP_TOKEN: 'tok',
+      NOTIFY_HTTP_FIELD_TO: 'phone',
+      NOTIFY_HTTP_FORMAT: 'form'
+    });
+    await provider.kirim({ tujuan: '6281234567890', pesan: 'halo' });
+
+    const [url, opts] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://gateway.test/send');
+    expect(opts.headers).toMatchObject({ Authorization: 'tok', 'Content-Type': 'application/x-www-form-urlencoded' });
+    expect(opts.body).toBe('phone=6281234567890&message=halo');
+  });
+
+  test('status gagal dari gateway dilempar sebagai error', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 401, text: async () => 'token salah' });
+    const provider = buatHttpProvider({ NOTIFY_HTTP_URL: 'https://gateway.test/send' });
+    await expect(provider.kirim({ tujuan: '62812', pesan: 'x' })).rejects.toThrow('Gateway HTTP 401: token salah');
+    expect(() => buatHttpProvider({})).toThrow('NOTIFY_HTTP_URL belum diset');
+  });
+});
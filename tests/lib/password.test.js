@@ -0,0 +1,39 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isHashed, hashPassword, verifyPassword } = require('../../lib/password');
+
+test('hash scrypt memakai salt acak per user dan tidak menyimpan plaintext', async () => {
+  const a = await hashPassword('rahasia123');
+  const b = await hashPassword('rahasia123');
+
+  expect(a).toMatch(/^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  expect(a).not.toBe(b);
+  expect(a).not.toContain('rahasia123');
+  expect(isHashed(a)).toBe(true);
+});
+
+test('password hash diverifikasi tanpa perlu di-upgrade', async () => {
+  const stored = await hashPassword('rahasia123');
+  await expect(verifyPassword('rahasia123', stored)).resolves.toEqual({ valid: true, needsRehash: false });
+  await expect(verifyPassword('Rahasia123', stored)).resolves.toEqual({ valid: false, needsRehash: false });
+});
+
+test('baris plaintext lama tetap bisa login dan ditandai untuk di-hash', async () => {
+  expect(isHashed('081234')).toBe(false);
+  await expect(verifyPassword('081234', '081234')).resolves.toEqual({ valid: true, needsRehash: true });
+  await expect(verifyPassword('081235', '081234')).resolves.toEqual({ valid: false, needsRehash: false });
+});
+
+test('hash dengan parameter lama di-upgrade setelah login berhasil', async () => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync('rahasia123', salt, 64, { N: 1024, r: 8, p: 1 });
+  const stored = ['scrypt', 1024, 8, 1, salt.toString('base64'), hash.toString('base64')].join('$');
+
+  await expect(verifyPassword('rahasia123', stored)).resolves.toEqual({ valid: true, needsRehash: true });
+});
+
+test('password kosong atau hash rusak tidak pernah cocok', async () => {
+  await expect(verifyPassword('', null)).resolves.toEqual({ valid: false, needsRehash: false });
+  await expect(verifyPassword('x', 'scrypt$16384$8$1$')).resolves.toEqual({ valid: false, needsRehash: false });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { JENIS_PELANGGARAN, tentukanTindakan, validateKebijakan } = require('../../lib/pelanggaran');
+
+test('fullscreen keluar dan copy/paste ikut dicatat sebagai pelanggaran', () => {
+  expect(JENIS_PELANGGARAN).toEqual(expect.arrayContaining(['tab_hidden', 'blur', 'fullscreen_exit', 'copy', 'paste']));
+});
+
+describe('tentukanTindakan', () => {
+  test('kebijakan peringatan tidak pernah mengunci atau mengirim', () => {
+    expect(tentukanTindakan({ kebijakan: 'peringatan', batas: 1, jumlah: 50 })).toBe('peringatan');
+  });
+
+  test('kunci dan kirim baru berlaku saat jumlah pelanggaran mencapai batas', () => {
+    expect(tentukanTindakan({ kebijakan: 'kunci', batas: 3, jumlah: 2 })).toBe('peringatan');
+    expect(tentukanTindakan({ kebijakan: 'kunci', batas: 3, jumlah: 3 })).toBe('kunci');
+    expect(tentukanTindakan({ kebijakan: 'kirim', batas: 2, jumlah: 4 })).toBe('kirim');
+  });
+
+  test('kebijakan kosong/tak dikenal memakai peringatan, batas kosong memakai 3', () => {
+    expect(tentukanTindakan({ kebijakan: null, jumlah: 10 })).toBe('peringatan');
+    expect(tentukanTindakan({ kebijakan: 'hapus', batas: 1, jumlah: 10 })).toBe('peringatan');
+    expect(tentukanTindakan({ kebijakan: 'kirim', batas: null, jumlah: 2 })).toBe('peringatan');
+    expect(tentukanTindakan({ kebijakan: 'kirim', batas: 0, jumlah: 3 })).toBe('kirim');
+  });
+});
+
+test('validateKebijakan untuk payload admin mapel', () => {
+  expect(validateKebijakan({})).toBeNull();
+  expect(validateKebijakan({ kebijakan_pelanggaran: 'kunci', batas_pelanggaran: '5' })).toBeNull();
+  expect(validateKebijakan({ kebijakan_pelanggaran: 'blokir' })).toBe(
+    'kebijakan_pelanggaran harus salah satu dari: peringatan, kunci, kirim'
+  );
+  expect(validateKebijakan({ batas_pelanggaran: 1.5 })).toBe('batas_pelanggaran harus bilangan bulat lebih dari 0');
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const {
+  normalisasiRubrik,
+  hitungSkor,
+  statusEsai,
+  tahapPenilai,
+  kodeAnonim,
+  kunciKodeAnonim,
+  ringkasProgres,
+  validatePengaturanEsai
+} = require('../../lib/penilaian-esai');
+
+const RUBRIK = [
+  { kriteria: 'Isi', skor_maks: 4 },
+  { kriteria: 'Bahasa', skor_maks: 2 }
+];
+
+describe('rubrik & skor', () => {
+  test('rubrik dari teks JSON divalidasi per kriteria', () => {
+    expect(normalisasiRubrik(JSON.stringify(RUBRIK)).rubrik).toEqual(RUBRIK);
+    expect(normalisasiRubrik([{ kriteria: '', skor_maks: 0 }]).errors).toEqual([
+      'rubrik[0]: kriteria wajib diisi',
+      'rubrik[0]: skor_maks harus angka lebih dari 0'
+    ]);
+    expect(normalisasiRubrik('{x').errors).toEqual(['rubrik harus JSON yang valid']);
+  });
+
+  test('poin rubrik dikonversi ke bobot soal, tanpa rubrik skor langsung 0..bobot', () => {
+    expect(hitungSkor({ rubrik: RUBRIK, bobot: 10, poin: [3, 1] })).toEqual({ skor: 6.67, skor_rubrik: [3, 1] });
+    expect(hitungSkor({ rubrik: RUBRIK, bobot: 10, poin: [5, 1] }).error).toBe('poin kriteria "Isi" harus 0-4');
+    expect(hitungSkor({ rubrik: RUBRIK, bobot: 10, poin: [1] }).error).toBe('poin wajib diisi untuk 2 kriteria rubrik');
+    expect(hitungSkor({ bobot: 5, skor: '3.5' })).toEqual({ skor: 3.5, skor_rubrik: null });
+    expect(hitungSkor({ bobot: 5, skor: 6 }).error).toBe('skor harus angka 0-5');
+  });
+});
+
+describe('penilai kedua & moderasi', () => {
+  const mapel = { penilai_kedua: true, batas_selisih_esai: 20 };
+
+  test('satu penilai: selesai setelah penilaian pertama', () => {
+    expect(statusEsai([], {}, 10)).toEqual({ status: 'belum', skor: null });
+    expect(statusEsai([{ penilai_ke: 1, skor: 7 }], {}, 10)).toEqual({ status: 'selesai', skor: 7 });
+  });
+
+  test('dua penilai: rata-rata jika selisih dalam batas, selain itu moderator menentukan', () => {
+    const p1 = { penilai_ke: 1, skor: 6, id_penilai: 1 };
+    expect(statusEsai([p1], mapel, 10).status).toBe('menunggu_kedua');
+    expect(statusEsai([p1, { penilai_ke: 2, skor: 8, id_penilai: 2 }], mapel, 10)).toEqual({ status: 'selesai', skor: 7 });
+
+    const jauh = [p1, { penilai_ke: 2, skor: 9, id_penilai: 2 }];
+    expect(statusEsai(jauh, mapel, 10)).toEqual({ status: 'moderasi', skor: null });
+    expect(statusEsai([...jauh, { penilai_ke: 3, skor: 8, id_penilai: 3 }], mapel, 10)).toEqual({ status: 'selesai', skor: 8 });
+  });
+
+  test('tahap berikutnya untuk guru lain; milik sendiri terkunci setelah tahap berikutnya diisi', () => {
+    const p1 = { penilai_ke: 1, skor: 6, id_penilai: 1 };
+    expect(tahapPenilai([], mapel, 10, 1)).toEqual({ penilai_ke: 1 });
+    expect(tahapPenilai([p1], mapel, 10, 1)).toEqual({ penilai_ke: 1, ubah: p1 });
+    expect(tahapPenilai([p1], mapel, 10, 2)).toEqual({ penilai_ke: 2 });
+
+    const jauh = [p1, { penilai_ke: 2, skor: 10, id_penilai: 2 }];
+    expect(tahapPenilai(jauh, mapel, 10, 1).error).toBe('Penilaian tidak bisa diubah, jawaban sudah dinilai penilai berikutnya');
+    expect(tahapPenilai(jauh, mapel, 10, 3)).toEqual({ penilai_ke: 3 });
+    expect(tahapPenilai([p1], {}, 10, 2).error).toBe('Jawaban ini sudah selesai dinilai');
+  });
+});
+
+test('kode anonim stabil per jawaban dan bergantung pada kunci', () => {
+  expect(kodeAnonim(12, 'k')).toMatch(/^E-[0-9A-F]{6}$/);
+  expect(kodeAnonim(12, 'k')).toBe(kodeAnonim('12', 'k'));
+  expect(kodeAnonim(12, 'k')).not.toBe(kodeAnonim(13, 'k'));
+  expect(kodeAnonim(12, 'k')).not.toBe(kodeAnonim(12, 'lain'));
+});
+
+test('kunci kode anonim diturunkan dari secret dan wajib ada di production', () => {
+  const kunci = kunciKodeAnonim({ SESSION_SECRET: 's' });
+  expect(kunci).toBe(kunciKodeAnonim({ SESSION_SECRET: 's', SUPABASE_KEY: 'lain' }));
+  expect(kunci).not.toBe('s');
+  expect(kunci).not.toBe(kunciKodeAnonim({ SUPABASE_KEY: 's2' }));
+
+  expect(() => kunciKodeAnonim({ NODE_ENV: 'production' })).toThrow('SESSION_SECRET atau SUPABASE_KEY wajib diset');
+
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  try {
+    expect(kunciKodeAnonim({})).not.toBe(kunciKodeAnonim({}));
+    expect(kunciKodeAnonim({})).not.toBe('');
+  } finally {
+    warn.mockRestore();
+  }
+});
+
+test('ringkasProgres & validatePengaturanEsai', () => {
+  expect(ringkasProgres(['selesai', 'belum', 'moderasi', 'selesai'])).toEqual({
+    total: 4,
+    belum: 1,
+    menunggu_kedua: 0,
+    moderasi: 1,
+    selesai: 2,
+    persen: 50
+  });
+  expect(ringkasProgres([]).persen).toBe(100);
+
+  const payload = { penilai_kedua: 'true' };
+  expect(validatePengaturanEsai(payload)).toBeNull();
+  expect(payload.penilai_kedua).toBe(true);
+  expect(validatePengaturanEsai({ batas_selisih_esai: 150 })).toBe('batas_selisih_esai harus 0-100 (persen dari bobot soal)');
+});
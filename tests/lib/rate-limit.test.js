@@ -0,0 +1,83 @@
+'use strict';
+
+const { createMemoryStore, createSupabaseStore, createRateLimiter } = require('../../lib/rate-limit');
+
+const MENIT = 60 * 1000;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-03-02T07:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+function buatLimiter(max = 3) {
+  return createRateLimiter({ store: createMemoryStore(), nama: 'login', max, windowMs: 15 * MENIT });
+}
+
+test('diblokir setelah N percobaan gagal sampai jendela waktunya habis', async () => {
+  const limiter = buatLimiter(3);
+
+  expect(await limiter.gagal(['u:budi'])).toEqual({ blocked: false, sisa: 2, retryAfter: 0 });
+  await limiter.gagal(['u:budi']);
+  expect(await limiter.gagal(['u:budi'])).toEqual({ blocked: true, sisa: 0, retryAfter: 900 });
+
+  jest.advanceTimersByTime(10 * MENIT);
+  expect(await limiter.periksa(['u:budi'])).toMatchObject({ blocked: true, retryAfter: 300 });
+
+  jest.advanceTimersByTime(5 * MENIT);
+  expect(await limiter.periksa(['u:budi'])).toEqual({ blocked: false, sisa: 3, retryAfter: 0 });
+});
+
+test('kunci IP dan username dihitung terpisah; hasil paling ketat yang dipakai', async () => {
+  const limiter = buatLimiter(3);
+  await limiter.gagal(['ip:10.0.0.1', 'u:budi']);
+  await limiter.gagal(['ip:10.0.0.1', 'u:ani']);
+  await limiter.gagal(['ip:10.0.0.1', 'u:cici']);
+
+  // Username baru dari IP yang sama tetap diblokir
+  expect((await limiter.periksa(['ip:10.0.0.1', 'u:dodi'])).blocked).toBe(true);
+  expect(await limiter.periksa(['ip:10.0.0.2', 'u:budi'])).toEqual({ blocked: false, sisa: 2, retryAfter: 0 });
+});
+
+test('login berhasil menghapus hitungan gagal', async () => {
+  const limiter = buatLimiter(3);
+  await limiter.gagal(['u:budi']);
+  await limiter.gagal(['u:budi']);
+  await limiter.reset(['u:budi']);
+  expect((await limiter.periksa(['u:budi'])).sisa).toBe(3);
+});
+
+test('limiter berbeda di store yang sama tidak saling mempengaruhi', async () => {
+  const store = createMemoryStore();
+  const login = createRateLimiter({ store, nama: 'login', max: 1, windowMs: MENIT });
+  const otp = createRateLimiter({ store, nama: 'otp', max: 1, windowMs: MENIT });
+  await login.gagal(['budi']);
+  expect((await otp.periksa(['budi'])).blocked).toBe(false);
+});
+
+test('store Supabase menyimpan hitungan di tabel rate_limit untuk banyak instance', async () => {
+  const tabel = new Map();
+  const request = jest.fn(async (table, method, query, body) => {
+    const kunci = body ? body.kunci : query.kunci.replace(/^eq\./, '');
+    if (method === 'GET') {
+      return tabel.has(kunci) ? [tabel.get(kunci)] : [];
+    }
+    if (method === 'POST') {
+      tabel.set(kunci, body);
+    } else {
+      tabel.delete(kunci);
+    }
+    return null;
+  });
+  const limiter = createRateLimiter({ store: createSupabaseStore(request), nama: 'token', max: 2, windowMs: MENIT });
+
+  await limiter.gagal(['agd:1']);
+  expect((await limiter.gagal(['agd:1'])).blocked).toBe(true);
+  expect(tabel.get('token:agd:1')).toEqual({ kunci: 'token:agd:1', jumlah: 2, reset_at: '2026-03-02T07:01:00.000Z' });
+  expect(request).toHaveBeenCalledWith('rate_limit', 'POST', { on_conflict: 'kunci' }, expect.any(Object));
+
+  await limiter.reset(['agd:1']);
+  expect(tabel.size).toBe(0);
+});
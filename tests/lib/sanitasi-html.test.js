@@ -0,0 +1,78 @@
+'use strict';
+
+const { sanitasiHtml, urlAman } = require('../../lib/sanitasi-html');
+
+describe('sanitasiHtml', () => {
+  test('null/undefined dikembalikan apa adanya', () => {
+    expect(sanitasiHtml(null)).toBeNull();
+    expect(sanitasiHtml(undefined)).toBeUndefined();
+  });
+
+  test('tag format teks & tabel dipertahankan, atribut di luar whitelist dibuang', () => {
+    expect(sanitasiHtml('<p class="x" align="center">Halo <b onclick="alert(1)">dunia</b></p>')).toBe(
+      '<p align="center">Halo <b>dunia</b></p>'
+    );
+    expect(sanitasiHtml('<table><tr><td colspan="2" rowspan="x">1</td></tr></table>')).toBe(
+      '<table><tr><td colspan="2">1</td></tr></table>'
+    );
+  });
+
+  test('isi script/style/iframe dibuang, tag tak dikenal dibuang tetapi teksnya tetap', () => {
+    expect(sanitasiHtml('a<script>alert(1)</script>b<style>*{}</style>c')).toBe('abc');
+    expect(sanitasiHtml('<iframe src="x">isi</iframe>teks')).toBe('teks');
+    expect(sanitasiHtml('<font color="red">merah</font><!-- komentar -->')).toBe('merah');
+  });
+
+  test('tag yang lupa ditutup ikut ditutup', () => {
+    expect(sanitasiHtml('<ul><li>satu<li>dua</ul>')).toBe('<ul><li>satu<li>dua</li></li></ul>');
+    expect(sanitasiHtml('<b><i>miring')).toBe('<b><i>miring</i></b>');
+  });
+
+  test('gambar: hanya URL aman, tanpa src yang aman gambar dibuang', () => {
+    expect(sanitasiHtml('<img src="https://x.id/a.png" alt="A" width="120" onerror="x()">')).toBe(
+      '<img src="https://x.id/a.png" alt="A" width="120">'
+    );
+    expect(sanitasiHtml('<img src="javascript:alert(1)">')).toBe('');
+    expect(sanitasiHtml('<img src="java&#x09;script:alert(1)" alt="x">')).toBe('');
+  });
+
+  test('style hanya properti tampilan sederhana', () => {
+    expect(sanitasiHtml('<span style="color: red; position: fixed; background-color: url(x)">t</span>')).toBe(
+      '<span style="color: red">t</span>'
+    );
+    expect(sanitasiHtml('<span style="width: expression(alert(1))">t</span>')).toBe('<span>t</span>');
+  });
+
+  test('teks di-escape dan nilai atribut tidak bisa keluar dari kutip', () => {
+    expect(sanitasiHtml('1 < 2 & 3 > 2')).toBe('1 &lt; 2 &amp; 3 &gt; 2');
+    expect(sanitasiHtml('&amp; &lt;')).toBe('&amp; &lt;');
+    expect(sanitasiHtml('<span title=\'a"><script>\'>t</span>')).toBe('<span title="a&quot;&gt;&lt;script&gt;">t</span>');
+  });
+
+  test('rumus LaTeX tidak diurai sebagai HTML', () => {
+    expect(sanitasiHtml('Jika $a<b$ maka $$x^2<y$$')).toBe('Jika $a&lt;b$ maka $$x^2&lt;y$$');
+    expect(sanitasiHtml('\\(a<b>c\\) <b>tebal</b>')).toBe('\\(a&lt;b&gt;c\\) <b>tebal</b>');
+  });
+
+  test('penanda rumus dari input dibuang', () => {
+    expect(sanitasiHtml('\uE0000\uE000<b>x</b> $y$')).toBe('0<b>x</b> $y$');
+  });
+});
+
+describe('urlAman', () => {
+  test('http(s), protocol-relative, relatif dan data:image raster', () => {
+    expect(urlAman('https://x.id/a.png')).toBe('https://x.id/a.png');
+    expect(urlAman('//cdn.x.id/a.png')).toBe('//cdn.x.id/a.png');
+    expect(urlAman('uploads/a.png')).toBe('uploads/a.png');
+    expect(urlAman('data:image/png;base64,iVBORw0KGgo=')).toBe('data:image/png;base64,iVBORw0KGgo=');
+  });
+
+  test('skema lain, svg data dan URL kosong ditolak', () => {
+    expect(urlAman('javascript:alert(1)')).toBeNull();
+    expect(urlAman(' JaVa\nScRiPt:alert(1)')).toBeNull();
+    expect(urlAman('&#106;avascript:alert(1)')).toBeNull();
+    expect(urlAman('data:image/svg+xml;base64,PHN2Zz4=')).toBeNull();
+    expect(urlAman('vbscript:x')).toBeNull();
+    expect(urlAman('   ')).toBeNull();
+  });
+});
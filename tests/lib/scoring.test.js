@@ -0,0 +1,157 @@
+'use strict';
+
+const {
+  getTipeSoal,
+  parseAngka,
+  parseKunciAngka,
+  parseKunciRumpang,
+  scoreQuestion,
+  scoreExam
+} = require('../../lib/scoring');
+
+// Satu paket soal dengan semua tipe yang dirender renderQuestionOptions
+const BANK_SOAL = [
+  { id: 1, no_soal: 1, type_soal: 'Pilihan Ganda', kunci_jawaban: 'B' },
+  { id: 2, no_soal: 2, type_soal: 'Pilihan Ganda Kompleks', kunci_jawaban: 'A,C', bobot: 2 },
+  { id: 3, no_soal: 3, type_soal: 'Benar/Salah', kunci_jawaban: 'B,S,B,S' },
+  { id: 4, no_soal: 4, type_soal: 'Setuju/Tidak', kunci_jawaban: 'S,T' },
+  { id: 5, no_soal: 5, type_soal: 'Penjodohan', kunci_jawaban: '1A,2C,3B' },
+  { id: 6, no_soal: 6, type_soal: 'Esai', kunci_jawaban: '' }
+];
+
+test('tipe soal dikenali dengan aturan yang sama seperti renderQuestionOptions', () => {
+  expect(BANK_SOAL.map((s) => getTipeSoal(s.type_soal))).toEqual(['pg', 'pgk', 'bs', 'bs', 'jodoh', 'esai']);
+  expect(getTipeSoal(null)).toBe('pg');
+});
+
+describe('scoreQuestion', () => {
+  const [pg, pgk, bs, st, jodoh, esai] = BANK_SOAL;
+
+  test('pilihan ganda tidak membedakan huruf besar/kecil', () => {
+    expect(scoreQuestion(pg, 'b')).toMatchObject({ skor: 1, status: 'benar', jawaban: 'b' });
+    expect(scoreQuestion(pg, 'C')).toMatchObject({ skor: 0, status: 'salah' });
+  });
+
+  test('PG kompleks dinilai parsial dan pilihan salah mengurangi skor', () => {
+    expect(scoreQuestion(pgk, 'C,A').skor).toBe(2);
+    expect(scoreQuestion(pgk, 'A')).toMatchObject({ skor: 1, status: 'sebagian' });
+    expect(scoreQuestion(pgk, 'A,B')).toMatchObject({ skor: 0, status: 'salah' });
+    expect(scoreQuestion({ ...pgk, kunci_jawaban: 'ACD' }, 'A,C,D').status).toBe('benar');
+  });
+
+  test('Benar/Salah dan Setuju/Tidak dinilai per pernyataan', () => {
+    expect(scoreQuestion(bs, 'B,S,S,S')).toMatchObject({ skor: 0.75, status: 'sebagian' });
+    // Pernyataan yang dilewati tetap di posisinya
+    expect(scoreQuestion(bs, 'B,,B,').skor).toBe(0.5);
+    expect(scoreQuestion(st, 'S,T').status).toBe('benar');
+  });
+
+  test('Penjodohan dinilai per pasangan', () => {
+    expect(scoreQuestion(jodoh, '1A,2C,3B').status).toBe('benar');
+    expect(scoreQuestion(jodoh, '1a, 2B, 3B').skor).toBe(0.67);
+  });
+
+  test('jawaban bertipe dari lib/jawaban dinilai sama dengan format string', () => {
+    expect(scoreQuestion(pgk, ['C', 'A']).skor).toBe(2);
+    expect(scoreQuestion(bs, ['B', null, 'B', 'S']).skor).toBe(0.75);
+    expect(scoreQuestion(jodoh, { 1: 'A', 2: 'c', 3: 'A' }).skor).toBe(0.67);
+    expect(scoreQuestion(pgk, []).status).toBe('kosong');
+    expect(scoreQuestion(jodoh, {}).status).toBe('kosong');
+  });
+
+  test('esai dan soal tanpa kunci tidak dinilai otomatis', () => {
+    expect(scoreQuestion(esai, 'uraian')).toMatchObject({ skor: null, status: 'manual', dinilai: false });
+    expect(scoreQuestion({ ...pg, kunci_jawaban: null }, 'A')).toMatchObject({ status: 'manual', dinilai: false });
+  });
+});
+
+test('scoreExam menghasilkan nilai, rekap jumlah dan rincian per soal untuk baris jawaban', () => {
+  const hasil = scoreExam(BANK_SOAL, ['B', 'A', '-', 'S,S', '1A,2C,3B', 'uraian']);
+
+  expect(hasil).toMatchObject({
+    skor_total: 3.5,
+    skor_maks: 6,
+    nilai: 58.33,
+    jumlah_benar: 2,
+    jumlah_salah: 2,
+    jumlah_kosong: 1
+  });
+  expect(hasil.detail.map((d) => [d.no_soal, d.status, d.skor])).toEqual([
+    [1, 'benar', 1],
+    [2, 'sebagian', 1],
+    [3, 'kosong', 0],
+    [4, 'sebagian', 0.5],
+    [5, 'benar', 1],
+    [6, 'manual', null]
+  ]);
+  expect(scoreExam([], []).nilai).toBe(0);
+});
+
+describe('Isian Angka, Urutan dan Isian Rumpang', () => {
+  test('tipe baru dikenali', () => {
+    expect(['Isian Angka', 'Urutan', 'Isian Rumpang'].map(getTipeSoal)).toEqual(['angka', 'urutan', 'rumpang']);
+  });
+
+  test('angka peserta boleh memakai koma desimal dan pemisah ribuan', () => {
+    expect(parseAngka('12,5')).toBe(12.5);
+    expect(parseAngka('1.234,5')).toBe(1234.5);
+    expect(parseAngka('1,234.5')).toBe(1234.5);
+    expect(parseAngka('dua')).toBeNull();
+  });
+
+  test('kunci angka dengan toleransi mutlak atau persen', () => {
+    expect(parseKunciAngka('9.8 ± 0.1')).toEqual({ nilai: 9.8, toleransi: 0.1, relatif: false });
+    expect(parseKunciAngka('100 +- 2%')).toEqual({ nilai: 100, toleransi: 2, relatif: true });
+    expect(parseKunciAngka('x')).toBeNull();
+
+    const soal = { id: 7, type_soal: 'Isian Angka', kunci_jawaban: '9.8 ± 1%' };
+    expect(scoreQuestion(soal, '9,85').status).toBe('benar');
+    expect(scoreQuestion(soal, '10').status).toBe('salah');
+    expect(scoreQuestion({ ...soal, kunci_jawaban: '0.3' }, 0.1 + 0.2).status).toBe('benar');
+  });
+
+  test('satuan soal yang ikut diketik dibuang sebelum angka dibaca', () => {
+    const soal = { id: 9, type_soal: 'Isian Angka', kunci_jawaban: '12.5', satuan: 'm / s²' };
+    expect(scoreQuestion(soal, '12,5 m/s²').status).toBe('benar');
+    expect(scoreQuestion(soal, '12.5M / S²').status).toBe('benar');
+    expect(scoreQuestion(soal, '12,5').status).toBe('benar');
+    expect(scoreQuestion(soal, '12,5 km/s²').status).toBe('salah');
+    expect(scoreQuestion({ ...soal, satuan: null }, '12,5 m/s²').status).toBe('salah');
+  });
+
+  test('Urutan dinilai per posisi', () => {
+    const soal = { id: 8, type_soal: 'Urutan', kunci_jawaban: '3,1,2,4' };
+    expect(scoreQuestion(soal, [3, 1, 2, 4]).status).toBe('benar');
+    expect(scoreQuestion(soal, '3,1,4,2')).toMatchObject({ skor: 0.5, status: 'sebagian' });
+  });
+
+  test('Isian Rumpang per rumpang, tanpa beda huruf besar/kecil dan spasi', () => {
+    expect(parseKunciRumpang('1=kucing; 02=berlari|lari')).toEqual({ 1: ['kucing'], 2: ['berlari', 'lari'] });
+    const soal = { id: 9, type_soal: 'Isian Rumpang', kunci_jawaban: '1=Kucing|meong; 2=tidur' };
+    expect(scoreQuestion(soal, { 1: '  KUCING ', 2: 'tidur' }).status).toBe('benar');
+    expect(scoreQuestion(soal, { 1: 'meong', 2: 'lari' }).skor).toBe(0.5);
+  });
+});
+
+describe('skor penilaian esai', () => {
+  const soalList = [
+    { id: 1, type_soal: 'Pilihan Ganda', kunci_jawaban: 'A' },
+    { id: 2, type_soal: 'Esai', kunci_jawaban: '', bobot: 4 },
+    { id: 3, type_soal: 'Esai', kunci_jawaban: '', bobot: 5 }
+  ];
+
+  test('esai yang belum selesai dinilai tidak masuk skor_maks', () => {
+    expect(scoreExam(soalList, ['A', 'uraian', ''], {})).toMatchObject({
+      skor_total: 1,
+      skor_maks: 6,
+      jumlah_belum_dinilai: 1,
+      jumlah_kosong: 1
+    });
+  });
+
+  test('skor guru dibatasi 0..bobot dan hanya dipakai untuk soal esai', () => {
+    const hasil = scoreExam(soalList, ['A', 'uraian', ''], { 1: 0, 2: 9 });
+    expect(hasil).toMatchObject({ skor_total: 5, skor_maks: 10, nilai: 50, jumlah_belum_dinilai: 0 });
+    expect(hasil.detail[1]).toMatchObject({ skor: 4, status: 'benar', dinilai_guru: true });
+  });
+});
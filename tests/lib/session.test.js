@@ -0,0 +1,47 @@
+'use strict';
+
+process.env.SESSION_SECRET = 'rahasia-pengujian';
+
+const { signSession, verifySession, getBearerToken } = require('../../lib/session');
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('token berisi id peserta dan agenda, bisa diverifikasi server', () => {
+  const { token, payload } = signSession({ sub: 7, agd: 1 }, 60);
+  expect(payload).toMatchObject({ sub: 7, agd: 1, jti: expect.any(String) });
+  expect(payload.exp - payload.iat).toBe(3600);
+  expect(verifySession(token).payload).toEqual(payload);
+});
+
+test('payload yang diubah (mis. id peserta lain) ditolak', () => {
+  const { token } = signSession({ sub: 7, agd: 1 });
+  const [header, , signature] = token.split('.');
+  const palsu = Buffer.from(JSON.stringify({ sub: 8, agd: 1, exp: 9999999999 })).toString('base64url');
+
+  expect(verifySession(`${header}.${palsu}.${signature}`)).toEqual({ payload: null, message: 'Sesi tidak valid' });
+  expect(verifySession('bukan-token').payload).toBeNull();
+  expect(verifySession(undefined).payload).toBeNull();
+});
+
+test('token kadaluarsa setelah TTL', () => {
+  jest.useFakeTimers({ now: new Date('2026-03-02T07:00:00Z') });
+  const { token } = signSession({ sub: 7 }, 30);
+
+  jest.setSystemTime(new Date('2026-03-02T07:29:00Z'));
+  expect(verifySession(token).payload).not.toBeNull();
+
+  jest.setSystemTime(new Date('2026-03-02T07:30:00Z'));
+  expect(verifySession(token)).toEqual({ payload: null, message: 'Sesi sudah kadaluarsa, silakan login ulang' });
+});
+
+test('setiap token punya jti sendiri sehingga bisa dicabut satu per satu', () => {
+  expect(signSession({ sub: 7 }).payload.jti).not.toBe(signSession({ sub: 7 }).payload.jti);
+});
+
+test('getBearerToken hanya membaca header Authorization: Bearer', () => {
+  expect(getBearerToken({ headers: { authorization: 'Bearer abc.def.ghi ' } })).toBe('abc.def.ghi');
+  expect(getBearerToken({ headers: { authorization: 'Basic xyz' } })).toBe('');
+  expect(getBearerToken({ headers: {} })).toBe('');
+});
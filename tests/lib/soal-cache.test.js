@@ -0,0 +1,76 @@
+'use strict';
+
+const { soalUntukPeserta, createSoalCache } = require('../../lib/soal-cache');
+
+const BARIS = [
+  { id: 1, no_soal: 1, type_soal: 'Pilihan Ganda', pertanyaan: 'A?', pilihan_a: 'x', kunci_jawaban: 'A', bobot: 2, rubrik: 'r' }
+];
+
+describe('soalUntukPeserta', () => {
+  test('kunci jawaban dan kolom penilaian tidak ikut, hasilnya beku', () => {
+    const s = soalUntukPeserta(BARIS[0]);
+    expect(s).toEqual({
+      id: 1,
+      no_soal: 1,
+      type_soal: 'Pilihan Ganda',
+      pertanyaan: 'A?',
+      pilihan_a: 'x',
+      gambar_url: null,
+      media: null
+    });
+    expect(Object.isFrozen(s)).toBe(true);
+  });
+});
+
+describe('createSoalCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('permintaan bersamaan saat cache kosong memakai satu pemuatan', async () => {
+    const muat = jest.fn(async () => BARIS);
+    const cache = createSoalCache({ muat });
+    const [a, b] = await Promise.all([cache.ambil(5, 'v1'), cache.ambil('5', 'v1')]);
+    expect(a).toBe(b);
+    expect(muat).toHaveBeenCalledTimes(1);
+    expect(a[0].kunci_jawaban).toBeUndefined();
+    expect(cache.statistik()).toEqual({ hit: 1, miss: 1, mapel: 1 });
+  });
+
+  test('versi_soal berbeda, TTL habis atau hapus memuat ulang', async () => {
+    jest.useFakeTimers();
+    const muat = jest.fn(async () => BARIS);
+    const cache = createSoalCache({ muat, ttlMs: 1000 });
+    await cache.ambil(5, 'v1');
+    await cache.ambil(5, 'v2');
+    expect(muat).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(1001);
+    await cache.ambil(5, 'v2');
+    expect(muat).toHaveBeenCalledTimes(3);
+
+    cache.hapus(5);
+    await cache.ambil(5, 'v2');
+    expect(muat).toHaveBeenCalledTimes(4);
+  });
+
+  test('pemuatan gagal tidak tertahan di cache', async () => {
+    const muat = jest.fn().mockRejectedValueOnce(new Error('db mati')).mockResolvedValue(BARIS);
+    const cache = createSoalCache({ muat });
+    await expect(cache.ambil(5, 'v1')).rejects.toThrow('db mati');
+    await expect(cache.ambil(5, 'v1')).resolves.toHaveLength(1);
+    expect(muat).toHaveBeenCalledTimes(2);
+  });
+
+  test('mapel yang paling lama tidak dipakai dibuang saat penuh', async () => {
+    const muat = jest.fn(async () => BARIS);
+    const cache = createSoalCache({ muat, maksMapel: 2 });
+    await cache.ambil(1, 'v');
+    await cache.ambil(2, 'v');
+    await cache.ambil(1, 'v');
+    await cache.ambil(3, 'v');
+    expect(cache.statistik().mapel).toBe(2);
+    await cache.ambil(1, 'v');
+    expect(muat).toHaveBeenCalledTimes(3);
+    await cache.ambil(2, 'v');
+    expect(muat).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { pickSoalFields, validateSoal } = require('../../lib/soal-validator');
+
+describe('pickSoalFields', () => {
+  test('hanya kolom bank_soal yang boleh ditulis; string kosong menjadi null', () => {
+    const out = pickSoalFields({ id: 9, id_mapel: 3, pertanyaan: 'Soal', gambar_url: '', kunci_jawaban: ' b ', skor: 100 });
+    expect(out).toEqual({ pertanyaan: 'Soal', gambar_url: null, kunci_jawaban: 'B' });
+  });
+});
+
+test('PATCH memakai type_soal tersimpan untuk menormalisasi kunci', () => {
+  const rumpang = { type_soal: 'Isian Rumpang', kunci_jawaban: '1=kucing' };
+  expect(pickSoalFields({ kunci_jawaban: ' 1=Kucing ' }, rumpang).kunci_jawaban).toBe('1=Kucing');
+  expect(pickSoalFields({ kunci_jawaban: 'b' }, { type_soal: 'Pilihan Ganda' }).kunci_jawaban).toBe('B');
+  // Tipe diganti tanpa kunci baru: kunci lama ikut dinormalisasi
+  expect(pickSoalFields({ type_soal: 'Pilihan Ganda' }, rumpang).kunci_jawaban).toBe('1=KUCING');
+  expect(pickSoalFields({ pertanyaan: 'x' }, rumpang).kunci_jawaban).toBeUndefined();
+});
+
+describe('validateSoal per type_soal', () => {
+  test('Pilihan Ganda butuh 2 pilihan dan satu kunci yang merujuk pilihan terisi', () => {
+    const soal = { type_soal: 'Pilihan Ganda', pertanyaan: 'Ibu kota?', pilihan_a: 'Jakarta', pilihan_b: 'Bandung' };
+    expect(validateSoal({ ...soal, kunci_jawaban: 'A' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'C' })).toEqual(['kunci_jawaban harus merujuk pilihan yang terisi']);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'A,B' })).toEqual(['kunci_jawaban Pilihan Ganda hanya satu huruf']);
+    expect(validateSoal({ ...soal, pilihan_b: '', kunci_jawaban: 'A' })).toEqual([
+      'minimal 2 pilihan jawaban (pilihan_a..e atau media.gambar_opsi)'
+    ]);
+  });
+
+  test('opsi bergambar tanpa teks dihitung sebagai pilihan terisi', () => {
+    const soal = { type_soal: 'Pilihan Ganda', pertanyaan: 'Gambar segitiga?', pilihan_a: '', kunci_jawaban: 'B' };
+    const media = { gambar_opsi: { A: ['https://x.id/a.png'], B: ['https://x.id/b.png'] } };
+    expect(validateSoal({ ...soal, media })).toEqual([]);
+    expect(validateSoal(soal)[0]).toBe('minimal 2 pilihan jawaban (pilihan_a..e atau media.gambar_opsi)');
+  });
+
+  test('PG kompleks: kunci "ACD" tanpa pemisah dibaca sama seperti penilaian', () => {
+    const soal = { type_soal: 'Pilihan Ganda Kompleks', pertanyaan: 'Genap?', pilihan_a: '2', pilihan_b: '3', pilihan_c: '4', pilihan_d: '6' };
+    expect(validateSoal({ ...soal, kunci_jawaban: 'ACD' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'ACE' })).toEqual(['kunci_jawaban harus merujuk pilihan yang terisi']);
+  });
+
+  test('Benar/Salah dan Setuju/Tidak: satu nilai kunci per pernyataan', () => {
+    const soal = { type_soal: 'Setuju/Tidak', pertanyaan: 'Sikap', pernyataan_1: 'x', pernyataan_2: 'y' };
+    expect(validateSoal({ ...soal, kunci_jawaban: 'S,T' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'S' })).toEqual(['kunci_jawaban harus berisi 2 nilai (S/T)']);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'B,S' })).toEqual(['kunci_jawaban hanya boleh berisi S/T']);
+  });
+
+  test('Penjodohan tidak bisa disimpan tanpa pernyataan kiri dan kanan', () => {
+    const soal = {
+      type_soal: 'Penjodohan',
+      pertanyaan: 'Pasangkan',
+      pernyataan_kiri_1: 'Kucing',
+      pernyataan_kiri_2: 'Anjing',
+      pernyataan_kanan_1: 'Meong',
+      pernyataan_kanan_2: 'Guk'
+    };
+    expect(validateSoal({ ...soal, kunci_jawaban: '1A,2B' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: '1A,3B' })).toEqual(['pasangan kunci tidak valid: "3B"']);
+    expect(
+      validateSoal({ type_soal: 'Penjodohan', pertanyaan: 'Pasangkan', pernyataan_kiri_1: 'Kucing', kunci_jawaban: '1A' })
+    ).toEqual(['Penjodohan wajib punya pernyataan kiri dan kanan', 'pasangan kunci tidak valid: "1A"']);
+  });
+
+  test('Isian Angka: kunci angka dengan toleransi, satuan pendek', () => {
+    const soal = { type_soal: 'Isian Angka', pertanyaan: 'Panjang?', satuan: 'cm' };
+    expect(validateSoal({ ...soal, kunci_jawaban: '12.5 ± 0.1' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: 'dua belas', satuan: 'x'.repeat(21) })).toEqual([
+      'satuan maksimal 20 karakter',
+      'kunci_jawaban Isian Angka harus angka, boleh dengan toleransi (contoh: 12.5, 12.5 ± 0.1, 12.5 ± 2%)'
+    ]);
+  });
+
+  test('Urutan: kunci memuat semua item tepat sekali', () => {
+    const soal = { type_soal: 'Urutan', pertanyaan: 'Urutkan', pernyataan_1: 'a', pernyataan_2: 'b', pernyataan_3: 'c' };
+    expect(validateSoal({ ...soal, kunci_jawaban: '3,1,2' })).toEqual([]);
+    expect(validateSoal({ ...soal, kunci_jawaban: '3,1,1' })).toEqual([
+      'kunci_jawaban harus berisi semua nomor item (1,2,3) dalam urutan yang benar, contoh: 3,1,2'
+    ]);
+  });
+
+  test('Isian Rumpang: setiap rumpang di pertanyaan punya kunci, kunci tidak dikapitalkan', () => {
+    const soal = pickSoalFields({ type_soal: 'Isian Rumpang', pertanyaan: 'Si [[1]] [[2:tidur|lari]]', kunci_jawaban: '1=kucing; 2=tidur' });
+    expect(soal.kunci_jawaban).toBe('1=kucing; 2=tidur');
+    expect(validateSoal(soal)).toEqual([]);
+    expect(validateSoal({ ...soal, pertanyaan: 'Tanpa rumpang' })[0]).toBe(
+      'pertanyaan Isian Rumpang wajib berisi rumpang [[1]] atau [[1:pilihan a|pilihan b]]'
+    );
+    expect(validateSoal({ ...soal, kunci_jawaban: '1=kucing' })).toContain(
+      'kunci_jawaban rumpang 2 belum diisi (contoh: 1=kucing; 2=lari|berlari)'
+    );
+  });
+
+  test('tipe tidak dikenal, pertanyaan kosong dan bobot tidak valid ditolak', () => {
+    expect(validateSoal({ type_soal: 'Isian', pertanyaan: 'x' })).toEqual(['type_soal tidak dikenal: "Isian"']);
+    expect(validateSoal({ type_soal: 'Esai', pertanyaan: ' ', bobot: 0 })).toEqual([
+      'pertanyaan wajib diisi',
+      'bobot harus angka lebih dari 0'
+    ]);
+    expect(validateSoal({ type_soal: 'Esai', pertanyaan: 'Jelaskan' })).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+delete process.env.TOKEN_WINDOW_MENIT;
+delete process.env.TOKEN_DRIFT;
+
+const { TOKEN_WINDOW_MENIT, buatSecret, tokenAktif, cekToken } = require('../../lib/token-ujian');
+
+const SECRET = 'a1'.repeat(20);
+const JENDELA = TOKEN_WINDOW_MENIT * 60 * 1000;
+// Awal sebuah jendela 15 menit
+const T0 = Date.UTC(2026, 2, 2, 7, 0, 0);
+
+test('token 6 karakter tanpa huruf/angka mirip, berlaku sampai akhir jendela', () => {
+  const aktif = tokenAktif(SECRET, T0 + 1000);
+  expect(aktif.token).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+  expect(aktif).toMatchObject({ berlaku_sampai: '2026-03-02T07:15:00.000Z', window_detik: 900 });
+});
+
+test('token berganti tiap jendela dan berbeda per agenda', () => {
+  expect(tokenAktif(SECRET, T0).token).toBe(tokenAktif(SECRET, T0 + JENDELA - 1).token);
+  expect(tokenAktif(SECRET, T0).token).not.toBe(tokenAktif(SECRET, T0 + JENDELA).token);
+  expect(tokenAktif(buatSecret(), T0).token).not.toBe(tokenAktif(SECRET, T0).token);
+  expect(buatSecret()).toMatch(/^[0-9a-f]{40}$/);
+});
+
+test('cekToken menerima token sekarang dan satu jendela sebelumnya, tanpa beda huruf besar/kecil', () => {
+  const sekarang = tokenAktif(SECRET, T0).token;
+  const lama = tokenAktif(SECRET, T0 - JENDELA).token;
+  const lebihLama = tokenAktif(SECRET, T0 - 2 * JENDELA).token;
+
+  expect(cekToken(SECRET, ` ${sekarang.toLowerCase()} `, T0 + 5000)).toBe(true);
+  expect(cekToken(SECRET, lama, T0 + 5000)).toBe(true);
+  expect(cekToken(SECRET, lebihLama, T0 + 5000)).toBe(false);
+  // Token jendela berikutnya belum berlaku
+  expect(cekToken(SECRET, tokenAktif(SECRET, T0 + JENDELA).token, T0)).toBe(false);
+});
+
+test('masukan kosong atau panjang berbeda ditolak', () => {
+  expect(cekToken(SECRET, '', T0)).toBe(false);
+  expect(cekToken(SECRET, undefined, T0)).toBe(false);
+  expect(cekToken(SECRET, `${tokenAktif(SECRET, T0).token}X`, T0)).toBe(false);
+});
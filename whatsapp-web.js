@@ -1,9 +1,17 @@
+'use strict';
+
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const { normalisasiNomor } = require('./lib/notify/nomor');
 
 let whatsappClient = null;
+let whatsappReady = false;
 
 function initWhatsApp() {
+  if (whatsappClient) {
+    return;
+  }
+
   whatsappClient = new Client({
     authStrategy: new LocalAuth(),
     puppeteer: { headless: true }
@@ -14,23 +22,35 @@ function initWhatsApp() {
   });
 
   whatsappClient.on('ready', () => {
+    whatsappReady = true;
     console.log('WhatsApp client is ready!');
   });
 
+  whatsappClient.on('disconnected', (reason) => {
+    whatsappReady = false;
+    console.warn('WhatsApp client disconnected:', reason);
+  });
+
   whatsappClient.initialize();
 }
 
-async function sendOTPViaWhatsAppWeb(phoneNumber, otp) {
-  if (!whatsappClient) return false;
-  
-  try {
-    const chatId = `62${phoneNumber}@c.us`; // Format: 6281234567890@c.us
-    const message = `*CBTKU 2026 - Reset Password*\n\nKode OTP Anda: *${otp}*\n\nKode berlaku 10 menit.\n\nJangan bagikan kode ini.`;
-    
-    await whatsappClient.sendMessage(chatId, message);
-    return true;
-  } catch (error) {
-    console.error('WhatsApp Web error:', error);
-    return false;
+/**
+ * Kirim pesan teks. Melempar error jika client belum siap atau nomor tidak valid.
+ */
+async function sendMessage(phoneNumber, message) {
+  if (!whatsappClient || !whatsappReady) {
+    throw new Error('WhatsApp Web belum siap (scan QR di log server)');
   }
+
+  const nomor = normalisasiNomor(phoneNumber);
+  if (!nomor) {
+    throw new Error(`Nomor WA tidak valid: ${phoneNumber}`);
+  }
+
+  await whatsappClient.sendMessage(`${nomor}@c.us`, message); // Format: 6281234567890@c.us
 }
+
+module.exports = {
+  initWhatsApp,
+  sendMessage
+};